@@ -0,0 +1,152 @@
+const path = require('path');
+const {
+  getIncomeFraction,
+  calculateKFactor,
+  getChildrenMultiplier,
+  getLowIncomeThreshold,
+  calculateLowIncomeAdjustment,
+  allocatePerChild,
+  calculateGuidelineChildSupport,
+} = require('../utils/childsupport/guideline');
+const { calculateChildSupport } = require('../utils/childsupport/calculator');
+
+describe('Guideline child support (FC § 4055)', () => {
+  describe('calculateKFactor', () => {
+    test('matches the statutory example for H% = 20% and TN = $1,000', () => {
+      expect(calculateKFactor(1000, 0.2)).toBeCloseTo(0.21, 2);
+    });
+
+    test('matches the statutory example for H% = 80% and TN = $1,000', () => {
+      expect(calculateKFactor(1000, 0.8)).toBeCloseTo(0.21, 2);
+    });
+
+    test('income bands are continuous at their boundaries', () => {
+      expect(getIncomeFraction(2900)).toBeCloseTo(getIncomeFraction(2901), 3);
+      expect(getIncomeFraction(5000)).toBeCloseTo(0.25, 2);
+      expect(getIncomeFraction(10001)).toBeCloseTo(0.25, 3);
+      expect(getIncomeFraction(15000)).toBeCloseTo(getIncomeFraction(15001), 3);
+    });
+  });
+
+  describe('getChildrenMultiplier', () => {
+    test('returns statutory multipliers', () => {
+      expect(getChildrenMultiplier(1)).toBe(1);
+      expect(getChildrenMultiplier(2)).toBe(1.6);
+      expect(getChildrenMultiplier(10)).toBe(2.86);
+    });
+
+    test('rejects zero children', () => {
+      expect(() => getChildrenMultiplier(0)).toThrow('Number of children must be at least 1.');
+    });
+  });
+
+  describe('calculateGuidelineChildSupport', () => {
+    test('high earner with 20% timeshare pays the low earner', () => {
+      // TN = 10,000 → fraction 0.25; K = 1.2 × 0.25 = 0.3
+      // CS = 0.3 × (8000 − 0.2 × 10000) = 1800
+      const result = calculateGuidelineChildSupport(8000, 2000, { timeshareA: 0.2 });
+
+      expect(result.obligor).toBe('A');
+      expect(result.calculations.kFactor).toBeCloseTo(0.3, 5);
+      expect(result.monthlySupport).toBe(1800);
+    });
+
+    test('negative formula result makes the low earner the obligor', () => {
+      // A is high earner with 90% timeshare: K = (2 − 0.9) × 0.25 = 0.275
+      // CS = 0.275 × (6000 − 0.9 × 10000) = −825 → B pays 825
+      const result = calculateGuidelineChildSupport(6000, 4000, { timeshareA: 0.9 });
+
+      expect(result.obligor).toBe('B');
+      expect(result.monthlySupport).toBe(825);
+    });
+
+    test('applies the multiplier and per-child allocation for two children', () => {
+      const result = calculateGuidelineChildSupport(8000, 2000, { timeshareA: 0.2, numberOfChildren: 2 });
+
+      expect(result.monthlySupport).toBe(2880); // 1800 × 1.6
+      expect(result.calculations.perChild.map(c => Math.round(c.amount))).toEqual([1800, 1080]);
+    });
+
+    test('low-income adjustment reduces support for obligors below the threshold', () => {
+      const threshold = getLowIncomeThreshold(16);
+      const result = calculateGuidelineChildSupport(2000, 500, { timeshareA: 0, minimumWageHourly: 16 });
+      const adj = result.calculations.lowIncomeAdjustment;
+
+      expect(adj.eligible).toBe(true);
+      expect(adj.fraction).toBeCloseTo((threshold - 2000) / threshold, 5);
+      expect(result.monthlySupport).toBe(Math.round(adj.minimumSupport));
+      expect(result.monthlySupport).toBeLessThan(Math.round(result.calculations.guidelineSupport));
+    });
+
+    test('per-child amounts add up to the monthly support, with and without the low-income adjustment', () => {
+      const sum = (result) => Math.round(result.calculations.perChild.reduce((a, c) => a + c.amount, 0));
+
+      const regular = calculateGuidelineChildSupport(8000, 2000, { timeshareA: 0.2, numberOfChildren: 3 });
+      const adjusted = calculateGuidelineChildSupport(2000, 500, { timeshareA: 0, numberOfChildren: 2, minimumWageHourly: 16 });
+
+      expect(regular.calculations.finalSupport).toBe(regular.calculations.guidelineSupport);
+      expect(sum(regular)).toBe(regular.monthlySupport);
+      expect(adjusted.calculations.lowIncomeAdjustment.eligible).toBe(true);
+      expect(adjusted.calculations.finalSupport).toBeLessThan(adjusted.calculations.guidelineSupport);
+      expect(sum(adjusted)).toBe(adjusted.monthlySupport);
+    });
+  });
+
+  test('calculateLowIncomeAdjustment is not applied at or above the threshold', () => {
+    const adj = calculateLowIncomeAdjustment(500, 3000, 2800);
+    expect(adj.eligible).toBe(false);
+    expect(adj.maxReduction).toBe(0);
+  });
+
+  test('allocatePerChild sums to the multiplied total', () => {
+    const allocation = allocatePerChild(1000, 3);
+    const total = allocation.reduce((a, c) => a + c.amount, 0);
+    expect(total).toBeCloseTo(2000, 5);
+  });
+});
+
+describe('calculateChildSupport', () => {
+  test('derives net income from taxes and feeds child support into spousal support', () => {
+    const result = calculateChildSupport(
+      { grossIncome: 150000, filingStatus: 'single' },
+      { grossIncome: 30000, filingStatus: 'single' },
+      { timeshareA: 0.2 }
+    );
+
+    expect(result.parentA.netIncome).toBeCloseTo(result.parentA.taxCalculation.netIncome / 12, 5);
+    expect(result.childSupport.obligor).toBe('A');
+    expect(result.spousalSupport.payor).toBe('A');
+    expect(result.spousalSupport.calculations.childSupportOffset).toBe(0.5 * result.childSupport.monthlySupport);
+  });
+
+  test('skips the offset when the spousal payor receives child support', () => {
+    const result = calculateChildSupport(
+      { grossIncome: 90000 },
+      { grossIncome: 80000 },
+      { timeshareA: 0.95 }
+    );
+
+    expect(result.childSupport.obligor).toBe('B');
+    expect(result.spousalSupport.payor).toBe('A');
+    expect(result.spousalSupport.calculations.childSupportOffset).toBe(0);
+  });
+});
+
+describe('childsupport CLI', () => {
+  const cliPath = path.resolve(__dirname, '..', 'childsupport.js');
+
+  test('prints guideline support with defaults', () => {
+    const { spawnSync } = require('node:child_process');
+    const res = spawnSync(process.execPath, [cliPath, '--no-explain', '--timeshare', '30'], { encoding: 'utf8' });
+    expect(res.status).toBe(0);
+    expect(res.stdout).toMatch(/GUIDELINE CHILD SUPPORT:/);
+    expect(res.stdout).toMatch(/High Earner Timeshare \(H%\): 30\.0%/);
+  });
+
+  test('exits 1 on invalid timeshare', () => {
+    const { spawnSync } = require('node:child_process');
+    const res = spawnSync(process.execPath, [cliPath, '--timeshare', '140'], { encoding: 'utf8' });
+    expect(res.status).toBe(1);
+    expect(res.stderr).toMatch(/timesharePercentA/);
+  });
+});
@@ -0,0 +1,31 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { readArg, readList, loadConfig } = require('../utils/cli');
+
+describe('utils/cli', () => {
+  test('readArg returns the value after a flag, not a following flag', () => {
+    const argv = ['--out', 'a.csv', '--config', '--no-csv'];
+    expect(readArg(argv, '--out')).toBe('a.csv');
+    expect(readArg(argv, '--config')).toBeNull();
+    expect(readArg(argv, '--year')).toBeNull();
+  });
+
+  test('readList splits and trims a comma-separated value', () => {
+    expect(readList(['--names', ' Alice, ,Bob '], '--names')).toEqual(['Alice', 'Bob']);
+    expect(readList([], '--names')).toEqual([]);
+  });
+
+  test('loadConfig reads --config, else returns {} when the default file is absent', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+    const configPath = path.join(tmp, 'x.config.json');
+    fs.writeFileSync(configPath, JSON.stringify({ parents: { primary: 'A' } }));
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      expect(loadConfig(['--config', configPath], 'unused.config.json')).toEqual({ parents: { primary: 'A' } });
+      expect(loadConfig([], 'no-such-tool.config.json')).toEqual({});
+    } finally {
+      spy.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('node:child_process');
+
+const { parseExchangeLog, calculateCompliance } = require('../utils/visitation/compliance');
+const { formatComplianceCsv, formatComplianceMonthlyCsv, parseCsv } = require('../utils/output/csv');
+const { formatComplianceMarkdown } = require('../utils/output/markdown');
+
+// March 2025 (default order): weekends 1st and 15th and 29th, visits 5th and 19th, Zooms 12th and 26th
+const logCsv = [
+  'Date,Event,Status,By,Arrival,Late Minutes,Makeup For,Notes',
+  '2025-03-01,weekend-visit,held,,,,,',
+  '2025-03-05,wednesday-visit,held,visiting,15:25,,,Traffic',
+  '2025-03-15,Weekend Visit,cancelled,Parent B,,,,"Child sick, fever"',
+  '2025-03-19,,missed,visiting,,,,',
+  '2025-03-22,,makeup,,,,2025-03-15,',
+  '2025-04-02,,late,visiting,,10,,',
+  '2025-04-30,,held,,,,,',
+].join('\n');
+const parents = { primary: 'Parent B', visiting: 'Parent A' };
+const compute = (config = {}) => calculateCompliance(new Date(2025, 2, 1), new Date(2025, 3, 30), parseExchangeLog(logCsv, { parents }), { config: { parents, ...config } });
+
+describe('parseExchangeLog', () => {
+  test('normalizes CSV headers, statuses and parent names', () => {
+    const log = parseExchangeLog(logCsv, { parents });
+
+    expect(log[1]).toMatchObject({ date: '2025-03-05', event: 'wednesday-visit', status: 'held', by: 'visiting', arrival: '15:25' });
+    expect(log[2]).toMatchObject({ by: 'primary', notes: 'Child sick, fever' });
+    expect(log[4]).toMatchObject({ status: 'makeup', makeupFor: '2025-03-15' });
+  });
+
+  test('accepts JSON and status aliases', () => {
+    const log = parseExchangeLog(JSON.stringify({ exchanges: [{ date: '2025-03-01', status: 'no-show', by: 'visiting' }] }));
+    expect(log[0]).toMatchObject({ status: 'missed', by: 'visiting' });
+  });
+
+  test('reports the offending line', () => {
+    expect(() => parseExchangeLog('Date,Status\n2025-03-01,held\n2025-03-05,whenever')).toThrow(/line 3: status must be one of/);
+    expect(() => parseExchangeLog('Date,Status,By\n2025-03-01,late,grandma')).toThrow(/line 2: by must be primary, visiting or a parent name/);
+  });
+});
+
+describe('calculateCompliance', () => {
+  test('matches log entries to scheduled visits', () => {
+    const { visits, unmatched } = compute();
+    const byDate = Object.fromEntries(visits.map(v => [v.date, v]));
+
+    expect(byDate['2025-03-05']).toMatchObject({ status: 'late', lateMinutes: 25, by: 'visiting' });
+    expect(byDate['2025-03-15']).toMatchObject({ status: 'cancelled', by: 'primary', madeUpOn: '2025-03-22' });
+    expect(byDate['2025-03-12'].status).toBe('unlogged');
+    expect(unmatched.map(u => u.date)).toEqual(['2025-04-30']);
+  });
+
+  test('tallies per parent and per month', () => {
+    const { byParent, byMonth, totals } = compute();
+
+    expect(byParent.visiting).toEqual({ late: 2, cancelled: 0, missed: 1, makeups: 0, lateMinutes: 35 });
+    expect(byParent.primary).toEqual({ late: 0, cancelled: 1, missed: 0, makeups: 1, lateMinutes: 0 });
+    expect(byMonth['2025-03']).toMatchObject({ scheduled: 7, held: 1, late: 1, cancelled: 1, missed: 1, unlogged: 3, makeups: 1, compliance: 50 });
+    expect(byMonth['2025-04'].compliance).toBe(100);
+    expect(totals.compliance).toBe(60);
+  });
+
+  test('unlogged visits can count as held or missed', () => {
+    expect(compute({ unlogged: 'held' }).byMonth['2025-03'].compliance).toBeCloseTo(71.43, 2);
+    expect(compute({ unlogged: 'missed' }).byMonth['2025-03'].compliance).toBeCloseTo(28.57, 2);
+    expect(() => compute({ unlogged: 'maybe' })).toThrow(/unlogged must be one of/);
+  });
+
+  test('holidays replace the visits they override', () => {
+    const holidays = [{ name: 'Spring Trip', date: '2025-03-15', endOffsetDays: 1, parent: 'primary' }];
+    const { visits } = compute({ holidays });
+
+    expect(visits.some(v => v.id === 'weekend-visit' && v.date === '2025-03-15')).toBe(false);
+    expect(visits.find(v => v.date === '2025-03-15').id).toBe('holiday:spring-trip');
+  });
+});
+
+describe('compliance output', () => {
+  test('Markdown report and CSVs', () => {
+    const report = compute();
+    const md = formatComplianceMarkdown(report);
+    const rows = parseCsv(formatComplianceCsv(report));
+    const monthly = parseCsv(formatComplianceMonthlyCsv(report));
+
+    expect(md).toMatch(/^# Visitation Compliance — 2025-03-01 → 2025-04-30/);
+    expect(md).toMatch(/\| Parent A +\| 1 +\| 0 +\| 2 +\| 35 +\| 0 +\|/);
+    expect(md).toContain('## Log entries with no scheduled visit');
+    expect(rows[0]).toEqual(['Date', 'Start', 'End', 'Event', 'Event ID', 'Scheduled Parent', 'Status', 'By', 'Late Minutes', 'Made Up On', 'Makeup For', 'Notes']);
+    expect(rows.find(r => r[0] === '2025-03-15')[11]).toBe('Child sick, fever');
+    expect(rows[rows.length - 1].slice(0, 7)).toEqual(['2025-03-22', '', '', 'Makeup visit', '', '', 'makeup']);
+    expect(monthly[monthly.length - 1]).toEqual(['Total', '13', '1', '2', '0', '1', '1', '8', '1', '35', '60.00']);
+  });
+});
+
+describe('compliance CLI', () => {
+  const cliPath = path.resolve(__dirname, '..', 'compliance.js');
+
+  test('writes Markdown and CSV reports', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'compliance-'));
+    const logPath = path.join(tmp, 'log.csv');
+    const configPath = path.join(tmp, 'compliance.config.json');
+    fs.writeFileSync(logPath, logCsv);
+    fs.writeFileSync(configPath, JSON.stringify({ parents, log: logPath }));
+    const res = spawnSync(process.execPath, [cliPath, '--config', configPath, '--start', '2025-03-01', '--end', '2025-04-30', '--out-dir', tmp], { encoding: 'utf8' });
+
+    expect(res.status).toBe(0);
+    expect(res.stdout).toMatch(/\| Total {3}\| {8}13 \|/);
+    expect(res.stderr).toMatch(/Warning: log line 8: no scheduled event on 2025-04-30/);
+    ['.md', '.csv', '-monthly.csv'].forEach(ext => {
+      expect(fs.existsSync(path.join(tmp, `compliance-2025-03-01_2025-04-30${ext}`))).toBe(true);
+    });
+  });
+
+  test('requires a log', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'compliance-'));
+    const configPath = path.join(tmp, 'compliance.config.json');
+    fs.writeFileSync(configPath, JSON.stringify({ parents }));
+    const res = spawnSync(process.execPath, [cliPath, '--year', '2025', '--config', configPath], { encoding: 'utf8' });
+
+    expect(res.status).toBe(1);
+    expect(res.stderr).toMatch(/An exchange log is required/);
+  });
+});
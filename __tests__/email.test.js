@@ -0,0 +1,109 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('node:child_process');
+
+const { parseEmail, loadEmailMessages } = require('../utils/messages/email');
+const { normalizeMessages } = require('../utils/messages/schema');
+const { assignThreads, computeReplyThreadKeys } = require('../utils/ofw/threads');
+const { accumulateStats } = require('../utils/ofw/stats');
+
+const email = ({ id, from = 'Parent A <a@example.com>', to = 'Parent B <b@example.com>', date, subject, inReplyTo, references, body = 'Thanks for the update.' }) => [
+  `Message-ID: <${id}>`,
+  `From: ${from}`,
+  `To: ${to}`,
+  `Date: ${date}`,
+  `Subject: ${subject}`,
+  ...(inReplyTo ? [`In-Reply-To: <${inReplyTo}>`] : []),
+  ...(references ? [`References: ${references.map(r => `<${r}>`).join('\n ')}`] : []),
+  '',
+  body,
+  '',
+].join('\n');
+
+const thread = [
+  email({ id: 'root@x', date: 'Mon, 03 Mar 2025 09:00:00 +0000', subject: 'Spring break' }),
+  email({ id: 'r1@x', from: 'Parent B <b@example.com>', to: 'Parent A <a@example.com>', date: 'Mon, 03 Mar 2025 12:00:00 +0000', subject: 'Re: Spring break', inReplyTo: 'root@x', references: ['root@x'], body: 'I disagree, that is not what the order says.' }),
+  // Subject changed, but References still ties it to the thread; 60 days later
+  email({ id: 'r2@x', date: 'Fri, 02 May 2025 09:00:00 +0000', subject: 'Travel dates', inReplyTo: 'r1@x', references: ['root@x', 'r1@x'] }),
+  // Same subject as the thread, but a new conversation with no reply headers
+  email({ id: 'new@x', date: 'Tue, 04 Mar 2025 09:00:00 +0000', subject: 'Re: Spring break' }),
+];
+
+describe('email reply headers', () => {
+  test('parses In-Reply-To and folded References', () => {
+    const parsed = parseEmail(thread[2]);
+
+    expect(parsed).toMatchObject({ messageId: 'r2@x', inReplyTo: 'r1@x', references: ['root@x', 'r1@x'] });
+    expect(parseEmail(thread[0])).toMatchObject({ inReplyTo: '', references: [] });
+  });
+
+  test('threads by reply headers instead of subjects', () => {
+    const messages = assignThreads(normalizeMessages(thread.map(parseEmail)));
+    const [root, r1, r2, unrelated] = messages;
+
+    expect(r1.threadId).toBe(root.threadId);
+    expect(r2.threadId).toBe(root.threadId); // not split by the 60-day gap or the new subject
+    expect(r2.threadIndex).toBe(2);
+    expect(unrelated.threadId).not.toBe(root.threadId);
+    expect(computeReplyThreadKeys(messages).get(r2)).toBe('reply|r1@x');
+  });
+
+  test('replies to a missing root still share a thread; headerless messages use subjects', () => {
+    const orphans = [
+      { messageId: 'b@x', references: ['missing@x'], sender: 'A', subject: 'One' },
+      { messageId: 'c@x', inReplyTo: 'missing@x', sender: 'B', subject: 'Two' },
+      { sender: 'A', subject: 'Three' },
+    ];
+    const keys = computeReplyThreadKeys(orphans);
+
+    expect(keys.get(orphans[0])).toBe(keys.get(orphans[1]));
+    expect(keys.has(orphans[2])).toBe(false);
+  });
+
+  test('normalized emails work with computeDerivedMetrics and accumulateStats', () => {
+    const messages = normalizeMessages(thread.map(parseEmail));
+    const { totals } = accumulateStats(messages);
+
+    expect(messages[1]).toMatchObject({ source: 'email', sender: 'Parent B', recipientReadTimes: { 'Parent A': 'Never' }, wordCount: 9 });
+    expect(messages[1].sentiment).toBeLessThan(0);
+    expect(totals['Parent A']).toMatchObject({ messagesSent: 3, totalWords: 12 });
+    expect(totals['Parent B'].messagesSent).toBe(1);
+  });
+
+  test('loads a folder of .eml files', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'email-'));
+    thread.forEach((raw, i) => fs.writeFileSync(path.join(dir, `${i}.eml`), raw));
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'ignored');
+
+    const loaded = loadEmailMessages(dir);
+    expect(loaded.map(m => m.sourceFile)).toEqual(['0.eml', '1.eml', '2.eml', '3.eml']);
+  });
+});
+
+describe('email CLI', () => {
+  const cliPath = path.resolve(__dirname, '..', 'email.js');
+
+  test('writes JSON and CSV summaries for an mbox', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'email-'));
+    const mboxPath = path.join(tmp, 'inbox.mbox');
+    fs.writeFileSync(mboxPath, thread.map(raw => `From a@example.com Mon Mar  3 09:00:00 2025\n${raw}`).join('\n'));
+    const res = spawnSync(process.execPath, [cliPath, mboxPath], { encoding: 'utf8', cwd: tmp });
+
+    expect(res.status).toBe(0);
+    expect(res.stdout).toMatch(/Parsed 4 email\(s\) in 2 thread\(s\)/);
+    const json = JSON.parse(fs.readFileSync(path.join(tmp, 'output', 'inbox.json'), 'utf8'));
+    expect(json[2]).toMatchObject({ source: 'email', messageId: 'r2@x', threadIndex: 2, line: 21, topicSource: 'keywords' });
+    expect(Array.isArray(json[2].topics)).toBe(true);
+    ['-senders.csv', '-top2-comparison.csv', '-threads.csv', '-topics.csv'].forEach(suffix => {
+      expect(fs.existsSync(path.join(tmp, 'output', `inbox${suffix}`))).toBe(true);
+    });
+  });
+
+  test('reports a missing input', () => {
+    const res = spawnSync(process.execPath, [cliPath, '/no/such/inbox.mbox'], { encoding: 'utf8' });
+
+    expect(res.status).toBe(1);
+    expect(res.stderr).toMatch(/Input not found/);
+  });
+});
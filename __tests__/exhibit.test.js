@@ -0,0 +1,115 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('node:child_process');
+const pdfParse = require('pdf-parse');
+
+const { selectMessages, layoutExhibit } = require('../utils/ofw/exhibit');
+const { measureText, wrapText, renderPdf } = require('../utils/output/pdf');
+
+const message = (day, sender, extra = {}) => ({
+  sentDate: new Date(2025, 2, day, 9, 15),
+  sender,
+  recipientReadTimes: { [sender === 'Parent A' ? 'Parent B' : 'Parent A']: new Date(2025, 2, day, 10, 0) },
+  subject: `Subject ${day}`,
+  body: `Body of the message sent on day ${day}.`,
+  wordCount: 8, sentiment: 0, sentiment_natural: 0, tone: 0,
+  ...extra,
+});
+
+const report = [
+  message(3, 'Parent A', { threadId: 1, messageNumber: 1, messageTotal: 4 }),
+  message(4, 'Parent B', { threadId: 1, messageNumber: 2, messageTotal: 4, sentiment_ollama: { flags: ['threat'] } }),
+  message(5, 'Parent A', { threadId: 2, messageNumber: 3, messageTotal: 4, recipientReadTimes: { 'Parent B': 'Never' } }),
+  { _nonMessage: true, sentDate: new Date(2025, 2, 5), body: 'Report header' },
+  message(6, 'Parent B', { threadId: 2, messageNumber: 4, messageTotal: 4, subject: 'Café (pickup) “urgent”' }),
+];
+
+describe('selectMessages', () => {
+  test('filters by thread, date range, sender and flag', () => {
+    expect(selectMessages(report, { threadIds: ['2'] }).map(m => m.messageNumber)).toEqual([3, 4]);
+    expect(selectMessages(report, { start: new Date(2025, 2, 4), end: new Date(2025, 2, 5) }).map(m => m.messageNumber)).toEqual([2, 3]);
+    expect(selectMessages(report, { senders: ['parent b'] }).map(m => m.messageNumber)).toEqual([2, 4]);
+    expect(selectMessages(report, { flags: ['Threat'] }).map(m => m.messageNumber)).toEqual([2]);
+    expect(selectMessages(report, { threadIds: [1], senders: ['Parent A'] }).map(m => m.messageNumber)).toEqual([1]);
+  });
+
+  test('skips placeholders and sorts chronologically', () => {
+    const grouped = { 2025: [report[4], report[0], report[3]] };
+
+    expect(selectMessages(grouped).map(m => m.messageNumber)).toEqual([1, 4]);
+  });
+});
+
+describe('PDF text helpers', () => {
+  test('wraps to width and keeps blank lines', () => {
+    const lines = wrapText('one two three four five six\n\nseven', measureText('one two three', 10), 10);
+
+    expect(lines).toEqual(['one two three', 'four five six', '', 'seven']);
+    expect(wrapText('x'.repeat(50), measureText('x'.repeat(20), 10), 10).map(l => l.length)).toEqual([20, 20, 10]);
+  });
+});
+
+describe('layoutExhibit', () => {
+  test('numbers pages with Bates labels and points the contents at message pages', () => {
+    const long = message(7, 'Parent A', { body: Array.from({ length: 120 }, (_, i) => `Line ${i + 1}`).join('\n') });
+    const messages = [...selectMessages(report), long];
+    const exhibit = layoutExhibit(messages, { label: 'Exhibit B', caption: 'Doe v. Doe\nCase No. 24-FL-001', batesPrefix: 'DOE', batesStart: 41 });
+
+    expect(exhibit.pages.length).toBeGreaterThan(3);
+    expect(exhibit.bates.first).toBe('DOE000041');
+    expect(exhibit.bates.last).toBe(`DOE${String(40 + exhibit.pages.length).padStart(6, '0')}`);
+    expect(exhibit.toc.map(t => t.page)).toEqual([2, 2, 2, 2, 2]);
+    expect(exhibit.toc[0]).toMatchObject({ index: 1, sender: 'Parent A', bates: 'DOE000042' });
+    const texts = exhibit.pages.map(ops => ops.filter(op => op.type === 'text').map(op => op.text));
+    expect(texts[texts.length - 1]).toContain('Message 5 of 5 (continued)');
+    expect(texts[1]).toEqual(expect.arrayContaining(['Doe v. Doe — Case No. 24-FL-001', 'Exhibit B', `Page 2 of ${exhibit.pages.length}`, 'DOE000042']));
+  });
+});
+
+describe('renderPdf', () => {
+  test('writes a PDF whose text reads back', async () => {
+    const exhibit = layoutExhibit(selectMessages(report), { label: 'Exhibit A', caption: 'Doe v. Doe', title: 'Messages about pickups' });
+    const pdf = renderPdf(exhibit.pages, { title: 'Exhibit A' });
+    const { numpages, text } = await pdfParse(pdf);
+
+    expect(pdf.subarray(0, 8).toString()).toBe('%PDF-1.4');
+    expect(numpages).toBe(exhibit.pages.length);
+    expect(text).toContain('Table of Contents');
+    expect(text).toContain('Message 1 of 4');
+    expect(text).toContain('Sent: 03/03/2025 at 09:15 AM');
+    expect(text).toContain('To: Parent A (First Viewed: 03/04/2025 at 10:00 AM)');
+    expect(text).toContain('To: Parent B (First Viewed: Never)');
+    expect(text).toContain('Flags: threat');
+    expect(text).toContain('Subject: Café (pickup) “urgent”');
+  });
+});
+
+describe('exhibit CLI', () => {
+  const cliPath = path.resolve(__dirname, '..', 'exhibit.js');
+
+  test('writes the selected messages to a PDF', async () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'exhibit-'));
+    const input = path.join(tmp, 'report.json');
+    fs.writeFileSync(input, JSON.stringify(report));
+    const configPath = path.join(tmp, 'exhibit.config.json');
+    fs.writeFileSync(configPath, JSON.stringify({ caption: 'Doe v. Doe', batesPrefix: 'DOE' }));
+    const res = spawnSync(process.execPath, [cliPath, input, '--sender', 'Parent B', '--label', 'Exhibit C', '--config', configPath], { encoding: 'utf8', cwd: tmp });
+
+    expect(res.status).toBe(0);
+    expect(res.stdout).toMatch(/Exhibit C: 2 message\(s\) on 2 page\(s\), Bates DOE000001–DOE000002/);
+    const { text } = await pdfParse(fs.readFileSync(path.join(tmp, 'output', 'exhibit-c.pdf')));
+    expect(text).toContain('Doe v. Doe');
+    expect(text).not.toContain('Subject 3');
+  });
+
+  test('fails when nothing matches', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'exhibit-'));
+    const input = path.join(tmp, 'report.json');
+    fs.writeFileSync(input, JSON.stringify(report));
+    const res = spawnSync(process.execPath, [cliPath, input, '--flag', 'insult'], { encoding: 'utf8', cwd: tmp });
+
+    expect(res.status).toBe(1);
+    expect(res.stderr).toMatch(/No messages match the selection/);
+  });
+});
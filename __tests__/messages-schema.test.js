@@ -0,0 +1,102 @@
+jest.mock('polarity', () => ({ polarity: () => ({ polarity: 0 }) }), { virtual: true });
+jest.mock('winston', () => {
+  const noop = () => {};
+  return {
+    createLogger: () => ({ info: noop, warn: noop, error: noop }),
+    format: { combine: noop, timestamp: noop, json: noop },
+    transports: { Console: function Console() {}, File: function File() {} },
+  };
+});
+jest.mock('ollama', () => ({
+  default: { chat: jest.fn(async () => ({ message: { content: '{"sentiment":"neutral","conflict_level":"low","deception_risk":"low","flags":[],"reason":"ok"}' } })) },
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { normalizeMessages, fromOfwMessage, parseIMessageTimestamp, parseReadDelay, detectSource } = require('../utils/messages/schema');
+const { parseIMessageText } = require('../utils/messages/imessage');
+const { accumulateStats } = require('../utils/ofw/stats');
+const { assignThreads } = require('../utils/ofw/threads');
+const { analyzeRapidFireMessages } = require('../utils/ofw/clusters');
+const { MessageProcessor } = require('../ollama-sentiment');
+
+const exportText = [
+  'Mar 05, 2024  9:12:11 AM (Read by them after 5 minutes)',
+  'Parent A',
+  'Can you confirm pickup at 5?',
+  'Mar 05, 2024  9:20:00 AM',
+  'Parent A',
+  'Hello?',
+  'Mar 05, 2024  9:30:00 AM (Delivered)',
+  'Parent B',
+  'Yes, 5 works',
+  'Mar 07, 2024  6:00:00 PM',
+  'Parent B',
+  'Running late',
+  '',
+].join('\n');
+
+describe('message schema adapters', () => {
+  test('parses iMessage timestamps and read receipts', () => {
+    expect(parseIMessageTimestamp('Mar 05, 2024  9:12:11 PM')).toEqual(new Date(2024, 2, 5, 21, 12, 11));
+    expect(parseIMessageTimestamp('Dec 31, 2023 12:00:00 AM')).toEqual(new Date(2023, 11, 31, 0, 0, 0));
+    expect(parseReadDelay('Read by them after 1 hour, 5 minutes')).toBe(3900000);
+    expect(parseReadDelay('Delivered')).toBeNull();
+  });
+
+  test('normalizes grouped iMessage output to the OFW shape', () => {
+    const messages = normalizeMessages(parseIMessageText(exportText));
+
+    expect(messages).toHaveLength(4);
+    expect(messages[0]).toMatchObject({
+      source: 'imessage',
+      sender: 'Parent A',
+      subject: '',
+      body: 'Can you confirm pickup at 5?',
+      wordCount: 6,
+      recipientReadTimes: { 'Parent B': new Date(2024, 2, 5, 9, 17, 11) },
+    });
+    expect(messages[2].recipientReadTimes).toEqual({ 'Parent A': 'Never' });
+    expect(Number.isFinite(messages[0].tone)).toBe(true);
+  });
+
+  test('revives OFW JSON dates and leaves normalized messages alone', () => {
+    const json = JSON.parse(JSON.stringify([{ sentDate: new Date(2025, 0, 2, 9), sender: 'A', recipientReadTimes: { B: new Date(2025, 0, 2, 10), C: 'Never' }, subject: 'S', body: 'hi', wordCount: 1, sentiment: 0, sentiment_natural: 0, tone: 0 }]));
+    const [m] = normalizeMessages(json);
+
+    expect(m.source).toBe('ofw');
+    expect(m.sentDate).toEqual(new Date(2025, 0, 2, 9));
+    expect(m.recipientReadTimes).toEqual({ B: new Date(2025, 0, 2, 10), C: 'Never' });
+    expect(normalizeMessages(normalizeMessages(parseIMessageText(exportText)))[0].source).toBe('imessage');
+    expect(detectSource(fromOfwMessage(json[0]))).toBe('ofw');
+  });
+});
+
+describe('OFW tooling on normalized iMessages', () => {
+  test('stats, threads and clusters', () => {
+    const messages = normalizeMessages(parseIMessageText(exportText));
+    const { totals } = accumulateStats(messages);
+    assignThreads(messages);
+
+    expect(totals['Parent A']).toMatchObject({ messagesSent: 2, totalWords: 7 });
+    expect(totals['Parent B']).toMatchObject({ messagesSent: 2, messagesRead: 1, averageReadTime: 5 / 60 });
+    expect(new Set(messages.map(m => m.threadId)).size).toBe(2);
+    expect(analyzeRapidFireMessages(messages, 'Parent A', 30 * 60)).toHaveLength(1);
+  });
+
+  test('MessageProcessor reads an iMessage per-year export', async () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'messages-schema-'));
+    const input = path.join(tmp, 'imessage-export-2024.json');
+    fs.writeFileSync(input, JSON.stringify(parseIMessageText(exportText)['2024']));
+    const processor = new MessageProcessor('test-model');
+
+    await processor.processJsonFile(input, tmp);
+
+    const processed = JSON.parse(fs.readFileSync(path.join(tmp, 'imessage-export-2024 - LLM processed.json'), 'utf8'));
+    expect(processed).toHaveLength(4);
+    expect(processed[0]).toMatchObject({ source: 'imessage', threadIndex: 0, sentiment_ollama: { sentiment: 'neutral' } });
+    expect(fs.readFileSync(path.join(tmp, 'imessage-export-2024 - summary.md'), 'utf8')).toMatch(/## Thread \d+: No subject/);
+  });
+});
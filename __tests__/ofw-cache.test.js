@@ -0,0 +1,264 @@
+jest.mock('../utils/pdf', () => ({
+  parsePdf: jest.fn(async (filePath) => require('fs').readFileSync(filePath, 'utf8')),
+}));
+jest.mock('winston', () => {
+  const noop = () => {};
+  return {
+    createLogger: () => ({ info: noop, warn: noop, error: noop }),
+    format: { combine: noop, timestamp: noop, json: noop },
+    transports: { Console: function Console() {}, File: function File() {} },
+  };
+});
+jest.mock('ollama', () => ({
+  default: { chat: jest.fn(async () => ({ message: { content: '{"sentiment":"negative","conflict_level":"high","deception_risk":"low","flags":["threat"],"reason":"x"}' } })) },
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parsePdf } = require('../utils/pdf');
+const { default: ollama } = require('ollama');
+const { METRICS_VERSION, messageFingerprint, createReportCache, applyCachedMetrics } = require('../utils/ofw/cache');
+const { diffExports } = require('../utils/ofw/diff');
+const { formatExportChangesCsv, parseCsv } = require('../utils/output/csv');
+const { parsePdfFile, runCli } = require('../ofw');
+const { MessageProcessor } = require('../ollama-sentiment');
+
+const block = (n, total, { sent, from, to, viewed = 'Never', subject, body }) => [
+  `Message ${n} of ${total}`,
+  `Sent: ${sent}`,
+  `From: ${from}`,
+  `To: ${to} (First Viewed: ${viewed})`,
+  `Subject: ${subject}`,
+  body,
+].join('\n');
+const pickup = { sent: '03/03/2025 at 09:00 AM', from: 'Parent A', to: 'Parent B', subject: 'Pickup', body: 'Pickup at 5 on Friday?' };
+const reply = { sent: '03/03/2025 at 10:00 AM', from: 'Parent B', to: 'Parent A', subject: 'Re: Pickup', body: 'That does not work for me.' };
+const later = { sent: '03/20/2025 at 08:00 AM', from: 'Parent A', to: 'Parent B', subject: 'School', body: 'Report cards are out.' };
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'ofw-cache-'));
+}
+
+describe('messageFingerprint', () => {
+  test('depends on sender, sent date and body only', () => {
+    const base = { sender: 'A', sentDate: new Date(2025, 2, 3, 9), body: 'Hi', recipientReadTimes: { B: 'Never' }, messageNumber: 1 };
+
+    expect(messageFingerprint({ ...base, recipientReadTimes: { B: new Date() }, messageNumber: 7 })).toBe(messageFingerprint(base));
+    expect(messageFingerprint(JSON.parse(JSON.stringify(base)))).toBe(messageFingerprint(base));
+    expect(messageFingerprint({ ...base, body: 'Hi!' })).not.toBe(messageFingerprint(base));
+    expect(messageFingerprint({ ...base, sender: 'B' })).not.toBe(messageFingerprint(base));
+  });
+});
+
+describe('createReportCache', () => {
+  test('stores reports and finds the previous export', () => {
+    const cache = createReportCache(tmpDir());
+    cache.putReport({ sha256: 'aaa', sourceFile: 'one.pdf', messages: [{ sender: 'A', sentDate: new Date(2025, 0, 1), recipientReadTimes: { B: new Date(2025, 0, 2), C: 'Never' } }] });
+    cache.putReport({ sha256: 'bbb', sourceFile: 'two.pdf', messages: [{ sender: 'A', sentDate: new Date(2025, 1, 1), recipientReadTimes: {} }] });
+
+    const report = cache.getReport('aaa');
+    expect(report.messages[0].sentDate).toEqual(new Date(2025, 0, 1));
+    expect(report.messages[0].recipientReadTimes).toEqual({ B: new Date(2025, 0, 2), C: 'Never' });
+    expect(cache.previousReport('bbb').sourceFile).toBe('one.pdf');
+    expect(cache.previousReport('ccc').sourceFile).toBe('two.pdf');
+    expect(cache.getReport('zzz')).toBeNull();
+  });
+
+  test('takes the export whose dates come just before, whatever order they were parsed in', () => {
+    const dir = tmpDir();
+    const cache = createReportCache(dir);
+    const through = (month) => [{ sender: 'A', sentDate: new Date(2025, 0, 1), recipientReadTimes: {} }, { sender: 'A', sentDate: new Date(2025, month, 1), recipientReadTimes: {} }];
+    cache.putReport({ sha256: 'may', sourceFile: 'may.pdf', messages: through(4) });
+    cache.putReport({ sha256: 'mar', sourceFile: 'mar.pdf', messages: through(2) });
+    cache.putReport({ sha256: 'jun', sourceFile: 'jun.pdf', messages: through(5) });
+    // An index written before date ranges were recorded
+    const indexPath = path.join(dir, 'index.json');
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+    fs.writeFileSync(indexPath, JSON.stringify({ reports: index.reports.map(({ first, last, ...r }) => r) }));
+
+    expect(cache.previousReport('mar')).toBeNull();
+    expect(cache.previousReport('may').sourceFile).toBe('mar.pdf');
+    expect(cache.previousReport('jun').sourceFile).toBe('may.pdf');
+  });
+
+  test('reuses metrics by fingerprint and computes the rest', () => {
+    const cache = createReportCache(tmpDir());
+    const message = () => ({ sender: 'A', sentDate: new Date(2025, 0, 1), body: 'This is terrible', recipientReadTimes: {} });
+    const first = applyCachedMetrics([message(), { _nonMessage: true, body: '' }], cache);
+    cache.update(messageFingerprint(message()), { metrics: { ...first.messages[0], sentiment: 99 } });
+
+    const second = applyCachedMetrics([message(), { sender: 'B', sentDate: new Date(2025, 0, 2), body: 'Fine' }], cache);
+    expect(first).toMatchObject({ reused: 0, computed: 1 });
+    expect(first.messages[0].sentiment).toBeLessThan(0);
+    expect(second).toMatchObject({ reused: 1, computed: 1 });
+    expect(second.messages[0].sentiment).toBe(99);
+  });
+
+  test('computes metrics again for entries cached before tone_v2 existed', () => {
+    const cache = createReportCache(tmpDir());
+    const message = () => ({ sender: 'A', sentDate: new Date(2025, 0, 1), body: 'See you in court.', recipientReadTimes: {} });
+    const { tone_v2: omitted, ...older } = applyCachedMetrics([message()], cache).messages[0];
+    cache.update(messageFingerprint(message()), { metrics: older });
+
+    const again = applyCachedMetrics([message()], cache);
+
+    expect(again).toMatchObject({ reused: 0, computed: 1 });
+    expect(again.messages[0].tone_v2).toBe(omitted);
+    expect(cache.get(messageFingerprint(message())).metrics.tone_v2).toBeLessThan(-0.5);
+  });
+
+  test('computes metrics again for entries from another metrics version', () => {
+    const cache = createReportCache(tmpDir());
+    const message = () => ({ sender: 'A', sentDate: new Date(2025, 0, 1), body: 'See you in court.', recipientReadTimes: {} });
+    const scored = applyCachedMetrics([message()], cache).messages[0];
+    cache.update(messageFingerprint(message()), { metricsVersion: METRICS_VERSION - 1, metrics: { ...cache.get(messageFingerprint(message())).metrics, tone_v2: 0.9 } });
+    const unversioned = createReportCache(tmpDir());
+    unversioned.update(messageFingerprint(message()), { metrics: { ...cache.get(messageFingerprint(message())).metrics } });
+
+    const again = applyCachedMetrics([message()], cache);
+
+    expect(again).toMatchObject({ reused: 0, computed: 1 });
+    expect(again.messages[0].tone_v2).toBe(scored.tone_v2);
+    expect(cache.get(messageFingerprint(message())).metricsVersion).toBe(METRICS_VERSION);
+    expect(applyCachedMetrics([message()], unversioned)).toMatchObject({ reused: 0, computed: 1 });
+  });
+});
+
+describe('applyCachedMetrics sentence fields', () => {
+  test('caches sentence offsets without the text and quotes the body again on reuse', () => {
+    const dir = tmpDir();
+    const cache = createReportCache(dir);
+    const hostile = 'You are a LIAR and I am sick of your excuses.';
+    const message = () => ({ sender: 'A', sentDate: new Date(2025, 0, 1), body: `Thanks for Friday. ${hostile}`, recipientReadTimes: {} });
+    const first = applyCachedMetrics([message()], cache).messages[0];
+
+    const again = applyCachedMetrics([message()], cache);
+
+    const entry = cache.get(messageFingerprint(message()));
+    expect(entry.metrics.most_negative_sentence).toEqual({ start: 19, end: 19 + hostile.length, score: first.most_negative_sentence.score });
+    expect(JSON.stringify(entry)).not.toContain('LIAR');
+    expect(again).toMatchObject({ reused: 1, computed: 0 });
+    expect(again.messages[0].most_negative_sentence).toEqual(first.most_negative_sentence);
+    expect(again.messages[0].most_negative_sentence.text).toBe(hostile);
+    expect(again.messages[0].flagged_sentences).toEqual(first.flagged_sentences);
+  });
+});
+
+describe('diffExports', () => {
+  test('reports new, changed and missing messages', () => {
+    const at = (h) => new Date(2025, 2, 3, h);
+    const previous = [
+      { sender: 'A', sentDate: at(9), subject: 'S', body: 'one', recipientReadTimes: { B: 'Never' }, sourceId: 'OFW-1' },
+      { sender: 'A', sentDate: at(9), subject: 'S', body: 'two', recipientReadTimes: { B: 'Never' } },
+      { sender: 'B', sentDate: at(10), subject: 'S', body: 'gone', recipientReadTimes: {} },
+      { _nonMessage: true, body: '' },
+    ];
+    const current = [
+      { sender: 'A', sentDate: at(9), subject: 'S', body: 'one', recipientReadTimes: { B: at(11) }, sourceId: 'OFW-2' },
+      { sender: 'A', sentDate: at(9), subject: 'S', body: 'two', recipientReadTimes: { B: 'Never' } },
+      { sender: 'B', sentDate: at(12), subject: 'S', body: 'new', recipientReadTimes: {} },
+    ];
+    const diff = diffExports(previous, current);
+
+    expect(diff.added.map(m => m.body)).toEqual(['new']);
+    expect(diff.changed.map(c => [c.message.body, c.changes])).toEqual([['one', ['read receipts']]]);
+    expect(diff.missing.map(m => m.body)).toEqual(['gone']);
+    expect(diff.unchanged).toBe(1);
+    const rows = parseCsv(formatExportChangesCsv(diff));
+    expect(rows[0]).toEqual(['Status', 'Date', 'Time', 'Sender', 'Subject', 'Changes', 'Source ID', 'Previous Source ID']);
+    expect(rows[2]).toEqual(['changed', '2025-03-03', '09:00', 'A', 'S', 'read receipts', 'OFW-2', 'OFW-1']);
+    expect(rows.map(r => r[0])).toEqual(['Status', 'new', 'changed', 'missing']);
+  });
+
+  test('counts only messages within the dates both exports cover as missing', () => {
+    const at = (day, h) => new Date(2025, 2, day, h);
+    const message = (sentDate, body) => ({ sender: 'A', sentDate, subject: 'S', body, recipientReadTimes: {}, sourceId: `OFW-${body}` });
+    // The later export starts on Mar 3, so Mar 1 has aged out; Mar 4 was dropped from a covered day
+    const previous = [message(at(1, 9), 'aged'), message(at(3, 9), 'kept'), message(at(4, 9), 'dropped')];
+    const current = [message(at(3, 9), 'kept'), message(at(6, 9), 'new')];
+
+    const diff = diffExports(previous, current);
+
+    expect(diff.missing.map(m => m.body)).toEqual(['dropped']);
+    expect(diff.outOfRange.map(m => m.body)).toEqual(['aged']);
+    expect(parseCsv(formatExportChangesCsv(diff)).slice(1).map(r => [r[0], r[7]])).toEqual([
+      ['new', ''], ['missing', 'OFW-dropped'], ['out of range', 'OFW-aged'],
+    ]);
+  });
+});
+
+describe('parsePdfFile with a cache', () => {
+  test('skips re-parsing a known PDF and compares with the previous export', async () => {
+    const dir = tmpDir();
+    const cache = createReportCache(path.join(dir, 'cache'));
+    const first = path.join(dir, 'OFW_Report_1.pdf');
+    const second = path.join(dir, 'OFW_Report_2.pdf');
+    fs.writeFileSync(first, [block(1, 2, pickup), block(2, 2, reply)].join('\n'));
+    fs.writeFileSync(second, [block(1, 2, { ...pickup, viewed: '03/03/2025 at 09:30 AM' }), block(2, 2, later)].join('\n'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    parsePdf.mockClear();
+
+    const run1 = await parsePdfFile(first, { cache });
+    const run1Again = await parsePdfFile(first, { cache });
+    const run2 = await parsePdfFile(second, { cache });
+    console.log.mockRestore();
+
+    expect(parsePdf).toHaveBeenCalledTimes(2);
+    expect(run1.changes).toBeNull();
+    expect(run1Again.messages.map(m => [m.sender, m.sourceId, m.threadId])).toEqual(run1.messages.map(m => [m.sender, m.sourceId, m.threadId]));
+    expect(run1Again.messages[1].sentiment).toBe(run1.messages[1].sentiment);
+    expect(run1Again.changes).toBeNull(); // no other export yet
+    expect(run2.previousExport.sourceFile).toBe('OFW_Report_1.pdf');
+    expect(run2.changes.added.map(m => m.subject)).toEqual(['School']);
+    expect(run2.changes.changed.map(c => c.changes)).toEqual([['read receipts']]);
+    expect(run2.changes.missing.map(m => m.subject)).toEqual(['Re: Pickup']);
+  });
+});
+
+describe('ofw.js --redact', () => {
+  test('neither reads nor writes the cache, so no original text lands under output/', async () => {
+    const dir = tmpDir();
+    const input = path.join(dir, 'OFW_Report.pdf');
+    const cacheDir = path.join(dir, 'output', 'cache');
+    fs.writeFileSync(input, [block(1, 2, { ...pickup, body: 'Emma needs her inhaler, call 555-123-4567.' }), block(2, 2, reply)].join('\n'));
+    fs.writeFileSync(path.join(dir, 'redaction.json'), JSON.stringify({ names: { Child: ['Emma'] } }));
+    createReportCache(cacheDir).putReport({ sha256: 'old', sourceFile: 'old.pdf', messages: [] });
+    const walk = (d) => fs.readdirSync(d, { withFileTypes: true }).flatMap(e => (e.isDirectory() ? walk(path.join(d, e.name)) : [path.join(d, e.name)]));
+    const seeded = walk(cacheDir).map(f => [f, fs.readFileSync(f, 'utf8')]);
+    jest.spyOn(process, 'cwd').mockReturnValue(dir);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    await runCli([input, '--redact', '--redaction-config', path.join(dir, 'redaction.json'), '--cache-dir', cacheDir]);
+    console.log.mockRestore();
+    process.cwd.mockRestore();
+
+    expect(walk(cacheDir).map(f => [f, fs.readFileSync(f, 'utf8')])).toEqual(seeded);
+    const shared = walk(path.join(dir, 'output')).filter(f => !f.startsWith(path.join(dir, 'output', 'private')));
+    expect(shared.some(f => f.endsWith('OFW_Report.json'))).toBe(true);
+    shared.forEach(f => expect(fs.readFileSync(f, 'utf8')).not.toMatch(/Emma|555-123-4567/));
+  });
+});
+
+describe('MessageProcessor with a cache', () => {
+  test('reuses LLM results and only sends uncached messages', async () => {
+    const dir = tmpDir();
+    const cache = createReportCache(path.join(dir, 'cache'));
+    const input = path.join(dir, 'report.json');
+    const messages = [pickup, reply, later].map((m, i) => ({ sender: m.from, sentDate: new Date(2025, 2, 3 + i, 9), recipientReadTimes: {}, subject: m.subject, body: m.body, threadId: i, threadIndex: 0 }));
+    fs.writeFileSync(input, JSON.stringify(messages));
+    ollama.chat.mockClear();
+
+    await new MessageProcessor('test-model').processJsonFile(input, dir, { maxMessages: 2, cache });
+    expect(ollama.chat).toHaveBeenCalledTimes(2);
+    await new MessageProcessor('test-model').processJsonFile(input, dir, { maxMessages: 2, cache });
+    expect(ollama.chat).toHaveBeenCalledTimes(3);
+
+    const processed = JSON.parse(fs.readFileSync(path.join(dir, 'report - LLM processed.json'), 'utf8'));
+    expect(processed).toHaveLength(3);
+    expect(processed.every(m => m.sentiment_ollama.flags[0] === 'threat')).toBe(true);
+    await new MessageProcessor('other-model').processJsonFile(input, dir, { maxMessages: 1, cache });
+    expect(ollama.chat).toHaveBeenCalledTimes(4);
+  });
+});
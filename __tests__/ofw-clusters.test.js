@@ -1,4 +1,10 @@
-const { analyzeRapidFireMessages } = require('../utils/ofw/clusters');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('node:child_process');
+
+const { analyzeRapidFireMessages, findRapidFireClusters, resolveScoring, toneTrajectory } = require('../utils/ofw/clusters');
+const { formatClustersCsv, formatClusterSendersCsv, parseCsv } = require('../utils/output/csv');
 
 describe('utils/ofw/clusters', () => {
   test('groups messages within threshold into clusters', () => {
@@ -13,4 +19,87 @@ describe('utils/ofw/clusters', () => {
   });
 });
 
+describe('findRapidFireClusters', () => {
+  let number = 0;
+  const mk = (sender, day, h, min, wordCount, tone) => {
+    number += 1;
+    return { sender, sentDate: new Date(2025, 0, day, h, min), subject: `Subject ${number}`, body: 'x', wordCount, tone, recipientReadTimes: {}, messageNumber: number, messageTotal: 9, sourceFile: 'OFW_Report.pdf' };
+  };
+  const messages = [
+    mk('Parent A', 1, 10, 0, 10, 0),
+    mk('Parent A', 1, 10, 5, 20, -0.2),
+    mk('Parent A', 1, 10, 12, 30, -0.5), // 12-minute cluster, tone drops 0.5
+    mk('Parent B', 1, 11, 0, 10, 0.1),
+    mk('Parent B', 1, 11, 2, 10, 0.1),
+    mk('Parent B', 1, 11, 4, 10, 0.1), // 4-minute cluster, scored over the 10-minute minimum span
+    mk('Parent A', 2, 10, 0, 5, 0),
+    mk('Parent A', 2, 10, 10, 5, 0), // only two messages
+    mk('Parent B', 3, 9, 0, 5, 0),
+  ];
+
+  test('clusters every sender with an intensity score and tone trajectory', () => {
+    const report = findRapidFireClusters(messages);
+
+    expect(report.clusters.map(c => [c.id, c.sender, c.messages.length, c.tone.trend])).toEqual([
+      [1, 'Parent A', 3, 'escalating'],
+      [2, 'Parent B', 3, 'steady'],
+    ]);
+    // (3 messages + 60 words / 100 + 0.7 negative tone × 2) / 0.2 hours
+    expect(report.clusters[0].score).toBeCloseTo(25);
+    // (3 + 0.3 + 0) / (10 / 60) hours
+    expect(report.clusters[1].score).toBeCloseTo(19.8);
+    expect(report.clusters[0].tone).toEqual({ values: [0, -0.2, -0.5], start: 0, end: -0.5, min: -0.5, change: -0.5, trend: 'escalating' });
+  });
+
+  test('compares senders side by side and honours the sender filter and scoring weights', () => {
+    const report = findRapidFireClusters(messages);
+    const onlyB = findRapidFireClusters(messages, { senders: ['parent b'], scoring: resolveScoring({ words: 0 }) });
 
+    expect(report.senders['Parent A']).toMatchObject({ messages: 5, activeDays: 2, messagesPerActiveDay: 2.5, medianGapMinutes: 8.5, clusters: 1, clusteredMessages: 3, clusteredPct: 60, largestCluster: 3, escalating: 1 });
+    expect(report.senders['Parent B']).toMatchObject({ messages: 4, activeDays: 2, clusters: 1, clusteredPct: 75 });
+    expect(Object.keys(onlyB.senders)).toEqual(['Parent B']);
+    expect(onlyB.clusters[0].score).toBeCloseTo(18);
+    expect(findRapidFireClusters(messages, { minMessages: 2 }).clusters).toHaveLength(3);
+    expect(toneTrajectory([{ tone: -0.4 }, { tone: 0 }]).trend).toBe('de-escalating');
+    expect(() => resolveScoring({ tone: -1 })).toThrow('Invalid scoring.tone: -1');
+  });
+
+  test('formats clusters and the sender comparison as CSV', () => {
+    const report = findRapidFireClusters(messages);
+
+    const clusters = parseCsv(formatClustersCsv(report));
+    const senders = parseCsv(formatClusterSendersCsv(report));
+
+    expect(clusters[1]).toEqual(['1', 'Parent A', '2025-01-01 10:00', '2025-01-01 10:12', '12', '3', '60', '-0.23', '0', '-0.5', '-0.5', 'escalating', '25', 'OFW_Report.pdf, Message 1 of 9', 'OFW_Report.pdf, Message 3 of 9']);
+    expect(senders[0]).toEqual(['Name', 'Messages', 'Active Days', 'Messages per Active Day', 'Median Gap (minutes)', 'Clusters', 'Clustered Messages', 'Clustered %', 'Largest Cluster', 'Avg Cluster Size', 'Max Score', 'Avg Score', 'Escalating Clusters']);
+    expect(senders[1]).toEqual(['Parent A', '5', '2', '2.5', '8.5', '1', '3', '60', '3', '3', '25', '25', '1']);
+  });
+
+  test('message-volume.js writes CSV, JSON and a manifest', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'message-volume-'));
+    fs.writeFileSync(path.join(tmp, 'report.json'), JSON.stringify(messages));
+
+    const res = spawnSync(process.execPath, [path.resolve(__dirname, '..', 'message-volume.js'), 'report.json', '--threshold-min', '30'], { encoding: 'utf8', cwd: tmp });
+
+    expect(res.status).toBe(0);
+    expect(res.stdout).toContain('#1 Jan 1, 2025 — Parent A: 3 messages in 12 mins, 60 words, score 25.0, tone 0.00 → -0.20 → -0.50 (escalating)');
+    expect(res.stdout).toContain(' - Parent B: 4 messages on 2 day(s)');
+    const json = JSON.parse(fs.readFileSync(path.join(tmp, 'output', 'report-clusters.json'), 'utf8'));
+    expect(json).toMatchObject({ thresholdMinutes: 30, minMessages: 3, scoring: { messages: 1, words: 1, tone: 2, minSpanMinutes: 10 } });
+    expect(json.clusters[1].messages[0]).toMatchObject({ subject: 'Subject 4', wordCount: 10, tone: 0.1, source: 'OFW_Report.pdf, Message 4 of 9' });
+    expect(parseCsv(fs.readFileSync(path.join(tmp, 'output', 'report-cluster-senders.csv'), 'utf8'))).toHaveLength(3);
+    const manifest = JSON.parse(fs.readFileSync(path.join(tmp, 'output', 'report-clusters.manifest.json'), 'utf8'));
+    expect(manifest).toMatchObject({ tool: 'message-volume.js', counts: { messages: 9, senders: 2, clusters: 2 } });
+  });
+
+  test('message-volume.js rejects invalid scoring weights', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'message-volume-'));
+    fs.writeFileSync(path.join(tmp, 'report.json'), JSON.stringify(messages));
+    fs.writeFileSync(path.join(tmp, 'clusters.json'), JSON.stringify({ scoring: { words: 'lots' } }));
+
+    const res = spawnSync(process.execPath, [path.resolve(__dirname, '..', 'message-volume.js'), 'report.json', '--config', 'clusters.json'], { encoding: 'utf8', cwd: tmp });
+
+    expect(res.status).toBe(1);
+    expect(res.stderr).toContain('Invalid scoring.words: lots');
+  });
+});
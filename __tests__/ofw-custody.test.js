@@ -0,0 +1,84 @@
+const path = require('path');
+const { spawnSync } = require('node:child_process');
+
+const { annotateCustodyContext, summarizeByCustodyContext, listExchanges, describeCustodyContext } = require('../utils/ofw/custody');
+const { accumulateStats } = require('../utils/ofw/stats');
+const { formatWeeklyCsv, formatCustodyContextCsv, parseCsv } = require('../utils/output/csv');
+const { formatMessageMarkdown } = require('../utils/output/markdown');
+const { loadSchedule, evaluateSchedule } = require('../utils/visitation/schedule');
+
+// Default order, March 2025: weekend Sat 1st 10:00 → Sun 2nd 18:00, visit Wed 5th 15:00–19:00, Zoom Wed 12th
+const message = (sentDate, sender, tone = 0) => ({ sentDate, sender, recipientReadTimes: {}, wordCount: 10, sentiment: tone * 10, sentiment_natural: 0, tone, subject: 'S', body: 'B' });
+const messages = () => [
+  message(new Date(2025, 1, 28, 20), 'A', -0.5),
+  message(new Date(2025, 2, 1, 12), 'B', 0.5),
+  message(new Date(2025, 2, 5, 9), 'A'),
+  message(new Date(2025, 2, 10, 9), 'B'),
+  message(new Date(2025, 2, 12, 10), 'A'),
+];
+
+describe('annotateCustodyContext', () => {
+  test('labels each message with custody, visit/Zoom day and days to the next exchange', () => {
+    const annotated = annotateCustodyContext(messages());
+
+    expect(annotated.map(m => m.custody.context)).toEqual(['day-before-exchange', 'during-visit', 'exchange-day', 'other', 'zoom-day']);
+    expect(annotated.map(m => m.custody.parent)).toEqual(['primary', 'visiting', 'primary', 'primary', 'primary']);
+    expect(annotated.map(m => m.custody.dayType)).toEqual(['None', 'Visit', 'Visit', 'None', 'Zoom']);
+    expect(annotated.map(m => m.custody.daysToNextExchange)).toEqual([1, 1, 0, 5, 3]);
+    expect(annotated[1].custody.nextExchange).toEqual(new Date(2025, 2, 2, 18));
+  });
+
+  test('skips non-message blocks and uses the given schedule', () => {
+    const list = [{ _nonMessage: true }, message(new Date(2025, 0, 7, 12), 'A')];
+    annotateCustodyContext(list, { schedule: loadSchedule('2-2-3') });
+
+    expect(list[0].custody).toBeUndefined();
+    expect(list[1].custody).toMatchObject({ parent: 'visiting', context: 'during-visit' });
+  });
+
+  test('exchanges are custody hand-offs only', () => {
+    const events = evaluateSchedule(loadSchedule(), new Date(2025, 2, 1), new Date(2025, 2, 8));
+    expect(listExchanges(events).map(x => [x.at.getDate(), x.at.getHours(), x.to])).toEqual([
+      [1, 10, 'visiting'], [2, 18, 'primary'], [5, 15, 'visiting'], [5, 19, 'primary'],
+    ]);
+  });
+});
+
+describe('custody context summaries', () => {
+  test('summarizes volume and tone by context and sender', () => {
+    const summary = summarizeByCustodyContext(annotateCustodyContext(messages()));
+
+    expect(summary['during-visit']).toEqual({ B: { messagesSent: 1, totalWords: 10, avgSentiment: 5, tone: 0.5 } });
+    expect(Object.keys(summary)).toEqual(['during-visit', 'exchange-day', 'day-before-exchange', 'zoom-day', 'other']);
+    const rows = parseCsv(formatCustodyContextCsv(summary));
+    expect(rows[0]).toEqual(['Context', 'Name', 'Messages Sent', 'Total Words', 'Avg Sentiment', 'Tone']);
+    expect(rows).toContainEqual(['Day Before Exchange', 'A', '1', '10', '-5', '-0.5']);
+  });
+
+  test('adds per-context columns to the weekly senders CSV only for annotated messages', () => {
+    const plain = formatWeeklyCsv(accumulateStats(messages()).weekly).split('\n')[0];
+    const rows = parseCsv(formatWeeklyCsv(accumulateStats(annotateCustodyContext(messages())).weekly));
+
+    expect(plain).toMatch(/, Tone$/);
+    expect(rows[0].slice(10, 12)).toEqual(['Msgs During Visit', 'Tone During Visit']);
+    const weekOfMarch1 = rows.find(r => r[2] === 'B' && r[0] === '2025-02-23');
+    expect(weekOfMarch1.slice(10, 12)).toEqual(['1', '0.50']);
+  });
+
+  test('message Markdown names the custody context', () => {
+    const [first] = annotateCustodyContext(messages());
+
+    expect(describeCustodyContext(first.custody)).toBe('Day Before Exchange (primary), next exchange 2025-03-01 (1 day)');
+    expect(formatMessageMarkdown(first, 0, 1)).toMatch(/- Custody: Day Before Exchange/);
+  });
+});
+
+describe('ofw CLI --custody', () => {
+  test('fails fast on an unknown schedule', () => {
+    const cliPath = path.resolve(__dirname, '..', 'ofw.js');
+    const res = spawnSync(process.execPath, [cliPath, 'missing.pdf', '--custody', '--schedule', 'nope'], { encoding: 'utf8' });
+
+    expect(res.status).toBe(1);
+    expect(res.stderr).toMatch(/Unknown schedule "nope"/);
+  });
+});
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('node:child_process');
+
+const { matchMessages, readStateChanges, numberingGaps, compareReports, diffExports } = require('../utils/ofw/diff');
+const { formatOfwDiffCsv, parseCsv } = require('../utils/output/csv');
+const { formatOfwDiffMarkdown } = require('../utils/output/markdown');
+
+const at = (day, h, m = 0) => new Date(2025, 2, day, h, m);
+const msg = (n, total, fields) => ({ recipientReadTimes: {}, messageNumber: n, messageTotal: total, ...fields });
+
+// Earlier export: 4 messages, #3 missing from the numbering
+const previous = [
+  { _nonMessage: true, sender: 'OFW Report', recipientReadTimes: {}, subject: 'Page Banner', body: '' },
+  msg(1, 5, { sentDate: at(3, 9), sender: 'Parent A', recipientReadTimes: { 'Parent B': 'Never' }, subject: 'Pickup', body: 'Pickup at 5 on Friday?', sourceId: 'OFW-AAAAAAAA-000001' }),
+  msg(2, 5, { sentDate: at(3, 10), sender: 'Parent B', recipientReadTimes: { 'Parent A': at(3, 11) }, subject: 'Re: Pickup', body: 'That does not work.', sourceId: 'OFW-AAAAAAAA-000002' }),
+  msg(4, 5, { sentDate: at(4, 8), sender: 'Parent B', recipientReadTimes: { 'Parent A': at(4, 9) }, subject: 'School', body: 'Forms are due.', sourceId: 'OFW-AAAAAAAA-000004' }),
+  msg(5, 5, { sentDate: at(5, 8), sender: 'Parent A', recipientReadTimes: { 'Parent B': at(5, 9) }, subject: 'Doctor', body: 'Appointment at 3.', sourceId: 'OFW-AAAAAAAA-000005' }),
+];
+// Later export: #1 now read, #2 edited, #4 gone, a new #5 and #6, and #5 repeated
+const current = [
+  msg(1, 6, { sentDate: at(3, 9), sender: 'Parent A', recipientReadTimes: { 'Parent B': at(6, 7, 30) }, subject: 'Pickup', body: 'Pickup at 5 on Friday?', sourceId: 'OFW-BBBBBBBB-000001' }),
+  msg(2, 6, { sentDate: at(3, 10), sender: 'Parent B', recipientReadTimes: { 'Parent A': at(3, 11) }, subject: 'Re: Pickup', body: 'That works.', sourceId: 'OFW-BBBBBBBB-000002' }),
+  msg(3, 6, { sentDate: at(5, 8), sender: 'Parent A', recipientReadTimes: { 'Parent B': at(5, 9) }, subject: 'Doctor', body: 'Appointment at 3.', sourceId: 'OFW-BBBBBBBB-000003' }),
+  msg(5, 6, { sentDate: at(6, 12), sender: 'Parent B', recipientReadTimes: { 'Parent A': 'Never' }, subject: 'Weekend', body: 'Can we swap?', sourceId: 'OFW-BBBBBBBB-000005' }),
+  msg(5, 6, { sentDate: at(6, 13), sender: 'Parent B', recipientReadTimes: { 'Parent A': 'Never' }, subject: 'Weekend', body: 'Please answer.', sourceId: 'OFW-BBBBBBBB-000006' }),
+];
+
+describe('matchMessages', () => {
+  test('pairs identical messages by fingerprint before falling back to sender and date', () => {
+    const a = { sender: 'A', sentDate: at(3, 9), body: 'first' };
+    const b = { sender: 'A', sentDate: at(3, 9), body: 'second' };
+    const edited = { sender: 'A', sentDate: at(3, 9), body: 'first, edited' };
+
+    const { pairs, added, removed } = matchMessages([a, b], [b, edited]);
+
+    expect(pairs.map(p => [p.previous.body, p.message.body, p.sameBody])).toEqual([['second', 'second', true], ['first', 'first, edited', false]]);
+    expect(added).toEqual([]);
+    expect(removed).toEqual([]);
+  });
+});
+
+describe('readStateChanges', () => {
+  test('classifies each recipient change', () => {
+    const before = { recipientReadTimes: { A: 'Never', B: at(3, 9), C: at(3, 9), D: 'Never' } };
+    const after = { recipientReadTimes: { A: at(3, 10), B: 'Never', C: at(3, 12), E: 'Never' } };
+
+    const changes = readStateChanges(before, after);
+
+    expect(changes.map(c => [c.recipient, c.change])).toEqual([
+      ['A', 'read'], ['B', 'unread'], ['C', 'read time changed'], ['D', 'recipient removed'], ['E', 'recipient added'],
+    ]);
+    expect(changes[0]).toMatchObject({ before: 'Never', after: at(3, 10).toISOString() });
+  });
+});
+
+describe('numberingGaps', () => {
+  test('finds missing ranges and repeated numbers up to the largest total', () => {
+    const numbers = [1, 2, 5, 5, 9].map(n => ({ messageNumber: n, messageTotal: 10 }));
+
+    expect(numberingGaps(numbers)).toEqual({ total: 10, numbered: 5, gaps: [{ from: 3, to: 4 }, { from: 6, to: 8 }, { from: 10, to: 10 }], duplicates: [5] });
+    expect(numberingGaps([{ body: 'no numbers' }])).toEqual({ total: null, numbered: 0, gaps: [], duplicates: [] });
+  });
+});
+
+describe('compareReports', () => {
+  test('reports added, removed, edited, read-state and numbering differences', () => {
+    const report = compareReports(previous, current);
+
+    expect(report.added.map(m => m.body)).toEqual(['Can we swap?', 'Please answer.']);
+    expect(report.removed.map(m => m.subject)).toEqual(['School']);
+    expect(report.edited.map(e => [e.previous.body, e.message.body, e.fields])).toEqual([['That does not work.', 'That works.', ['body']]]);
+    expect(report.readChanges.map(r => [r.message.subject, r.recipient, r.change])).toEqual([['Pickup', 'Parent B', 'read']]);
+    expect(report.numbering.previous.gaps).toEqual([{ from: 3, to: 3 }]);
+    expect(report.numbering.current).toMatchObject({ total: 6, gaps: [{ from: 4, to: 4 }, { from: 6, to: 6 }], duplicates: [5] });
+    expect(report).toMatchObject({ matched: 3, unchanged: 1 });
+  });
+
+  test('agrees with the compact diff ofw.js prints', () => {
+    const report = compareReports(previous, current);
+    const diff = diffExports(previous, current);
+
+    expect(diff.added).toEqual(report.added);
+    expect(diff.missing.concat(diff.outOfRange)).toEqual(report.removed);
+    expect(diff.changed.map(c => [c.message.subject, c.changes])).toEqual([['Pickup', ['read receipts']], ['Re: Pickup', ['body']]]);
+    expect(diff.unchanged).toBe(report.unchanged);
+  });
+
+  test('formats as CSV and Markdown', () => {
+    const report = compareReports(previous, current);
+
+    const rows = parseCsv(formatOfwDiffCsv(report));
+    const markdown = formatOfwDiffMarkdown(report, { previous: 'March.json', current: 'April.json' });
+
+    expect(rows[0]).toEqual(['Change', 'Date', 'Time', 'Sender', 'Subject', 'Detail', 'Before', 'After', 'Message Number', 'Previous Message Number', 'Source ID', 'Previous Source ID']);
+    expect(rows.slice(1).map(r => r[0])).toEqual(['added', 'added', 'removed', 'edited', 'read state', 'numbering gap', 'numbering gap', 'numbering gap', 'repeated number']);
+    expect(rows[3]).toEqual(['removed', '2025-03-04', '08:00', 'Parent B', 'School', '', '', '', '', '4', '', 'OFW-AAAAAAAA-000004']);
+    expect(rows[4].slice(5, 10)).toEqual(['body', 'That does not work.', 'That works.', '2', '2']);
+    expect(rows[5].slice(5, 8)).toEqual(['Parent B: read', 'Never', '2025-03-06 07:30']);
+    expect(rows[6].slice(5)).toEqual(['previous export (5 messages)', '', '', '', '3', '', '']);
+    expect(markdown).toContain('# OFW Export Comparison — March.json → April.json');
+    expect(markdown).toContain('| Numbering     | 4 of 5, missing 3 | 5 of 6, missing 4, 6; repeated 5 |');
+    expect(markdown).toMatch(/Before:\n\n> That does not work\.\n\nAfter:\n\n> That works\./);
+    expect(markdown).toMatch(/\| 2025-03-03 09:00 \| Parent A \| Pickup\s+\| Parent B\s+\| Never\s+\| 2025-03-06 07:30 \| read\s+\|/);
+  });
+});
+
+describe('ofw-diff.js', () => {
+  test('writes the Markdown, CSV and manifest', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ofw-diff-'));
+    fs.writeFileSync(path.join(tmp, 'march.json'), JSON.stringify(previous));
+    fs.writeFileSync(path.join(tmp, 'april.json'), JSON.stringify(current));
+
+    const res = spawnSync(process.execPath, [path.resolve(__dirname, '..', 'ofw-diff.js'), 'march.json', 'april.json'], { encoding: 'utf8', cwd: tmp });
+
+    expect(res.status).toBe(0);
+    expect(res.stdout).toContain('Added: 2; removed: 1; edited: 1; read-state changes: 1');
+    expect(res.stdout).toContain('Numbering gaps in the current export (of 6): 4, 6');
+    const base = path.join(tmp, 'output', 'march-to-april-diff');
+    expect(fs.readFileSync(`${base}.md`, 'utf8')).toContain('## Removed messages');
+    expect(parseCsv(fs.readFileSync(`${base}.csv`, 'utf8'))).toHaveLength(10);
+    const manifest = JSON.parse(fs.readFileSync(`${base}.manifest.json`, 'utf8'));
+    expect(manifest).toMatchObject({ tool: 'ofw-diff.js', counts: { added: 2, removed: 1, edited: 1, readStateChanges: 1, numberingGaps: 3 } });
+    expect(manifest.outputs.map(o => o.path)).toEqual(['march-to-april-diff.md', 'march-to-april-diff.csv']);
+  });
+
+  test('requires two inputs', () => {
+    const res = spawnSync(process.execPath, [path.resolve(__dirname, '..', 'ofw-diff.js'), 'only.json'], { encoding: 'utf8' });
+
+    expect(res.status).toBe(1);
+    expect(res.stdout).toContain('Usage: node ofw-diff.js');
+  });
+});
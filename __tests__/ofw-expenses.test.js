@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('node:child_process');
+
+const { parseAmounts, detectExpenseClaim, loadExpenseCategories, buildExpenseLedger } = require('../utils/ofw/expenses');
+const { formatExpenseLedgerCsv, formatExpenseSummaryCsv, parseCsv } = require('../utils/output/csv');
+const { formatExpenseLedgerMarkdown } = require('../utils/output/markdown');
+
+const at = (day, h, m = 0) => new Date(2025, 2, day, h, m);
+let number = 0;
+const send = (threadId, sender, to, sentDate, subject, body) => {
+  number += 1;
+  return { threadId, sender, sentDate, recipientReadTimes: { [to]: 'Never' }, subject, body, messageNumber: number, messageTotal: 8, sourceFile: 'OFW_Report.pdf', sourceId: `OFW-ABCDEF01-00000${number}` };
+};
+
+const messages = [
+  send(1, 'Parent A', 'Parent B', at(3, 9), 'Copay', 'The copay was $40, your half is $20. Please send it by Friday.'),
+  send(1, 'Parent B', 'Parent A', at(3, 12), 'Re: Copay', 'Ok, I sent you $20 on Venmo.'),
+  send(2, 'Parent A', 'Parent B', at(4, 9), 'Daycare', 'The daycare bill for March is $800. You owe me $400.'),
+  send(2, 'Parent B', 'Parent A', at(4, 10), 'Re: Daycare', 'Sure, I will look at it.'),
+  send(2, 'Parent B', 'Parent A', at(4, 11), 'Re: Daycare', 'Actually I do not owe you that, I never agreed to this daycare.'),
+  send(3, 'Parent B', 'Parent A', at(5, 9), 'Soccer', 'I paid $120 for soccer registration, can you reimburse half?'),
+  send(4, 'Parent A', 'Parent B', at(6, 9), 'Shoes', 'New shoes were $1,250.50 dollars. Please pay me back.'),
+  send(4, 'Parent B', 'Parent A', at(6, 10), 'Re: Shoes', 'Pickup is at 5 on Friday.'),
+];
+
+describe('detectExpenseClaim', () => {
+  test('finds amounts with expense language and picks the share being asked for', () => {
+    expect(parseAmounts('$40, $ 1,250.50 and 30 dollars').map(a => a.value)).toEqual([40, 1250.5, 30]);
+    expect(detectExpenseClaim('The copay was $40, your half is $20.')).toMatchObject({ amount: 20, amounts: [40, 20], cues: ['split', 'expense'] });
+    expect(detectExpenseClaim('Please reimburse $50 for the $100 bill.')).toMatchObject({ amount: 50, amounts: [50, 100] });
+    expect(detectExpenseClaim('I paid $120 for soccer, can you reimburse half?')).toMatchObject({ amount: 60, amounts: [120] });
+    expect(detectExpenseClaim('I sent you $20 for the copay.')).toBeNull();
+    expect(detectExpenseClaim('Pickup is at 5. The park is 20 minutes away.')).toBeNull();
+  });
+
+  test('uses categories from config in place of the defaults', () => {
+    const categories = loadExpenseCategories({ Pets: ['vet'] });
+
+    const ledger = buildExpenseLedger([send(9, 'Parent A', 'Parent B', at(7, 9), 'Vet', 'The vet bill was $90, you owe $45.')], { categories });
+
+    expect(ledger.claims[0].category).toBe('Pets');
+    expect(() => loadExpenseCategories({ Pets: 'vet' })).toThrow('Category "Pets" must list keywords in an array');
+  });
+});
+
+describe('buildExpenseLedger', () => {
+  test('records requester, payer, amount, category and the response that settles each claim', () => {
+    const ledger = buildExpenseLedger(messages);
+
+    expect(ledger.scanned).toBe(8);
+    expect(ledger.claims.map(c => [c.message.messageNumber, c.requester, c.payer, c.amount, c.category, c.status, c.response && c.response.messageNumber])).toEqual([
+      [1, 'Parent A', 'Parent B', 20, 'Medical', 'paid', 2],
+      [3, 'Parent A', 'Parent B', 400, 'Childcare', 'disputed', 5],
+      [6, 'Parent B', 'Parent A', 60, 'Activities', 'no reply', null],
+      [7, 'Parent A', 'Parent B', 1250.5, 'Clothing', 'unresolved', 8],
+    ]);
+  });
+
+  test('counts a later payment of the same amount in another thread, and the requester confirming it', () => {
+    const paidLater = buildExpenseLedger([
+      messages[5],
+      send(5, 'Parent A', 'Parent B', at(8, 9), 'Money', 'I zelled you $60 for soccer.'),
+    ]);
+    const confirmed = buildExpenseLedger([
+      messages[2],
+      send(2, 'Parent A', 'Parent B', at(9, 9), 'Re: Daycare', 'Got the payment, thanks.'),
+    ]);
+
+    expect(paidLater.claims[0]).toMatchObject({ status: 'paid', response: { subject: 'Money' } });
+    expect(confirmed.claims[0]).toMatchObject({ status: 'paid', response: { subject: 'Re: Daycare' } });
+  });
+
+  test('counts agreement only when it is about paying the claim', () => {
+    const status = (reply) => buildExpenseLedger([messages[2], send(2, 'Parent B', 'Parent A', at(4, 10), 'Re: Daycare', reply)]).claims[0].status;
+
+    expect(status('Ok.')).toBe('acknowledged');
+    expect(status('Sounds good, thanks!')).toBe('acknowledged');
+    expect(status('Ok, I can cover half of it.')).toBe('acknowledged');
+    expect(status('I will pay it on Friday.')).toBe('acknowledged');
+    expect(status('Is she ok? She seemed tired.')).toBe('unresolved');
+    expect(status('Sure, see you at pickup.')).toBe('unresolved');
+    expect(status('Okay, I will look at it.')).toBe('unresolved');
+  });
+
+  test('totals amounts per requester, payer and category, limited to senders and dates', () => {
+    const ledger = buildExpenseLedger(messages, { senders: ['parent a'], start: at(4, 0), end: at(6, 0) });
+
+    expect(ledger.summary).toEqual({
+      'Parent A': {
+        'Parent B': {
+          Childcare: { claims: 1, claimed: 400, paid: 0, acknowledged: 0, disputed: 400, unresolved: 0, noReply: 0, outstanding: 400 },
+          Clothing: { claims: 1, claimed: 1250.5, paid: 0, acknowledged: 0, disputed: 0, unresolved: 1250.5, noReply: 0, outstanding: 1250.5 },
+        },
+      },
+    });
+  });
+
+  test('formats the ledger and summary as CSV and Markdown with citations', () => {
+    const ledger = buildExpenseLedger(messages);
+
+    const rows = parseCsv(formatExpenseLedgerCsv(ledger));
+    const summary = parseCsv(formatExpenseSummaryCsv(ledger));
+    const markdown = formatExpenseLedgerMarkdown(ledger, { name: 'report.json' });
+
+    expect(rows[0]).toEqual(['Date', 'Time', 'Requester', 'Payer', 'Amount', 'Amounts Mentioned', 'Category', 'Status', 'Claim', 'Subject', 'Thread', 'Message', 'Source ID', 'Response Date', 'Response Message', 'Response Source ID']);
+    expect(rows[1]).toEqual(['2025-03-03', '09:00', 'Parent A', 'Parent B', '20.00', '40.00; 20.00', 'Medical', 'paid', 'The copay was $40, your half is $20. Please send it by Friday.', 'Copay', '1', 'OFW_Report.pdf, Message 1 of 8', 'OFW-ABCDEF01-000001', '2025-03-03 12:00', 'OFW_Report.pdf, Message 2 of 8', 'OFW-ABCDEF01-000002']);
+    expect(summary).toContainEqual(['Parent A', 'Parent B', 'All', '3', '1670.50', '20.00', '0.00', '400.00', '1250.50', '0.00', '1650.50']);
+    expect(summary).toContainEqual(['Parent B', 'Parent A', 'Activities', '1', '60.00', '0.00', '0.00', '0.00', '0.00', '60.00', '60.00']);
+    expect(markdown).toContain('# Expense Claims — report.json');
+    expect(markdown).toContain('| Parent A  | Parent B | Medical    | 1      | $20.00   | $20.00 | $0.00        | $0.00    | $0.00     | $0.00       |');
+    expect(markdown).toContain('OFW_Report.pdf, Message 3 of 8 · OFW-ABCDEF01-000003');
+  });
+});
+
+describe('ofw-expenses.js', () => {
+  test('writes the ledger, summary and manifest', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ofw-expenses-'));
+    fs.writeFileSync(path.join(tmp, 'report.json'), JSON.stringify(messages));
+
+    const res = spawnSync(process.execPath, [path.resolve(__dirname, '..', 'ofw-expenses.js'), 'report.json'], { encoding: 'utf8', cwd: tmp });
+
+    expect(res.status).toBe(0);
+    expect(res.stdout).toContain('Parent A → Parent B: $1670.50 claimed, $20.00 paid, $1650.50 outstanding');
+    const base = path.join(tmp, 'output', 'report-expenses');
+    expect(fs.readFileSync(`${base}.md`, 'utf8')).toContain('## Ledger');
+    expect(parseCsv(fs.readFileSync(`${base}.csv`, 'utf8'))).toHaveLength(5);
+    expect(parseCsv(fs.readFileSync(`${base}-summary.csv`, 'utf8'))).toHaveLength(7);
+    const manifest = JSON.parse(fs.readFileSync(`${base}.manifest.json`, 'utf8'));
+    expect(manifest).toMatchObject({ tool: 'ofw-expenses.js', counts: { messages: 8, claims: 4, paid: 1, disputed: 1, unresolved: 1, noReply: 1 } });
+  });
+
+  test('rejects categories that are not keyword lists', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ofw-expenses-'));
+    fs.writeFileSync(path.join(tmp, 'report.json'), '[]');
+    fs.writeFileSync(path.join(tmp, 'expenses.json'), JSON.stringify({ categories: { Pets: 'vet' } }));
+
+    const res = spawnSync(process.execPath, [path.resolve(__dirname, '..', 'ofw-expenses.js'), 'report.json', '--config', 'expenses.json'], { encoding: 'utf8', cwd: tmp });
+
+    expect(res.status).toBe(1);
+    expect(res.stderr).toContain('Invalid categories: Category "Pets" must list keywords in an array');
+  });
+});
@@ -0,0 +1,110 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('node:child_process');
+
+const { percentile, summarizeReplyLatency } = require('../utils/ofw/latency');
+const { formatReplyLatencyCsv, formatReplyLatencyWeeklyCsv, parseCsv } = require('../utils/output/csv');
+const { formatReplyLatencyMarkdown } = require('../utils/output/markdown');
+
+const at = (day, h) => new Date(2025, 2, day, h);
+const send = (threadId, sender, to, sentDate) => ({ threadId, sender, sentDate, recipientReadTimes: { [to]: 'Never' }, subject: `Thread ${threadId}` });
+
+// Week of Mar 2–8, then Mar 9–15, 2025
+const messages = [
+  send(1, 'Parent A', 'Parent B', at(3, 9)),
+  send(1, 'Parent A', 'Parent B', at(3, 10)),
+  send(1, 'Parent B', 'Parent A', at(3, 12)), // B answers both after 3h
+  send(1, 'Parent A', 'Parent B', at(4, 9)), // A answers after 21h; B never answers this
+  send(2, 'Parent B', 'Parent A', at(3, 8)),
+  send(2, 'Parent A', 'Parent B', at(3, 9)), // A answers after 1h
+  send(2, 'Parent B', 'Parent A', at(10, 9)), // B answers after 168h; A never answers this
+  send(3, 'Parent A', 'Parent B', at(10, 8)),
+  send(3, 'Parent B', 'Parent A', at(10, 9)), // B answers after 1h; A never answers this
+  { _nonMessage: true, sender: 'OFW Report', recipientReadTimes: {}, body: '' },
+];
+
+describe('percentile', () => {
+  test('interpolates between ranks', () => {
+    expect(percentile([3, 1, 2], 0.5)).toBe(2);
+    expect(percentile([3, 168], 0.5)).toBe(85.5);
+    expect(percentile([3, 168], 0.9)).toBeCloseTo(151.5);
+    expect(percentile([], 0.5)).toBeNull();
+  });
+});
+
+describe('summarizeReplyLatency', () => {
+  test('measures time from receiving a message to the next reply in its thread', () => {
+    const latency = summarizeReplyLatency(messages);
+
+    expect(latency.totals['Parent B']).toEqual({ received: 5, answered: 4, unanswered: 1, replies: 3, medianHours: 3, p90Hours: 135 });
+    expect(latency.totals['Parent A']).toMatchObject({ received: 4, answered: 2, unanswered: 2, replies: 2, medianHours: 11 });
+    expect(latency.replies.find(r => r.person === 'Parent B' && r.answered === 2)).toMatchObject({ hours: 3, receivedAt: at(3, 9), repliedAt: at(3, 12) });
+  });
+
+  test('buckets by the week each message was received and tracks the weekly change', () => {
+    const { weekly } = summarizeReplyLatency(messages);
+    const [week1, week2] = Object.keys(weekly);
+
+    expect(Object.keys(weekly)).toEqual(['Mar 02 - Mar 08, 2025', 'Mar 09 - Mar 15, 2025']);
+    expect(weekly[week1]['Parent B']).toMatchObject({ received: 4, unanswered: 1, replies: 2, medianHours: 85.5, medianChangeHours: null });
+    expect(weekly[week2]['Parent B']).toMatchObject({ received: 1, unanswered: 0, replies: 1, medianHours: 1, medianChangeHours: -84.5 });
+    expect(weekly[week2]['Parent A']).toMatchObject({ received: 2, unanswered: 2, replies: 0, medianHours: null, medianChangeHours: null });
+  });
+
+  test('formats as CSV and Markdown', () => {
+    const latency = summarizeReplyLatency(messages);
+
+    const totals = parseCsv(formatReplyLatencyCsv(latency));
+    const weekly = parseCsv(formatReplyLatencyWeeklyCsv(latency));
+    const markdown = formatReplyLatencyMarkdown(latency, { excludePatterns: ['parent a'] });
+
+    expect(totals).toEqual([
+      ['Name', 'Received', 'Answered', 'Unanswered', 'Replies', 'Median (hours)', 'P90 (hours)'],
+      ['Parent A', '4', '2', '2', '2', '11', '19'],
+      ['Parent B', '5', '4', '1', '3', '3', '135'],
+    ]);
+    expect(weekly[0]).toEqual(['Week Start', 'Week End', 'Name', 'Received', 'Answered', 'Unanswered', 'Replies', 'Median (hours)', 'P90 (hours)', 'Median Change (hours)']);
+    expect(weekly[4]).toEqual(['2025-03-09', '2025-03-15', 'Parent B', '1', '1', '0', '1', '1', '1', '-84.5']);
+    expect(weekly[3].slice(7)).toEqual(['', '', '']);
+    expect(markdown).toContain('| Parent B | 5        | 4        | 1          | 3       | 3.0          | 135.0     |');
+    expect(markdown).toMatch(/\| Mar 09 - Mar 15, 2025 \| Parent B \| 1 +\| 0 +\| 1 +\| 1\.0 +\| 1\.0 +\| -84\.5 +\|/);
+    expect(markdown).not.toContain('Parent A');
+  });
+});
+
+describe('reply latency outputs', () => {
+  test('email.js writes the reply latency CSVs and prints the tables', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ofw-latency-'));
+    const mboxPath = path.join(tmp, 'inbox.mbox');
+    fs.writeFileSync(mboxPath, [
+      'From a@example.com Mon Mar  3 09:00:00 2025',
+      'Message-ID: <one@x>',
+      'From: Parent A <a@example.com>',
+      'To: Parent B <b@example.com>',
+      'Date: Mon, 03 Mar 2025 09:00:00 +0000',
+      'Subject: Pickup',
+      '',
+      'Pickup at 5?',
+      '',
+      'From b@example.com Mon Mar  3 11:30:00 2025',
+      'Message-ID: <two@x>',
+      'From: Parent B <b@example.com>',
+      'To: Parent A <a@example.com>',
+      'Date: Mon, 03 Mar 2025 11:30:00 +0000',
+      'Subject: Re: Pickup',
+      'In-Reply-To: <one@x>',
+      '',
+      'OK.',
+      '',
+    ].join('\n'));
+
+    const res = spawnSync(process.execPath, [path.resolve(__dirname, '..', 'email.js'), mboxPath], { encoding: 'utf8', cwd: tmp });
+
+    expect(res.status).toBe(0);
+    expect(res.stdout).toContain('## Reply Latency');
+    const totals = parseCsv(fs.readFileSync(path.join(tmp, 'output', 'inbox-reply-latency.csv'), 'utf8'));
+    expect(totals.find(r => r[0] === 'Parent B')).toEqual(['Parent B', '1', '1', '0', '1', '2.5', '2.5']);
+    expect(fs.existsSync(path.join(tmp, 'output', 'inbox-reply-latency-weekly.csv'))).toBe(true);
+  });
+});
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('node:child_process');
+
+const { categorizeSubject, loadSubjectCategories, summarizeReadBehavior } = require('../utils/ofw/reads');
+const { formatReadBehaviorCsv, formatReadBehaviorBreakdownCsv, formatReadBehaviorWeeklyCsv, parseCsv } = require('../utils/output/csv');
+const { formatReadBehaviorMarkdown } = require('../utils/output/markdown');
+
+const at = (day, h, m = 0) => new Date(2025, 2, day, h, m);
+let number = 0;
+const send = (threadId, sender, to, sentDate, readAt, subject, body = '') => {
+  number += 1;
+  return { threadId, sender, sentDate, recipientReadTimes: { [to]: readAt }, subject, body, messageNumber: number, messageTotal: 5, sourceFile: 'OFW_Report.pdf', sourceId: `OFW-ABCDEF01-00000${number}` };
+};
+
+const messages = [
+  send(1, 'Parent A', 'Parent B', at(3, 9), at(3, 9, 30), 'Doctor appointment', 'She has a fever.'), // read in 0.5h, answered
+  send(1, 'Parent B', 'Parent A', at(3, 12), at(3, 14), 'Re: Doctor appointment', 'I will take her.'), // read in 2h, never answered
+  send(2, 'Parent A', 'Parent B', at(8, 20), 'Never', 'School pickup'), // Saturday, never read
+  send(3, 'Parent A', 'Parent B', at(10, 9), at(12, 9), 'Weekend swap', 'Can you swap weekends?'), // read in 48h, never answered
+  send(4, 'Parent B', 'Parent A', at(10, 10), 'Never', 'Hello'),
+];
+
+describe('categorizeSubject', () => {
+  test('matches whole keywords in the normalized subject, first category wins', () => {
+    expect(categorizeSubject('Re: FW: Dentist appointment')).toBe('Medical');
+    expect(categorizeSubject('Report card')).toBe('School');
+    expect(categorizeSubject('School pickup')).toBe('School');
+    expect(categorizeSubject('Pick-up Friday')).toBe('Schedule/exchange');
+    expect(categorizeSubject('Payday')).toBe('Other');
+    expect(categorizeSubject('')).toBe('Other');
+  });
+
+  test('uses categories from config in place of the defaults', () => {
+    const categories = loadSubjectCategories({ Travel: ['Flight', 'passport'] });
+
+    expect(categorizeSubject('Flight times', categories)).toBe('Travel');
+    expect(categorizeSubject('Doctor appointment', categories)).toBe('Other');
+    expect(() => loadSubjectCategories({ Travel: 'flight' })).toThrow('Category "Travel" must list keywords in an array');
+  });
+});
+
+describe('summarizeReadBehavior', () => {
+  test('summarizes never-read messages, time to first view and read-but-unanswered per recipient', () => {
+    const summary = summarizeReadBehavior(messages);
+
+    expect(summary.recipients['Parent B']).toEqual({
+      received: 3, read: 2, neverRead: 1, neverReadPct: (1 / 3) * 100, readNotAnswered: 1, medianHours: 24.25, p90Hours: 43.25,
+      distribution: { under1h: 1, under4h: 0, under24h: 0, under72h: 1, over72h: 0, never: 1 },
+    });
+    expect(summary.recipients['Parent A']).toMatchObject({ received: 2, read: 1, neverRead: 1, readNotAnswered: 1, medianHours: 2 });
+    expect(summary.items.filter(i => i.readAt && !i.answered).map(i => [i.message.messageNumber, i.recipient, i.requests])).toEqual([
+      [2, 'Parent A', 0],
+      [4, 'Parent B', 1],
+    ]);
+  });
+
+  test('breaks read times down by hour and weekday sent, subject category and week', () => {
+    const summary = summarizeReadBehavior(messages);
+
+    expect(summary.byHour['Parent B'][9]).toMatchObject({ received: 2, read: 2, medianHours: 24.25 });
+    expect(summary.byHour['Parent B'][20]).toMatchObject({ received: 1, neverRead: 1, medianHours: null });
+    expect(summary.byWeekday['Parent B'].map(d => d.received)).toEqual([0, 2, 0, 0, 0, 0, 1]);
+    expect(Object.keys(summary.byCategory['Parent B'])).toEqual(['Medical', 'School', 'Schedule/exchange']);
+    expect(Object.keys(summary.byCategory['Parent A'])).toEqual(['Medical', 'Other']);
+    expect(Object.keys(summary.weekly)).toEqual(['Mar 02 - Mar 08, 2025', 'Mar 09 - Mar 15, 2025']);
+    expect(summary.weekly['Mar 09 - Mar 15, 2025']['Parent B']).toMatchObject({ received: 1, read: 1, readNotAnswered: 1, medianHours: 48 });
+  });
+
+  test('formats as CSV and Markdown with citations', () => {
+    const summary = summarizeReadBehavior(messages);
+
+    const rows = parseCsv(formatReadBehaviorCsv(summary));
+    const breakdown = parseCsv(formatReadBehaviorBreakdownCsv(summary));
+    const weekly = parseCsv(formatReadBehaviorWeeklyCsv(summary));
+    const markdown = formatReadBehaviorMarkdown(summary, { name: 'report.json' });
+
+    expect(rows[0]).toEqual(['Status', 'Date', 'Time', 'From', 'To', 'Subject', 'Category', 'Read Date', 'Hours to Read', 'Requests', 'Thread', 'Message', 'Source ID']);
+    expect(rows[4]).toEqual(['read, not answered', '2025-03-10', '09:00', 'Parent A', 'Parent B', 'Weekend swap', 'Schedule/exchange', '2025-03-12 09:00', '48', '1', '3', 'OFW_Report.pdf, Message 4 of 5', 'OFW-ABCDEF01-000004']);
+    expect(rows[3].slice(0, 1).concat(rows[3].slice(7, 9))).toEqual(['never read', '', '']);
+    expect(breakdown).toContainEqual(['Parent B', 'weekday sent', 'Saturday', '1', '0', '1', '100', '0', '', '']);
+    expect(breakdown).toContainEqual(['Parent A', 'subject category', 'Other', '1', '0', '1', '100', '0', '', '']);
+    expect(weekly[1]).toEqual(['2025-03-02', '2025-03-08', 'Parent A', '1', '1', '0', '0', '1', '2', '2']);
+    expect(markdown).toContain('| Parent B  | 3        | 2    | 1          | 33.3%        | 1                  | 24.3         | 43.3      |');
+    expect(markdown).toContain('## By subject category');
+    expect(markdown).toContain('| 2025-03-08 20:00 | Parent A | Parent B | School pickup | School   | OFW_Report.pdf, Message 3 of 5 · OFW-ABCDEF01-000003 |');
+    expect(markdown).toContain('## Read, never answered');
+  });
+});
+
+describe('ofw-reads.js', () => {
+  test('writes the report, CSVs and manifest', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ofw-reads-'));
+    fs.writeFileSync(path.join(tmp, 'report.json'), JSON.stringify(messages));
+
+    const res = spawnSync(process.execPath, [path.resolve(__dirname, '..', 'ofw-reads.js'), 'report.json'], { encoding: 'utf8', cwd: tmp });
+
+    expect(res.status).toBe(0);
+    expect(res.stdout).toContain('Parent B: 3 received, 1 never read, 1 read but not answered, median 24.3h to first view');
+    const base = path.join(tmp, 'output', 'report-read-behavior');
+    expect(fs.readFileSync(`${base}.md`, 'utf8')).toContain('# Read Behavior — report.json');
+    expect(parseCsv(fs.readFileSync(`${base}.csv`, 'utf8'))).toHaveLength(6);
+    expect(parseCsv(fs.readFileSync(`${base}-weekly.csv`, 'utf8'))).toHaveLength(5);
+    expect(fs.existsSync(`${base}-breakdown.csv`)).toBe(true);
+    const manifest = JSON.parse(fs.readFileSync(`${base}.manifest.json`, 'utf8'));
+    expect(manifest).toMatchObject({ tool: 'ofw-reads.js', counts: { messages: 5, receipts: 5, neverRead: 2, readNotAnswered: 2 } });
+  });
+
+  test('rejects categories that are not keyword lists', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ofw-reads-'));
+    fs.writeFileSync(path.join(tmp, 'report.json'), '[]');
+    fs.writeFileSync(path.join(tmp, 'reads.json'), JSON.stringify({ categories: { Travel: 'flight' } }));
+
+    const res = spawnSync(process.execPath, [path.resolve(__dirname, '..', 'ofw-reads.js'), 'report.json', '--config', 'reads.json'], { encoding: 'utf8', cwd: tmp });
+
+    expect(res.status).toBe(1);
+    expect(res.stderr).toContain('Invalid categories: Category "Travel" must list keywords in an array');
+  });
+});
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('node:child_process');
+
+const { detectRequests, findUnansweredRequests } = require('../utils/ofw/requests');
+const { formatUnansweredRequestsCsv, parseCsv } = require('../utils/output/csv');
+const { formatUnansweredRequestsMarkdown } = require('../utils/output/markdown');
+
+const at = (day, h) => new Date(2025, 2, day, h);
+let number = 0;
+const send = (threadId, sender, to, sentDate, body) => {
+  number += 1;
+  return { threadId, sender, sentDate, recipientReadTimes: { [to]: 'Never' }, subject: `Thread ${threadId}`, body, messageNumber: number, messageTotal: 8, sourceFile: 'OFW_Report.pdf', sourceId: `OFW-ABCDEF01-00000${number}` };
+};
+
+const messages = [
+  send(1, 'Parent A', 'Parent B', at(3, 9), 'Can you pick her up Friday? She has practice.'), // answered in 3h
+  send(1, 'Parent B', 'Parent A', at(3, 12), 'Yes, I will.'),
+  send(2, 'Parent A', 'Parent B', at(4, 9), 'Please let me know if the dentist moved.'), // answered after 4 days
+  send(3, 'Parent A', 'Parent B', at(4, 10), 'She was happy today. How about Sunday at 5pm instead?'), // never answered
+  send(3, 'Parent A', 'Parent B', at(4, 11), 'The school called.'), // no request
+  send(2, 'Parent B', 'Parent A', at(8, 9), 'It did, to Tuesday.'),
+  send(4, 'Parent B', 'Parent A', at(8, 10), 'Does 6pm work for the exchange?'), // window still open
+  send(5, 'Parent B', 'Parent A', at(8, 12), 'Ok.'),
+];
+
+describe('detectRequests', () => {
+  test('finds questions, request phrases and date/time proposals per sentence', () => {
+    expect(detectRequests('Can you pick her up Friday? She has practice.')).toEqual([
+      { kind: 'question', text: 'Can you pick her up Friday?', cues: ['question mark', 'can you'] },
+    ]);
+    expect(detectRequests('Please let me know by tonight.\nThanks')).toEqual([
+      { kind: 'request', text: 'Please let me know by tonight.', cues: ['let me know'] },
+    ]);
+    expect(detectRequests('How about Sunday at 5pm instead.')[0]).toMatchObject({ kind: 'proposal', cues: ['date/time proposal'] });
+    expect(detectRequests('Please confirm the appointment on 3/14.')[0]).toMatchObject({ kind: 'request', cues: ['please'] });
+    expect(detectRequests('She had a good day. We went to the park on Friday.')).toEqual([]);
+    // Same sentences as the tone and expense stages (utils/ofw/sentences.js)
+    expect(detectRequests('Can you take her to Dr. Lee at 5.30 p.m. Friday? Thanks.')).toEqual([
+      { kind: 'question', text: 'Can you take her to Dr. Lee at 5.30 p.m. Friday?', cues: ['question mark', 'can you'] },
+    ]);
+  });
+});
+
+describe('findUnansweredRequests', () => {
+  test('checks for a reply from the recipient in the same thread within the window', () => {
+    const report = findUnansweredRequests(messages, { windowHours: 48 });
+
+    expect(report.scanned).toBe(8);
+    expect(report.requests.map(r => [r.message.messageNumber, r.recipient, r.status])).toEqual([
+      [1, 'Parent B', 'answered'],
+      [3, 'Parent B', 'late'],
+      [4, 'Parent B', 'unanswered'],
+      [7, 'Parent A', 'pending'],
+    ]);
+    expect(report.requests[1]).toMatchObject({ hoursToReply: 96, reply: messages[5] });
+    expect(report.summary['Parent A']['Parent B']).toEqual({ requests: 3, answered: 1, late: 1, unanswered: 1, pending: 0 });
+  });
+
+  test('honours the window, sender and date filters', () => {
+    expect(findUnansweredRequests(messages, { windowHours: 100 }).requests[1].status).toBe('answered');
+    expect(findUnansweredRequests(messages, { windowHours: 1 }).requests.map(r => r.status)).toEqual(['late', 'late', 'unanswered', 'unanswered']);
+    const filtered = findUnansweredRequests(messages, { senders: ['parent b'], start: at(8, 0), end: at(8, 0) });
+    expect(filtered.scanned).toBe(3);
+    expect(filtered.requests.map(r => r.message.messageNumber)).toEqual([7]);
+  });
+
+  test('formats as CSV and Markdown with citations', () => {
+    const report = findUnansweredRequests(messages);
+
+    const rows = parseCsv(formatUnansweredRequestsCsv(report));
+    const markdown = formatUnansweredRequestsMarkdown(report, { name: 'report.json' });
+
+    expect(rows[0]).toEqual(['Status', 'Date', 'Time', 'From', 'To', 'Subject', 'Kind', 'Request', 'Cues', 'Thread', 'Message', 'Source ID', 'Reply Date', 'Hours to Reply', 'Reply Message']);
+    expect(rows[2]).toEqual(['late', '2025-03-04', '09:00', 'Parent A', 'Parent B', 'Thread 2', 'request', 'Please let me know if the dentist moved.', 'let me know', '2', 'OFW_Report.pdf, Message 3 of 8', 'OFW-ABCDEF01-000003', '2025-03-08 09:00', '96', 'OFW_Report.pdf, Message 6 of 8']);
+    expect(rows[3].slice(0, 1).concat(rows[3].slice(6, 8))).toEqual(['unanswered', 'proposal', 'How about Sunday at 5pm instead?']);
+    expect(markdown).toContain('| Parent A | Parent B | 3        | 1        | 1    | 1          | 0       |');
+    expect(markdown).toContain('### 2025-03-04 10:00 — Parent A → Parent B — Thread 3');
+    expect(markdown).toContain('- Message: OFW_Report.pdf, Message 4 of 8 · OFW-ABCDEF01-000004; thread 3');
+    expect(markdown).toContain('> How about Sunday at 5pm instead? _(proposal: question mark, date/time proposal)_');
+    expect(markdown).toContain('## Answered after 48 hours');
+    expect(markdown).toContain('## Pending (window still open at the end of the export)');
+  });
+});
+
+describe('ofw-requests.js', () => {
+  test('writes the report, CSV and manifest', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ofw-requests-'));
+    fs.writeFileSync(path.join(tmp, 'report.json'), JSON.stringify(messages));
+
+    const res = spawnSync(process.execPath, [path.resolve(__dirname, '..', 'ofw-requests.js'), 'report.json', '--window', '24'], { encoding: 'utf8', cwd: tmp });
+
+    expect(res.status).toBe(0);
+    expect(res.stdout).toContain('Parent A → Parent B: 3 request(s), 1 answered, 1 late, 1 unanswered, 0 pending');
+    const base = path.join(tmp, 'output', 'report-unanswered-requests');
+    expect(fs.readFileSync(`${base}.md`, 'utf8')).toContain('Window: 24 hours');
+    expect(parseCsv(fs.readFileSync(`${base}.csv`, 'utf8'))).toHaveLength(5);
+    const manifest = JSON.parse(fs.readFileSync(`${base}.manifest.json`, 'utf8'));
+    expect(manifest).toMatchObject({ tool: 'ofw-requests.js', counts: { messages: 8, requests: 4, answered: 1, late: 1, unanswered: 1, pending: 1 } });
+  });
+
+  test('rejects an invalid window', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ofw-requests-'));
+    fs.writeFileSync(path.join(tmp, 'report.json'), '[]');
+
+    const res = spawnSync(process.execPath, [path.resolve(__dirname, '..', 'ofw-requests.js'), 'report.json', '--window', 'soon'], { encoding: 'utf8', cwd: tmp });
+
+    expect(res.status).toBe(1);
+    expect(res.stderr).toContain('Invalid window: soon');
+  });
+});
@@ -0,0 +1,158 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('node:child_process');
+
+const { tokenize, buildSearchIndex, loadSearchIndex, parseQuery, keywordsInContext, searchMessages } = require('../utils/ofw/search');
+const { formatSearchResultsCsv, parseCsv } = require('../utils/output/csv');
+const { formatSearchResultsMarkdown } = require('../utils/output/markdown');
+
+const at = (day, h, m = 0) => new Date(2025, 2, day, h, m);
+let number = 0;
+const send = (threadId, sender, to, sentDate, subject, body, extra = {}) => {
+  number += 1;
+  return { threadId, sender, sentDate, recipientReadTimes: { [to]: 'Never' }, subject, body, tone: 0, messageNumber: number, messageTotal: 5, sourceFile: 'OFW_Report.pdf', sourceId: `OFW-ABCDEF01-00000${number}`, ...extra };
+};
+
+const messages = [
+  send(1, 'Parent A', 'Parent B', at(3, 9), 'Pickup Friday', 'Can you pick up Emma late on Friday? The school said pickup is at 5.', { tone: -0.4 }),
+  send(1, 'Parent B', 'Parent A', at(3, 12), 'Re: Pickup Friday', 'I will not be late. Don’t be late again.', { tone: 0.3 }),
+  send(2, 'Parent A', 'Parent B', at(5, 9), 'Doctor', 'The doctor appointment is on Monday at the school clinic.'),
+  send(3, 'Parent B', 'Parent A', at(6, 9), 'Exchange', 'The exchange will be at the police station. I will call my lawyer.', { tone: -0.8, sentiment_ollama: { flags: ['legal-threat'] } }),
+  send(3, 'Parent A', 'Parent B', at(6, 10), 'Re: Exchange', 'Exchanges at school are easier for Emma.'),
+];
+const index = buildSearchIndex(messages);
+const found = (query, filters) => searchMessages(messages, index, query, filters).map(r => r.message.messageNumber);
+
+describe('parseQuery', () => {
+  test('reads words, phrases, proximity, prefixes, NOT and grouping', () => {
+    expect(tokenize('Don’t be LATE, co-parent!').map(t => t.term)).toEqual(["don't", 'be', 'late', 'co', 'parent']);
+    expect(parseQuery('late -(school OR "pick up") "emma friday"~4 exchang*')).toEqual({
+      type: 'and',
+      nodes: [
+        { type: 'term', term: 'late', prefix: false },
+        { type: 'not', node: { type: 'or', nodes: [{ type: 'term', term: 'school', prefix: false }, { type: 'phrase', terms: ['pick', 'up'], slop: null }] } },
+        { type: 'phrase', terms: ['emma', 'friday'], slop: 4 },
+        { type: 'term', term: 'exchang', prefix: true },
+      ],
+    });
+    expect(() => parseQuery('(late')).toThrow('Missing ")" in query');
+    expect(() => parseQuery('"late')).toThrow('Unbalanced quote in query');
+    expect(() => parseQuery('late OR')).toThrow('Query ends where a search term was expected');
+  });
+});
+
+describe('searchMessages', () => {
+  test('matches boolean, phrase, proximity and prefix queries over subjects and bodies', () => {
+    expect(found('late')).toEqual([1, 2]);
+    expect(found('late AND NOT emma')).toEqual([2]);
+    expect(found('doctor OR lawyer')).toEqual([3, 4]);
+    expect(found('"pick up emma"')).toEqual([1]);
+    expect(found('"up pick"')).toEqual([]);
+    expect(found('"friday emma"~3')).toEqual([1]);
+    expect(found('"school emma"~1')).toEqual([]);
+    expect(found('exchange*')).toEqual([4, 5]);
+    expect(found("don't")).toEqual([2]);
+  });
+
+  test('applies sender, date, thread, tone and flag filters and sorts by relevance', () => {
+    expect(found('school', { senders: ['parent a'] })).toEqual([1, 3, 5]);
+    expect(found('school', { start: at(5, 0), end: at(5, 0) })).toEqual([3]);
+    expect(found('school OR exchange', { threadIds: ['3'] })).toEqual([4, 5]);
+    expect(found('late OR exchange', { toneMax: -0.3 })).toEqual([1, 4]);
+    expect(found('exchange', { flags: ['LEGAL-THREAT'] })).toEqual([4]);
+    expect(found('late OR school', { sort: 'relevance' })).toEqual([1, 2, 3, 5]);
+  });
+
+  test('shows matched words in context, merging phrases and nearby matches', () => {
+    const [pickup] = searchMessages(messages, index, '"pick up" OR school');
+    const [negated] = searchMessages(messages, index, 'NOT (late OR exchange* OR emma)');
+
+    expect(keywordsInContext(pickup.message, pickup.positions, { context: 3 })).toEqual([
+      { field: 'body', text: 'Can you **pick up** Emma late on Friday? The **school** said pickup is…' },
+    ]);
+    expect(keywordsInContext(pickup.message, pickup.positions, { context: 1 })).toEqual([
+      { field: 'body', text: '…you **pick up** Emma…' },
+      { field: 'body', text: '…The **school** said…' },
+    ]);
+    expect(keywordsInContext(negated.message, negated.positions, { context: 2 })).toEqual([{ field: 'body', text: 'The doctor appointment is on…' }]);
+  });
+
+  test('formats results as Markdown and CSV with citations', () => {
+    const results = searchMessages(messages, index, 'lawyer');
+
+    const markdown = formatSearchResultsMarkdown(results, { query: 'lawyer', names: ['report.json'], scanned: 5, filters: ['Flag: legal-threat'], context: 3 });
+    const rows = parseCsv(formatSearchResultsCsv(results, { context: 3 }));
+
+    expect(markdown).toContain('## 2025-03-06 09:00 — Parent B → Parent A — Exchange');
+    expect(markdown).toContain('- OFW_Report.pdf, Message 4 of 5 · OFW-ABCDEF01-000004 · thread 3 · tone -0.80 · flags: legal-threat');
+    expect(markdown).toContain('> …will call my **lawyer**.');
+    expect(rows[0]).toEqual(['Date', 'Time', 'Sender', 'Recipients', 'Subject', 'Thread', 'Tone', 'Flags', 'Matches', 'Snippets', 'Message', 'Source ID']);
+    expect(rows[1]).toEqual(['2025-03-06', '09:00', 'Parent B', 'Parent A', 'Exchange', '3', '-0.8', 'legal-threat', '1', '…will call my [lawyer].', 'OFW_Report.pdf, Message 4 of 5', 'OFW-ABCDEF01-000004']);
+  });
+});
+
+describe('loadSearchIndex', () => {
+  test('saves the index by file hash and reuses it until the file changes', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ofw-search-'));
+    const inputPath = path.join(tmp, 'report.json');
+    fs.writeFileSync(inputPath, JSON.stringify(messages));
+
+    const first = loadSearchIndex(inputPath, messages, { dir: tmp });
+    const second = loadSearchIndex(inputPath, messages, { dir: tmp });
+    fs.writeFileSync(inputPath, JSON.stringify(messages.slice(1)));
+    const changed = loadSearchIndex(inputPath, messages.slice(1), { dir: tmp });
+
+    expect(first.reused).toBe(false);
+    expect(second).toMatchObject({ reused: true, indexPath: first.indexPath });
+    expect(second.index.terms.late).toEqual(index.terms.late);
+    expect(changed.reused).toBe(false);
+    expect(changed.indexPath).not.toBe(first.indexPath);
+  });
+
+  test('searches a reused index for words that are also Object property names', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ofw-search-'));
+    const inputPath = path.join(tmp, 'report.json');
+    fs.writeFileSync(inputPath, JSON.stringify(messages));
+    loadSearchIndex(inputPath, messages, { dir: tmp });
+
+    const { index: reused } = loadSearchIndex(inputPath, messages, { dir: tmp });
+
+    expect(searchMessages(messages, reused, 'constructor')).toEqual([]);
+    expect(searchMessages(messages, reused, '"the constructor"')).toEqual([]);
+    expect(searchMessages(messages, reused, 'late NOT toString').length).toBe(searchMessages(messages, index, 'late').length);
+  });
+});
+
+describe('ofw-search.js', () => {
+  const cliPath = path.resolve(__dirname, '..', 'ofw-search.js');
+
+  test('searches several exports once per message and writes CSV with a manifest', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ofw-search-'));
+    fs.writeFileSync(path.join(tmp, 'early.json'), JSON.stringify(messages.slice(0, 3)));
+    fs.writeFileSync(path.join(tmp, 'later.json'), JSON.stringify(messages.slice(1)));
+
+    const printed = spawnSync(process.execPath, [cliPath, 'early.json', 'later.json', '--query', 'school', '--sender', 'Parent A'], { encoding: 'utf8', cwd: tmp });
+    const written = spawnSync(process.execPath, [cliPath, 'early.json', 'later.json', '-q', 'late OR school', '--limit', '2', '--out', 'hits.csv'], { encoding: 'utf8', cwd: tmp });
+
+    expect(printed.status).toBe(0);
+    expect(printed.stderr).toContain('early.json: 3 message(s), index built');
+    expect(printed.stdout).toContain('- Results: 3');
+    expect(written.status).toBe(0);
+    expect(written.stderr).toContain('early.json: 3 message(s), index reused');
+    expect(written.stdout).toContain('4 result(s), 2 written for late OR school');
+    expect(parseCsv(fs.readFileSync(path.join(tmp, 'hits.csv'), 'utf8'))).toHaveLength(3);
+    const manifest = JSON.parse(fs.readFileSync(path.join(tmp, 'hits.manifest.json'), 'utf8'));
+    expect(manifest).toMatchObject({ tool: 'ofw-search.js', counts: { messages: 7, results: 4, duplicates: 2 } });
+  });
+
+  test('rejects a malformed query', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ofw-search-'));
+    fs.writeFileSync(path.join(tmp, 'report.json'), '[]');
+
+    const res = spawnSync(process.execPath, [cliPath, 'report.json', '--query', '(late'], { encoding: 'utf8', cwd: tmp });
+
+    expect(res.status).toBe(1);
+    expect(res.stderr).toContain('Missing ")" in query');
+  });
+});
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('node:child_process');
+
+const { splitSentences, scoreSentences, highlightSentences } = require('../utils/ofw/sentences');
+const { computeDerivedMetrics } = require('../utils/ofw/metrics');
+const { resolveRedactionConfig, createRedactor } = require('../utils/messages/redact');
+const { formatMessageMarkdown } = require('../utils/output/markdown');
+const { layoutExhibit } = require('../utils/ofw/exhibit');
+const { renderPdf } = require('../utils/output/pdf');
+
+const body = 'Hi Sam, thanks for taking Emma to Dr. Lee at 5.30 p.m. yesterday. She had a great time at the park! '
+  + 'But honestly, you are a LIAR and I am sick of your excuses. See you Friday.\nBest, Alex';
+const hostile = 'But honestly, you are a LIAR and I am sick of your excuses.';
+
+const message = (extra = {}) => ({
+  sentDate: new Date(2025, 2, 3, 9, 15),
+  sender: 'Parent A',
+  recipientReadTimes: { 'Parent B': new Date(2025, 2, 3, 10, 0) },
+  subject: 'Park',
+  body,
+  ...extra,
+});
+
+describe('splitSentences', () => {
+  test('splits on end punctuation and line breaks, keeping abbreviations, times and decimals together', () => {
+    const sentences = splitSentences(body);
+
+    expect(sentences.map(s => s.text)).toEqual([
+      'Hi Sam, thanks for taking Emma to Dr. Lee at 5.30 p.m. yesterday.',
+      'She had a great time at the park!',
+      hostile,
+      'See you Friday.',
+      'Best, Alex',
+    ]);
+    sentences.forEach(s => expect(body.slice(s.start, s.end)).toBe(s.text));
+    expect(splitSentences('  Really?! "Stop."  Now\n\n')).toEqual([
+      { text: 'Really?!', start: 2, end: 10 },
+      { text: '"Stop."', start: 11, end: 18 },
+      { text: 'Now', start: 20, end: 23 },
+    ]);
+    expect(splitSentences('')).toEqual([]);
+  });
+});
+
+describe('scoreSentences', () => {
+  test('finds the hostile sentence inside a polite message', () => {
+    const result = scoreSentences(body);
+
+    expect(result.sentences).toHaveLength(5);
+    expect(result.flagged).toEqual([{ text: hostile, start: 100, end: 159, score: -0.7579 }]);
+    expect(result.mostNegative).toEqual(result.flagged[0]);
+    expect(scoreSentences('Thanks, see you Friday.').mostNegative).toBeNull();
+  });
+
+  test('counts curt replies only for one-sentence messages and shouting across the message', () => {
+    expect(scoreSentences('Fine.').flagged).toHaveLength(1);
+    expect(scoreSentences('Fine. See you at 5.').flagged).toEqual([]);
+    expect(scoreSentences('I asked twice. You are late AGAIN!').flagged.map(s => s.text)).toEqual(['You are late AGAIN!']);
+  });
+
+  test('highlightSentences marks the given ranges', () => {
+    expect(highlightSentences('One. Two. Three.', [{ start: 10, end: 16 }, { start: 0, end: 4 }])).toBe('**One.** Two. **Three.**');
+    expect(highlightSentences('One.', [{ start: 0, end: 4 }], s => `<${s}>`)).toBe('<One.>');
+  });
+});
+
+describe('metrics stage', () => {
+  test('stores the count, offsets and most negative sentence, and Markdown bolds the flagged sentences', () => {
+    const [m] = computeDerivedMetrics([message()]);
+
+    expect(m.negative_sentences).toBe(1);
+    expect(m.flagged_sentences).toEqual([{ start: 100, end: 159, score: -0.7579 }]);
+    expect(m.most_negative_sentence).toEqual({ text: hostile, start: 100, end: 159, score: -0.7579 });
+    const markdown = formatMessageMarkdown(m, 0, 1);
+    expect(markdown).toContain(`- Negative sentences: **1** (bold below); most negative (-0.7579): "${hostile}"`);
+    expect(markdown).toContain(`at the park! **${hostile}** See you Friday.`);
+  });
+
+  test('redaction takes the offsets from the redacted body', () => {
+    const [m] = computeDerivedMetrics([message()]);
+    const redactor = createRedactor(resolveRedactionConfig({ names: { Parent: ['Sam', 'Alex'], Child: ['Emma'] } }));
+
+    redactor.redactMessages([m]);
+
+    expect(m.body.slice(m.flagged_sentences[0].start, m.flagged_sentences[0].end)).toBe(hostile);
+    expect(m.most_negative_sentence.start).toBe(m.flagged_sentences[0].start);
+    expect(m.body).not.toContain('Sam');
+  });
+});
+
+describe('exhibit highlighting', () => {
+  const textOps = (pages) => pages.flat().filter(op => op.type === 'text').map(op => op.text);
+
+  test('draws a highlight behind the flagged words, scoring messages that lack the fields', () => {
+    const exhibit = layoutExhibit([message()], { label: 'Exhibit A' });
+
+    const ops = exhibit.pages.flat();
+    const rects = ops.filter(op => op.type === 'rect');
+    expect(textOps(exhibit.pages)).toContain('1 (highlighted)');
+    expect(rects.length).toBeGreaterThan(0);
+    const highlighted = ops.filter((op, i) => op.type === 'text' && ops[i - 1] && ops[i - 1].type === 'rect').map(op => op.text).join(' ');
+    expect(highlighted.replace(/\s+/g, ' ')).toBe(hostile);
+    rects.forEach(rect => expect(ops[ops.indexOf(rect) + 1]).toMatchObject({ type: 'text', x: rect.x }));
+    expect(renderPdf(exhibit.pages).toString('latin1')).toMatch(/1 0\.93 0\.55 rg [\d.]+ [\d.]+ [\d.]+ 13 re f 0 g/);
+  });
+
+  test('exhibit.js --no-highlight lists the count but leaves the body unmarked', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ofw-sentences-'));
+    fs.writeFileSync(path.join(tmp, 'report.json'), JSON.stringify(computeDerivedMetrics([message({ wordCount: 40 })])));
+    const cliPath = path.resolve(__dirname, '..', 'exhibit.js');
+
+    const plain = spawnSync(process.execPath, [cliPath, 'report.json', '--no-highlight', '--out', 'plain.pdf'], { encoding: 'utf8', cwd: tmp });
+    const marked = spawnSync(process.execPath, [cliPath, 'report.json', '--out', 'marked.pdf'], { encoding: 'utf8', cwd: tmp });
+
+    expect(plain.status).toBe(0);
+    expect(marked.status).toBe(0);
+    const plainPdf = fs.readFileSync(path.join(tmp, 'plain.pdf'), 'latin1');
+    expect(plainPdf).toContain('(1) Tj');
+    expect(plainPdf).not.toContain(' re f ');
+    expect(fs.readFileSync(path.join(tmp, 'marked.pdf'), 'latin1')).toContain(' re f ');
+  });
+});
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('node:child_process');
+
+const { resolveTerms, countTerms, summarizeTermTrends, discoverTerms, compareTermPeriods } = require('../utils/ofw/terms');
+const { formatTermTrendsCsv, formatTermChangesCsv, parseCsv } = require('../utils/output/csv');
+const { formatTermTrendsMarkdown } = require('../utils/output/markdown');
+
+const at = (month, day, h = 9) => new Date(2025, month, day, h);
+let number = 0;
+const send = (sender, sentDate, body) => {
+  number += 1;
+  return { sender, sentDate, recipientReadTimes: { [sender === 'Parent A' ? 'Parent B' : 'Parent A']: 'Never' }, subject: 'Emma', body, messageNumber: number, messageTotal: 6, sourceFile: 'OFW_Report.pdf' };
+};
+
+const messages = [
+  send('Parent A', at(0, 2), 'Pickup is at 5. Emma has her backpack.'),
+  send('Parent B', at(0, 3), 'Fine. You never tell me anything.'),
+  send('Parent A', at(0, 15), 'Emma had a good week at school.'),
+  send('Parent B', at(1, 3), 'You always do this. I will call my lawyer. It is your fault.'),
+  send('Parent B', at(1, 4), 'My attorney says you are in contempt. You never listen, never, never.'),
+  send('Parent A', at(1, 5), 'Please do not involve the lawyers. Emma is fine at school.'),
+];
+
+describe('countTerms', () => {
+  test('counts words, prefixes, phrases and patterns, with aliases counted as one term', () => {
+    const terms = resolveTerms([
+      { label: 'Lawyer', terms: ['lawyer*', 'attorney'] },
+      'your fault',
+      { label: 'Threat', pattern: '\\bcall (my|the) (lawyer|police)\\b' },
+      'never',
+    ]);
+
+    expect(countTerms('I will call my lawyer. It is YOUR fault; my attorney agrees.', terms)).toEqual({ lawyer: 2, 'your fault': 1, threat: 1 });
+    expect(countTerms('Never, never, NEVER!', terms)).toEqual({ never: 3 });
+    expect(() => resolveTerms(['never', 'Never'])).toThrow('Term "Never" is listed twice');
+    expect(() => resolveTerms([{ label: 'Bad', pattern: '(' }])).toThrow('Term "Bad" has an invalid pattern');
+    expect(() => resolveTerms([{ label: 'Empty' }])).toThrow('Term "Empty" needs terms or a pattern');
+  });
+});
+
+describe('summarizeTermTrends', () => {
+  test('counts terms per sender and month, including months without messages', () => {
+    const trends = summarizeTermTrends(messages.concat(send('Parent A', at(3, 1), 'Emma starts camp.')), { period: 'month' });
+
+    expect(trends.periods.map(p => p.label)).toEqual(['Jan 2025', 'Feb 2025', 'Mar 2025', 'Apr 2025']);
+    expect(trends.periods[1]).toEqual({ label: 'Feb 2025', start: '2025-02-01', end: '2025-02-28' });
+    expect(trends.senders).toEqual(['Parent A', 'Parent B']);
+    expect(trends.counts['Feb 2025']['Parent B']).toEqual({ messages: 2, terms: { lawyer: 2, court: 1, always: 1, never: 3, 'your fault': 1 } });
+    expect(trends.counts['Mar 2025']['Parent A']).toEqual({ messages: 0, terms: {} });
+  });
+
+  test('uses the weekly stats week labels and formats CSV and a sparkline table', () => {
+    const trends = summarizeTermTrends(messages, { terms: resolveTerms(['never', 'emma']) });
+
+    expect(trends.periods.map(p => p.label)).toEqual(['Dec 29 - Jan 04, 2025', 'Jan 05 - Jan 11, 2025', 'Jan 12 - Jan 18, 2025', 'Jan 19 - Jan 25, 2025', 'Jan 26 - Feb 01, 2025', 'Feb 02 - Feb 08, 2025']);
+    const rows = parseCsv(formatTermTrendsCsv(trends));
+    expect(rows[0]).toEqual(['Period Start', 'Period End', 'Period', 'Name', 'Term', 'Count', 'Messages', 'Per 100 Messages']);
+    expect(rows).toContainEqual(['2025-02-02', '2025-02-08', 'Feb 02 - Feb 08, 2025', 'Parent B', 'never', '3', '2', '150.00']);
+    expect(rows).toContainEqual(['2025-01-05', '2025-01-11', 'Jan 05 - Jan 11, 2025', 'All', 'never', '0', '0', '']);
+    const markdown = formatTermTrendsMarkdown(trends, null, { name: 'report.json' });
+    expect(markdown).toContain('- 6 week(s), Dec 29 - Jan 04, 2025 to Feb 02 - Feb 08, 2025; 6 message(s); 2 term(s)');
+    expect(markdown).toMatch(/\| never +\| All +\| 4 +\| ▃····█ \| Feb 02 - Feb 08, 2025 \|/);
+    expect(markdown).toMatch(/\| emma +\| All +\| 3 +\| █·█··█ \| Dec 29 - Jan 04, 2025 \|/);
+  });
+});
+
+describe('compareTermPeriods', () => {
+  test('ranks terms by change per 100 messages between two ranges, per sender too', () => {
+    const comparison = compareTermPeriods(messages, {
+      terms: resolveTerms(['never', 'emma', { label: 'Lawyer', terms: ['lawyer*', 'attorney'] }]),
+      before: { start: at(0, 1), end: at(0, 31) },
+      after: { start: at(1, 1), end: at(1, 28) },
+    });
+
+    expect(comparison.before).toEqual({ start: '2025-01-01', end: '2025-01-31', messages: 3 });
+    expect(comparison.rising.map(c => [c.label, c.change])).toEqual([['Lawyer', 100], ['never', 66.67]]);
+    expect(comparison.rising[1].senders['Parent B']).toMatchObject({ before: 1, after: 3, beforePer100: 100, afterPer100: 150, change: 50 });
+    expect(comparison.falling).toEqual([expect.objectContaining({ label: 'emma', before: 2, after: 1, change: -33.33 })]);
+    const rows = parseCsv(formatTermChangesCsv(comparison));
+    expect(rows).toContainEqual(['falling', 'emma', 'Parent A', '2025-01-01', '2025-01-31', '2025-02-01', '2025-02-28', '2', '1', '100.00', '100.00', '0.00']);
+  });
+
+  test('splits the export in half by default and discovers frequent words and pairs', () => {
+    const discovered = discoverTerms(messages, { minCount: 2 }).map(t => t.label);
+
+    const comparison = compareTermPeriods(messages, { terms: resolveTerms(['school']) });
+
+    expect(discovered).toEqual(['emma', 'fine', 'never', 'school']);
+    expect(comparison.before).toEqual({ start: '2025-01-02', end: '2025-01-19', messages: 3 });
+    expect(comparison.after).toEqual({ start: '2025-01-20', end: '2025-02-05', messages: 3 });
+    expect(comparison.rising).toEqual([]);
+    expect(comparison.falling).toEqual([]);
+  });
+});
+
+describe('ofw-terms.js', () => {
+  const cliPath = path.resolve(__dirname, '..', 'ofw-terms.js');
+
+  test('writes trend and change CSVs with a manifest and prints the sparkline table', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ofw-terms-'));
+    fs.writeFileSync(path.join(tmp, 'report.json'), JSON.stringify(messages));
+
+    const res = spawnSync(process.execPath, [cliPath, 'report.json', '--period', 'month', '--terms', 'never,your fault,lawyer*', '--discover', '2', '--top', '2'], { encoding: 'utf8', cwd: tmp });
+
+    expect(res.status).toBe(0);
+    expect(res.stdout).toContain('- 2 month(s), Jan 2025 to Feb 2025; 6 message(s); 3 term(s)');
+    expect(res.stdout).toMatch(/\| lawyer\* +\| All +\| 2 +\| ·█ +\| Feb 2025 \|/);
+    expect(res.stdout).toContain('## Rising and falling: 2025-01-02 to 2025-01-19 (3 messages) vs 2025-01-20 to 2025-02-05 (3 messages)');
+    const trendRows = parseCsv(fs.readFileSync(path.join(tmp, 'output', 'report-terms.csv'), 'utf8'));
+    expect(trendRows).toHaveLength(1 + 2 * 3 * 3);
+    const changeRows = parseCsv(fs.readFileSync(path.join(tmp, 'output', 'report-terms-change.csv'), 'utf8'));
+    expect(changeRows.filter(r => r[0] === 'rising' && r[2] === 'All').map(r => r[1])).toEqual(['lawyer*', 'never']);
+    const manifest = JSON.parse(fs.readFileSync(path.join(tmp, 'output', 'report-terms.manifest.json'), 'utf8'));
+    expect(manifest).toMatchObject({ tool: 'ofw-terms.js', counts: { messages: 6, periods: 2, terms: 6 } });
+  });
+
+  test('rejects an unpaired comparison range and invalid terms', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ofw-terms-'));
+    fs.writeFileSync(path.join(tmp, 'report.json'), '[]');
+    fs.writeFileSync(path.join(tmp, 'terms.json'), JSON.stringify({ terms: [{ label: 'Bad', pattern: '(' }] }));
+
+    const unpaired = spawnSync(process.execPath, [cliPath, 'report.json', '--before', '2025-01-01:2025-01-31'], { encoding: 'utf8', cwd: tmp });
+    const invalid = spawnSync(process.execPath, [cliPath, 'report.json', '--config', 'terms.json'], { encoding: 'utf8', cwd: tmp });
+
+    expect(unpaired.status).toBe(1);
+    expect(unpaired.stderr).toContain('--before and --after must be given together');
+    expect(invalid.status).toBe(1);
+    expect(invalid.stderr).toContain('Invalid terms: Term "Bad" has an invalid pattern');
+  });
+});
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('node:child_process');
+
+const { scoreTone, calibrateTone } = require('../utils/ofw/tone');
+const { computeDerivedMetrics } = require('../utils/ofw/metrics');
+const { formatToneCalibrationCsv, parseCsv } = require('../utils/output/csv');
+const { formatToneCalibrationMarkdown } = require('../utils/output/markdown');
+
+const score = (text) => scoreTone(text).score;
+const cues = (text) => scoreTone(text).cues.map(c => [c.text, c.weight, c.notes]);
+
+describe('scoreTone', () => {
+  test('reads co-parenting phrases that AFINN misreads', () => {
+    const [notAProblem, sick] = computeDerivedMetrics([{ body: 'Not a problem, I can take her.' }, { body: 'Emma is sick with a fever, no school tomorrow.' }]);
+
+    expect(notAProblem.tone).toBeLessThan(0);
+    expect(notAProblem.tone_v2).toBeGreaterThan(0.3);
+    expect(sick.tone).toBeLessThan(-0.5);
+    expect(sick.tone_v2).toBe(0);
+    expect(cues('As usual, late again. See you in court.')).toEqual([['As usual', -2, []], ['late again', -2, []], ['See you in court', -4, []]]);
+    expect(score('Per the court order, exchange is at 5.')).toBeLessThan(-0.3);
+  });
+
+  test('applies negation scope, intensifiers, softeners, capitals and exclamations', () => {
+    expect(cues('I am not happy about this.')).toEqual([['happy', -1.5, ['negated']]]);
+    expect(cues('No, happy to help.')).toEqual([['No', -1, []], ['happy to', 2, []], ['help', 2, []]]);
+    expect(cues("I don't really appreciate this")).toEqual([['appreciate', -1.3, ['negated', 'intensified (really)']]]);
+    expect(cues("I'm kind of upset.")).toEqual([['upset', -1.4, ['softened (kind of)']]]);
+    expect(cues('This is RIDICULOUS.')).toEqual([['RIDICULOUS', -3.75, ['capitals']]]);
+    expect(cues('Thank you, have fun!!')).toEqual([['Thank you', 2.8, ['!!']], ['have fun', 2.8, ['!!']]]);
+  });
+
+  test('scores curt replies and shouting as negative and stays within -1..1', () => {
+    expect(cues('Fine.')).toEqual([['Fine.', -1.5, ['curt reply']]]);
+    expect(score('K')).toBeLessThan(0);
+    expect(score('Ok, see you at 5.')).toBe(0);
+    expect(cues('You are ALWAYS LATE to PICKUP at the OFW office.')).toEqual([['ALL-CAPS words', -1.5, ['shouting']]]);
+    expect(score('THANK YOU FOR DOING THIS')).toBeGreaterThan(0.3);
+    expect(score('your fault your fault your fault your fault your fault')).toBeGreaterThan(-1);
+    expect(score('')).toBe(0);
+  });
+});
+
+describe('calibrateTone', () => {
+  const at = (day, h) => new Date(2025, 2, day, h);
+  const messages = computeDerivedMetrics([
+    { sender: 'Parent B', sentDate: at(4, 9), body: 'See you in court. This is your fault.', sourceFile: 'OFW_Report.pdf', messageNumber: 2, messageTotal: 4, sourceId: 'OFW-ABCDEF01-000002' },
+    { sender: 'Parent A', sentDate: at(3, 9), body: 'Thank you, have a great trip!', sourceFile: 'OFW_Report.pdf', messageNumber: 1, messageTotal: 4 },
+    { sender: 'Parent A', sentDate: at(5, 9), body: 'Not a problem, I can take her.', sourceFile: 'OFW_Report.pdf', messageNumber: 3, messageTotal: 4 },
+    { sender: 'Parent B', sentDate: at(6, 9), body: 'Fine.', sourceFile: 'OFW_Report.pdf', messageNumber: 4, messageTotal: 4 },
+  ]);
+
+  test('compares both scores with labels, per-sender averages and the largest disagreements', () => {
+    const report = calibrateTone(messages, { top: 2 });
+
+    expect(report.count).toBe(4);
+    expect(report.rows.map(r => r.message.messageNumber)).toEqual([1, 2, 3, 4]);
+    expect(report.rows.map(r => [r.label, r.labelV2])).toEqual([['positive', 'positive'], ['neutral', 'negative'], ['neutral', 'positive'], ['neutral', 'negative']]);
+    expect(report.agreement).toBe(0.25);
+    expect(report.confusion.neutral).toEqual({ negative: 2, neutral: 0, positive: 1 });
+    expect(report.senders['Parent B'].toneV2).toBeLessThan(report.senders['Parent B'].tone);
+    expect(report.disagreements.map(r => r.message.messageNumber)).toEqual([2, 3]);
+  });
+
+  test('formats the calibration as Markdown and CSV with citations and cues', () => {
+    const report = calibrateTone(messages, { top: 1 });
+
+    const markdown = formatToneCalibrationMarkdown(report, { name: 'report.json' });
+    const rows = parseCsv(formatToneCalibrationCsv(report));
+
+    expect(markdown).toContain('| tone \\ tone_v2 | negative | neutral | positive |');
+    expect(markdown).toContain('- Message: OFW_Report.pdf, Message 2 of 4 · OFW-ABCDEF01-000002');
+    expect(markdown).toContain('- tone_v2 cues: See you in court -4.00; your fault -3.00');
+    expect(rows[0]).toEqual(['Date', 'Time', 'Sender', 'Tone', 'Tone v2', 'Difference', 'Label', 'Label v2', 'Cues', 'Message', 'Source ID']);
+    expect(rows[4]).toEqual(['2025-03-06', '09:00', 'Parent B', messages[3].tone.toFixed(4), '-0.3612', (-0.3612 - messages[3].tone).toFixed(4), 'neutral', 'negative', 'Fine. -1.50 (curt reply)', 'OFW_Report.pdf, Message 4 of 4', '']);
+  });
+});
+
+describe('ofw-tone.js', () => {
+  test('calibrates JSON written before tone_v2 existed and writes a manifest', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ofw-tone-'));
+    const older = [
+      { sender: 'Parent A', sentDate: '2025-03-03T09:00:00', body: 'No worries, happy to swap weekends.', tone: -0.2, recipientReadTimes: { 'Parent B': 'Never' } },
+      { sender: 'Parent B', sentDate: '2025-03-03T10:00:00', body: 'Whatever. My lawyer will hear about this.', tone: 0, recipientReadTimes: { 'Parent A': 'Never' } },
+    ];
+    fs.writeFileSync(path.join(tmp, 'report.json'), JSON.stringify(older));
+
+    const res = spawnSync(process.execPath, [path.resolve(__dirname, '..', 'ofw-tone.js'), 'report.json', '--sender', 'parent b'], { encoding: 'utf8', cwd: tmp });
+
+    expect(res.status).toBe(0);
+    expect(res.stdout).toContain('Compared 1 message(s)');
+    expect(res.stdout).toMatch(/- Parent B: 1 message\(s\), tone 0\.00, tone_v2 -0\.\d\d/);
+    const rows = parseCsv(fs.readFileSync(path.join(tmp, 'output', 'report-tone.csv'), 'utf8'));
+    expect(rows[1].slice(2, 9)).toEqual(['Parent B', '0.0000', rows[1][4], rows[1][4], 'neutral', 'negative', 'Whatever -2.00; My lawyer -2.00']);
+    const manifest = JSON.parse(fs.readFileSync(path.join(tmp, 'output', 'report-tone.manifest.json'), 'utf8'));
+    expect(manifest).toMatchObject({ tool: 'ofw-tone.js', counts: { messages: 1, labelChanges: 1 } });
+  });
+});
@@ -0,0 +1,115 @@
+jest.mock('winston', () => {
+  const noop = () => {};
+  return {
+    createLogger: () => ({ info: noop, warn: noop, error: noop }),
+    format: { combine: noop, timestamp: noop, json: noop },
+    transports: { Console: function Console() {}, File: function File() {} },
+  };
+});
+jest.mock('ollama', () => ({
+  default: { chat: jest.fn(async () => ({ message: { content: 'Sure: {"topics":["travel","bogus"]}' } })) },
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { default: ollama } = require('ollama');
+const { classifyTopics, resolveTopics, tagTopics, summarizeTopics } = require('../utils/ofw/topics');
+const { summarizeThreads } = require('../utils/ofw/threads');
+const { createReportCache } = require('../utils/ofw/cache');
+const { formatThreadsCsv, formatTopicsWeeklyCsv, parseCsv } = require('../utils/output/csv');
+const { formatTopicsMarkdown } = require('../utils/output/markdown');
+const { labelTopics } = require('../ollama-sentiment');
+
+const at = (day, h, m = 0) => new Date(2025, 2, day, h, m);
+const msg = (threadId, sender, to, sentDate, subject, body, extra = {}) => ({
+  threadId, sender, recipientReadTimes: { [to]: 'Never' }, sentDate, subject, body, wordCount: body.split(' ').length, tone: 0, ...extra,
+});
+
+const messages = () => [
+  msg(1, 'Parent A', 'Parent B', at(3, 9), 'Doctor appointment', 'She has a fever, can you do pickup at school?', { tone: -0.5 }),
+  msg(1, 'Parent B', 'Parent A', at(3, 12), 'Re: Doctor appointment', 'Yes I will pick her up.', { tone: 0.5 }),
+  msg(2, 'Parent A', 'Parent B', at(10, 8), 'Copay', 'You owe $40 for the copay.'),
+  msg(3, 'Parent B', 'Parent A', at(11, 8), 'Hello', 'Thanks.'),
+];
+
+describe('classifyTopics', () => {
+  test('tags every matching topic, most matches first, and "other" when nothing matches', () => {
+    expect(classifyTopics({ subject: 'Doctor appointment', body: 'She has a fever, can you do pickup at school?' })).toEqual(['medical', 'school', 'schedule']);
+    expect(classifyTopics({ subject: 'Re: Soccer', body: 'Practice moved; swap weekends?' })).toEqual(['extracurricular', 'schedule']);
+    expect(classifyTopics({ subject: 'Copay', body: 'You owe $40.' })).toEqual(['finances']);
+    expect(classifyTopics({ subject: 'Hello', body: 'Thanks.' })).toEqual(['other']);
+  });
+
+  test('uses a configured dictionary with regex patterns and new topics', () => {
+    const topics = resolveTopics({
+      travel: { keywords: ['grandma'] },
+      religion: { label: 'Religion', keywords: ['church'], patterns: ['\\bbaptism\\b'] },
+    });
+
+    expect(classifyTopics({ subject: 'Visit grandma', body: '' }, topics)).toEqual(['schedule', 'travel']);
+    expect(classifyTopics({ subject: 'Baptism', body: 'at church' }, topics)).toEqual(['religion']);
+    expect(topics.find(t => t.key === 'travel').label).toBe('Travel');
+    expect(() => resolveTopics({ legal: { keywords: 'court' } })).toThrow('Topic "legal" keywords must be an array');
+    expect(() => resolveTopics({ legal: { patterns: ['('] } })).toThrow('Topic "legal" has an invalid pattern');
+  });
+});
+
+describe('summarizeTopics', () => {
+  test('counts messages, words, tone and reply latency per topic, sender and week', () => {
+    const tagged = tagTopics(messages());
+
+    const summary = summarizeTopics(tagged);
+
+    expect(Object.keys(summary.totals)).toEqual(['medical', 'school', 'schedule', 'finances', 'other']);
+    expect(summary.totals.medical['Parent A']).toEqual({ messagesSent: 1, totalWords: 10, tone: -0.5, replies: 0, medianReplyHours: null });
+    expect(summary.totals.school['Parent B']).toEqual({ messagesSent: 0, totalWords: 0, tone: 0, replies: 1, medianReplyHours: 3 });
+    expect(summary.totals.schedule['Parent B']).toMatchObject({ messagesSent: 1, tone: 0.5, replies: 1 });
+    expect(Object.keys(summary.weekly)).toEqual(['Mar 02 - Mar 08, 2025', 'Mar 09 - Mar 15, 2025']);
+    expect(Object.keys(summary.weekly['Mar 09 - Mar 15, 2025'])).toEqual(['finances', 'other']);
+  });
+
+  test('formats weekly CSV rows and a Markdown table with topic labels', () => {
+    const summary = summarizeTopics(tagTopics(messages()));
+
+    const rows = parseCsv(formatTopicsWeeklyCsv(summary));
+    const markdown = formatTopicsMarkdown(summary, { excludePatterns: ['parent a'] });
+
+    expect(rows[0]).toEqual(['Week Start', 'Week End', 'Topic', 'Name', 'Messages Sent', 'Total Words', 'Tone', 'Replies', 'Median Reply (hours)']);
+    expect(rows).toContainEqual(['2025-03-02', '2025-03-08', 'Schedule/exchange', 'Parent B', '1', '6', '0.5', '1', '3']);
+    expect(rows).toContainEqual(['2025-03-09', '2025-03-15', 'Finances/reimbursement', 'Parent A', '1', '6', '0', '0', '']);
+    expect(markdown).toContain('## Topics');
+    expect(markdown).toContain('| School            | Parent B | 0        | 0     | 0.00 | 1       | 3.0                |');
+    expect(markdown).not.toContain('Parent A');
+  });
+
+  test('lists topics per thread in thread summaries and the threads CSV', () => {
+    const threads = summarizeThreads(tagTopics(messages()));
+
+    expect(threads.find(t => t.threadId === 1).topics).toEqual(['medical', 'schedule', 'school']);
+    const rows = parseCsv(formatThreadsCsv(threads));
+    expect(rows[0][rows[0].length - 1]).toBe('Topics');
+    expect(rows[1][rows[1].length - 1]).toBe('medical; schedule; school');
+  });
+});
+
+describe('labelTopics', () => {
+  test('keeps known topics from Ollama, caches them and is not overridden by keyword tagging', async () => {
+    const cache = createReportCache(fs.mkdtempSync(path.join(os.tmpdir(), 'ofw-topics-')));
+    const first = messages();
+
+    const result = await labelTopics(first, { maxMessages: 1, cache });
+    tagTopics(first);
+
+    expect(result).toEqual({ labeled: 1, reused: 0 });
+    expect(first[0]).toMatchObject({ topics: ['travel'], topicSource: 'ollama' });
+    expect(first[1]).toMatchObject({ topics: ['medical', 'schedule'], topicSource: 'keywords' });
+
+    const again = messages();
+    ollama.chat.mockClear();
+    expect(await labelTopics(again, { maxMessages: 0, cache })).toEqual({ labeled: 0, reused: 1 });
+    expect(ollama.chat).not.toHaveBeenCalled();
+    expect(again[0].topics).toEqual(['travel']);
+  });
+});
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('node:child_process');
+
+const { formatSourceId, assignSourceIds, countRecords, startRun } = require('../utils/provenance');
+const { writeFile, writeJson } = require('../utils/fs');
+const { loadEmailMessages } = require('../utils/messages/email');
+const { normalizeMessages } = require('../utils/messages/schema');
+const { formatMessageMarkdown } = require('../utils/output/markdown');
+const { version } = require('../package.json');
+
+const sha = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const mbox = [
+  'From a@example.com Mon Mar  3 09:00:00 2025',
+  'Message-ID: <one@x>',
+  'From: Parent A <a@example.com>',
+  'To: Parent B <b@example.com>',
+  'Date: Mon, 03 Mar 2025 09:00:00 +0000',
+  'Subject: Pickup',
+  '',
+  'Pickup at 5.',
+  '',
+  'From b@example.com Mon Mar  3 10:00:00 2025',
+  'Message-ID: <two@x>',
+  'From: Parent B <b@example.com>',
+  'To: Parent A <a@example.com>',
+  'Date: Mon, 03 Mar 2025 10:00:00 +0000',
+  'Subject: Re: Pickup',
+  'In-Reply-To: <one@x>',
+  '',
+  'OK.',
+  '',
+].join('\n');
+
+describe('source IDs', () => {
+  test('combine the source, file hash and position', () => {
+    const hash = 'abcdef0123456789';
+    const messages = assignSourceIds([
+      { messageNumber: 12, messageTotal: 340 },
+      { _nonMessage: true, messageNumber: 13 },
+      { body: 'no position' },
+    ], 'ofw', hash);
+
+    expect(formatSourceId('imessage', hash, 88)).toBe('IMS-ABCDEF01-000088');
+    expect(messages.map(m => m.sourceId)).toEqual(['OFW-ABCDEF01-000012', undefined, undefined]);
+  });
+
+  test('emails get stable IDs from the mbox line or the .eml file, kept through normalization', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'provenance-'));
+    const mboxPath = path.join(dir, 'inbox.mbox');
+    fs.writeFileSync(mboxPath, mbox);
+    const emlPath = path.join(dir, 'one.eml');
+    fs.writeFileSync(emlPath, mbox.split('\n').slice(1, 9).join('\n'));
+    const prefix = sha(mbox).slice(0, 8).toUpperCase();
+
+    const messages = normalizeMessages(loadEmailMessages(mboxPath));
+    expect(messages.map(m => m.sourceId)).toEqual([`EML-${prefix}-000001`, `EML-${prefix}-000010`]);
+    expect(loadEmailMessages(mboxPath).map(m => m.sourceId)).toEqual(messages.map(m => m.sourceId));
+    expect(loadEmailMessages(emlPath)[0].sourceId).toBe(`EML-${sha(fs.readFileSync(emlPath)).slice(0, 8).toUpperCase()}-000001`);
+    expect(formatMessageMarkdown(messages[1], 1, 2)).toContain(`- Source ID: EML-${prefix}-000010`);
+  });
+});
+
+describe('startRun', () => {
+  test('hashes inputs and the outputs written during the run', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'provenance-'));
+    const input = path.join(dir, 'report.pdf');
+    fs.writeFileSync(input, 'pdf bytes');
+    const run = startRun('ofw.js', [input, '--no-markdown']);
+    run.addInput(input);
+    writeJson(path.join(dir, 'output', 'report.json'), [{ a: 1 }, { a: 2 }]);
+    writeFile(path.join(dir, 'output', 'report-senders.csv'), 'Week,Name\n"a, b",x\nc,y\n');
+    writeFile(path.join(dir, 'output', 'report.md'), '# Report');
+    run.count('messages', 2);
+    const manifest = run.finish(path.join(dir, 'output', 'report.manifest.json'));
+    writeFile(path.join(dir, 'output', 'later.txt'), 'not part of the run');
+
+    expect(manifest).toMatchObject({ tool: 'ofw.js', version, argv: [input, '--no-markdown'], counts: { messages: 2 } });
+    expect(manifest.inputs).toEqual([{ path: input, bytes: 9, sha256: sha('pdf bytes') }]);
+    expect(manifest.outputs.map(o => [o.path, o.records])).toEqual([['report.json', 2], ['report-senders.csv', 2], ['report.md', null]]);
+    expect(manifest.outputs[2].sha256).toBe(sha('# Report'));
+    expect(new Date(manifest.finishedAt) >= new Date(manifest.startedAt)).toBe(true);
+    expect(JSON.parse(fs.readFileSync(path.join(dir, 'output', 'report.manifest.json'), 'utf8'))).toEqual(manifest);
+  });
+
+  test('counts records in per-year JSON and timeline JSON', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'provenance-'));
+    fs.writeFileSync(path.join(dir, 'years.json'), JSON.stringify({ 2024: [1, 2], 2025: [3] }));
+    fs.writeFileSync(path.join(dir, 'timeline.json'), JSON.stringify({ range: {}, entries: [1, 2, 3, 4] }));
+
+    expect(countRecords(path.join(dir, 'years.json'))).toBe(3);
+    expect(countRecords(path.join(dir, 'timeline.json'))).toBe(4);
+  });
+});
+
+describe('manifests from the CLIs', () => {
+  test('email.js records the input hash, outputs and counts', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'provenance-'));
+    const mboxPath = path.join(tmp, 'inbox.mbox');
+    fs.writeFileSync(mboxPath, mbox);
+    const res = spawnSync(process.execPath, [path.resolve(__dirname, '..', 'email.js'), mboxPath, '--exclude', 'noreply'], { encoding: 'utf8', cwd: tmp });
+
+    expect(res.status).toBe(0);
+    const manifest = JSON.parse(fs.readFileSync(path.join(tmp, 'output', 'inbox.manifest.json'), 'utf8'));
+    expect(manifest).toMatchObject({ tool: 'email.js', argv: [mboxPath, '--exclude', 'noreply'], counts: { messages: 2, threads: 1 } });
+    expect(manifest.inputs[0].sha256).toBe(sha(mbox));
+    const json = manifest.outputs.find(o => o.path === 'inbox.json');
+    expect(json).toMatchObject({ records: 2, sha256: sha(fs.readFileSync(path.join(tmp, 'output', 'inbox.json'))) });
+    expect(manifest.outputs.map(o => o.path)).toEqual(expect.arrayContaining(['inbox-senders.csv', 'inbox-threads.csv']));
+  });
+
+  test('exhibit.js records the Bates range and the source IDs it shows', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'provenance-'));
+    const input = path.join(tmp, 'report.json');
+    fs.writeFileSync(input, JSON.stringify([{ sentDate: new Date(2025, 2, 3, 9), sender: 'A', recipientReadTimes: { B: 'Never' }, subject: 'S', body: 'Hi', messageNumber: 1, messageTotal: 1, sourceId: 'OFW-ABCDEF01-000001' }]));
+    const out = path.join(tmp, 'exhibits', 'exhibit-a.pdf');
+    const res = spawnSync(process.execPath, [path.resolve(__dirname, '..', 'exhibit.js'), input, '--label', 'Exhibit A', '--out', out], { encoding: 'utf8', cwd: tmp });
+
+    expect(res.status).toBe(0);
+    const manifest = JSON.parse(fs.readFileSync(path.join(tmp, 'exhibits', 'exhibit-a.manifest.json'), 'utf8'));
+    expect(manifest).toMatchObject({ tool: 'exhibit.js', bates: { first: '000001', last: '000002' }, sourceIds: ['OFW-ABCDEF01-000001'], counts: { messages: 1, pages: 2 } });
+    expect(manifest.outputs).toEqual([expect.objectContaining({ path: 'exhibit-a.pdf', sha256: sha(fs.readFileSync(out)), records: null })]);
+  });
+});
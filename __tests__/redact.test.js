@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('node:child_process');
+
+const { resolveRedactionConfig, createRedactor, readRedactionKey, writeRedactionKey, unredactText } = require('../utils/messages/redact');
+
+const config = resolveRedactionConfig({
+  names: {
+    Child: [['Emma Smith', 'Emma'], 'Liam'],
+    School: ['Lincoln Elementary'],
+    Parent: ['Jane Doe', 'John Doe'],
+  },
+});
+
+const messages = () => [
+  {
+    sender: 'Jane Doe', recipientReadTimes: { 'John Doe': '2025-03-03T10:00:00.000Z' }, sentDate: '2025-03-03T09:00:00.000Z',
+    subject: 'Emma at Lincoln Elementary', body: 'Emma Smith has a fever. Call me at (555) 123-4567 or jane.doe@mail.com.', sourceId: 'OFW-ABCDEF01-000001',
+  },
+  {
+    sender: 'John Doe', recipientReadTimes: { 'Jane Doe': 'Never' }, sentDate: '2025-03-03T12:00:00.000Z',
+    subject: 'Re: Emma at Lincoln Elementary', body: 'I will get emma and Liam at 42 Oak Hill Rd, Apt 3. My number is 555.123.4567. Account #12345678.',
+    sentiment_ollama: { flags: [], reason: 'John asks about Emma.' },
+  },
+];
+
+describe('createRedactor', () => {
+  test('replaces detected phones, emails, addresses and account numbers with numbered placeholders', () => {
+    const redactor = createRedactor(resolveRedactionConfig({}));
+
+    const out = redactor.redactText('Call (555) 123-4567 or 555.123.4567, email jo@mail.com, 42 Oak Hill Rd, Apt 3. Card 4111 1111 1111 1111, SSN 123-45-6789, routing no. 021000021. Pickup at 5:30 on 3/14/2025, $1,250.50.');
+
+    expect(out).toBe('Call [PHONE 1] or [PHONE 1], email [EMAIL 1], [ADDRESS 1]. Card [ACCOUNT 1], SSN [ACCOUNT 2], routing no. [ACCOUNT 3]. Pickup at 5:30 on 3/14/2025, $1,250.50.');
+  });
+
+  test('gives every alias of a configured name the same pseudonym, in config order', () => {
+    const redactor = createRedactor(config);
+
+    const redacted = redactor.redactMessages(messages());
+
+    expect(redacted[0]).toMatchObject({
+      sender: 'Parent A', recipientReadTimes: { 'Parent B': '2025-03-03T10:00:00.000Z' }, subject: 'Child A at School A',
+      body: 'Child A has a fever. Call me at [PHONE 1] or [EMAIL 1].', sourceId: 'OFW-ABCDEF01-000001',
+    });
+    expect(redacted[1].body).toBe('I will get Child A and Child B at [ADDRESS 1]. My number is [PHONE 1]. Account #[ACCOUNT 1].');
+    expect(redacted[1].sentiment_ollama.reason).toBe('John asks about Child A.');
+    expect(redactor.key().pseudonyms['Child A']).toEqual({ kind: 'name', values: ['Emma Smith', 'Emma', 'emma'] });
+    expect(redactor.key().pseudonyms['[PHONE 1]'].values).toEqual(['(555) 123-4567', '555.123.4567']);
+  });
+
+  test('keeps pseudonyms from an earlier key and un-redacts with it', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'redact-'));
+    const keyPath = path.join(tmp, 'private', 'key.json');
+    const first = createRedactor(config);
+    const redacted = first.redactMessages(messages());
+    writeRedactionKey(keyPath, first);
+
+    const reordered = resolveRedactionConfig({ names: { Child: ['Liam', ['Emma', 'Em']], Parent: ['Jane Doe', 'John Doe'] } });
+    const second = createRedactor(reordered, { key: readRedactionKey(keyPath) });
+
+    expect(second.redactText('Em and Liam, 555-123-4567; new 555-999-0000')).toBe('Child A and Child B, [PHONE 1]; new [PHONE 2]');
+    expect(unredactText(redacted[0].body, readRedactionKey(keyPath))).toBe('Emma Smith has a fever. Call me at (555) 123-4567 or jane.doe@mail.com.');
+    expect(readRedactionKey(path.join(tmp, 'none.json'))).toBeNull();
+    expect(() => resolveRedactionConfig({ names: { Child: 'Emma' } })).toThrow('Names for "Child" must be an array');
+    expect(() => resolveRedactionConfig({ detectors: { ssn: false } })).toThrow('Unknown detector "ssn"');
+  });
+});
+
+describe('redact.js', () => {
+  const cliPath = path.resolve(__dirname, '..', 'redact.js');
+
+  test('redacts a report, keeps the key out of the manifest and un-redacts with it', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'redact-'));
+    fs.writeFileSync(path.join(tmp, 'report.json'), JSON.stringify(messages()));
+    fs.writeFileSync(path.join(tmp, 'redaction.json'), JSON.stringify({ names: { Child: [['Emma Smith', 'Emma'], 'Liam'], Parent: ['Jane Doe', 'John Doe'] }, detectors: { address: false } }));
+
+    const res = spawnSync(process.execPath, [cliPath, 'report.json', '--redaction-config', 'redaction.json'], { encoding: 'utf8', cwd: tmp });
+
+    expect(res.status).toBe(0);
+    const redactedPath = path.join(tmp, 'output', 'report.redacted.json');
+    const redacted = JSON.parse(fs.readFileSync(redactedPath, 'utf8'));
+    expect(redacted[1].body).toBe('I will get Child A and Child B at 42 Oak Hill Rd, Apt 3. My number is [PHONE 1]. Account #[ACCOUNT 1].');
+    const keyPath = path.join(tmp, 'output', 'private', 'report.redaction-key.json');
+    const manifest = JSON.parse(fs.readFileSync(path.join(tmp, 'output', 'report.redacted.manifest.json'), 'utf8'));
+    expect(manifest).toMatchObject({ tool: 'redact.js', counts: { messages: 2, pseudonyms: 7 } });
+    expect(JSON.stringify(manifest)).not.toContain('redaction-key');
+
+    const back = spawnSync(process.execPath, [cliPath, redactedPath, '--unredact', '--redaction-key', keyPath], { encoding: 'utf8', cwd: tmp });
+
+    expect(back.status).toBe(0);
+    const restored = JSON.parse(fs.readFileSync(path.join(tmp, 'output', 'private', 'report.redacted.unredacted.json'), 'utf8'));
+    expect(restored[0]).toMatchObject({ sender: 'Jane Doe', body: messages()[0].body });
+  });
+
+  test('rejects an invalid config and unredacting without a key', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'redact-'));
+    fs.writeFileSync(path.join(tmp, 'report.json'), '[]');
+    fs.writeFileSync(path.join(tmp, 'redaction.json'), JSON.stringify({ names: { Child: 'Emma' } }));
+
+    const bad = spawnSync(process.execPath, [cliPath, 'report.json', '--redaction-config', 'redaction.json'], { encoding: 'utf8', cwd: tmp });
+    const noKey = spawnSync(process.execPath, [cliPath, 'report.json', '--unredact'], { encoding: 'utf8', cwd: tmp });
+
+    expect(bad.status).toBe(1);
+    expect(bad.stderr).toContain('Invalid redaction config: Names for "Child" must be an array');
+    expect(noKey.status).toBe(1);
+    expect(noKey.stderr).toContain('--unredact needs --redaction-key <file.json>');
+  });
+});
+
+describe('email.js --redact', () => {
+  test('writes only redacted JSON and CSVs, with the key kept apart', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'redact-email-'));
+    const mbox = [
+      ['<root@mail.example.com>', 'Jane Doe <jane@mail.example.com>', 'John Doe <john@mail.example.com>', 'Mon, 03 Mar 2025 09:00:00 +0000', 'Emma school pickup', 'Emma needs pickup. Call 555-123-4567.', ''],
+      ['<r1@mail.example.com>', 'John Doe <john@mail.example.com>', 'Jane Doe <jane@mail.example.com>', 'Mon, 03 Mar 2025 12:00:00 +0000', 'Re: Emma school pickup', 'OK, I will get Emma.', 'In-Reply-To: <root@mail.example.com>\n'],
+    ].map(([id, from, to, date, subject, body, extra]) => `From x Mon Mar  3 09:00:00 2025\nMessage-ID: ${id}\nFrom: ${from}\nTo: ${to}\nDate: ${date}\nSubject: ${subject}\n${extra}\n${body}\n`).join('\n');
+    fs.writeFileSync(path.join(tmp, 'inbox.mbox'), mbox);
+    fs.writeFileSync(path.join(tmp, 'redaction.json'), JSON.stringify({ names: { Child: ['Emma'], Parent: ['Jane Doe', 'John Doe'] } }));
+
+    const res = spawnSync(process.execPath, [path.resolve(__dirname, '..', 'email.js'), 'inbox.mbox', '--redact', '--redaction-config', 'redaction.json'], { encoding: 'utf8', cwd: tmp });
+
+    expect(res.status).toBe(0);
+    expect(res.stdout).toMatch(/Parsed 2 email\(s\) in 1 thread\(s\)/);
+    const outputs = fs.readdirSync(path.join(tmp, 'output')).filter(f => f.startsWith('inbox'));
+    outputs.forEach(file => {
+      const text = fs.readFileSync(path.join(tmp, 'output', file), 'utf8');
+      ['Emma', 'Jane', 'John', '555-123-4567', 'mail.example.com'].forEach(secret => expect(text).not.toContain(secret));
+    });
+    const json = JSON.parse(fs.readFileSync(path.join(tmp, 'output', 'inbox.json'), 'utf8'));
+    expect(json[1]).toMatchObject({ sender: 'Parent B', subject: 'Re: Child A school pickup', inReplyTo: json[0].messageId });
+    const key = readRedactionKey(path.join(tmp, 'output', 'private', 'inbox.redaction-key.json'));
+    expect(key.pseudonyms['Child A'].values).toEqual(['Emma']);
+  });
+});
@@ -0,0 +1,177 @@
+jest.mock('polarity', () => ({ polarity: () => ({ polarity: 0 }) }), { virtual: true });
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('node:child_process');
+
+const { parseEmail, parseMbox, parseAddressList } = require('../utils/messages/email');
+const { loadChannelMessages, buildTimeline } = require('../utils/messages/timeline');
+const { processMessages } = require('../utils/ofw/parser');
+const { formatTimelineCsv, formatTimelineWeeklyCsv, parseCsv } = require('../utils/output/csv');
+const { formatTimelineMarkdown } = require('../utils/output/markdown');
+
+const ofwMessages = [
+  { sentDate: new Date(2025, 2, 3, 9, 0), sender: 'Parent A', recipientReadTimes: { 'Parent B': new Date(2025, 2, 3, 10, 0) }, subject: 'Pickup', body: 'Pickup at 5 on Friday?', wordCount: 5, sentiment: 0, sentiment_natural: 0, tone: 0, messageNumber: 1, messageTotal: 2, sourceFile: 'OFW_Report.pdf' },
+  { sentDate: new Date(2025, 2, 6, 8, 30), sender: 'Parent B', recipientReadTimes: { 'Parent A': 'Never' }, subject: 'Re: Pickup', body: 'Yes', wordCount: 1, sentiment: 0, sentiment_natural: 0, tone: 0, messageNumber: 2, messageTotal: 2, sourceFile: 'OFW_Report.pdf' },
+];
+const imessageText = [
+  'Mar 04, 2025  7:15:00 AM (Read by them after 2 minutes)',
+  'Me',
+  'Running late tomorrow',
+  'Mar 04, 2025  7:20:00 AM',
+  'Parent B',
+  'ok',
+  '',
+].join('\n');
+// The email (21:00 UTC on Mar 4) falls between the iMessages and the second OFW message in any time zone
+const mbox = [
+  'From parent.b@example.com Tue Mar  4 21:00:00 2025',
+  'Message-ID: <abc@example.com>',
+  'From: "Parent B" <parent.b@example.com>',
+  'To: parent.a@example.com',
+  'Date: Tue, 04 Mar 2025 21:00:00 +0000',
+  'Subject: =?UTF-8?Q?School_forms?=',
+  '',
+  'Please sign the forms.',
+  '>From the teacher.',
+  '',
+  'From parent.b@example.com Tue Mar  4 21:00:00 2025',
+  'Message-ID: <abc@example.com>',
+  'From: "Parent B" <parent.b@example.com>',
+  'To: parent.a@example.com',
+  'Date: Tue, 04 Mar 2025 21:00:00 +0000',
+  'Subject: School forms',
+  '',
+  'Please sign the forms.',
+  '',
+].join('\n');
+const aliases = { Me: 'Parent A', 'parent.a@example.com': 'Parent A' };
+
+function writeSources() {
+  const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'timeline-'));
+  const files = { ofw: path.join(tmp, 'OFW_Report.json'), imessage: path.join(tmp, 'chat.txt'), email: path.join(tmp, 'inbox.mbox') };
+  fs.writeFileSync(files.ofw, JSON.stringify(ofwMessages));
+  fs.writeFileSync(files.imessage, imessageText);
+  fs.writeFileSync(files.email, mbox);
+  return { tmp, files };
+}
+
+describe('email parsing', () => {
+  test('parses headers, encoded words and multipart bodies', () => {
+    const raw = [
+      'From: =?UTF-8?B?Sm9zw6k=?= <jose@example.com>',
+      'To: "Doe, Jane" <jane@example.com>, bob@example.com',
+      'Date: Wed, 05 Mar 2025 10:00:00 -0800',
+      'Subject: Hi',
+      'Content-Type: multipart/alternative; boundary="b1"',
+      '',
+      '--b1',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: quoted-printable',
+      '',
+      'Caf=C3=A9 at 5=',
+      '?',
+      '--b1',
+      'Content-Type: text/html',
+      '',
+      '<p>Café at 5?</p>',
+      '--b1--',
+    ].join('\r\n');
+    const email = parseEmail(raw);
+
+    expect(email.from).toEqual({ name: 'José', address: 'jose@example.com' });
+    expect(email.to).toEqual([{ name: 'Doe, Jane', address: 'jane@example.com' }, { name: '', address: 'bob@example.com' }]);
+    expect(email.date).toEqual(new Date('2025-03-05T18:00:00Z'));
+    expect(email.body).toBe('Café at 5?');
+    expect(parseAddressList('')).toEqual([]);
+  });
+
+  test('splits mbox entries and records their line numbers', () => {
+    const entries = parseMbox(mbox);
+
+    expect(entries.map(e => e.line)).toEqual([1, 11]);
+    expect(entries[0]).toMatchObject({ messageId: 'abc@example.com', subject: 'School forms', body: 'Please sign the forms.\nFrom the teacher.' });
+  });
+});
+
+describe('OFW source positions', () => {
+  test('processMessages records "Message N of M"', () => {
+    const text = ['Message 1 of 2', 'Sent: 01/15/2025 at 03:45 PM', 'From: A', 'To: B (First Viewed: Never)', 'Subject: S1', 'Body1', 'Message 2 of 2', 'Sent: 01/16/2025 at 10:00 AM', 'From: B', 'To: A (First Viewed: Never)', 'Subject: S2', 'Body2'].join('\n');
+
+    expect(processMessages(text).map(m => [m.messageNumber, m.messageTotal])).toEqual([[1, 2], [2, 2]]);
+  });
+});
+
+describe('buildTimeline', () => {
+  test('merges channels chronologically, removes duplicates and links to sources', () => {
+    const { files } = writeSources();
+    const messages = ['ofw', 'imessage', 'email'].flatMap(channel => loadChannelMessages(channel, files[channel]));
+    const timeline = buildTimeline(messages, { aliases });
+
+    expect(timeline.entries.map(e => [e.channel, e.sender])).toEqual([
+      ['ofw', 'Parent A'], ['imessage', 'Parent A'], ['imessage', 'Parent B'], ['email', 'Parent B'], ['ofw', 'Parent B'],
+    ]);
+    expect(timeline.entries.map(e => e.location)).toEqual([
+      'OFW_Report.pdf, Message 1 of 2', 'chat.txt, line 1', 'chat.txt, line 4', 'inbox.mbox, line 1', 'OFW_Report.pdf, Message 2 of 2',
+    ]);
+    expect(timeline.duplicates).toBe(1);
+    expect(timeline.entries[3]).toMatchObject({ recipients: ['Parent A'], duplicateLocations: ['inbox.mbox, line 11'] });
+    expect(timeline.channels.imessage.senders).toEqual({ 'Parent A': 1, 'Parent B': 1 });
+    expect(timeline.range).toEqual({ start: '2025-03-03', end: '2025-03-06' });
+  });
+
+  test('limits to the date range', () => {
+    const { files } = writeSources();
+    const timeline = buildTimeline(loadChannelMessages('ofw', files.ofw), { start: new Date(2025, 2, 4), end: new Date(2025, 2, 6) });
+
+    expect(timeline.entries).toHaveLength(1);
+    expect(timeline.range).toEqual({ start: '2025-03-04', end: '2025-03-06' });
+  });
+
+  test('Markdown, CSV and weekly CSV', () => {
+    const { files } = writeSources();
+    const messages = ['ofw', 'imessage', 'email'].flatMap(channel => loadChannelMessages(channel, files[channel]));
+    const timeline = buildTimeline(messages, { aliases });
+    const md = formatTimelineMarkdown(timeline);
+    const rows = parseCsv(formatTimelineCsv(timeline));
+    const weekly = parseCsv(formatTimelineWeeklyCsv(timeline));
+
+    expect(md).toMatch(/^# Communication Timeline — 2025-03-03 → 2025-03-06/);
+    expect(md).toContain('## 2025-03-04 (Tue)');
+    expect(md).toMatch(/- \*\*07:15\*\* \[iMessage\] \*\*Parent A\*\* → Parent B _\(chat\.txt, line 1 · IMS-[0-9A-F]{8}-000001\)_\n  > Running late tomorrow/);
+    expect(rows[0]).toEqual(['Date', 'Time', 'Channel', 'Sender', 'Recipients', 'Subject', 'Body', 'Words', 'Tone', 'Source', 'Source ID', 'Duplicates']);
+    expect(rows[1].slice(0, 4)).toEqual(['2025-03-03', '09:00', 'OFW', 'Parent A']);
+    expect(weekly[0]).toEqual(['Week Start', 'Week End', 'Channel', 'Name', 'Messages Sent', 'Messages Read', 'Total Words', 'Tone']);
+    expect(weekly).toContainEqual(['2025-03-02', '2025-03-08', 'iMessage', 'Parent B', '1', '1', '1', '0.50']);
+  });
+});
+
+describe('timeline CLI', () => {
+  const cliPath = path.resolve(__dirname, '..', 'timeline.js');
+
+  test('writes Markdown, CSV, weekly CSV and JSON', () => {
+    const { tmp, files } = writeSources();
+    const configPath = path.join(tmp, 'timeline.config.json');
+    fs.writeFileSync(configPath, JSON.stringify({ aliases, email: [files.email] }));
+    const res = spawnSync(process.execPath, [cliPath, '--config', configPath, '--ofw', files.ofw, '--imessage', files.imessage, '--out-dir', tmp], { encoding: 'utf8' });
+
+    expect(res.status).toBe(0);
+    expect(res.stdout).toMatch(/5 message\(s\), 1 duplicate\(s\) removed/);
+    ['.md', '.csv', '-weekly.csv', '.json'].forEach(ext => {
+      expect(fs.existsSync(path.join(tmp, `timeline-2025-03-03_2025-03-06${ext}`))).toBe(true);
+    });
+    const json = JSON.parse(fs.readFileSync(path.join(tmp, 'timeline-2025-03-03_2025-03-06.json'), 'utf8'));
+    expect(json.entries[0]).toMatchObject({ channel: 'ofw', location: 'OFW_Report.pdf, Message 1 of 2' });
+  });
+
+  test('requires a source', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'timeline-'));
+    const configPath = path.join(tmp, 'timeline.config.json');
+    fs.writeFileSync(configPath, '{}');
+    const res = spawnSync(process.execPath, [cliPath, '--config', configPath], { encoding: 'utf8' });
+
+    expect(res.status).toBe(1);
+    expect(res.stderr).toMatch(/At least one source is required/);
+  });
+});
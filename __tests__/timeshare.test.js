@@ -0,0 +1,151 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('node:child_process');
+
+const { getCourtWeeksInRange } = require('../utils/visitation/weeks');
+const {
+  buildTimeshareLedger,
+  summarizeTimeshare,
+  summarizeTimeshareLedgerCsv,
+  calculateTimeshare,
+} = require('../utils/visitation/timeshare');
+const { formatTimeshareLedgerCsv, parseCsv } = require('../utils/output/csv');
+const { parseTimeOfDay, parseLocalDateTime } = require('../utils/date');
+
+describe('getCourtWeeksInRange', () => {
+  test('drops the trailing 5th week that belongs to the next month', () => {
+    // Feb 2025 has four Fridays; its would-be 5th week is March's Week 1
+    const weeks = getCourtWeeksInRange(new Date(2025, 1, 1), new Date(2025, 2, 31));
+    const starts = weeks.map(w => w.startOfWeek.getTime());
+
+    expect(new Set(starts).size).toBe(starts.length);
+    expect(weeks.filter(w => w.month === 2)).toHaveLength(4);
+    expect(weeks.find(w => w.month === 3).weekIndex).toBe(0);
+  });
+});
+
+describe('timeshare ledger', () => {
+  test('counts 24 hourly slots per day', () => {
+    const ledger = buildTimeshareLedger(new Date(2025, 0, 1), new Date(2025, 0, 31));
+    expect(ledger).toHaveLength(31 * 24);
+  });
+
+  test('attributes Wednesday and weekend visits to the visiting parent', () => {
+    // Feb 2025: Wed 5th visit (4h) + weekend Sat 15th 10:00 → Sun 16th 18:00 (32h) + Wed 19th (4h)
+    const { summary } = calculateTimeshare(new Date(2025, 1, 1), new Date(2025, 1, 28));
+
+    expect(summary.totalHours).toBe(28 * 24);
+    expect(summary.byParent['Visiting Parent'].hours).toBe(40);
+  });
+
+  test('overrides replace the regular rotation', () => {
+    const config = {
+      overrides: [
+        { name: 'Holiday', start: '2025-02-10T09:00', end: '2025-02-11T09:00', parent: 'visiting' },
+        { name: 'Swap', start: '2025-02-15', end: '2025-02-17', parent: 'primary' },
+      ],
+    };
+    const ledger = buildTimeshareLedger(new Date(2025, 1, 1), new Date(2025, 1, 28), { config });
+    const summary = summarizeTimeshare(ledger);
+
+    expect(summary.byParent['Visiting Parent'].hours).toBe(4 + 24 + 4);
+    expect(ledger.find(r => r.source === 'holiday:holiday').hourStart.getHours()).toBe(9);
+  });
+
+  test('overrides win over configured holidays they overlap', () => {
+    const config = {
+      holidays: [{ name: 'Presidents Day', date: 'presidentsDay', parent: 'visiting' }],
+      overrides: [{ name: 'Swap', start: '2025-02-17T12:00', end: '2025-02-18', parent: 'primary' }],
+    };
+    const ledger = buildTimeshareLedger(new Date(2025, 1, 17), new Date(2025, 1, 17), { config });
+
+    expect(ledger.filter(r => r.parent === 'visiting')).toHaveLength(12);
+    expect(ledger[11].source).toBe('holiday:presidents-day');
+    expect(ledger[12]).toMatchObject({ parent: 'primary', source: 'holiday:swap' });
+  });
+
+  test('steps by real hours across daylight-saving changes', () => {
+    // The time zone is fixed per process, so the ledger is built in a child running in Los Angeles time
+    const script = `
+      const { buildTimeshareLedger } = require(${JSON.stringify(path.resolve(__dirname, '..', 'utils/visitation/timeshare'))});
+      const hours = (d) => buildTimeshareLedger(d, d).map(r => r.hourStart.getHours());
+      console.log(JSON.stringify({ spring: hours(new Date(2025, 2, 9)), fall: hours(new Date(2025, 10, 2)) }));
+    `;
+    const child = spawnSync(process.execPath, ['-e', script], { encoding: 'utf8', env: { ...process.env, TZ: 'America/Los_Angeles' } });
+
+    expect(child.status).toBe(0);
+    const { spring, fall } = JSON.parse(child.stdout);
+    expect(spring).toHaveLength(23);
+    expect(spring.slice(0, 4)).toEqual([0, 1, 3, 4]);
+    expect(fall).toHaveLength(25);
+    expect(fall.slice(0, 4)).toEqual([0, 1, 1, 2]);
+  });
+
+  test('calculateTimeshare resolves the config once', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'timeshare-'));
+    const holidaysPath = path.join(tmp, 'holidays.json');
+    fs.writeFileSync(holidaysPath, JSON.stringify({ holidays: [{ name: 'Presidents Day', date: 'presidentsDay', parent: 'visiting' }] }));
+    const read = jest.spyOn(fs, 'readFileSync');
+    try {
+      const { summary } = calculateTimeshare(new Date(2025, 1, 1), new Date(2025, 1, 28), { config: { holidays: holidaysPath } });
+
+      expect(read.mock.calls.filter(([file]) => file === holidaysPath)).toHaveLength(1);
+      expect(summary.byParent['Visiting Parent'].hours).toBe(40 + 24);
+    } finally {
+      read.mockRestore();
+    }
+  });
+
+  test('rejects overrides without a valid parent role', () => {
+    const config = { overrides: [{ name: 'Bad', start: '2025-02-10', end: '2025-02-11', parent: 'mom' }] };
+    expect(() => buildTimeshareLedger(new Date(2025, 1, 1), new Date(2025, 1, 28), { config })).toThrow(/Bad/);
+  });
+
+  test('ledger CSV round-trips to the same percentages', () => {
+    const result = calculateTimeshare(new Date(2025, 0, 1), new Date(2025, 2, 31));
+    const csv = formatTimeshareLedgerCsv(result.ledger, result.parents);
+
+    expect(parseCsv(csv)[0]).toEqual(['Date', 'Hour Start', 'Weekday', 'Parent', 'Role', 'Source']);
+    expect(summarizeTimeshareLedgerCsv(csv).byParent).toEqual(result.summary.byParent);
+  });
+});
+
+describe('date helpers', () => {
+  test('parseTimeOfDay and parseLocalDateTime', () => {
+    expect(parseTimeOfDay('15:30')).toBe(930);
+    expect(() => parseTimeOfDay('25:00')).toThrow();
+    expect(parseLocalDateTime('2025-03-04T07:15').getTime()).toBe(new Date(2025, 2, 4, 7, 15).getTime());
+  });
+});
+
+describe('timeshare CLI', () => {
+  const cliPath = path.resolve(__dirname, '..', 'timeshare.js');
+  const childSupportCli = path.resolve(__dirname, '..', 'childsupport.js');
+
+  test('writes a ledger that childsupport.js can consume', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'timeshare-'));
+    const ledgerPath = path.join(tmp, 'ledger.csv');
+    const res = spawnSync(process.execPath, [cliPath, '--year', '2025', '--out', ledgerPath], { encoding: 'utf8' });
+
+    expect(res.status).toBe(0);
+    expect(res.stdout).toMatch(/Visiting Parent: 864 of 8760 hours/);
+
+    const configPath = path.join(tmp, 'cs.json');
+    fs.writeFileSync(configPath, JSON.stringify({ parentA: { name: 'Visiting Parent' } }));
+    const cs = spawnSync(process.execPath, [childSupportCli, '--config', configPath, '--timeshare-ledger', ledgerPath, '--no-explain'], { encoding: 'utf8' });
+    expect(cs.status).toBe(0);
+    expect(cs.stdout).toMatch(/Visiting Parent 9\.86%/);
+
+    fs.writeFileSync(configPath, JSON.stringify({ parentA: { name: 'Someone Else' } }));
+    const missing = spawnSync(process.execPath, [childSupportCli, '--config', configPath, '--timeshare-ledger', ledgerPath], { encoding: 'utf8' });
+    expect(missing.status).toBe(1);
+    expect(missing.stderr).toMatch(/not found in timeshare ledger/);
+  });
+
+  test('exits 1 when only one of --start/--end is given', () => {
+    const res = spawnSync(process.execPath, [cliPath, '--start', '2025-01-01', '--no-csv'], { encoding: 'utf8' });
+    expect(res.status).toBe(1);
+    expect(res.stderr).toMatch(/--start and --end/);
+  });
+});
@@ -25,3 +25,29 @@ describe('visitation-cal basics', () => {
 });
 
 
+const path = require('path');
+const { spawnSync } = require('node:child_process');
+
+describe('visitation-cal CLI', () => {
+  const cliPath = path.resolve(__dirname, '..', 'visitation-cal.js');
+
+  test('lists Week 1 events that fall in the previous month', () => {
+    // Week 1 of May 2025 starts Sun Apr 27; its Wednesday visit is Apr 30
+    const res = spawnSync(process.execPath, [cliPath, '2025', '5'], { encoding: 'utf8' });
+
+    expect(res.status).toBe(0);
+    expect(res.stdout).toMatch(/Week 1: Sun Apr 27 2025 - Sat May 03 2025\n - Wednesday Visit: Wed Apr 30 2025 15:00–19:00/);
+    expect(res.stdout).toMatch(/Wednesday Visit: 2 → Wed Apr 30 2025 15:00–19:00 \| Wed May 14 2025 15:00–19:00/);
+  });
+
+  test('leaves a trailing week anchored in the next month without events', () => {
+    // Jul 27 – Aug 2 2025 has its Friday on Aug 1, so it is August's Week 1
+    const july = spawnSync(process.execPath, [cliPath, '2025', '7'], { encoding: 'utf8' });
+    const august = spawnSync(process.execPath, [cliPath, '2025', '8'], { encoding: 'utf8' });
+
+    expect(july.status).toBe(0);
+    expect(july.stdout).toMatch(/Week 5: Sun Jul 27 2025 - Sat Aug 02 2025\n\nSummary/);
+    expect(july.stdout).toMatch(/Wednesday Visit: 2 → Wed Jul 02 2025 15:00–19:00 \| Wed Jul 16 2025 15:00–19:00/);
+    expect(august.stdout).toMatch(/Week 1: Sun Jul 27 2025 - Sat Aug 02 2025\n - Wednesday Visit: Wed Jul 30 2025 15:00–19:00/);
+  });
+});
@@ -0,0 +1,129 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('node:child_process');
+
+const { resolveHolidayDate, getEasterSunday, validateHolidays, expandHolidays } = require('../utils/visitation/holidays');
+const { loadSchedule, withHolidays, evaluateSchedule, custodyAt } = require('../utils/visitation/schedule');
+const { formatScheduleIcs } = require('../utils/output/ics');
+const { calculateTimeshare } = require('../utils/visitation/timeshare');
+
+const thanksgiving = {
+  name: 'Thanksgiving',
+  date: 'thanksgiving',
+  startOffsetDays: -1,
+  start: '18:00',
+  endOffsetDays: 3,
+  end: '18:00',
+  alternate: { odd: 'visiting', even: 'primary' },
+};
+const holidaysConfig = {
+  holidays: [thanksgiving, { name: "Mother's Day", date: 'mothersDay', start: '09:00', end: '19:00', parent: 'primary' }],
+  schoolBreaks: [{ name: 'Spring Break', startDate: '2025-04-14', endDate: '2025-04-18', parent: 'visiting' }],
+};
+
+describe('holiday dates', () => {
+  test('computes nth and last weekday holidays and Easter', () => {
+    expect(resolveHolidayDate('thanksgiving', 2025)).toEqual(new Date(2025, 10, 27));
+    expect(resolveHolidayDate('memorialDay', 2025)).toEqual(new Date(2025, 4, 26));
+    expect(resolveHolidayDate({ month: 9, weekday: 'Monday', nth: 1 }, 2026)).toEqual(new Date(2026, 8, 7));
+    expect(getEasterSunday(2025)).toEqual(new Date(2025, 3, 20));
+    expect(getEasterSunday(2026)).toEqual(new Date(2026, 3, 5));
+  });
+
+  test('one-off dates only occur in their year', () => {
+    expect(resolveHolidayDate('2025-06-12', 2025)).toEqual(new Date(2025, 5, 12));
+    expect(resolveHolidayDate('2025-06-12', 2026)).toBeNull();
+  });
+
+  test('alternates the parent by odd/even year', () => {
+    const spans = expandHolidays({ holidays: [thanksgiving] }, new Date(2025, 0, 1), new Date(2026, 11, 31));
+
+    expect(spans.map(s => [s.start.getFullYear(), s.parent])).toEqual([[2025, 'visiting'], [2026, 'primary']]);
+    expect(spans[0].start).toEqual(new Date(2025, 10, 26, 18));
+    expect(spans[0].end).toEqual(new Date(2025, 10, 30, 18));
+  });
+});
+
+describe('holiday overlay', () => {
+  const schedule = withHolidays(loadSchedule(), holidaysConfig);
+
+  test('marks fully and partly replaced events', () => {
+    const events = evaluateSchedule(schedule, new Date(2025, 10, 1), new Date(2025, 10, 30));
+    const weekend = events.find(ev => ev.id === 'weekend-visit' && ev.start.getDate() === 29);
+    const zoom = events.find(ev => ev.id === 'wednesday-zoom' && ev.start.getDate() === 26);
+
+    expect(weekend).toMatchObject({ overridden: 'full', overriddenBy: 'Thanksgiving' });
+    expect(zoom).toMatchObject({ overridden: 'partial' });
+    expect(events.find(ev => ev.id === 'holiday:thanksgiving')).toMatchObject({ type: 'holiday', category: 'holiday', parent: 'visiting' });
+  });
+
+  test('a primary-parent holiday takes custody from the regular weekend', () => {
+    const events = evaluateSchedule(schedule, new Date(2025, 4, 1), new Date(2025, 4, 31));
+
+    expect(custodyAt(events, new Date(2025, 4, 11, 12)).parent).toBe('primary');
+    expect(custodyAt(events, new Date(2025, 4, 11, 8)).parent).toBe('visiting');
+  });
+
+  test('timeshare counts school breaks and holidays', () => {
+    const { ledger } = calculateTimeshare(new Date(2025, 3, 14), new Date(2025, 3, 18), { config: { schoolBreaks: holidaysConfig.schoolBreaks } });
+
+    expect(ledger.every(r => r.parent === 'visiting' && r.source === 'school:spring-break')).toBe(true);
+  });
+
+  test('cancels fully replaced events in the calendar export', () => {
+    const events = evaluateSchedule(schedule, new Date(2025, 10, 1), new Date(2025, 10, 30));
+    const ics = formatScheduleIcs(events, { scheduleName: 'default-order', now: new Date(Date.UTC(2025, 0, 1)) });
+
+    expect(ics.match(/STATUS:CANCELLED/g)).toHaveLength(1);
+    expect(ics).toContain('Replaced by Thanksgiving');
+  });
+});
+
+describe('validateHolidays', () => {
+  test('reports entry errors with their position', () => {
+    const errors = validateHolidays({
+      holidays: [{ name: 'Day', date: 'someday' }, { date: { month: 11, weekday: 'Thursday', nth: 6 }, parent: 'dad' }],
+      schoolBreaks: [{ name: 'Break', startDate: '2025-04-14', alternate: { odd: 'visiting' } }],
+    });
+
+    expect(errors.some(e => e.startsWith('holidays[0].date must be a built-in holiday'))).toBe(true);
+    expect(errors).toEqual(expect.arrayContaining([
+      'holidays[1].name is required',
+      'holidays[1].parent must be "primary" or "visiting"',
+      'schoolBreaks[0].alternate must set "odd" and "even" to "primary" or "visiting"',
+      'schoolBreaks[0].endDate must be YYYY-MM-DD',
+    ]));
+  });
+
+  test('withHolidays rejects invalid entries', () => {
+    expect(() => withHolidays(loadSchedule(), { holidays: [{ name: 'x', date: '13-45x' }] })).toThrow(/Invalid holidays/);
+  });
+});
+
+describe('visitation CLI --holidays', () => {
+  const cliPath = path.resolve(__dirname, '..', 'visitation-cal.js');
+
+  test('marks overridden events in the list and grid', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'holidays-'));
+    const file = path.join(tmp, 'holidays.json');
+    fs.writeFileSync(file, JSON.stringify(holidaysConfig));
+    const res = spawnSync(process.execPath, [cliPath, '2025', '11', '--grid', '--holidays', file], { encoding: 'utf8' });
+
+    expect(res.status).toBe(0);
+    expect(res.stdout).toMatch(/Thanksgiving \(Visiting\): Wed Nov 26 2025 18:00 → Sun Nov 30 2025 18:00 \[holiday\]/);
+    expect(res.stdout).toMatch(/Weekend Visit: Sat Nov 29 2025 10:00 → Sun Nov 30 2025 18:00 \[overridden by Thanksgiving\]/);
+    expect(res.stdout).toMatch(/\| VH\* {3}\|/);
+    expect(res.stdout).toMatch(/H: holiday or school break/);
+  });
+
+  test('exits 1 on an invalid holidays file', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'holidays-'));
+    const file = path.join(tmp, 'bad.json');
+    fs.writeFileSync(file, JSON.stringify({ holidays: [{ name: 'x', date: 'nope' }] }));
+    const res = spawnSync(process.execPath, [cliPath, '2025', '11', '--holidays', file], { encoding: 'utf8' });
+
+    expect(res.status).toBe(1);
+    expect(res.stderr).toMatch(/Invalid holidays/);
+  });
+});
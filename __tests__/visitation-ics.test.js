@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('node:child_process');
+
+const { escapeIcsText, foldIcsLine, formatScheduleIcs } = require('../utils/output/ics');
+const { loadSchedule, evaluateSchedule } = require('../utils/visitation/schedule');
+
+const now = new Date(Date.UTC(2025, 0, 1, 12, 0, 0));
+const aprilEvents = (schedule) => evaluateSchedule(schedule, new Date(2024, 3, 1), new Date(2024, 3, 30))
+  .filter(ev => ev.start.getMonth() === 3);
+const uids = (ics) => ics.split('\r\n').filter(l => l.startsWith('UID:'));
+
+describe('ics helpers', () => {
+  test('escapes TEXT values', () => {
+    expect(escapeIcsText('a,b;c\\d\ne')).toBe('a\\,b\\;c\\\\d\\ne');
+  });
+
+  test('folds long lines at 75 octets without splitting characters', () => {
+    const line = `DESCRIPTION:${'José '.repeat(30)}`;
+    const folded = foldIcsLine(line);
+    const parts = folded.split('\r\n');
+
+    parts.forEach(p => expect(Buffer.byteLength(p, 'utf8')).toBeLessThanOrEqual(75));
+    expect(parts.slice(1).every(p => p.startsWith(' '))).toBe(true);
+    expect(folded.replace(/\r\n /g, '')).toBe(line);
+  });
+});
+
+describe('formatScheduleIcs', () => {
+  test('emits one VEVENT per visit, Zoom call and weekend visit', () => {
+    const ics = formatScheduleIcs(aprilEvents(loadSchedule()), { scheduleName: 'default-order', now, location: 'Exchange: 1 Main St' });
+
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(6);
+    expect(ics).toContain('UID:default-order-wednesday-visit-20240403@ofw-tools');
+    expect(ics).toContain('DTSTART:20240413T100000\r\nDTEND:20240414T180000');
+    expect(ics).toContain('DTSTART;VALUE=DATE:20240410\r\nDTEND;VALUE=DATE:20240411');
+    expect(ics).toContain('DTSTAMP:20250101T120000Z');
+    expect(ics.match(/LOCATION:Exchange: 1 Main St/g)).toHaveLength(4); // not on Zoom calls
+  });
+
+  test('UIDs stay stable when times or locations change', () => {
+    const base = loadSchedule();
+    const changed = {
+      ...base,
+      rules: base.rules.map(r => (r.id === 'wednesday-visit' ? { ...r, start: '16:00', end: '20:00', location: 'School' } : r)),
+    };
+    const before = formatScheduleIcs(aprilEvents(base), { scheduleName: 'default-order', now });
+    const after = formatScheduleIcs(aprilEvents(loadSchedule(changed)), { scheduleName: 'default-order', now });
+
+    expect(uids(after)).toEqual(uids(before));
+    expect(after).toContain('DTSTART:20240403T160000');
+    expect(after).toContain('LOCATION:School');
+  });
+
+  test('a later export has a higher SEQUENCE and LAST-MODIFIED', () => {
+    const sequences = (ics) => Array.from(new Set(ics.match(/^SEQUENCE:\d+/gm)));
+    const before = formatScheduleIcs(aprilEvents(loadSchedule()), { scheduleName: 'default-order', now });
+    const after = formatScheduleIcs(aprilEvents(loadSchedule()), { scheduleName: 'default-order', now: new Date(now.getTime() + 60000) });
+
+    expect(sequences(before)).toEqual(['SEQUENCE:789048000']);
+    expect(sequences(after)).toEqual(['SEQUENCE:789048060']);
+    expect(before).toContain('LAST-MODIFIED:20250101T120000Z');
+    expect(after).toContain('LAST-MODIFIED:20250101T120100Z');
+  });
+});
+
+describe('visitation CLI --ics', () => {
+  const cliPath = path.resolve(__dirname, '..', 'visitation-cal.js');
+
+  test('writes a month and a date range', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'visitation-ics-'));
+    const monthFile = path.join(tmp, 'april.ics');
+    const month = spawnSync(process.execPath, [cliPath, '2024', '4', '--ics', monthFile], { encoding: 'utf8' });
+    expect(month.status).toBe(0);
+    expect(month.stdout).toMatch(/Wrote 6 events/);
+    expect(fs.readFileSync(monthFile, 'utf8').match(/BEGIN:VEVENT/g)).toHaveLength(6);
+
+    const rangeFile = path.join(tmp, 'year.ics');
+    const range = spawnSync(process.execPath, [cliPath, '--start', '2024-01-01', '--end', '2024-12-31', '--ics', rangeFile], { encoding: 'utf8' });
+    expect(range.status).toBe(0);
+    expect(range.stdout).toMatch(/Wrote 72 events/); // 12 months × (2 visits + 2 Zooms + 2 weekends)
+  });
+
+  test('range mode requires --ics', () => {
+    const res = spawnSync(process.execPath, [cliPath, '--start', '2024-01-01', '--end', '2024-01-31'], { encoding: 'utf8' });
+    expect(res.status).toBe(1);
+    expect(res.stderr).toMatch(/only supported with --ics/);
+  });
+});
@@ -0,0 +1,175 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('node:child_process');
+
+const {
+  listPresets,
+  loadSchedule,
+  validateSchedule,
+  evaluateSchedule,
+  eventsOnDay,
+} = require('../utils/visitation/schedule');
+const { getWeeksInfo } = require('../utils/visitation/weeks');
+const { calculateTimeshare } = require('../utils/visitation/timeshare');
+
+const daysFor = (events, parent) => events.filter(ev => ev.parent === parent);
+
+describe('schedule presets', () => {
+  test('every shipped preset loads and validates', () => {
+    const presets = listPresets();
+    expect(presets).toEqual(expect.arrayContaining(['default-order', '2-2-3', '2-2-5-5', 'alternating-weeks', 'every-other-weekend-midweek']));
+    presets.forEach(name => expect(() => loadSchedule(name)).not.toThrow());
+  });
+
+  test('default order reproduces the 1st/3rd visit, 2nd/4th Zoom and weekend pattern', () => {
+    const weeks = getWeeksInfo(2024, 4, 5);
+
+    // Week 5 (Apr 28 – May 4) is May's Week 1, so its Wednesday (May 1) visit is not April's
+    expect(weeks.map(w => w.visitType)).toEqual(['Visit', 'Zoom', 'Visit', 'Zoom', 'None']);
+    expect(weeks.map(w => w.weekendVisit)).toEqual([false, true, false, true, false]);
+  });
+});
+
+describe('evaluateSchedule rule types', () => {
+  test('2-2-3 rotation gives each parent 7 of 14 days and flips each week', () => {
+    const schedule = loadSchedule('2-2-3');
+    const events = evaluateSchedule(schedule, new Date(2025, 0, 6), new Date(2025, 0, 19))
+      .filter(ev => ev.start >= new Date(2025, 0, 6) && ev.start < new Date(2025, 0, 20));
+    const days = (parent) => daysFor(events, parent).reduce((a, ev) => a + (ev.end - ev.start) / 86400000, 0);
+
+    expect(events.map(ev => ev.parent)).toEqual(['visiting', 'primary', 'visiting', 'primary', 'visiting', 'primary']);
+    expect(days('visiting')).toBeCloseTo(7, 1);
+    expect(days('primary')).toBeCloseTo(7, 1);
+  });
+
+  test('2-2-5-5 rotation keeps the same weekdays for each parent', () => {
+    const schedule = loadSchedule('2-2-5-5');
+    const events = evaluateSchedule(schedule, new Date(2025, 0, 6), new Date(2025, 1, 28));
+    const noon = (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate(), 12);
+    [new Date(2025, 0, 7), new Date(2025, 0, 14), new Date(2025, 1, 4)].forEach(tuesday => {
+      const t = noon(tuesday);
+      const owner = events.find(ev => ev.start <= t && t < ev.end);
+      expect(owner.parent).toBe('visiting');
+    });
+  });
+
+  test('alternatingWeeks exchanges on the start weekday at the exchange time', () => {
+    const schedule = loadSchedule('alternating-weeks');
+    const events = evaluateSchedule(schedule, new Date(2025, 0, 3), new Date(2025, 0, 31));
+
+    events.forEach(ev => {
+      expect(ev.start.getDay()).toBe(5);
+      expect(ev.start.getHours()).toBe(18);
+    });
+    expect(events.find(ev => ev.start.getDate() === 3).parent).toBe('visiting');
+    expect(events.find(ev => ev.start.getDate() === 10).parent).toBe('primary');
+  });
+
+  test('everyOtherWeekend plus midweek', () => {
+    const schedule = {
+      rules: [{ type: 'everyOtherWeekend', startDate: '2025-03-07', midweek: { day: 'Wednesday', start: '16:00', end: '20:00' } }],
+    };
+    const events = evaluateSchedule(loadSchedule(schedule), new Date(2025, 2, 2), new Date(2025, 2, 29));
+
+    expect(events.filter(ev => ev.id.endsWith(':midweek'))).toHaveLength(4);
+    expect(events.filter(ev => !ev.id.endsWith(':midweek')).map(ev => ev.start.getDate())).toEqual([7, 21]);
+  });
+
+  test('yearly blocks honor odd/even years and wrap across New Year', () => {
+    const schedule = loadSchedule({
+      rules: [{ type: 'block', startDate: '12-26', endDate: '01-01', years: 'odd' }],
+    });
+    const events = evaluateSchedule(schedule, new Date(2024, 0, 5), new Date(2026, 11, 31));
+
+    expect(events).toHaveLength(1);
+    expect(events[0].start).toEqual(new Date(2025, 11, 26));
+    expect(events[0].end).toEqual(new Date(2026, 0, 2));
+  });
+
+  test('effectiveFrom/effectiveTo bound rules for an order change', () => {
+    const schedule = loadSchedule({
+      rules: [
+        { id: 'old', type: 'weekly', day: 'Wednesday', effectiveTo: '2025-03-15' },
+        { id: 'new', type: 'weekly', day: 'Thursday', effectiveFrom: '2025-03-16' },
+      ],
+    });
+    const events = evaluateSchedule(schedule, new Date(2025, 2, 1), new Date(2025, 2, 31));
+
+    expect(events.filter(ev => ev.id === 'old').map(ev => ev.start.getDate())).toEqual([5, 12]);
+    expect(events.filter(ev => ev.id === 'new').map(ev => ev.start.getDate())).toEqual([20, 27]);
+  });
+
+  test('eventsOnDay returns events touching the day', () => {
+    const events = evaluateSchedule(loadSchedule(), new Date(2024, 3, 1), new Date(2024, 3, 30));
+    expect(eventsOnDay(events, new Date(2024, 3, 14)).map(ev => ev.id)).toEqual(['weekend-visit']);
+  });
+});
+
+describe('validateSchedule', () => {
+  test('reports rule errors with their position', () => {
+    const errors = validateSchedule({
+      rules: [
+        { type: 'monthlyWeeks', weeks: [0, 6], day: 'Funday' },
+        { id: 'rot', type: 'rotation', pattern: [2, 'x'], startDate: 'soon' },
+        { type: 'nap' },
+      ],
+    });
+
+    expect(errors).toEqual(expect.arrayContaining([
+      'rules[0].weeks must list court week numbers 1-5',
+      'rules[0].day must be a weekday name',
+      'rules[1] (rot).startDate must be YYYY-MM-DD',
+      'rules[1] (rot).pattern must list positive whole days, e.g. [2, 2, 3]',
+    ]));
+    expect(errors.some(e => e.startsWith('rules[2].type'))).toBe(true);
+  });
+
+  test('loadSchedule rejects unknown presets', () => {
+    expect(() => loadSchedule('does-not-exist')).toThrow(/Unknown schedule "does-not-exist"/);
+  });
+});
+
+describe('schedule-driven timeshare', () => {
+  test('later rules take precedence over earlier ones', () => {
+    const schedule = {
+      rules: [
+        { id: 'weekend', type: 'everyOtherWeekend', startDate: '2025-07-04' },
+        { id: 'summer', type: 'block', startDate: '07-01', endDate: '07-14', parent: 'primary' },
+      ],
+    };
+    const { ledger } = calculateTimeshare(new Date(2025, 6, 1), new Date(2025, 6, 31), { config: { schedule } });
+    const july5 = ledger.filter(r => r.hourStart.getDate() === 5);
+    const july19 = ledger.filter(r => r.hourStart.getDate() === 19);
+
+    expect(july5.every(r => r.parent === 'primary' && r.source === 'summer')).toBe(true);
+    expect(july19.every(r => r.parent === 'visiting' && r.source === 'weekend')).toBe(true);
+  });
+
+  test('legacy wednesdayVisit/weekendVisit times still adjust the default order', () => {
+    const config = { wednesdayVisit: { start: '14:00', end: '20:00' } };
+    const { summary } = calculateTimeshare(new Date(2025, 1, 1), new Date(2025, 1, 28), { config });
+
+    expect(summary.byParent['Visiting Parent'].hours).toBe(6 + 32 + 6);
+  });
+});
+
+describe('visitation CLI with schedules', () => {
+  const cliPath = path.resolve(__dirname, '..', 'visitation-cal.js');
+
+  test('labels weeks from a preset', () => {
+    const res = spawnSync(process.execPath, [cliPath, '2025', '3', '--schedule', '2-2-3', '--grid'], { encoding: 'utf8' });
+    expect(res.status).toBe(0);
+    expect(res.stdout).toMatch(/2-2-3 \(Visiting\): Mon Mar 03 2025 18:00 → Wed Mar 05 2025 18:00/);
+    expect(res.stdout).toMatch(/V: visiting parent/);
+  });
+
+  test('exits 1 on an invalid schedule file', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'schedule-'));
+    const file = path.join(tmp, 'bad.json');
+    fs.writeFileSync(file, JSON.stringify({ rules: [{ type: 'monthlyWeeks', weeks: [9], day: 'Wednesday' }] }));
+    const res = spawnSync(process.execPath, [cliPath, '2025', '3', '--schedule', file], { encoding: 'utf8' });
+    expect(res.status).toBe(1);
+    expect(res.stderr).toMatch(/weeks must list court week numbers/);
+  });
+});
@@ -0,0 +1,296 @@
+/**
+ * Guideline Child Support Calculator CLI
+ *
+ * Purpose
+ * - Estimate California guideline child support using CS = K[HN − (H%)(TN)]
+ * - Derive net disposable income from gross income with the DissoMaster tax calculator
+ * - Feed the result into the spousal support calculation as the child support offset
+ *
+ * Legal background (California)
+ * - Family Code § 4055 (statewide uniform guideline; K-factor, multipliers, low-income adjustment)
+ * - Family Code § 4059 (net disposable income)
+ *
+ * Important Legal Disclaimers
+ * - Estimates only; this does not replace certified guideline software (DissoMaster/XSpouse)
+ * - Net disposable income is simplified (no hardship, mandatory union dues, or new-mate income)
+ * - Always consult with qualified professionals for legal and tax advice
+ *
+ * CLI Usage
+ * - node childsupport.js [--config <path-to-json>] [--out-json <path>] [--timeshare <percent>]
+ *   --config: Provide inputs via JSON; otherwise the tool will look for
+ *             source_files/childsupport.config.json (gitignored) if present
+ *   --timeshare: Parent A's timeshare percentage (0-100); overrides the config value
+ *   --timeshare-ledger: Derive Parent A's timeshare from a ledger CSV written by timeshare.js
+ *                       (matched by parentA.name against the ledger's Parent column)
+ *   --children: Number of children; overrides the config value
+ *   --out-json: Write a machine-readable JSON summary of calculation results
+ *   --summary: Print only the support result
+ *   --no-explain: Hide explanatory header and disclaimers
+ *   --no-spousal: Skip the spousal support calculation
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { calculateChildSupport } = require('./utils/childsupport/calculator');
+const { sanitizeInput } = require('./utils/dissomaster/validation');
+const { summarizeTimeshareLedgerCsv } = require('./utils/visitation/timeshare');
+
+// Default values for demonstration (neutral example data)
+const defaults = {
+    parentA: {
+        name: 'Parent A',
+        grossIncome: 120000,
+        filingStatus: 'single',
+        healthInsurance: 6000,
+        retirementContributions: 6000
+    },
+    parentB: {
+        name: 'Parent B',
+        grossIncome: 48000,
+        filingStatus: 'headOfHousehold',
+        healthInsurance: 2400,
+        retirementContributions: 0
+    },
+    options: {
+        numberOfChildren: 1,
+        timesharePercentA: 20,
+        applyLowIncomeAdjustment: true,
+        hardshipDeduction: 0,
+        supportCap: null
+    }
+};
+
+/**
+ * Read an optional JSON config (explicit path or default in source_files/).
+ * @param {string[]} argv
+ * @returns {object}
+ */
+function loadConfig(argv) {
+    const configIdx = argv.indexOf('--config');
+    if (configIdx !== -1 && argv[configIdx + 1]) {
+        const configPath = argv[configIdx + 1];
+        try {
+            const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+            console.log(`Using configuration from ${configPath}`);
+            return config;
+        } catch (e) {
+            console.error('Failed to read config JSON:', e.message);
+            process.exit(1);
+        }
+    }
+    const defaultConfig = path.join(__dirname, 'source_files', 'childsupport.config.json');
+    if (fs.existsSync(defaultConfig)) {
+        try {
+            const config = JSON.parse(fs.readFileSync(defaultConfig, 'utf8'));
+            console.log(`Using configuration from ${defaultConfig}`);
+            return config;
+        } catch (e) {
+            console.error('Failed to read default config JSON:', e.message);
+            process.exit(1);
+        }
+    }
+    return {};
+}
+
+/**
+ * Merge defaults, config and CLI overrides into calculator input.
+ * @param {object} config
+ * @param {string[]} argv
+ * @returns {{ parentA: object, parentB: object, options: object }}
+ */
+function buildInput(config, argv) {
+    const input = {
+        parentA: { ...defaults.parentA, ...config.parentA },
+        parentB: { ...defaults.parentB, ...config.parentB },
+        options: { ...defaults.options, ...config.options }
+    };
+    const ledgerIdx = argv.indexOf('--timeshare-ledger');
+    if (ledgerIdx !== -1 && argv[ledgerIdx + 1]) {
+        input.options.timesharePercentA = readLedgerTimeshare(argv[ledgerIdx + 1], input.parentA.name);
+    }
+    const timeshareIdx = argv.indexOf('--timeshare');
+    if (timeshareIdx !== -1 && argv[timeshareIdx + 1]) {
+        input.options.timesharePercentA = Number(argv[timeshareIdx + 1]);
+    }
+    const childrenIdx = argv.indexOf('--children');
+    if (childrenIdx !== -1 && argv[childrenIdx + 1]) {
+        input.options.numberOfChildren = Number(argv[childrenIdx + 1]);
+    }
+    const { name: nameA } = input.parentA;
+    const { name: nameB } = input.parentB;
+    input.parentA = { ...sanitizeInput(input.parentA), name: nameA };
+    input.parentB = { ...sanitizeInput(input.parentB), name: nameB };
+    return input;
+}
+
+/**
+ * Read Parent A's timeshare percentage from a timeshare ledger CSV.
+ * @param {string} ledgerPath
+ * @param {string} parentName - Name as written in the ledger's Parent column
+ * @returns {number} percentage (0-100)
+ */
+function readLedgerTimeshare(ledgerPath, parentName) {
+    let summary;
+    try {
+        summary = summarizeTimeshareLedgerCsv(fs.readFileSync(ledgerPath, 'utf8'));
+    } catch (e) {
+        console.error('Failed to read timeshare ledger:', e.message);
+        process.exit(1);
+    }
+    if (!summary.totalHours) {
+        console.error(`Timeshare ledger ${ledgerPath} has no rows`);
+        process.exit(1);
+    }
+    const entry = summary.byParent[parentName];
+    if (!entry) {
+        console.error(`Parent "${parentName}" not found in timeshare ledger (found: ${Object.keys(summary.byParent).join(', ')})`);
+        process.exit(1);
+    }
+    console.log(`Using timeshare from ${ledgerPath}: ${parentName} ${entry.percent}% of ${summary.totalHours} hours`);
+    return entry.percent;
+}
+
+/**
+ * Validate calculator input.
+ * @param {{ parentA: object, parentB: object, options: object }} input
+ * @returns {string[]} errors
+ */
+function validateInput(input) {
+    const errors = [];
+    [['parentA', input.parentA], ['parentB', input.parentB]].forEach(([label, parent]) => {
+        if (typeof parent.grossIncome !== 'number' || isNaN(parent.grossIncome)) {
+            errors.push(`${label}.grossIncome must be a valid number`);
+        } else if (parent.grossIncome < 0) {
+            errors.push(`${label}.grossIncome cannot be negative`);
+        }
+    });
+    const pct = Number(input.options.timesharePercentA);
+    if (!Number.isFinite(pct) || pct < 0 || pct > 100) {
+        errors.push('options.timesharePercentA must be between 0 and 100');
+    }
+    const children = Number(input.options.numberOfChildren);
+    if (!Number.isInteger(children) || children < 1 || children > 10) {
+        errors.push('options.numberOfChildren must be an integer between 1 and 10');
+    }
+    return errors;
+}
+
+function printDisclaimer() {
+    console.log('\n=== GUIDELINE CHILD SUPPORT - IMPORTANT DISCLAIMERS ===');
+    console.log('This calculator provides ESTIMATES ONLY for educational purposes.');
+    console.log('Results should NOT replace certified guideline software or legal counsel.');
+    console.log('Net disposable income is simplified - consult tax professionals for accuracy.');
+    console.log('Always verify results with qualified family law attorneys.');
+    console.log('=======================================================\n');
+}
+
+function printIncomeAnalysis(input, result) {
+    const formatter = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' });
+    console.log('NET DISPOSABLE INCOME');
+    console.log('---------------------');
+    [[input.parentA, result.parentA], [input.parentB, result.parentB]].forEach(([parent, income]) => {
+        console.log(`${parent.name}:`);
+        console.log(`  Gross Income:     ${formatter.format(income.grossIncome)}/year`);
+        console.log(`  Total Taxes:      ${formatter.format(income.taxCalculation.totalTaxes)}/year`);
+        console.log(`  Net Disposable:   ${formatter.format(income.netIncome)}/month`);
+    });
+}
+
+function printChildSupport(input, result) {
+    const formatter = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' });
+    const cs = result.childSupport;
+    const calc = cs.calculations;
+    const names = { A: input.parentA.name, B: input.parentB.name };
+
+    console.log('\nGUIDELINE CHILD SUPPORT (FC § 4055)');
+    console.log('-----------------------------------');
+    console.log(`High Earner (HN):          ${names[calc.highEarner]} ${formatter.format(calc.highEarnerNet)}/month`);
+    console.log(`Total Net (TN):            ${formatter.format(calc.totalNet)}/month`);
+    console.log(`High Earner Timeshare (H%): ${(calc.highEarnerTimeshare * 100).toFixed(1)}%`);
+    console.log(`K-Factor:                  ${calc.kFactor.toFixed(4)} (income fraction ${calc.incomeFraction.toFixed(4)})`);
+    console.log(`Base Support (1 child):    ${formatter.format(Math.abs(calc.baseSupport))}/month`);
+    if (calc.childrenMultiplier !== 1) {
+        console.log(`Children Multiplier:       × ${calc.childrenMultiplier}`);
+        calc.perChild.forEach(c => console.log(`  Child ${c.child} allocation:    ${formatter.format(c.amount)}/month`));
+    }
+    if (calc.lowIncomeAdjustment.eligible) {
+        const adj = calc.lowIncomeAdjustment;
+        console.log(`Low-Income Adjustment:     eligible (obligor below ${formatter.format(calc.lowIncomeThreshold)}/month)`);
+        console.log(`  Permitted range:         ${formatter.format(adj.minimumSupport)} - ${formatter.format(adj.maximumSupport)}/month`);
+    }
+    console.log(`\nGUIDELINE CHILD SUPPORT:   ${formatter.format(cs.monthlySupport)}/month`);
+    console.log(`Paid by ${names[cs.obligor]} to ${names[cs.obligee]}`);
+}
+
+function printSpousalSupport(input, result) {
+    if (!result.spousalSupport) return;
+    const formatter = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' });
+    const ss = result.spousalSupport;
+    const names = { A: input.parentA.name, B: input.parentB.name };
+    console.log('\nSPOUSAL SUPPORT (with guideline child support offset)');
+    console.log('------------------------------------------------------');
+    console.log(`Base Support (40% of income gap): ${formatter.format(ss.calculations.baseSupport)}/month`);
+    if (ss.calculations.childSupportOffset > 0) {
+        console.log(`Child Support Offset (50%):       -${formatter.format(ss.calculations.childSupportOffset)}/month`);
+    }
+    console.log(`RECOMMENDED MONTHLY SUPPORT:      ${formatter.format(ss.monthlySupport)} (${names[ss.payor]} to ${names[ss.payee]})`);
+}
+
+/**
+ * Print CLI usage help.
+ */
+function printHelp() {
+    console.log(`\nUsage: node childsupport.js [--config <path>] [--timeshare <percent> | --timeshare-ledger <csv>] [--children <n>] [--out-json <path>] [--summary] [--no-explain] [--no-spousal]\n\nOptions:\n  --config      JSON inputs (default: source_files/childsupport.config.json when present)\n  --timeshare   Parent A's timeshare percentage (0-100)\n  --timeshare-ledger  Ledger CSV from timeshare.js; Parent A matched by name\n  --children    Number of children (1-10)\n  --out-json    Write calculation results as JSON\n  --summary     Print only the support results\n  --no-explain  Hide disclaimers\n  --no-spousal  Skip the spousal support calculation\n  -h, --help    Show this help\n`);
+}
+
+function runCli(argv = process.argv.slice(2)) {
+    if (argv.includes('-h') || argv.includes('--help')) {
+        printHelp();
+        return null;
+    }
+    const summaryOnly = argv.includes('--summary');
+    const noExplain = argv.includes('--no-explain');
+
+    const input = buildInput(loadConfig(argv), argv);
+    const errors = validateInput(input);
+    if (errors.length > 0) {
+        console.error('\nValidation Errors:');
+        errors.forEach(error => console.error(`  - ${error}`));
+        process.exit(1);
+    }
+
+    const result = calculateChildSupport(input.parentA, input.parentB, {
+        ...input.options,
+        timeshareA: Number(input.options.timesharePercentA) / 100,
+        includeSpousalSupport: !argv.includes('--no-spousal')
+    });
+
+    if (!noExplain) printDisclaimer();
+    if (!summaryOnly) printIncomeAnalysis(input, result);
+    printChildSupport(input, result);
+    printSpousalSupport(input, result);
+
+    const outIdx = argv.indexOf('--out-json');
+    if (outIdx !== -1 && argv[outIdx + 1]) {
+        const outPath = argv[outIdx + 1];
+        try {
+            const { writeJson } = require('./utils/fs');
+            writeJson(outPath, { inputs: input, ...result, calculatedAt: new Date().toISOString() });
+            console.log(`\nWrote calculation results to ${outPath}`);
+        } catch (e) {
+            console.error('Failed to write --out-json file:', e.message);
+        }
+    }
+    return result;
+}
+
+if (require.main === module) {
+    runCli();
+}
+
+module.exports = {
+    buildInput,
+    validateInput,
+    runCli,
+};
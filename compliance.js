@@ -0,0 +1,130 @@
+/**
+ * Visitation Compliance Tracker
+ *
+ * Purpose
+ * - Compare the scheduled visits (court weeks from the custody schedule, see
+ *   utils/visitation/schedule.js) with a log of what actually happened at each exchange.
+ * - Report per-parent no-shows, cancellations, late-arrival minutes and makeup visits, and a
+ *   monthly compliance percentage (held visits / logged visits).
+ *
+ * CLI
+ * - node compliance.js --log <file.csv|file.json> [--year <yyyy> | --start <yyyy-mm-dd> --end <yyyy-mm-dd>]
+ *                      [--anchor <weekday>] [--schedule <preset|path>] [--holidays <file.json>]
+ *                      [--unlogged ignore|held|missed] [--config <path>] [--out-dir <dir>]
+ *   --log: exchange log (format in utils/visitation/compliance.js); may also be set as `log` in the config
+ *   --config: JSON with parents, schedule, holidays, log and unlogged; otherwise the tool looks for
+ *             source_files/compliance.config.json (gitignored) if present
+ *   --unlogged: how scheduled visits with no log entry count (default: ignore)
+ * - Writes ./output/compliance-<start>_<end>.md, .csv (one row per visit) and -monthly.csv
+ */
+
+const path = require('path');
+
+const { nameToOrdinal, parseLocalDateTime, toISODate } = require('./utils/date');
+const { loadExchangeLog, calculateCompliance } = require('./utils/visitation/compliance');
+const { listPresets } = require('./utils/visitation/schedule');
+const { formatComplianceCsv, formatComplianceMonthlyCsv } = require('./utils/output/csv');
+const { formatComplianceMarkdown } = require('./utils/output/markdown');
+const { writeFile } = require('./utils/fs');
+const { readArg, loadConfig } = require('./utils/cli');
+
+/**
+ * Print CLI usage help.
+ */
+function printHelp() {
+    console.log(`\nUsage: node compliance.js --log <file.csv|file.json> [--year <yyyy> | --start <yyyy-mm-dd> --end <yyyy-mm-dd>] [--anchor <weekday>] [--schedule <preset|path>] [--holidays <file.json>] [--unlogged ignore|held|missed] [--config <path>] [--out-dir <dir>]\n\nOptions:\n  --log       Exchange log CSV (Date,Event,Status,By,Arrival,Late Minutes,Makeup For,Notes) or JSON\n  --year      Calendar year to analyze (default: current year)\n  --start     Range start date (inclusive)\n  --end       Range end date (inclusive)\n  --anchor    Anchor weekday for Week 1 (default: the schedule's anchor, else Friday)\n  --schedule  Schedule preset (${listPresets().join(', ')}) or JSON path\n  --holidays  Holidays/school breaks JSON layered over the schedule\n  --unlogged  Scheduled visits with no log entry: ignore (default), held or missed\n  --config    JSON config with parents, schedule, holidays, log and unlogged\n  --out-dir   Output directory (default: ./output)\n  -h, --help  Show this help\n`);
+}
+
+function printSummary(report) {
+    const { parents, totals } = report;
+    const pct = (v) => (v === null ? '—' : `${v.toFixed(2)}%`);
+    console.log(`\nCompliance ${report.range.start} → ${report.range.end}`);
+    console.log('| Month   | Scheduled | Held | Late | Cancelled | No-show | Makeups | Compliance |');
+    console.log('|---------|-----------|------|------|-----------|---------|---------|------------|');
+    const row = (label, t) => {
+        console.log(`| ${label.padEnd(7)} | ${String(t.scheduled).padStart(9)} | ${String(t.held).padStart(4)} | ${String(t.late).padStart(4)} | ${String(t.cancelled).padStart(9)} | ${String(t.missed).padStart(7)} | ${String(t.makeups).padStart(7)} | ${pct(t.compliance).padStart(10)} |`);
+    };
+    Object.entries(report.byMonth).forEach(([month, t]) => row(month, t));
+    console.log('|---------|-----------|------|------|-----------|---------|---------|------------|');
+    row('Total', totals);
+    console.log('');
+    ['primary', 'visiting'].forEach(role => {
+        const p = report.byParent[role];
+        console.log(`${parents[role]}: ${p.missed} no-show(s), ${p.cancelled} cancellation(s), ${p.late} late arrival(s) totaling ${p.lateMinutes} min, ${p.makeups} makeup(s)`);
+    });
+    if (totals.unlogged) console.log(`${totals.unlogged} scheduled visit(s) have no log entry`);
+    report.unmatched.forEach(u => console.error(`Warning: log line ${u.line}: ${u.reason}`));
+}
+
+function runCli(argv = process.argv.slice(2)) {
+    if (argv.includes('-h') || argv.includes('--help')) {
+        printHelp();
+        return null;
+    }
+
+    let start;
+    let end;
+    try {
+        const startArg = readArg(argv, '--start');
+        const endArg = readArg(argv, '--end');
+        if (startArg || endArg) {
+            if (!startArg || !endArg) throw new Error('--start and --end must be provided together');
+            start = parseLocalDateTime(startArg);
+            end = parseLocalDateTime(endArg);
+        } else {
+            const year = Number(readArg(argv, '--year') || new Date().getFullYear());
+            if (!Number.isInteger(year)) throw new Error('--year must be a four-digit year');
+            start = new Date(year, 0, 1);
+            end = new Date(year, 11, 31);
+        }
+    } catch (e) {
+        console.error(e.message);
+        printHelp();
+        process.exit(1);
+    }
+
+    let anchorOrdinal; // default: the schedule's anchor
+    const anchorName = (readArg(argv, '--anchor') || '').toLowerCase();
+    if (anchorName) {
+        if (!(anchorName in nameToOrdinal)) {
+            console.error(`Unknown anchor weekday: ${anchorName}`);
+            process.exit(1);
+        }
+        anchorOrdinal = nameToOrdinal[anchorName];
+    }
+
+    const config = loadConfig(argv, 'compliance.config.json');
+    ['schedule', 'holidays', 'log', 'unlogged'].forEach(key => {
+        const value = readArg(argv, `--${key}`);
+        if (value) config[key] = value;
+    });
+    if (!config.log) {
+        console.error('An exchange log is required (--log <file.csv|file.json>)');
+        printHelp();
+        process.exit(1);
+    }
+
+    let report;
+    try {
+        const log = loadExchangeLog(config.log, { parents: config.parents });
+        report = calculateCompliance(start, end, log, { anchorOrdinal, config });
+    } catch (e) {
+        console.error(`Failed to compute compliance: ${e.message}`);
+        process.exit(1);
+    }
+    printSummary(report);
+
+    const outDir = path.resolve(readArg(argv, '--out-dir') || path.join(process.cwd(), 'output'));
+    const base = path.join(outDir, `compliance-${toISODate(start)}_${toISODate(end)}`);
+    writeFile(`${base}.md`, formatComplianceMarkdown(report));
+    writeFile(`${base}.csv`, formatComplianceCsv(report));
+    writeFile(`${base}-monthly.csv`, formatComplianceMonthlyCsv(report));
+    console.log(`\nWrote ${base}.md, ${base}.csv and ${base}-monthly.csv`);
+    return report;
+}
+
+if (require.main === module) {
+    runCli();
+}
+
+module.exports = { runCli };
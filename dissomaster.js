@@ -27,6 +27,11 @@
  *   --no-explain: Hide explanatory header and disclaimers
  *   --duration: Include support duration analysis
  *   --schedule: Generate payment schedule if duration is specified
+ *
+ * Guideline child support
+ * - Set options.childSupport to "guideline" (with options.numberOfChildren and
+ *   options.timesharePercentPayor) to compute the offset via Family Code § 4055
+ *   instead of entering a raw monthly amount.
  */
 
 const fs = require('fs');
@@ -37,6 +42,7 @@ const { calculateSpousalSupport, calculateNetIncome, generateSupportSchedule } =
 const { calculateTotalTaxes } = require('./utils/dissomaster/tax-calculator');
 const { calculateSupportDuration, calculateDurationScenarios } = require('./utils/dissomaster/duration-calculator');
 const { validateDissoMasterInput, sanitizeInput } = require('./utils/dissomaster/validation');
+const { calculateGuidelineChildSupport } = require('./utils/childsupport/guideline');
 
 // Parse command line arguments
 const argv = process.argv.slice(2);
@@ -122,6 +128,17 @@ const payeeTaxCalc = calculateTotalTaxes(input.payee.grossIncome, {
     retirementContributions: input.payee.retirementContributions
 });
 
+// Compute guideline child support (FC § 4055) when requested instead of a raw amount
+let guidelineChildSupport = null;
+if (input.options.childSupport === 'guideline') {
+    guidelineChildSupport = calculateGuidelineChildSupport(payorTaxCalc.netIncome / 12, payeeTaxCalc.netIncome / 12, {
+        timeshareA: (Number(input.options.timesharePercentPayor) || 0) / 100,
+        numberOfChildren: input.options.numberOfChildren || 1
+    });
+    // Only offset spousal support when the spousal payor is also the child support obligor
+    input.options.childSupport = guidelineChildSupport.obligor === 'A' ? guidelineChildSupport.monthlySupport : 0;
+}
+
 // Add net incomes to input objects for validation
 const payorIncomeForValidation = {
     ...input.payor,
@@ -219,6 +236,9 @@ function printSupportCalculation() {
     console.log('-----------------------------');
     console.log(`Base Support (40% of income gap): ${formatter.format(supportCalc.calculations.baseSupport)}/month`);
     
+    if (guidelineChildSupport) {
+        console.log(`Guideline Child Support (§ 4055): ${formatter.format(guidelineChildSupport.monthlySupport)}/month (paid by ${guidelineChildSupport.obligor === 'A' ? 'payor' : 'payee'})`);
+    }
     if (input.options.childSupport > 0) {
         console.log(`Child Support Offset (50%):       -${formatter.format(supportCalc.calculations.childSupportOffset)}/month`);
     }
@@ -350,6 +370,7 @@ if (outIdx !== -1 && argv[outIdx + 1]) {
             inputs: input,
             payorTaxCalculation: payorTaxCalc,
             payeeTaxCalculation: payeeTaxCalc,
+            guidelineChildSupport,
             supportCalculation: supportCalc,
             durationAnalysis: durationCalc,
             paymentSchedule: supportSchedule,
@@ -0,0 +1,128 @@
+/**
+ * Email (mbox / .eml) Analyzer
+ *
+ * Purpose
+ * - Parse an mbox file, a single .eml file or a folder of .eml files into the normalized
+ *   message schema (utils/messages/schema.js): sender, recipients, date, subject, body
+ *   (plain text preferred, HTML stripped) and the Message-ID / In-Reply-To / References headers.
+ * - Thread by the reply headers (assignThreads), compute word counts and sentiment
+ *   (computeDerivedMetrics), tag topics (tagTopics) and produce the same JSON, CSV and Markdown
+ *   summaries as the OFW analyzer.
+ *
+ * CLI
+ * - node email.js <file.mbox|file.eml|dir> [--no-csv] [--exclude <csv>] [--topics <file.json>]
+ *                 [--redact [--redaction-config <file.json>] [--redaction-key <file.json>]]
+ *   --no-csv: skip writing the weekly, top-2, threads and topics CSVs
+ *   --exclude <csv>: comma-separated substrings to hide in printed tables (case-insensitive)
+ *   --topics <file.json>: topic dictionary as in ofw.js (default source_files/topics.config.json if present)
+ *   --redact: pseudonymize names and contact/account details before anything is written, as in ofw.js
+ *             (key in ./output/private/<basename>.redaction-key.json unless --redaction-key is given)
+ * - Writes ./output/<basename>.json and <basename>-senders.csv, -top2-comparison.csv, -threads.csv, -topics.csv,
+ *   plus <basename>.manifest.json (see utils/provenance.js)
+ */
+const fs = require('fs');
+const path = require('path');
+
+const { loadEmailMessages } = require('./utils/messages/email');
+const { normalizeMessages } = require('./utils/messages/schema');
+const { assignThreads } = require('./utils/ofw/threads');
+const { loadTopics, tagTopics } = require('./utils/ofw/topics');
+const { writeJsonFile, compileAndOutputStats } = require('./ofw');
+const { startRun } = require('./utils/provenance');
+const { loadRedactionConfig, createRedactor, readRedactionKey, writeRedactionKey } = require('./utils/messages/redact');
+
+/**
+ * Load, normalize, thread and tag the topics of emails.
+ * @param {string} inputPath - mbox file, .eml file or folder of .eml files
+ * @param {{ topics?: Array<object> }} [options] - topic dictionary (see utils/ofw/topics.js)
+ * @returns {{ messages: Array<object>, directory: string, fileNameWithoutExt: string }}
+ */
+function parseEmailSource(inputPath, options = {}) {
+    const messages = tagTopics(assignThreads(normalizeMessages(loadEmailMessages(inputPath))), { topics: options.topics });
+    const resolved = path.resolve(inputPath);
+    return {
+        messages,
+        directory: path.dirname(resolved),
+        fileNameWithoutExt: path.basename(resolved, path.extname(resolved)),
+    };
+}
+
+function printHelp() {
+    console.log(`\nUsage: node email.js <file.mbox|file.eml|dir> [--no-csv] [--exclude <csv>] [--topics <file.json>] [--redact [--redaction-config <file.json>] [--redaction-key <file.json>]]\n\nOptions:\n  --no-csv                Skip writing the CSV summaries\n  --exclude <csv>         Comma-separated substrings to hide in printed tables (case-insensitive)\n  --topics <file>         Topic dictionary JSON (default: source_files/topics.config.json if present)\n  --redact                Replace names, phones, emails, addresses and account numbers with pseudonyms in all outputs\n  --redaction-config <f>  Names to pseudonymize (default: source_files/redaction.config.json if present)\n  --redaction-key <f>     Un-redaction key path (default: ./output/private/<basename>.redaction-key.json)\n  -h, --help              Show this help\n`);
+}
+
+async function runCli(argv = process.argv.slice(2)) {
+    if (argv.includes('-h') || argv.includes('--help') || argv.length === 0) {
+        printHelp();
+        if (argv.length === 0) process.exitCode = 1;
+        return null;
+    }
+    const inputPath = argv[0];
+    if (!fs.existsSync(inputPath)) {
+        console.error(`Input not found: ${inputPath}`);
+        process.exitCode = 1;
+        return null;
+    }
+    const excludeIdx = argv.indexOf('--exclude');
+    const excludePatterns = excludeIdx !== -1 && argv[excludeIdx + 1]
+        ? argv[excludeIdx + 1].split(',').map(s => s.trim().toLowerCase()).filter(Boolean)
+        : [];
+
+    const topicsIdx = argv.indexOf('--topics');
+    let topicsConfig;
+    try {
+        topicsConfig = loadTopics(topicsIdx !== -1 && argv[topicsIdx + 1] && !argv[topicsIdx + 1].startsWith('--') ? argv[topicsIdx + 1] : undefined);
+    } catch (e) {
+        console.error(`Invalid topics: ${e.message}`);
+        process.exitCode = 1;
+        return null;
+    }
+
+    let redaction = null;
+    if (argv.includes('--redact')) {
+        const readValue = (flag) => {
+            const idx = argv.indexOf(flag);
+            return idx !== -1 && argv[idx + 1] && !argv[idx + 1].startsWith('--') ? argv[idx + 1] : undefined;
+        };
+        const keyPath = path.resolve(readValue('--redaction-key') || path.join(process.cwd(), 'output', 'private', `${path.basename(path.resolve(inputPath), path.extname(inputPath))}.redaction-key.json`));
+        try {
+            const { config, configPath } = loadRedactionConfig(readValue('--redaction-config'));
+            redaction = { configPath, keyPath, redactor: createRedactor(config, { key: readRedactionKey(keyPath) }) };
+        } catch (e) {
+            console.error(`Invalid redaction config: ${e.message}`);
+            process.exitCode = 1;
+            return null;
+        }
+    }
+
+    const run = startRun('email.js', argv);
+    run.addInput(inputPath);
+    if (topicsConfig.configPath) run.addInput(topicsConfig.configPath);
+    if (redaction && redaction.configPath) run.addInput(redaction.configPath);
+    const data = parseEmailSource(inputPath, { topics: topicsConfig.topics });
+    if (redaction) {
+        redaction.redactor.redactMessages(data.messages);
+        writeRedactionKey(redaction.keyPath, redaction.redactor);
+        console.log(`Redacted ${data.messages.length} email(s); key written to ${redaction.keyPath} (keep it private, do not share it with the outputs)`);
+    }
+    const undated = data.messages.filter(m => Number.isNaN(m.sentDate.getTime()));
+    if (undated.length) console.error(`Warning: ${undated.length} email(s) have no valid Date header and are left out of the stats`);
+    data.messages = data.messages.filter(m => !Number.isNaN(m.sentDate.getTime()));
+    console.log(`Parsed ${data.messages.length} email(s) in ${new Set(data.messages.map(m => m.threadId)).size} thread(s)`);
+    await writeJsonFile(data);
+    compileAndOutputStats(data, { writeCsv: !argv.includes('--no-csv'), excludePatterns, topics: topicsConfig.topics });
+    run.count('messages', data.messages.length);
+    run.count('undated', undated.length);
+    run.count('threads', new Set(data.messages.map(m => m.threadId)).size);
+    run.finish(path.resolve(process.cwd(), 'output', `${data.fileNameWithoutExt}.manifest.json`));
+    return data;
+}
+
+if (require.main === module) {
+    runCli().catch(err => {
+        console.error('Error:', err && err.message ? err.message : err);
+        process.exit(1);
+    });
+}
+
+module.exports = { parseEmailSource, runCli };
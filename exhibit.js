@@ -0,0 +1,143 @@
+/**
+ * Court Exhibit Builder (OFW message excerpts)
+ *
+ * Purpose
+ * - Select messages from the JSON written by ofw.js (or ollama-sentiment.js) by thread ID, date range,
+ *   sender or LLM flag, and render them as a paginated PDF exhibit: a cover page with the exhibit
+ *   label, title, case caption and table of contents, then each message formatted like the
+ *   Markdown report (Sent / From / To with First Viewed / Subject / body).
+ * - Every page carries the case caption and exhibit label in the header and "Page x of y" plus a
+ *   Bates number in the footer.
+ *
+ * CLI
+ * - node exhibit.js <report.json> [--thread <ids>] [--start <yyyy-mm-dd>] [--end <yyyy-mm-dd>]
+ *                   [--sender <names>] [--flag <flags>] [--label <text>] [--caption <text>] [--title <text>]
+ *                   [--bates-prefix <text>] [--bates-start <n>] [--config <path>] [--out <file.pdf>] [--no-highlight]
+ *                   [--redact [--redaction-config <file.json>] [--redaction-key <file.json>]]
+ *   --thread, --sender, --flag: comma-separated; a message must match every filter that is given
+ *   --caption: case caption; use "\n" to split it over lines (e.g. court and case number)
+ *   --no-highlight: leave the negative sentences (see utils/ofw/sentences.js) unmarked in message bodies;
+ *                   by default they are highlighted and counted under the header fields
+ *   --config: JSON with label, caption, title, batesPrefix, batesStart and highlight; otherwise the tool looks for
+ *             source_files/exhibit.config.json (gitignored) if present
+ *   --redact: pseudonymize names (from --redaction-config, default source_files/redaction.config.json
+ *             when present) and phones, emails, addresses and account numbers in the selected messages,
+ *             caption and title; senders are still matched by their real names. The key for
+ *             un-redacting goes to --redaction-key (default ./output/private/<label>.redaction-key.json)
+ * - Writes ./output/<label>.pdf (e.g. output/exhibit-a.pdf) unless --out is given, plus
+ *   <label>.manifest.json next to it (see utils/provenance.js; also records the Bates range)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { parseLocalDateTime } = require('./utils/date');
+const { selectMessages, layoutExhibit } = require('./utils/ofw/exhibit');
+const { renderPdf } = require('./utils/output/pdf');
+const { writeFile } = require('./utils/fs');
+const { startRun } = require('./utils/provenance');
+const { loadRedactionConfig, createRedactor, readRedactionKey, writeRedactionKey } = require('./utils/messages/redact');
+const { readArg, readList, loadConfig } = require('./utils/cli');
+
+/**
+ * Print CLI usage help.
+ */
+function printHelp() {
+    console.log(`\nUsage: node exhibit.js <report.json> [--thread <ids>] [--start <yyyy-mm-dd>] [--end <yyyy-mm-dd>] [--sender <names>] [--flag <flags>] [--label <text>] [--caption <text>] [--title <text>] [--bates-prefix <text>] [--bates-start <n>] [--config <path>] [--out <file.pdf>] [--no-highlight] [--redact [--redaction-config <file.json>] [--redaction-key <file.json>]]\n\nOptions:\n  --thread        Comma-separated thread IDs\n  --start         Range start date (inclusive)\n  --end           Range end date (inclusive)\n  --sender        Comma-separated sender names (case-insensitive)\n  --flag          Comma-separated LLM flags, e.g. threat,legal-threat\n  --label         Exhibit label (default: "Exhibit")\n  --caption       Case caption for the header and cover page ("\\n" splits lines)\n  --title         Title for the cover page\n  --bates-prefix  Bates number prefix, e.g. SMITH\n  --bates-start   First Bates number (default: 1)\n  --config        JSON config with label, caption, title, batesPrefix, batesStart and highlight\n  --out           Output PDF path (default: ./output/<label>.pdf)\n  --no-highlight  Do not highlight negative sentences in message bodies\n  --redact        Replace names, phones, emails, addresses and account numbers with pseudonyms\n  --redaction-config <f>  Names to pseudonymize (default: source_files/redaction.config.json if present)\n  --redaction-key <f>     Un-redaction key path (default: ./output/private/<label>.redaction-key.json)\n  -h, --help      Show this help\n`);
+}
+
+function slugify(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'exhibit';
+}
+
+function runCli(argv = process.argv.slice(2)) {
+    if (argv.includes('-h') || argv.includes('--help') || !argv[0] || argv[0].startsWith('--')) {
+        printHelp();
+        if (!argv.includes('-h') && !argv.includes('--help')) process.exit(1);
+        return null;
+    }
+    const inputPath = argv[0];
+    if (!fs.existsSync(inputPath)) {
+        console.error(`Input not found: ${inputPath}`);
+        process.exit(1);
+    }
+
+    const filters = { threadIds: readList(argv, '--thread'), senders: readList(argv, '--sender'), flags: readList(argv, '--flag') };
+    try {
+        const startArg = readArg(argv, '--start');
+        const endArg = readArg(argv, '--end');
+        if (startArg) filters.start = parseLocalDateTime(startArg);
+        if (endArg) filters.end = parseLocalDateTime(endArg);
+    } catch (e) {
+        console.error(e.message);
+        printHelp();
+        process.exit(1);
+    }
+
+    const run = startRun('exhibit.js', argv);
+    run.addInput(inputPath);
+    const config = loadConfig(argv, 'exhibit.config.json');
+    const configPath = readArg(argv, '--config') || path.join(__dirname, 'source_files', 'exhibit.config.json');
+    if (fs.existsSync(configPath)) run.addInput(configPath);
+    const batesStartArg = readArg(argv, '--bates-start');
+    const batesStart = batesStartArg !== null ? Number(batesStartArg) : config.batesStart;
+    if (batesStart !== undefined && !(Number.isInteger(batesStart) && batesStart >= 0)) {
+        console.error(`Invalid Bates start: ${batesStartArg !== null ? batesStartArg : batesStart} (expected a whole number)`);
+        process.exit(1);
+    }
+    const options = {
+        label: readArg(argv, '--label') || config.label || 'Exhibit',
+        caption: (readArg(argv, '--caption') || config.caption || '').toString().replace(/\\n/g, '\n'),
+        title: readArg(argv, '--title') || config.title || '',
+        batesPrefix: readArg(argv, '--bates-prefix') || config.batesPrefix || '',
+        batesStart,
+        highlight: !argv.includes('--no-highlight') && config.highlight !== false,
+    };
+
+    let messages;
+    try {
+        messages = selectMessages(JSON.parse(fs.readFileSync(inputPath, 'utf8')), filters);
+    } catch (e) {
+        console.error(`Failed to read messages from ${inputPath}: ${e.message}`);
+        process.exit(1);
+    }
+    if (!messages.length) {
+        console.error('No messages match the selection');
+        process.exit(1);
+    }
+    if (argv.includes('--redact')) {
+        const keyPath = path.resolve(readArg(argv, '--redaction-key') || path.join(process.cwd(), 'output', 'private', `${slugify(options.label)}.redaction-key.json`));
+        let redactor;
+        try {
+            const { config: redactionConfig, configPath: redactionConfigPath } = loadRedactionConfig(readArg(argv, '--redaction-config') || undefined);
+            if (redactionConfigPath) run.addInput(redactionConfigPath);
+            redactor = createRedactor(redactionConfig, { key: readRedactionKey(keyPath) });
+        } catch (e) {
+            console.error(`Invalid redaction config: ${e.message}`);
+            process.exit(1);
+        }
+        redactor.redactMessages(messages);
+        options.caption = redactor.redactText(options.caption);
+        options.title = redactor.redactText(options.title);
+        writeRedactionKey(keyPath, redactor);
+        console.log(`Redaction key written to ${keyPath} (keep it private, do not share it with the exhibit)`);
+    }
+
+    const exhibit = layoutExhibit(messages, options);
+    const outPath = path.resolve(readArg(argv, '--out') || path.join(process.cwd(), 'output', `${slugify(options.label)}.pdf`));
+    writeFile(outPath, renderPdf(exhibit.pages, { title: [options.label, options.title].filter(Boolean).join(': ') }));
+    run.count('messages', messages.length);
+    run.count('pages', exhibit.pages.length);
+    run.manifest.bates = exhibit.bates;
+    run.manifest.sourceIds = messages.map(m => m.sourceId).filter(Boolean);
+    run.finish(outPath.replace(/\.pdf$/i, '') + '.manifest.json');
+    console.log(`${options.label}: ${messages.length} message(s) on ${exhibit.pages.length} page(s), Bates ${exhibit.bates.first}–${exhibit.bates.last}`);
+    console.log(`Wrote ${outPath}`);
+    return exhibit;
+}
+
+if (require.main === module) {
+    runCli();
+}
+
+module.exports = { runCli };
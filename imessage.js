@@ -32,100 +32,13 @@
 // Required Imports (CommonJS)
 const fs = require('fs');
 const path = require('path');
-const Sentiment = require('sentiment');
-const natural = require('natural');
-const { polarity } = require('polarity');
-
-// Initialize sentiment analysis tools
-const sentiment = new Sentiment();
-const analyzer = new natural.SentimentAnalyzer('English', natural.PorterStemmer, 'afinn');
-
-// Helper function to extract year from timestamp
-/**
- * Extract a 4-digit year from a timestamp line.
- * Falls back to current year if none found.
- * @param {string} timestamp
- * @returns {string}
- */
-function getYearFromTimestamp(timestamp) {
-    const match = String(timestamp).match(/\b(\d{4})\b/);
-    return match ? match[1] : String(new Date().getFullYear());
-}
-
-// Function to perform sentiment analysis
-/**
- * Compute sentiment metrics over message content.
- * @param {string} content
- * @returns {{ sentimentScore: number, naturalScore: number, polarityScore: number }}
- */
-function analyzeSentiment(content) {
-    const sentimentResult = sentiment.analyze(content);
-    const naturalResult = analyzer.getSentiment(content.split(/\s+/));
-    const contentArray = content.split(/\s+/);
-    const polarityResult = polarity(contentArray);
-
-    return {
-        sentimentScore: sentimentResult.score,
-        naturalScore: naturalResult,
-        polarityScore: polarityResult.polarity,
-    };
-}
-
-
-/**
- * Parse iMessage-exported text content and extract messages grouped by year.
- * @param {string} data - Raw text content of the export file.
- * @returns {Record<string, Array>} groupedMessages by year
- */
-function parseIMessageText(data) {
-    let messages = [];
-    let currentMessage = null;
-    const lines = data.split('\n');
-
-    lines.forEach((line) => {
-        if (line.match(/^\s*$/)) {
-            return; // Skip empty lines
-        }
-
-        if (line.match(/\d{1,2}:\d{2}:\d{2} [AP]M/)) {
-            // Save previous message and start a new one
-            if (currentMessage) {
-                messages.push(currentMessage);
-            }
-            currentMessage = {
-                timestamp: line.split('(')[0].trim(),
-                readInfo: line.split('(')[1]?.split(')')[0]?.trim() || null,
-                sender: null,
-                content: ''
-            };
-        } else if (currentMessage && !currentMessage.sender) {
-            currentMessage.sender = line.trim();
-        } else if (currentMessage) {
-            currentMessage.content += line.trim() + '\n';
-        }
-    });
-
-    if (currentMessage) {
-        messages.push(currentMessage);
-    }
-
-    // Perform sentiment analysis and group by year
-    const enriched = messages.map(message => ({
-        ...message,
-        year: getYearFromTimestamp(message.timestamp),
-        ...analyzeSentiment(message.content || ''),
-    }));
-
-    const groupedMessages = enriched.reduce((acc, message) => {
-        (acc[message.year] = acc[message.year] || []).push(message);
-        return acc;
-    }, {});
-
-    return groupedMessages;
-}
+const { hashFile, assignSourceIds, startRun } = require('./utils/provenance');
+const { getYearFromTimestamp, analyzeSentiment, parseIMessageText } = require('./utils/messages/imessage');
 
 /**
  * Parses an iMessage-exported text file and extracts message data grouped by year.
+ * Each message records `sourceFile` (basename), `line` and `sourceId` (see utils/provenance.js)
+ * for linking back to the export.
  * @param {string} filePath - The path to the text file.
  * @return {Promise<Record<string, Array>>} - grouped messages by year.
  */
@@ -138,6 +51,11 @@ function parseIMessageFile(filePath) {
             }
             try {
                 const grouped = parseIMessageText(data);
+                const fileHash = hashFile(filePath);
+                Object.values(grouped).forEach(list => {
+                    list.forEach(m => { m.sourceFile = path.basename(filePath); });
+                    assignSourceIds(list, 'imessage', fileHash);
+                });
                 resolve(grouped);
             } catch (e) {
                 reject(e);
@@ -202,11 +120,17 @@ function runCli() {
         }
     }
 
+    const run = startRun('imessage.js', rawArgs);
     parseIMessageFile(inputPath)
         .then(groupedMessages => {
+            run.addInput(inputPath);
             console.log(`Writing parsed messages to directory: ${path.resolve(outDir)}`);
             writeMessagesToFile(groupedMessages, outDir);
             const summary = summarizeGroupedMessages(groupedMessages);
+            run.count('messages', summary.totalMessages);
+            const manifestPath = path.join(outDir, `${path.basename(inputPath, path.extname(inputPath))}.manifest.json`);
+            run.finish(manifestPath);
+            console.log(`Provenance manifest written to ${manifestPath}`);
             console.log(`Summary: ${summary.totalMessages} messages across ${Object.keys(summary.byYear).length} years`);
             Object.entries(summary.byYear).sort(([a],[b]) => a.localeCompare(b)).forEach(([year, count]) => {
                 console.log(` - ${year}: ${count}`);
@@ -2,6 +2,7 @@
 const ofw = require('./ofw');
 const { parseMessage, processMessages } = require('./utils/ofw/parser');
 const { accumulateStats } = require('./utils/ofw/stats');
+const { normalizeMessages, fromOfwMessage, fromIMessage } = require('./utils/messages/schema');
 const markdown = require('./utils/output/markdown');
 const csv = require('./utils/output/csv');
 
@@ -19,6 +20,9 @@ module.exports = {
   parseMessage,
   processMessages,
   accumulateStats,
+  normalizeMessages,
+  fromOfwMessage,
+  fromIMessage,
   ...markdown,
   ...csv,
   // Back-compat test internals
@@ -1,79 +1,194 @@
+/**
+ * Rapid-Fire Message Clusters
+ *
+ * Purpose
+ * - Find bursts of back-to-back messages (consecutive messages from one sender within a time
+ *   threshold) for every participant in an OFW JSON report or iMessage per-year export.
+ * - Score each cluster's intensity (messages, words and negative tone per hour of its span), show
+ *   its tone trajectory from first to last message, and compare senders' message frequency side by side.
+ *
+ * CLI
+ * - node message-volume.js <path-to-json-file> [--sender <names>] [--threshold-min <minutes>]
+ *                          [--min-messages <n>] [--config <path>] [--out-dir <dir>] [--no-csv] [--no-json]
+ *   --sender: comma-separated; only these senders (default: everyone)
+ *   --config: JSON with thresholdMin, minMessages, senders and scoring ({ messages, words, tone,
+ *             minSpanMinutes }); otherwise the tool looks for source_files/clusters.config.json
+ *             (gitignored) if present
+ * - Prints the sender comparison, each cluster and a compact ASCII visualization
+ * - Writes ./output/<input>-clusters.csv, -cluster-senders.csv and -clusters.json, plus
+ *   -clusters.manifest.json (see utils/provenance.js)
+ */
+
 const fs = require('fs');
+const path = require('path');
 const {
   formatDateMMMddYYYY,
   formatDateMMDDYYYY,
   formatTimeHHMM,
 } = require('./utils/date');
-const { analyzeRapidFireMessages } = require('./utils/ofw/clusters');
+const {
+  DEFAULT_THRESHOLD_SECONDS,
+  DEFAULT_MIN_MESSAGES,
+  resolveScoring,
+  findRapidFireClusters,
+} = require('./utils/ofw/clusters');
+const { normalizeMessages, describeSourceLocation } = require('./utils/messages/schema');
+const { formatClustersCsv, formatClusterSendersCsv } = require('./utils/output/csv');
+const { writeFile } = require('./utils/fs');
+const { startRun } = require('./utils/provenance');
+const { readArg, readList, loadConfig } = require('./utils/cli');
 
 function printHelp() {
-  console.log(`\nUsage: node message-volume.js <path-to-json-file> [--sender "Name"] [--threshold-min 30] [--min-messages 3]\n\nOptions:\n  --sender          Sender name to analyze (exact match). Default: "José Hernandez"\n  --threshold-min   Max minutes between consecutive messages to be in the same cluster. Default: 30\n  --min-messages    Minimum messages per cluster to include in output. Default: 3\n  -h, --help        Show this help\n`);
+  console.log(`\nUsage: node message-volume.js <path-to-json-file> [--sender <names>] [--threshold-min 30] [--min-messages 3] [--config <path>] [--out-dir <dir>] [--no-csv] [--no-json]\n\nOptions:\n  --sender          Comma-separated sender names to analyze (exact match, any case). Default: everyone\n  --threshold-min   Max minutes between consecutive messages to be in the same cluster. Default: ${DEFAULT_THRESHOLD_SECONDS / 60}\n  --min-messages    Minimum messages per cluster to include in output. Default: ${DEFAULT_MIN_MESSAGES}\n  --config          JSON config with thresholdMin, minMessages, senders and scoring weights\n  --out-dir         Output directory (default: ./output)\n  --no-csv          Skip the CSV reports\n  --no-json         Skip the JSON report\n  -h, --help        Show this help\n`);
 }
 
-// Simple CLI args parser
-const rawArgs = process.argv.slice(2);
-if (rawArgs.includes('-h') || rawArgs.includes('--help') || rawArgs.length === 0) {
-  printHelp();
-  process.exit(rawArgs.length === 0 ? 1 : 0);
+// Positive number from a flag, then the config, then the default
+function readNumber(argv, flag, configValue, fallback, label) {
+  const arg = readArg(argv, flag);
+  const raw = arg !== null ? arg : configValue;
+  if (raw === undefined || raw === null) return fallback;
+  const n = Number(raw);
+  if (!(Number.isFinite(n) && n > 0)) {
+    console.error(`Invalid ${label}: ${raw} (expected a positive number)`);
+    process.exit(1);
+  }
+  return n;
 }
 
-const filePath = rawArgs[0];
-const options = { sender: 'José Hernandez', thresholdMin: 30, minMessages: 3 };
-for (let i = 1; i < rawArgs.length; i++) {
-  if (rawArgs[i] === '--sender') options.sender = rawArgs[++i];
-  else if (rawArgs[i] === '--threshold-min') options.thresholdMin = Number(rawArgs[++i]);
-  else if (rawArgs[i] === '--min-messages') options.minMessages = Number(rawArgs[++i]);
+// Report without the full message objects: each clustered message is cited by position
+function toJsonReport(report) {
+  return {
+    thresholdMinutes: report.thresholdSeconds / 60,
+    minMessages: report.minMessages,
+    scoring: report.scoring,
+    senders: report.senders,
+    clusters: report.clusters.map(c => ({
+      id: c.id,
+      sender: c.sender,
+      start: c.start,
+      end: c.end,
+      spanMinutes: c.spanMinutes,
+      messageCount: c.messages.length,
+      words: c.words,
+      avgTone: c.avgTone,
+      tone: c.tone,
+      score: c.score,
+      messages: c.messages.map(m => ({
+        sentDate: m.sentDate,
+        subject: m.subject || '',
+        wordCount: m.wordCount || 0,
+        tone: Number.isFinite(m.tone) ? m.tone : 0,
+        ...(m.sourceId ? { sourceId: m.sourceId } : {}),
+        source: describeSourceLocation(m),
+      })),
+    })),
+  };
 }
 
-if (!filePath) {
-  printHelp();
-  process.exit(1);
-}
+function printReport(report) {
+  const fixed = (v, digits = 1) => (v === null || v === undefined ? '—' : v.toFixed(digits));
+  console.log(`\nRapid-fire clusters (>=${report.minMessages} msgs, <=${report.thresholdSeconds / 60} min gaps)`);
+  console.log('\nSender comparison');
+  Object.entries(report.senders).forEach(([name, s]) => {
+    console.log(` - ${name}: ${s.messages} messages on ${s.activeDays} day(s) (${fixed(s.messagesPerActiveDay)}/day, median gap ${fixed(s.medianGapMinutes, 0)} min); ${s.clusters} cluster(s) with ${s.clusteredMessages} messages (${fixed(s.clusteredPct)}%), largest ${s.largestCluster}, max score ${fixed(s.maxScore)}, ${s.escalating} escalating`);
+  });
 
-// Enforce JSON input explicitly
-if (!filePath.toLowerCase().endsWith('.json')) {
-  console.error('Expected a JSON file as input. Run ofw:analyze first to generate JSON.');
-  printHelp();
-  process.exit(1);
+  let visualization = '';
+  report.clusters.forEach(cluster => {
+    const msgs = cluster.messages;
+    visualization += `\n${formatDateMMDDYYYY(cluster.start)} ${cluster.sender} »`;
+    console.log(`\n#${cluster.id} ${formatDateMMMddYYYY(cluster.start)} — ${cluster.sender}: ${msgs.length} messages in ${Math.round(cluster.spanMinutes)} mins, ${cluster.words} words, score ${fixed(cluster.score)}, tone ${cluster.tone.values.map(v => fixed(v, 2)).join(' → ')} (${cluster.tone.trend})`);
+    msgs.forEach((msg, msgIdx) => {
+      if (msgIdx === 0) {
+        console.log(` [${formatTimeHHMM(msg.sentDate)}] - ${msg.subject || 'No subject'}`);
+        visualization += `[${msg.wordCount || 0}w]`;
+      } else {
+        const responseTimeMinutes = (new Date(msg.sentDate) - new Date(msgs[msgIdx - 1].sentDate)) / 1000 / 60;
+        console.log(` [${formatTimeHHMM(msg.sentDate)}] - ${Math.round(responseTimeMinutes)} mins later`);
+        const scaled = Math.min(50, Math.max(1, Math.round(responseTimeMinutes / 5))); // 1 char per ~5 min, capped
+        visualization += `${'-'.repeat(scaled)}[${msg.wordCount || 0}w]`;
+      }
+    });
+  });
+  if (report.clusters.length === 0) {
+    console.log('\nNo clusters found with current settings.');
+  }
+  console.log(visualization);
 }
 
-// Load and parse JSON data
-const messages = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+function runCli(argv = process.argv.slice(2)) {
+  if (argv.includes('-h') || argv.includes('--help') || !argv[0] || argv[0].startsWith('--')) {
+    printHelp();
+    if (!argv.includes('-h') && !argv.includes('--help')) process.exit(1);
+    return null;
+  }
+  const filePath = argv[0];
+  // Enforce JSON input explicitly
+  if (!filePath.toLowerCase().endsWith('.json')) {
+    console.error('Expected a JSON file as input. Run ofw:analyze or imessage first to generate JSON.');
+    printHelp();
+    process.exit(1);
+  }
+  if (!fs.existsSync(filePath)) {
+    console.error(`Input not found: ${filePath}`);
+    process.exit(1);
+  }
 
-// Helper to parse date strings
-const parseSentDate = dateString => new Date(dateString).getTime();
+  const run = startRun('message-volume.js', argv);
+  run.addInput(filePath);
+  const config = loadConfig(argv, 'clusters.config.json');
+  const configPath = readArg(argv, '--config') || path.join(__dirname, 'source_files', 'clusters.config.json');
+  if (fs.existsSync(configPath)) run.addInput(configPath);
+  const thresholdMin = readNumber(argv, '--threshold-min', config.thresholdMin, DEFAULT_THRESHOLD_SECONDS / 60, 'threshold');
+  const minMessages = readNumber(argv, '--min-messages', config.minMessages, DEFAULT_MIN_MESSAGES, 'minimum messages');
+  const senders = readList(argv, '--sender');
+  let scoring;
+  try {
+    scoring = resolveScoring(config.scoring);
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
 
-const formatDate = formatDateMMMddYYYY;
-const formatDate2 = formatDateMMDDYYYY;
-const formatTime = formatTimeHHMM;
+  // Load and parse JSON data (OFW JSON from ofw:analyze or an iMessage per-year export)
+  let messages;
+  try {
+    messages = normalizeMessages(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  } catch (e) {
+    console.error(`Failed to read messages from ${filePath}: ${e.message}`);
+    process.exit(1);
+  }
 
-// Cluster logic moved to utils/ofw/clusters
+  const report = findRapidFireClusters(messages, {
+    thresholdSeconds: thresholdMin * 60,
+    minMessages,
+    senders: senders.length ? senders : [].concat(config.senders || []),
+    scoring,
+  });
+  printReport(report);
 
-const thresholdSeconds = options.thresholdMin * 60;
-let visualization = '';
-const rapidFireClusters = analyzeRapidFireMessages(messages, options.sender, thresholdSeconds)
-  .filter(cluster => cluster.length >= options.minMessages);
+  const outDir = path.resolve(readArg(argv, '--out-dir') || path.join(process.cwd(), 'output'));
+  const base = path.join(outDir, path.basename(filePath, path.extname(filePath)));
+  const written = [];
+  if (!argv.includes('--no-csv')) {
+    writeFile(`${base}-clusters.csv`, formatClustersCsv(report));
+    writeFile(`${base}-cluster-senders.csv`, formatClusterSendersCsv(report));
+    written.push(`${base}-clusters.csv`, `${base}-cluster-senders.csv`);
+  }
+  if (!argv.includes('--no-json')) {
+    writeFile(`${base}-clusters.json`, JSON.stringify(toJsonReport(report), null, 2));
+    written.push(`${base}-clusters.json`);
+  }
+  run.count('messages', Object.values(report.senders).reduce((acc, s) => acc + s.messages, 0));
+  run.count('senders', Object.keys(report.senders).length);
+  run.count('clusters', report.clusters.length);
+  run.finish(`${base}-clusters.manifest.json`);
+  console.log(`\nWrote ${written.concat(`${base}-clusters.manifest.json`).join(', ')}`);
+  return report;
+}
 
-console.log(`\nRapid-fire clusters for ${options.sender} (>=${options.minMessages} msgs, <=${options.thresholdMin} min gaps)`);
-// Output the clusters in a visually clear manner
-rapidFireClusters.forEach((cluster) => {
-  const totalWords = cluster.reduce((acc, msg) => acc + (msg.wordCount || 0), 0);
-  const totalTime = (parseSentDate(cluster[cluster.length - 1].sentDate) - parseSentDate(cluster[0].sentDate)) / 1000 / 60;
-  visualization += `\n${formatDate2(cluster[0].sentDate)} »`;
-  console.log(`\n${formatDate(cluster[0].sentDate)}: ${cluster.length} messages in ${Math.round(totalTime)} mins, ${totalWords} words`);
-  cluster.forEach((msg, msgIdx) => {
-    if (msgIdx === 0) {
-      console.log(` [${formatTime(msg.sentDate)}] - ${msg.subject}`);
-      visualization += `[${msg.wordCount || 0}w]`;
-    } else {
-      const responseTimeMinutes = (parseSentDate(msg.sentDate) - parseSentDate(cluster[msgIdx - 1].sentDate)) / 1000 / 60;
-      console.log(` [${formatTime(msg.sentDate)}] - ${Math.round(responseTimeMinutes)} mins later`);
-      const scaled = Math.min(50, Math.max(1, Math.round(responseTimeMinutes / 5))); // 1 char per ~5 min, capped
-      visualization += `${'-'.repeat(scaled)}[${msg.wordCount || 0}w]`;
-    }
-  });
-});
-if (rapidFireClusters.length === 0) {
-  console.log('\nNo clusters found with current settings.');
+if (require.main === module) {
+  runCli();
 }
-console.log(visualization);
+
+module.exports = { runCli };
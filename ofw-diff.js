@@ -0,0 +1,111 @@
+/**
+ * OFW Export Diff
+ *
+ * Purpose
+ * - Compare two parsed OFW exports of the same conversation (the JSON written by ofw.js) and report
+ *   what changed in between: messages added or removed, edited bodies or subjects, recipient
+ *   read-state changes ("First Viewed" going from Never to a time, or back) and gaps or repeats
+ *   in the "Message N of M" numbering of either export.
+ * - Messages are paired by fingerprint (sender, sent date and body hash, as in the re-analysis
+ *   cache), then by sender and sent date to catch edited bodies.
+ *
+ * CLI
+ * - node ofw-diff.js <previous.json> <current.json> [--out-dir <dir>] [--no-markdown] [--no-csv]
+ * - Writes ./output/<previous>-to-<current>-diff.md and .csv, plus .manifest.json
+ *   (see utils/provenance.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { normalizeMessages } = require('./utils/messages/schema');
+const { compareReports } = require('./utils/ofw/diff');
+const { formatOfwDiffCsv } = require('./utils/output/csv');
+const { formatOfwDiffMarkdown } = require('./utils/output/markdown');
+const { writeFile } = require('./utils/fs');
+const { startRun } = require('./utils/provenance');
+const { readArg } = require('./utils/cli');
+
+/**
+ * Print CLI usage help.
+ */
+function printHelp() {
+    console.log(`\nUsage: node ofw-diff.js <previous.json> <current.json> [--out-dir <dir>] [--no-markdown] [--no-csv]\n\nOptions:\n  --out-dir      Output directory (default: ./output)\n  --no-markdown  Skip the Markdown report\n  --no-csv       Skip the CSV report\n  -h, --help     Show this help\n`);
+}
+
+function loadExport(filePath) {
+    try {
+        return normalizeMessages(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    } catch (e) {
+        console.error(`Failed to read messages from ${filePath}: ${e.message}`);
+        process.exit(1);
+    }
+}
+
+/**
+ * Print the comparison summary to the console.
+ * @param {ReturnType<typeof compareReports>} report
+ */
+function printSummary(report) {
+    const gaps = (n) => n.gaps.map(g => (g.from === g.to ? `${g.from}` : `${g.from}–${g.to}`)).join(', ');
+    console.log(`Matched ${report.matched} message(s), ${report.unchanged} unchanged`);
+    console.log(`Added: ${report.added.length}; removed: ${report.removed.length}; edited: ${report.edited.length}; read-state changes: ${report.readChanges.length}`);
+    ['previous', 'current'].forEach(which => {
+        const n = report.numbering[which];
+        if (n.gaps.length) console.log(`Numbering gaps in the ${which} export (of ${n.total}): ${gaps(n)}`);
+        if (n.duplicates.length) console.log(`Repeated numbers in the ${which} export: ${n.duplicates.join(', ')}`);
+    });
+}
+
+function runCli(argv = process.argv.slice(2)) {
+    const positional = argv.filter((arg, idx) => !arg.startsWith('-') && argv[idx - 1] !== '--out-dir');
+    if (argv.includes('-h') || argv.includes('--help') || positional.length < 2) {
+        printHelp();
+        if (!argv.includes('-h') && !argv.includes('--help')) process.exit(1);
+        return null;
+    }
+    const [previousPath, currentPath] = positional;
+    [previousPath, currentPath].forEach(p => {
+        if (!fs.existsSync(p)) {
+            console.error(`Input not found: ${p}`);
+            process.exit(1);
+        }
+    });
+
+    const run = startRun('ofw-diff.js', argv);
+    run.addInput(previousPath);
+    run.addInput(currentPath);
+    const report = compareReports(loadExport(previousPath), loadExport(currentPath));
+    const names = { previous: path.basename(previousPath), current: path.basename(currentPath) };
+    console.log(`Comparing ${names.previous} → ${names.current}`);
+    printSummary(report);
+
+    const outDir = path.resolve(readArg(argv, '--out-dir') || path.join(process.cwd(), 'output'));
+    const stem = (p) => path.basename(p, path.extname(p));
+    const base = path.join(outDir, `${stem(previousPath)}-to-${stem(currentPath)}-diff`);
+    const written = [];
+    if (!argv.includes('--no-markdown')) {
+        writeFile(`${base}.md`, formatOfwDiffMarkdown(report, names));
+        written.push(`${base}.md`);
+    }
+    if (!argv.includes('--no-csv')) {
+        writeFile(`${base}.csv`, formatOfwDiffCsv(report));
+        written.push(`${base}.csv`);
+    }
+    run.count('matched', report.matched);
+    run.count('unchanged', report.unchanged);
+    run.count('added', report.added.length);
+    run.count('removed', report.removed.length);
+    run.count('edited', report.edited.length);
+    run.count('readStateChanges', report.readChanges.length);
+    run.count('numberingGaps', report.numbering.previous.gaps.length + report.numbering.current.gaps.length);
+    run.finish(`${base}.manifest.json`);
+    console.log(`\nWrote ${written.concat(`${base}.manifest.json`).join(', ')}`);
+    return report;
+}
+
+if (require.main === module) {
+    runCli();
+}
+
+module.exports = { runCli };
@@ -0,0 +1,123 @@
+/**
+ * Expense Claim Ledger (OFW messages)
+ *
+ * Purpose
+ * - Find expense and reimbursement claims in parsed OFW messages (dollar amounts with expense
+ *   language: "reimburse", "your half", "you owe", copays, bills, receipts) and build a ledger with
+ *   the date, requester, payer, amount, category and a citation to the message.
+ * - Check later messages for whether the other parent paid, acknowledged or disputed each claim, and
+ *   total the claimed, paid and outstanding amounts per parent and category for reconciling with the
+ *   support and apportionment worksheets.
+ *
+ * CLI
+ * - node ofw-expenses.js <report.json> [--sender <names>] [--start <yyyy-mm-dd>] [--end <yyyy-mm-dd>]
+ *                        [--config <path>] [--out-dir <dir>] [--no-markdown] [--no-csv]
+ *   --sender: comma-separated; only claims made by these senders
+ *   --config: JSON with senders and categories ({ "<Category>": ["keyword", ...] }, replacing the
+ *             built-in expense categories); otherwise the tool looks for
+ *             source_files/expenses.config.json (gitignored) if present
+ * - Writes ./output/<report>-expenses.md, -expenses.csv (the ledger) and -expenses-summary.csv
+ *   (totals per requester, payer and category), plus .manifest.json (see utils/provenance.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { parseLocalDateTime } = require('./utils/date');
+const { normalizeMessages } = require('./utils/messages/schema');
+const { assignThreads } = require('./utils/ofw/threads');
+const { STATUSES, loadExpenseCategories, buildExpenseLedger } = require('./utils/ofw/expenses');
+const { formatExpenseLedgerCsv, formatExpenseSummaryCsv } = require('./utils/output/csv');
+const { formatExpenseLedgerMarkdown } = require('./utils/output/markdown');
+const { writeFile } = require('./utils/fs');
+const { startRun } = require('./utils/provenance');
+const { readArg, readList, loadConfig } = require('./utils/cli');
+
+/**
+ * Print CLI usage help.
+ */
+function printHelp() {
+    console.log(`\nUsage: node ofw-expenses.js <report.json> [--sender <names>] [--start <yyyy-mm-dd>] [--end <yyyy-mm-dd>] [--config <path>] [--out-dir <dir>] [--no-markdown] [--no-csv]\n\nOptions:\n  --sender       Comma-separated senders whose claims are listed (default: everyone)\n  --start        Only claims sent on or after this date\n  --end          Only claims sent on or before this date\n  --config       JSON config with senders and categories ({ "<Category>": ["keyword", ...] })\n  --out-dir      Output directory (default: ./output)\n  --no-markdown  Skip the Markdown report\n  --no-csv       Skip the CSV ledger and summary\n  -h, --help     Show this help\n`);
+}
+
+function runCli(argv = process.argv.slice(2)) {
+    if (argv.includes('-h') || argv.includes('--help') || !argv[0] || argv[0].startsWith('--')) {
+        printHelp();
+        if (!argv.includes('-h') && !argv.includes('--help')) process.exit(1);
+        return null;
+    }
+    const inputPath = argv[0];
+    if (!fs.existsSync(inputPath)) {
+        console.error(`Input not found: ${inputPath}`);
+        process.exit(1);
+    }
+
+    const options = {};
+    try {
+        const startArg = readArg(argv, '--start');
+        const endArg = readArg(argv, '--end');
+        if (startArg) options.start = parseLocalDateTime(startArg);
+        if (endArg) options.end = parseLocalDateTime(endArg);
+    } catch (e) {
+        console.error(e.message);
+        printHelp();
+        process.exit(1);
+    }
+
+    const run = startRun('ofw-expenses.js', argv);
+    run.addInput(inputPath);
+    const config = loadConfig(argv, 'expenses.config.json');
+    const configPath = readArg(argv, '--config') || path.join(__dirname, 'source_files', 'expenses.config.json');
+    if (fs.existsSync(configPath)) run.addInput(configPath);
+    try {
+        options.categories = loadExpenseCategories(config.categories);
+    } catch (e) {
+        console.error(`Invalid categories: ${e.message}`);
+        process.exit(1);
+    }
+    const senders = readList(argv, '--sender');
+    options.senders = senders.length ? senders : [].concat(config.senders || []);
+
+    let messages;
+    try {
+        messages = normalizeMessages(JSON.parse(fs.readFileSync(inputPath, 'utf8')));
+    } catch (e) {
+        console.error(`Failed to read messages from ${inputPath}: ${e.message}`);
+        process.exit(1);
+    }
+    // JSON from ofw.js already carries threadId; thread anything else the same way ofw.js does
+    if (!messages.some(m => m.threadId != null)) assignThreads(messages);
+
+    const ledger = buildExpenseLedger(messages, options);
+    const count = (status) => ledger.claims.filter(c => c.status === status).length;
+    console.log(`Checked ${ledger.scanned} message(s); ${ledger.claims.length} expense claim(s)`);
+    Object.entries(ledger.summary).forEach(([requester, payers]) => Object.entries(payers).forEach(([payer, byCategory]) => {
+        const totals = Object.values(byCategory).reduce((acc, s) => ({ claimed: acc.claimed + s.claimed, paid: acc.paid + s.paid, outstanding: acc.outstanding + s.outstanding }), { claimed: 0, paid: 0, outstanding: 0 });
+        console.log(` - ${requester} → ${payer}: $${totals.claimed.toFixed(2)} claimed, $${totals.paid.toFixed(2)} paid, $${totals.outstanding.toFixed(2)} outstanding`);
+    }));
+
+    const outDir = path.resolve(readArg(argv, '--out-dir') || path.join(process.cwd(), 'output'));
+    const base = path.join(outDir, `${path.basename(inputPath, path.extname(inputPath))}-expenses`);
+    const written = [];
+    if (!argv.includes('--no-markdown')) {
+        writeFile(`${base}.md`, formatExpenseLedgerMarkdown(ledger, { name: path.basename(inputPath) }));
+        written.push(`${base}.md`);
+    }
+    if (!argv.includes('--no-csv')) {
+        writeFile(`${base}.csv`, formatExpenseLedgerCsv(ledger));
+        writeFile(`${base}-summary.csv`, formatExpenseSummaryCsv(ledger));
+        written.push(`${base}.csv`, `${base}-summary.csv`);
+    }
+    run.count('messages', ledger.scanned);
+    run.count('claims', ledger.claims.length);
+    STATUSES.forEach(status => run.count(status === 'no reply' ? 'noReply' : status, count(status)));
+    run.finish(`${base}.manifest.json`);
+    console.log(`\nWrote ${written.concat(`${base}.manifest.json`).join(', ')}`);
+    return ledger;
+}
+
+if (require.main === module) {
+    runCli();
+}
+
+module.exports = { runCli };
@@ -0,0 +1,112 @@
+/**
+ * Read Behavior Report (OFW read receipts)
+ *
+ * Purpose
+ * - Use the per-recipient "First Viewed" times in parsed OFW messages ("Never" or a date) to show
+ *   which messages were never opened, how long each recipient takes to open messages (distribution,
+ *   median and p90), and how that varies by the hour and weekday a message was sent and by the
+ *   subject category of its thread.
+ * - Flag messages that were opened but never answered in the same thread, with citations to the
+ *   message positions ("Message N of M" and source ID), and write weekly trends.
+ *
+ * CLI
+ * - node ofw-reads.js <report.json> [--config <path>] [--out-dir <dir>] [--no-markdown] [--no-csv]
+ *   --config: JSON with categories ({ "<Category>": ["keyword", ...] }, replacing the built-in
+ *             subject categories); otherwise the tool looks for source_files/reads.config.json
+ *             (gitignored) if present
+ * - Writes ./output/<report>-read-behavior.md, -read-behavior.csv (one row per message and
+ *   recipient), -read-behavior-breakdown.csv (by hour, weekday and category) and
+ *   -read-behavior-weekly.csv, plus .manifest.json (see utils/provenance.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { normalizeMessages } = require('./utils/messages/schema');
+const { assignThreads } = require('./utils/ofw/threads');
+const { loadSubjectCategories, summarizeReadBehavior } = require('./utils/ofw/reads');
+const { formatReadBehaviorCsv, formatReadBehaviorBreakdownCsv, formatReadBehaviorWeeklyCsv } = require('./utils/output/csv');
+const { formatReadBehaviorMarkdown } = require('./utils/output/markdown');
+const { writeFile } = require('./utils/fs');
+const { startRun } = require('./utils/provenance');
+const { readArg, loadConfig } = require('./utils/cli');
+
+/**
+ * Print CLI usage help.
+ */
+function printHelp() {
+    console.log(`\nUsage: node ofw-reads.js <report.json> [--config <path>] [--out-dir <dir>] [--no-markdown] [--no-csv]\n\nOptions:\n  --config       JSON config with categories ({ "<Category>": ["keyword", ...] })\n  --out-dir      Output directory (default: ./output)\n  --no-markdown  Skip the Markdown report\n  --no-csv       Skip the CSV reports\n  -h, --help     Show this help\n`);
+}
+
+function runCli(argv = process.argv.slice(2)) {
+    if (argv.includes('-h') || argv.includes('--help') || !argv[0] || argv[0].startsWith('--')) {
+        printHelp();
+        if (!argv.includes('-h') && !argv.includes('--help')) process.exit(1);
+        return null;
+    }
+    const inputPath = argv[0];
+    if (!fs.existsSync(inputPath)) {
+        console.error(`Input not found: ${inputPath}`);
+        process.exit(1);
+    }
+
+    const run = startRun('ofw-reads.js', argv);
+    run.addInput(inputPath);
+    const config = loadConfig(argv, 'reads.config.json');
+    const configPath = readArg(argv, '--config') || path.join(__dirname, 'source_files', 'reads.config.json');
+    if (fs.existsSync(configPath)) run.addInput(configPath);
+    let categories;
+    try {
+        categories = loadSubjectCategories(config.categories);
+    } catch (e) {
+        console.error(`Invalid categories: ${e.message}`);
+        process.exit(1);
+    }
+
+    let messages;
+    try {
+        messages = normalizeMessages(JSON.parse(fs.readFileSync(inputPath, 'utf8')));
+    } catch (e) {
+        console.error(`Failed to read messages from ${inputPath}: ${e.message}`);
+        process.exit(1);
+    }
+    // JSON from ofw.js already carries threadId; thread anything else the same way ofw.js does
+    if (!messages.some(m => m.threadId != null)) assignThreads(messages);
+
+    const summary = summarizeReadBehavior(messages, { categories });
+    const messageCount = new Set(summary.items.map(i => i.message)).size;
+    const neverRead = summary.items.filter(i => !i.readAt).length;
+    const readNotAnswered = summary.items.filter(i => i.readAt && !i.answered).length;
+    console.log(`Checked ${summary.items.length} read receipt(s) on ${messageCount} message(s)`);
+    Object.entries(summary.recipients).forEach(([recipient, s]) => {
+        const median = s.medianHours === null ? '—' : `${s.medianHours.toFixed(1)}h`;
+        console.log(` - ${recipient}: ${s.received} received, ${s.neverRead} never read, ${s.readNotAnswered} read but not answered, median ${median} to first view`);
+    });
+
+    const outDir = path.resolve(readArg(argv, '--out-dir') || path.join(process.cwd(), 'output'));
+    const base = path.join(outDir, `${path.basename(inputPath, path.extname(inputPath))}-read-behavior`);
+    const written = [];
+    if (!argv.includes('--no-markdown')) {
+        writeFile(`${base}.md`, formatReadBehaviorMarkdown(summary, { name: path.basename(inputPath) }));
+        written.push(`${base}.md`);
+    }
+    if (!argv.includes('--no-csv')) {
+        writeFile(`${base}.csv`, formatReadBehaviorCsv(summary));
+        writeFile(`${base}-breakdown.csv`, formatReadBehaviorBreakdownCsv(summary));
+        writeFile(`${base}-weekly.csv`, formatReadBehaviorWeeklyCsv(summary));
+        written.push(`${base}.csv`, `${base}-breakdown.csv`, `${base}-weekly.csv`);
+    }
+    run.count('messages', messageCount);
+    run.count('receipts', summary.items.length);
+    run.count('neverRead', neverRead);
+    run.count('readNotAnswered', readNotAnswered);
+    run.finish(`${base}.manifest.json`);
+    console.log(`\nWrote ${written.concat(`${base}.manifest.json`).join(', ')}`);
+    return summary;
+}
+
+if (require.main === module) {
+    runCli();
+}
+
+module.exports = { runCli };
@@ -0,0 +1,121 @@
+/**
+ * Unanswered Request Detector (OFW messages)
+ *
+ * Purpose
+ * - Find questions and requests about the children in parsed OFW messages (question marks,
+ *   "can you", "please let me know", date/time proposals) and check whether the recipient
+ *   addressed each one in a later message in the same thread within a time window.
+ * - Report the unanswered ones with citations to the message positions ("Message N of M" and
+ *   source ID), plus requests answered late and those still within the window at the end of the export.
+ *
+ * CLI
+ * - node ofw-requests.js <report.json> [--window <hours>] [--sender <names>] [--start <yyyy-mm-dd>]
+ *                        [--end <yyyy-mm-dd>] [--config <path>] [--out-dir <dir>] [--no-markdown] [--no-csv]
+ *   --window: hours the recipient has to answer (default 48)
+ *   --sender: comma-separated; only check requests from these senders
+ *   --config: JSON with windowHours and senders; otherwise the tool looks for
+ *             source_files/requests.config.json (gitignored) if present
+ * - Writes ./output/<report>-unanswered-requests.md and .csv, plus .manifest.json
+ *   (see utils/provenance.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { parseLocalDateTime } = require('./utils/date');
+const { normalizeMessages } = require('./utils/messages/schema');
+const { assignThreads } = require('./utils/ofw/threads');
+const { DEFAULT_WINDOW_HOURS, findUnansweredRequests } = require('./utils/ofw/requests');
+const { formatUnansweredRequestsCsv } = require('./utils/output/csv');
+const { formatUnansweredRequestsMarkdown } = require('./utils/output/markdown');
+const { writeFile } = require('./utils/fs');
+const { startRun } = require('./utils/provenance');
+const { readArg, readList, loadConfig } = require('./utils/cli');
+
+/**
+ * Print CLI usage help.
+ */
+function printHelp() {
+    console.log(`\nUsage: node ofw-requests.js <report.json> [--window <hours>] [--sender <names>] [--start <yyyy-mm-dd>] [--end <yyyy-mm-dd>] [--config <path>] [--out-dir <dir>] [--no-markdown] [--no-csv]\n\nOptions:\n  --window       Hours the recipient has to answer (default: ${DEFAULT_WINDOW_HOURS})\n  --sender       Comma-separated senders whose requests are checked (default: everyone)\n  --start        Only requests sent on or after this date\n  --end          Only requests sent on or before this date\n  --config       JSON config with windowHours and senders\n  --out-dir      Output directory (default: ./output)\n  --no-markdown  Skip the Markdown report\n  --no-csv       Skip the CSV report\n  -h, --help     Show this help\n`);
+}
+
+function runCli(argv = process.argv.slice(2)) {
+    if (argv.includes('-h') || argv.includes('--help') || !argv[0] || argv[0].startsWith('--')) {
+        printHelp();
+        if (!argv.includes('-h') && !argv.includes('--help')) process.exit(1);
+        return null;
+    }
+    const inputPath = argv[0];
+    if (!fs.existsSync(inputPath)) {
+        console.error(`Input not found: ${inputPath}`);
+        process.exit(1);
+    }
+
+    const options = {};
+    try {
+        const startArg = readArg(argv, '--start');
+        const endArg = readArg(argv, '--end');
+        if (startArg) options.start = parseLocalDateTime(startArg);
+        if (endArg) options.end = parseLocalDateTime(endArg);
+    } catch (e) {
+        console.error(e.message);
+        printHelp();
+        process.exit(1);
+    }
+
+    const run = startRun('ofw-requests.js', argv);
+    run.addInput(inputPath);
+    const config = loadConfig(argv, 'requests.config.json');
+    const configPath = readArg(argv, '--config') || path.join(__dirname, 'source_files', 'requests.config.json');
+    if (fs.existsSync(configPath)) run.addInput(configPath);
+    const windowArg = readArg(argv, '--window');
+    const windowHours = windowArg !== null ? Number(windowArg) : (config.windowHours !== undefined ? Number(config.windowHours) : DEFAULT_WINDOW_HOURS);
+    if (!(Number.isFinite(windowHours) && windowHours > 0)) {
+        console.error(`Invalid window: ${windowArg !== null ? windowArg : config.windowHours} (expected a number of hours)`);
+        process.exit(1);
+    }
+    options.windowHours = windowHours;
+    const senders = readList(argv, '--sender');
+    options.senders = senders.length ? senders : [].concat(config.senders || []);
+
+    let messages;
+    try {
+        messages = normalizeMessages(JSON.parse(fs.readFileSync(inputPath, 'utf8')));
+    } catch (e) {
+        console.error(`Failed to read messages from ${inputPath}: ${e.message}`);
+        process.exit(1);
+    }
+    // JSON from ofw.js already carries threadId; thread anything else the same way ofw.js does
+    if (!messages.some(m => m.threadId != null)) assignThreads(messages);
+
+    const report = findUnansweredRequests(messages, options);
+    const count = (status) => report.requests.filter(r => r.status === status).length;
+    console.log(`Checked ${report.scanned} message(s); ${report.requests.length} request(s) to answer within ${windowHours} hours`);
+    Object.entries(report.summary).forEach(([sender, recipients]) => Object.entries(recipients).forEach(([recipient, s]) => {
+        console.log(` - ${sender} → ${recipient}: ${s.requests} request(s), ${s.answered} answered, ${s.late} late, ${s.unanswered} unanswered, ${s.pending} pending`);
+    }));
+
+    const outDir = path.resolve(readArg(argv, '--out-dir') || path.join(process.cwd(), 'output'));
+    const base = path.join(outDir, `${path.basename(inputPath, path.extname(inputPath))}-unanswered-requests`);
+    const written = [];
+    if (!argv.includes('--no-markdown')) {
+        writeFile(`${base}.md`, formatUnansweredRequestsMarkdown(report, { name: path.basename(inputPath) }));
+        written.push(`${base}.md`);
+    }
+    if (!argv.includes('--no-csv')) {
+        writeFile(`${base}.csv`, formatUnansweredRequestsCsv(report));
+        written.push(`${base}.csv`);
+    }
+    run.count('messages', report.scanned);
+    run.count('requests', report.requests.length);
+    ['answered', 'late', 'unanswered', 'pending'].forEach(status => run.count(status, count(status)));
+    run.finish(`${base}.manifest.json`);
+    console.log(`\nWrote ${written.concat(`${base}.manifest.json`).join(', ')}`);
+    return report;
+}
+
+if (require.main === module) {
+    runCli();
+}
+
+module.exports = { runCli };
@@ -0,0 +1,162 @@
+/**
+ * Full-Text Search (parsed message JSON)
+ *
+ * Purpose
+ * - Find who said what across one or more parsed exports (JSON from ofw.js, email.js or imessage.js)
+ *   without grepping the per-message Markdown: boolean, phrase and proximity queries with field
+ *   filters, and keyword-in-context snippets with a citation for every message found.
+ * - Each JSON gets an inverted index on disk (utils/ofw/search.js), keyed by the file's SHA-256, so
+ *   repeated searches over years of messages do not re-tokenize them.
+ *
+ * CLI
+ * - node ofw-search.js <report.json> [more.json ...] --query "<query>" [--sender <names>]
+ *                      [--start <yyyy-mm-dd>] [--end <yyyy-mm-dd>] [--thread <ids>] [--tone-min <n>]
+ *                      [--tone-max <n>] [--flag <flags>] [--sort date|relevance] [--limit <n>]
+ *                      [--context <words>] [--out <file.md|file.csv>] [--index-dir <dir>] [--no-index]
+ *                      [--rebuild-index]
+ *   --query: words (AND is implied), "exact phrases", "words near each other"~5, OR, NOT / -word,
+ *            parentheses and word* prefixes
+ *   --sender, --thread, --flag: comma-separated; a message must match every filter that is given
+ *   --index-dir: where indexes are kept (default ./output/cache/search); --no-index keeps them in memory
+ * - Prints the results as Markdown; with --out writes them to a Markdown or CSV file instead, plus
+ *   .manifest.json next to it (see utils/provenance.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { parseLocalDateTime } = require('./utils/date');
+const { normalizeMessages } = require('./utils/messages/schema');
+const { messageFingerprint } = require('./utils/ofw/cache');
+const { loadSearchIndex, parseQuery, searchMessages } = require('./utils/ofw/search');
+const { formatSearchResultsCsv } = require('./utils/output/csv');
+const { formatSearchResultsMarkdown } = require('./utils/output/markdown');
+const { writeFile } = require('./utils/fs');
+const { startRun } = require('./utils/provenance');
+const { readArg, readList } = require('./utils/cli');
+
+// Flags followed by a value; everything before the first flag is an input
+const VALUE_FLAGS = ['--query', '-q', '--sender', '--start', '--end', '--thread', '--tone-min', '--tone-max', '--flag', '--sort', '--limit', '--context', '--out', '--index-dir'];
+
+/**
+ * Print CLI usage help.
+ */
+function printHelp() {
+    console.log(`\nUsage: node ofw-search.js <report.json> [more.json ...] --query "<query>" [--sender <names>] [--start <yyyy-mm-dd>] [--end <yyyy-mm-dd>] [--thread <ids>] [--tone-min <n>] [--tone-max <n>] [--flag <flags>] [--sort date|relevance] [--limit <n>] [--context <words>] [--out <file.md|file.csv>] [--index-dir <dir>] [--no-index] [--rebuild-index]\n\nQuery syntax:\n  pickup late          Both words (AND is implied)\n  "pick up"            Exact phrase\n  "pickup late"~5      Words within 5 words of each other, any order\n  pickup OR dropoff    Either word; group with parentheses\n  NOT school, -school  Leave out messages with the word\n  exchang*             Words starting with "exchang"\n\nOptions:\n  -q, --query      Search query (required)\n  --sender         Comma-separated sender names (case-insensitive)\n  --start          Only messages sent on or after this date\n  --end            Only messages sent on or before this date\n  --thread         Comma-separated thread IDs\n  --tone-min       Only messages with tone at or above this value\n  --tone-max       Only messages with tone at or below this value\n  --flag           Comma-separated LLM flags, e.g. threat,legal-threat\n  --sort           date (default) or relevance (most matched words first)\n  --limit          Show at most this many results (default: 50; 0 for all)\n  --context        Words shown on each side of a match (default: 8)\n  --out            Write the results to a .md or .csv file instead of the console\n  --index-dir      Index directory (default: ./output/cache/search)\n  --no-index       Do not read or write indexes on disk\n  --rebuild-index  Rebuild the indexes even if they are current\n  -h, --help       Show this help\n`);
+}
+
+function readNumber(argv, flag) {
+    const val = readArg(argv, flag);
+    if (val === null) return undefined;
+    const n = Number(val);
+    if (!Number.isFinite(n)) throw new Error(`Invalid ${flag}: ${val} (expected a number)`);
+    return n;
+}
+
+function runCli(argv = process.argv.slice(2)) {
+    const firstFlag = argv.findIndex(a => a.startsWith('-'));
+    const inputs = firstFlag === -1 ? argv.slice() : argv.slice(0, firstFlag);
+    const query = readArg(argv, '--query') || readArg(argv, '-q');
+    if (argv.includes('-h') || argv.includes('--help') || !inputs.length || !query) {
+        printHelp();
+        if (!argv.includes('-h') && !argv.includes('--help')) process.exit(1);
+        return null;
+    }
+    const missing = inputs.find(p => !fs.existsSync(p));
+    if (missing) {
+        console.error(`Input not found: ${missing}`);
+        process.exit(1);
+    }
+    const stray = argv.slice(inputs.length).find((a, i, rest) => !a.startsWith('-') && !VALUE_FLAGS.includes(rest[i - 1]));
+    if (stray) {
+        console.error(`Unexpected argument: ${stray} (list every input before the options)`);
+        process.exit(1);
+    }
+
+    const filters = { senders: readList(argv, '--sender'), threadIds: readList(argv, '--thread'), flags: readList(argv, '--flag') };
+    let tree;
+    let limit;
+    let context;
+    try {
+        tree = parseQuery(query);
+        const startArg = readArg(argv, '--start');
+        const endArg = readArg(argv, '--end');
+        if (startArg) filters.start = parseLocalDateTime(startArg);
+        if (endArg) filters.end = parseLocalDateTime(endArg);
+        filters.toneMin = readNumber(argv, '--tone-min');
+        filters.toneMax = readNumber(argv, '--tone-max');
+        filters.sort = readArg(argv, '--sort') || 'date';
+        if (!['date', 'relevance'].includes(filters.sort)) throw new Error(`Invalid --sort: ${filters.sort} (expected date or relevance)`);
+        limit = readNumber(argv, '--limit');
+        context = readNumber(argv, '--context');
+        if (limit !== undefined && !(Number.isInteger(limit) && limit >= 0)) throw new Error(`Invalid --limit: ${limit} (expected a whole number)`);
+        if (context !== undefined && !(Number.isInteger(context) && context >= 0)) throw new Error(`Invalid --context: ${context} (expected a whole number)`);
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+    if (limit === undefined) limit = 50;
+
+    const run = startRun('ofw-search.js', argv);
+    const indexDir = argv.includes('--no-index') ? null : path.resolve(readArg(argv, '--index-dir') || path.join(process.cwd(), 'output', 'cache', 'search'));
+    const seen = new Set();
+    let results = [];
+    let scanned = 0;
+    let duplicates = 0;
+    inputs.forEach(inputPath => {
+        run.addInput(inputPath);
+        let messages;
+        try {
+            messages = normalizeMessages(JSON.parse(fs.readFileSync(inputPath, 'utf8')));
+        } catch (e) {
+            console.error(`Failed to read messages from ${inputPath}: ${e.message}`);
+            process.exit(1);
+        }
+        const { index, reused } = loadSearchIndex(inputPath, messages, { dir: indexDir, rebuild: argv.includes('--rebuild-index') });
+        console.error(`${path.basename(inputPath)}: ${messages.length} message(s), index ${reused ? 'reused' : 'built'}`);
+        scanned += messages.length;
+        // Overlapping exports repeat messages; keep the first copy of each
+        searchMessages(messages, index, tree, filters).forEach(result => {
+            const fingerprint = messageFingerprint(result.message);
+            if (seen.has(fingerprint)) {
+                duplicates += 1;
+                return;
+            }
+            seen.add(fingerprint);
+            results.push(result);
+        });
+    });
+    const byDate = (a, b) => a.message.sentDate - b.message.sentDate;
+    results.sort(filters.sort === 'relevance' ? (a, b) => b.score - a.score || byDate(a, b) : byDate);
+    const total = results.length;
+    if (limit) results = results.slice(0, limit);
+
+    const described = [];
+    if (filters.senders.length) described.push(`Sender: ${filters.senders.join(', ')}`);
+    if (filters.start || filters.end) described.push(`Sent: ${argv.includes('--start') ? readArg(argv, '--start') : '…'} to ${argv.includes('--end') ? readArg(argv, '--end') : '…'}`);
+    if (filters.threadIds.length) described.push(`Thread: ${filters.threadIds.join(', ')}`);
+    if (filters.toneMin !== undefined || filters.toneMax !== undefined) described.push(`Tone: ${filters.toneMin !== undefined ? filters.toneMin : '…'} to ${filters.toneMax !== undefined ? filters.toneMax : '…'}`);
+    if (filters.flags.length) described.push(`Flag: ${filters.flags.join(', ')}`);
+    const options = { query, names: inputs.map(p => path.basename(p)), scanned, filters: described, total, context };
+
+    run.count('messages', scanned);
+    run.count('results', total);
+    run.count('duplicates', duplicates);
+    const outArg = readArg(argv, '--out');
+    if (!outArg) {
+        console.log(formatSearchResultsMarkdown(results, options));
+        return { results, total };
+    }
+    const outPath = path.resolve(outArg);
+    writeFile(outPath, /\.csv$/i.test(outPath) ? formatSearchResultsCsv(results, { context }) : formatSearchResultsMarkdown(results, options));
+    run.finish(outPath.replace(/\.(md|csv)$/i, '') + '.manifest.json');
+    console.log(`${total} result(s)${total > results.length ? `, ${results.length} written` : ''} for ${query}`);
+    console.log(`Wrote ${outPath}`);
+    return { results, total };
+}
+
+if (require.main === module) {
+    runCli();
+}
+
+module.exports = { runCli };
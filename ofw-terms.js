@@ -0,0 +1,147 @@
+/**
+ * Term Frequency Trends (parsed message JSON)
+ *
+ * Purpose
+ * - Count how often chosen words, phrases and regex patterns ("lawyer", "your fault", the child's
+ *   name) appear in each sender's messages per week or month, to show escalation or de-escalation in
+ *   language over time rather than quoting single messages.
+ * - Compare two date ranges (by default the first and second half of the export) and list the terms
+ *   whose use per 100 messages rose and fell most, overall and per sender.
+ *
+ * CLI
+ * - node ofw-terms.js <report.json> [--period week|month] [--sender <names>] [--start <yyyy-mm-dd>]
+ *                     [--end <yyyy-mm-dd>] [--before <start:end>] [--after <start:end>] [--terms <list>]
+ *                     [--discover [min]] [--top <n>] [--config <path>] [--out-dir <dir>]
+ *   --terms: comma-separated words, "word*" prefixes or multi-word phrases, replacing the configured terms
+ *   --config: JSON with terms (see resolveTerms in utils/ofw/terms.js), senders and period; otherwise
+ *             the tool looks for source_files/terms.config.json (gitignored) if present
+ *   --discover: also compare every word and word pair used at least min (default 3) times
+ * - Prints the sparkline table and the rising/falling terms; writes ./output/<report>-terms.md,
+ *   -terms.csv (counts per period, sender and term) and -terms-change.csv, plus .manifest.json
+ *   (see utils/provenance.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { parseLocalDateTime } = require('./utils/date');
+const { normalizeMessages } = require('./utils/messages/schema');
+const { DEFAULT_TERMS, resolveTerms, summarizeTermTrends, discoverTerms, compareTermPeriods } = require('./utils/ofw/terms');
+const { formatTermTrendsCsv, formatTermChangesCsv } = require('./utils/output/csv');
+const { formatTermTrendsMarkdown } = require('./utils/output/markdown');
+const { writeFile } = require('./utils/fs');
+const { startRun } = require('./utils/provenance');
+const { readArg, readList, loadConfig } = require('./utils/cli');
+
+/**
+ * Print CLI usage help.
+ */
+function printHelp() {
+    console.log(`\nUsage: node ofw-terms.js <report.json> [--period week|month] [--sender <names>] [--start <yyyy-mm-dd>] [--end <yyyy-mm-dd>] [--before <start:end>] [--after <start:end>] [--terms <list>] [--discover [min]] [--top <n>] [--config <path>] [--out-dir <dir>]\n\nOptions:\n  --period     week (default) or month\n  --sender     Comma-separated senders to count (default: everyone)\n  --start      Only messages sent on or after this date\n  --end        Only messages sent on or before this date\n  --before     First range to compare, e.g. 2025-01-01:2025-03-31 (default: first half)\n  --after      Second range to compare (default: second half)\n  --terms      Comma-separated words, word* prefixes or phrases, replacing the configured terms\n  --discover   Also compare words and word pairs used at least this many times (default: 3)\n  --top        Rising and falling terms listed (default: 10)\n  --config     JSON config with terms, senders and period\n  --out-dir    Output directory (default: ./output)\n  -h, --help   Show this help\n`);
+}
+
+function readCount(argv, flag) {
+    const val = readArg(argv, flag);
+    if (val === null) return undefined;
+    const n = Number(val);
+    if (!Number.isInteger(n) || n < 1) throw new Error(`Invalid ${flag}: ${val} (expected a whole number of 1 or more)`);
+    return n;
+}
+
+// "2025-01-01:2025-03-31", both days included
+function readRange(argv, flag) {
+    const val = readArg(argv, flag);
+    if (val === null) return null;
+    const [start, end] = val.split(':');
+    if (!start || !end) throw new Error(`Invalid ${flag}: ${val} (expected <start>:<end>)`);
+    return { start: parseLocalDateTime(start), end: parseLocalDateTime(end) };
+}
+
+function runCli(argv = process.argv.slice(2)) {
+    if (argv.includes('-h') || argv.includes('--help') || !argv[0] || argv[0].startsWith('--')) {
+        printHelp();
+        if (!argv.includes('-h') && !argv.includes('--help')) process.exit(1);
+        return null;
+    }
+    const inputPath = argv[0];
+    if (!fs.existsSync(inputPath)) {
+        console.error(`Input not found: ${inputPath}`);
+        process.exit(1);
+    }
+
+    const run = startRun('ofw-terms.js', argv);
+    run.addInput(inputPath);
+    const config = loadConfig(argv, 'terms.config.json');
+    const configPath = readArg(argv, '--config') || path.join(__dirname, 'source_files', 'terms.config.json');
+    if (fs.existsSync(configPath)) run.addInput(configPath);
+
+    let start;
+    let end;
+    let before;
+    let after;
+    let top;
+    let minCount;
+    const period = readArg(argv, '--period') || config.period || 'week';
+    try {
+        if (!['week', 'month'].includes(period)) throw new Error(`Invalid --period: ${period} (expected week or month)`);
+        const startArg = readArg(argv, '--start');
+        const endArg = readArg(argv, '--end');
+        if (startArg) start = parseLocalDateTime(startArg);
+        if (endArg) end = parseLocalDateTime(endArg);
+        before = readRange(argv, '--before');
+        after = readRange(argv, '--after');
+        if (!before !== !after) throw new Error('--before and --after must be given together');
+        top = readCount(argv, '--top');
+        if (argv.includes('--discover')) minCount = readCount(argv, '--discover') || 3;
+    } catch (e) {
+        console.error(e.message);
+        printHelp();
+        process.exit(1);
+    }
+    let terms;
+    try {
+        const listed = readList(argv, '--terms');
+        terms = resolveTerms(listed.length ? listed : config.terms || DEFAULT_TERMS);
+    } catch (e) {
+        console.error(`Invalid terms: ${e.message}`);
+        process.exit(1);
+    }
+    const listedSenders = readList(argv, '--sender');
+    const senders = listedSenders.length ? listedSenders : [].concat(config.senders || []);
+
+    let messages;
+    try {
+        messages = normalizeMessages(JSON.parse(fs.readFileSync(inputPath, 'utf8')));
+    } catch (e) {
+        console.error(`Failed to read messages from ${inputPath}: ${e.message}`);
+        process.exit(1);
+    }
+    const endExclusive = end && new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1);
+    messages = messages.filter(m => !(m.sentDate instanceof Date) || ((!start || m.sentDate >= start) && (!endExclusive || m.sentDate < endExclusive)));
+
+    const trends = summarizeTermTrends(messages, { terms, period, senders });
+    // Discovered words only join the comparison; a sparkline row for each would bury the chosen terms
+    const known = new Set(terms.map(t => t.key));
+    const compared = minCount ? terms.concat(discoverTerms(messages, { minCount, senders }).filter(t => !known.has(t.key))) : terms;
+    const comparison = compareTermPeriods(messages, { terms: compared, before, after, senders, top });
+
+    const markdown = formatTermTrendsMarkdown(trends, comparison, { name: path.basename(inputPath) });
+    console.log(markdown);
+    const outDir = path.resolve(readArg(argv, '--out-dir') || path.join(process.cwd(), 'output'));
+    const base = path.join(outDir, `${path.basename(inputPath, path.extname(inputPath))}-terms`);
+    writeFile(`${base}.md`, markdown);
+    writeFile(`${base}.csv`, formatTermTrendsCsv(trends));
+    writeFile(`${base}-change.csv`, formatTermChangesCsv(comparison));
+    run.count('messages', trends.periods.reduce((n, p) => n + Object.values(trends.counts[p.label]).reduce((k, s) => k + s.messages, 0), 0));
+    run.count('periods', trends.periods.length);
+    run.count('terms', compared.length);
+    run.finish(`${base}.manifest.json`);
+    console.log(`Wrote ${[`${base}.md`, `${base}.csv`, `${base}-change.csv`, `${base}.manifest.json`].join(', ')}`);
+    return { trends, comparison };
+}
+
+if (require.main === module) {
+    runCli();
+}
+
+module.exports = { runCli };
@@ -0,0 +1,106 @@
+/**
+ * Tone Calibration (parsed message JSON)
+ *
+ * Purpose
+ * - Compare the original per-message `tone` (generic AFINN scores from `sentiment` and `natural`)
+ *   with `tone_v2` (co-parenting lexicon with negation scope, intensifiers, ALL-CAPS and exclamation
+ *   emphasis, legal terms and curt replies; utils/ofw/tone.js) on the same messages, before relying
+ *   on either score in a report.
+ * - Shows the correlation, how often both give the same negative / neutral / positive label, averages
+ *   per sender and the messages where the scores disagree most, with the cues behind tone_v2.
+ *
+ * CLI
+ * - node ofw-tone.js <report.json> [--sender <names>] [--start <yyyy-mm-dd>] [--end <yyyy-mm-dd>]
+ *                    [--top <n>] [--out-dir <dir>]
+ *   --top: disagreements listed in the Markdown report (default 20)
+ * - Writes ./output/<report>-tone.md and -tone.csv (both scores and the tone_v2 cues for every
+ *   message), plus .manifest.json (see utils/provenance.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { parseLocalDateTime } = require('./utils/date');
+const { normalizeMessages } = require('./utils/messages/schema');
+const { calibrateTone } = require('./utils/ofw/tone');
+const { formatToneCalibrationCsv } = require('./utils/output/csv');
+const { formatToneCalibrationMarkdown } = require('./utils/output/markdown');
+const { writeFile } = require('./utils/fs');
+const { startRun } = require('./utils/provenance');
+const { readArg, readList } = require('./utils/cli');
+
+/**
+ * Print CLI usage help.
+ */
+function printHelp() {
+    console.log(`\nUsage: node ofw-tone.js <report.json> [--sender <names>] [--start <yyyy-mm-dd>] [--end <yyyy-mm-dd>] [--top <n>] [--out-dir <dir>]\n\nOptions:\n  --sender     Comma-separated senders to compare (default: everyone)\n  --start      Only messages sent on or after this date\n  --end        Only messages sent on or before this date\n  --top        Largest disagreements listed (default: 20)\n  --out-dir    Output directory (default: ./output)\n  -h, --help   Show this help\n`);
+}
+
+function runCli(argv = process.argv.slice(2)) {
+    if (argv.includes('-h') || argv.includes('--help') || !argv[0] || argv[0].startsWith('--')) {
+        printHelp();
+        if (!argv.includes('-h') && !argv.includes('--help')) process.exit(1);
+        return null;
+    }
+    const inputPath = argv[0];
+    if (!fs.existsSync(inputPath)) {
+        console.error(`Input not found: ${inputPath}`);
+        process.exit(1);
+    }
+
+    let start;
+    let end;
+    let top;
+    try {
+        const startArg = readArg(argv, '--start');
+        const endArg = readArg(argv, '--end');
+        if (startArg) start = parseLocalDateTime(startArg);
+        if (endArg) end = parseLocalDateTime(endArg);
+        const topArg = readArg(argv, '--top');
+        if (topArg !== null) {
+            top = Number(topArg);
+            if (!Number.isInteger(top) || top < 0) throw new Error(`Invalid --top: ${topArg} (expected a whole number)`);
+        }
+    } catch (e) {
+        console.error(e.message);
+        printHelp();
+        process.exit(1);
+    }
+
+    const run = startRun('ofw-tone.js', argv);
+    run.addInput(inputPath);
+    let messages;
+    try {
+        messages = normalizeMessages(JSON.parse(fs.readFileSync(inputPath, 'utf8')));
+    } catch (e) {
+        console.error(`Failed to read messages from ${inputPath}: ${e.message}`);
+        process.exit(1);
+    }
+    const senders = readList(argv, '--sender').map(s => s.toLowerCase());
+    const endExclusive = end && new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1);
+    messages = messages.filter(m => (!senders.length || senders.includes(String(m.sender || '').trim().toLowerCase()))
+        && (!start || m.sentDate >= start)
+        && (!endExclusive || m.sentDate < endExclusive));
+
+    const report = calibrateTone(messages, { top });
+    console.log(`Compared ${report.count} message(s): correlation ${report.correlation === null ? '—' : report.correlation.toFixed(2)}, same label ${(report.agreement * 100).toFixed(1)}%, mean absolute difference ${report.meanAbsDiff.toFixed(2)}`);
+    Object.entries(report.senders).forEach(([name, s]) => {
+        console.log(` - ${name}: ${s.messages} message(s), tone ${s.tone.toFixed(2)}, tone_v2 ${s.toneV2.toFixed(2)}`);
+    });
+
+    const outDir = path.resolve(readArg(argv, '--out-dir') || path.join(process.cwd(), 'output'));
+    const base = path.join(outDir, `${path.basename(inputPath, path.extname(inputPath))}-tone`);
+    writeFile(`${base}.md`, formatToneCalibrationMarkdown(report, { name: path.basename(inputPath) }));
+    writeFile(`${base}.csv`, formatToneCalibrationCsv(report));
+    run.count('messages', report.count);
+    run.count('labelChanges', report.count - Math.round(report.agreement * report.count));
+    run.finish(`${base}.manifest.json`);
+    console.log(`\nWrote ${[`${base}.md`, `${base}.csv`, `${base}.manifest.json`].join(', ')}`);
+    return report;
+}
+
+if (require.main === module) {
+    runCli();
+}
+
+module.exports = { runCli };
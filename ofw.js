@@ -7,20 +7,46 @@
  *   produce weekly statistics and console-friendly Markdown/CSV summaries.
  *
  * Pipeline
- * 1) parsePdfFile: read PDF → text
+ * 1) parsePdfFile: read PDF → text (skipped when the cache already has this PDF's parse)
  * 2) processMessages: split text by "Message N of M" → parseMessage for each block
- * 3) computeDerivedMetrics: compute word counts and sentiment per message
+ * 3) computeDerivedMetrics: compute word counts and sentiment per message (cached by message fingerprint)
+ *    (optional) redactMessages: replace configured names and phone/email/address/account numbers with
+ *    pseudonyms (utils/messages/redact.js) before anything below writes or prompts with the messages
+ *    outputExportChanges: report messages new, changed or missing since the previous export in the cache
+ *    (optional) annotateCustodyContext: custody context per message from the visitation schedule
+ *    tagTopics: topics per message from the keyword/regex dictionary (utils/ofw/topics.js);
+ *    (optional) labelTopics: topics from a local Ollama model instead
  * 4) writeJsonFile: persist parsed messages
  * 4) writeMarkDownFile: write a per-message Markdown file (optional)
- * 5) compileAndOutputStats: compute per-week/person stats; write CSV (optional); print Markdown tables
+ * 5) compileAndOutputStats: compute per-week/person stats, reply latency (utils/ofw/latency.js) and
+ *    per-topic stats; write CSV (optional); print Markdown tables
+ * 6) startRun/finish (utils/provenance): write <basename>.manifest.json with the input PDF's SHA-256,
+ *    tool version, CLI flags, every output's hash and record counts
  *
  * CLI
  * - node ofw.js <path-to-ofw-pdf> [--no-markdown] [--no-csv] [--ollama] [--ollama-max <n>] [--exclude <csv>]
+ *               [--custody] [--schedule <preset|path>] [--holidays <file.json>] [--anchor <weekday>]
+ *               [--no-cache] [--cache-dir <dir>] [--topics <file.json>] [--ollama-topics]
+ *               [--redact [--redaction-config <file.json>] [--redaction-key <file.json>]]
  *   --no-markdown: skip writing per-message Markdown file
  *   --no-csv: skip writing weekly CSV summary
  *   --ollama: run Ollama-based LLM sentiment post-processing on the generated JSON
  *   --ollama-max <n>: limit Ollama-processed messages (default 6)
+ *   --custody: annotate messages with custody context (who had the child, days to the next
+ *              exchange, visit/Zoom day) and add per-context columns to the CSV summaries;
+ *              --schedule/--holidays/--anchor select the schedule (default: default-order)
+ *   --no-cache: parse, score and send to Ollama from scratch without reading or writing the cache
+ *   --cache-dir <dir>: cache location (default ./output/cache); see utils/ofw/cache.js
+ *   --topics <file.json>: topic dictionary ({ "topics": { "<key>": { label, keywords, patterns } } });
+ *                         otherwise source_files/topics.config.json (gitignored) if present
+ *   --ollama-topics: label topics with Ollama (up to --ollama-max uncached messages)
+ *   --redact: pseudonymize names from --redaction-config (default source_files/redaction.config.json
+ *             when present) and detected phones, emails, addresses and account numbers in every
+ *             output; the key for un-redacting is written to --redaction-key (default
+ *             ./output/private/<basename>.redaction-key.json), never to the manifest. The cache holds
+ *             original message text, so it is neither read nor written (--cache-dir is ignored)
  */
+const fs = require('fs');
 const path = require('path');
 
 const { parsePdf } = require('./utils');
@@ -28,10 +54,19 @@ const { processMessages } = require('./utils/ofw/parser');
 const { computeDerivedMetrics } = require('./utils/ofw/metrics');
 const { assignThreads } = require('./utils/ofw/threads');
 const { accumulateStats } = require('./utils/ofw/stats');
-const { formatMessageMarkdown, formatTotalsMarkdown, formatWeeklyMarkdown, formatThreadTreeMarkdown } = require('./utils/output/markdown');
-const { formatWeeklyCsv, formatWeeklyTop2Csv, formatThreadsCsv } = require('./utils/output/csv');
+const { formatMessageMarkdown, formatTotalsMarkdown, formatWeeklyMarkdown, formatThreadTreeMarkdown, formatReplyLatencyMarkdown, formatTopicsMarkdown } = require('./utils/output/markdown');
+const { formatWeeklyCsv, formatWeeklyTop2Csv, formatThreadsCsv, formatCustodyContextCsv, formatExportChangesCsv, formatReplyLatencyCsv, formatReplyLatencyWeeklyCsv, formatTopicsWeeklyCsv } = require('./utils/output/csv');
 const { summarizeThreads } = require('./utils/ofw/threads');
+const { annotateCustodyContext, summarizeByCustodyContext } = require('./utils/ofw/custody');
+const { summarizeReplyLatency } = require('./utils/ofw/latency');
+const { loadTopics, tagTopics, summarizeTopics } = require('./utils/ofw/topics');
+const { nameToOrdinal, formatDate } = require('./utils/date');
+const { loadSchedule, withHolidays } = require('./utils/visitation/schedule');
 const { writeFile, writeJson } = require('./utils');
+const { hashFile, assignSourceIds, startRun } = require('./utils/provenance');
+const { createReportCache, applyCachedMetrics } = require('./utils/ofw/cache');
+const { diffExports } = require('./utils/ofw/diff');
+const { loadRedactionConfig, createRedactor, readRedactionKey, writeRedactionKey } = require('./utils/messages/redact');
 
 /**
  * Parse a single OFW message block into a message object.
@@ -71,6 +106,7 @@ module.exports = {
     writeJsonFile,
     writeMarkDownFile,
     compileAndOutputStats,
+    outputExportChanges,
     outputMarkdownSummary,
     outputCSV,
     // CLI entry
@@ -79,27 +115,76 @@ module.exports = {
 
 /**
  * Read a PDF file and parse messages.
+ * With a cache (utils/ofw/cache.js), a PDF parsed before is not read again, metrics are reused by
+ * message fingerprint, and the messages are compared with the export in the cache whose dates come just before.
  * @param {string} inputFilePath - Absolute or relative path to an OFW messages PDF
- * @returns {Promise<{ messages: Array<object>, directory: string, fileNameWithoutExt: string }>} Data bundle
+ * @param {{ cache?: ReturnType<typeof createReportCache> }} [options]
+ * @returns {Promise<{ messages: Array<object>, directory: string, fileNameWithoutExt: string,
+ *   changes?: ReturnType<typeof diffExports>|null, previousExport?: { sourceFile: string, parsedAt: string }|null }>} Data bundle
  */
-async function parsePdfFile(inputFilePath) {
+async function parsePdfFile(inputFilePath, options = {}) {
+    const { cache } = options;
     try {
-        const pdfText = await parsePdf(inputFilePath);
-        console.log('PDF text parsed');
-        const parsed = processMessages(pdfText);
+        const fileHash = hashFile(inputFilePath);
+        const cachedReport = cache ? cache.getReport(fileHash) : null;
+        let parsed;
+        if (cachedReport) {
+            parsed = cachedReport.messages;
+            console.log(`Reusing cached parse from ${cachedReport.parsedAt}`);
+        } else {
+            const pdfText = await parsePdf(inputFilePath);
+            console.log('PDF text parsed');
+            parsed = processMessages(pdfText);
+            assignSourceIds(parsed, 'ofw', fileHash);
+            if (cache) cache.putReport({ sha256: fileHash, sourceFile: path.basename(inputFilePath), messages: parsed });
+        }
+        parsed.forEach(message => { message.sourceFile = path.basename(inputFilePath); });
         console.log(`Processed ${parsed.length} messages`);
         assignThreads(parsed);
-        const messages = computeDerivedMetrics(parsed);
-        console.log('Computed derived metrics');
+        let messages;
+        if (cache) {
+            const { reused, computed } = applyCachedMetrics(parsed, cache);
+            messages = parsed;
+            console.log(`Computed derived metrics (${computed} new, ${reused} from cache)`);
+        } else {
+            messages = computeDerivedMetrics(parsed);
+            console.log('Computed derived metrics');
+        }
+        const previous = cache ? cache.previousReport(fileHash) : null;
         const directory = path.dirname(inputFilePath);
         const fileNameWithoutExt = path.basename(inputFilePath, path.extname(inputFilePath));
-        return { messages, directory, fileNameWithoutExt };
+        return {
+            messages,
+            directory,
+            fileNameWithoutExt,
+            changes: previous ? diffExports(previous.messages, messages) : null,
+            previousExport: previous ? { sourceFile: previous.sourceFile, parsedAt: previous.parsedAt } : null,
+        };
     } catch (error) {
         console.error(`Failed to process PDF at ${inputFilePath}:`, error);
         throw error;
     }
 }
 
+/**
+ * Pseudonymize the parsed messages, and the previous export's copies in the export changes, so every
+ * writer and Ollama prompt downstream only sees redacted text; then write the redaction key.
+ * @param {{ messages: Array<object>, changes?: ReturnType<typeof diffExports>|null }} data
+ * @param {{ redactor: ReturnType<typeof createRedactor>, keyPath: string }} redaction
+ * @returns {typeof data}
+ */
+function redactData(data, { redactor, keyPath }) {
+    redactor.redactMessages(data.messages);
+    if (data.changes) {
+        redactor.redactMessages(data.changes.missing);
+        redactor.redactMessages(data.changes.outOfRange);
+        redactor.redactMessages(data.changes.changed.map(c => c.previous));
+    }
+    writeRedactionKey(keyPath, redactor);
+    console.log(`Redacted ${data.messages.length} messages; key written to ${keyPath} (keep it private, do not share it with the outputs)`);
+    return data;
+}
+
 /**
  * Write parsed messages to a JSON file next to the input PDF.
  * @param {{ messages:Array<object>, directory:string, fileNameWithoutExt:string }} data
@@ -189,14 +274,41 @@ function outputCsvWith(formatter, data, filePath, label = 'CSV') {
 }
 
 /**
- * Compile weekly statistics and render console/CSV outputs.
- * @param {{ messages:Array<object>, directory:string, fileNameWithoutExt:string }} bundle
+ * Report messages that are new, changed or missing compared with the previous export in the cache,
+ * and write them to <basename>-changes.csv. Only dates both exports cover can have missing messages.
+ * @param {{ changes?: object|null, previousExport?: object|null, fileNameWithoutExt: string }} data
  * @param {{ writeCsv?: boolean }} options
  */
+function outputExportChanges({ changes, previousExport, fileNameWithoutExt }, options = { writeCsv: true }) {
+    if (!changes) {
+        console.log('No previous export in the cache to compare with.');
+        return;
+    }
+    const describe = (m) => `${formatDate(m.sentDate)} ${m.sender}: ${m.subject || 'No subject'}`;
+    console.log(`\nCompared with ${previousExport.sourceFile} (parsed ${previousExport.parsedAt}): ${changes.added.length} new, ${changes.changed.length} changed, ${changes.missing.length} missing, ${changes.unchanged} unchanged`);
+    if (changes.outOfRange.length) console.log(` (${changes.outOfRange.length} earlier message(s) fall outside the dates this export covers and are not counted as missing)`);
+    changes.changed.forEach(c => console.log(` - changed (${c.changes.join(', ')}): ${describe(c.message)}`));
+    changes.missing.forEach(m => console.log(` - missing: ${describe(m)}`));
+    const csvPath = options.writeCsv && fileNameWithoutExt ? path.resolve(process.cwd(), 'output', `${fileNameWithoutExt}-changes.csv`) : null;
+    outputCsvWith(formatExportChangesCsv, changes, csvPath, 'Changes CSV');
+}
+
+/**
+ * Compile weekly statistics, reply latency and per-topic stats, and render console/CSV outputs.
+ * Messages without topics are tagged first (tagTopics with options.topics).
+ * @param {{ messages:Array<object>, directory:string, fileNameWithoutExt:string }} bundle
+ * @param {{ writeCsv?: boolean, excludePatterns?: Array<string>, topics?: Array<object> }} options
+ * @returns {{ totals: object, weekly: object, threadStats: object, latency: ReturnType<typeof summarizeReplyLatency>, topics: ReturnType<typeof summarizeTopics> }}
+ */
 function compileAndOutputStats({ messages, directory, fileNameWithoutExt }, options = { writeCsv: true, excludePatterns: [] }) {
+    tagTopics(messages.filter(m => m && !Array.isArray(m.topics)), { topics: options.topics });
     const { totals, weekly, threadStats } = accumulateStats(messages);
     const outDir = path.resolve(process.cwd(), 'output');
     const csvFilePath = options.writeCsv && fileNameWithoutExt ? path.join(outDir, `${fileNameWithoutExt}-senders.csv`) : null;
+    if (messages.some(m => m && m.custody)) {
+        const custodyCsvPath = options.writeCsv && fileNameWithoutExt ? path.join(outDir, `${fileNameWithoutExt}-custody.csv`) : null;
+        outputCsvWith(formatCustodyContextCsv, summarizeByCustodyContext(messages), custodyCsvPath, 'Custody CSV');
+    }
     const top2CsvPath = options.writeCsv && fileNameWithoutExt ? path.join(outDir, `${fileNameWithoutExt}-top2-comparison.csv`) : null;
     const threadsCsvPath = options.writeCsv && fileNameWithoutExt ? path.join(outDir, `${fileNameWithoutExt}-threads.csv`) : null;
     outputCsvWith(formatWeeklyCsv, weekly, csvFilePath, 'CSV');
@@ -218,11 +330,24 @@ function compileAndOutputStats({ messages, directory, fileNameWithoutExt }, opti
       },
     };
     outputMarkdownSummary(totals, weekly, { excludePatterns: options.excludePatterns, threadStats: enrichedThreadStats });
+
+    const latency = summarizeReplyLatency(messages);
+    const latencyCsvPath = options.writeCsv && fileNameWithoutExt ? path.join(outDir, `${fileNameWithoutExt}-reply-latency.csv`) : null;
+    const latencyWeeklyCsvPath = options.writeCsv && fileNameWithoutExt ? path.join(outDir, `${fileNameWithoutExt}-reply-latency-weekly.csv`) : null;
+    outputCsvWith(formatReplyLatencyCsv, latency, latencyCsvPath, 'Reply Latency CSV');
+    outputCsvWith(formatReplyLatencyWeeklyCsv, latency, latencyWeeklyCsvPath, 'Weekly Reply Latency CSV');
+    console.log(formatReplyLatencyMarkdown(latency, { excludePatterns: options.excludePatterns }));
+
+    const topics = summarizeTopics(messages, { topics: options.topics, latency });
+    const topicsCsvPath = options.writeCsv && fileNameWithoutExt ? path.join(outDir, `${fileNameWithoutExt}-topics.csv`) : null;
+    outputCsvWith(formatTopicsWeeklyCsv, topics, topicsCsvPath, 'Topics CSV');
+    console.log(formatTopicsMarkdown(topics, { excludePatterns: options.excludePatterns }));
+    return { totals, weekly, threadStats: enrichedThreadStats, latency, topics };
 }
 
 
 function printHelp() {
-    console.log(`\nUsage: node ofw.js <path-to-ofw-pdf> [--no-markdown] [--no-csv] [--ollama] [--ollama-max <n>] [--exclude <csv>]\n\nOptions:\n  --no-markdown           Skip writing the per-message Markdown file\n  --no-csv                Skip writing the weekly CSV summary\n  --ollama                Run Ollama-based sentiment analysis on the generated JSON (requires local Ollama)\n  --ollama-max <n>        Limit how many messages are sent to Ollama (default: 6)\n  --exclude <csv>         Comma-separated substrings to hide in printed tables (case-insensitive)\n  -h, --help              Show this help\n`);
+    console.log(`\nUsage: node ofw.js <path-to-ofw-pdf> [--no-markdown] [--no-csv] [--ollama] [--ollama-max <n>] [--exclude <csv>] [--custody [--schedule <preset|path>] [--holidays <file.json>] [--anchor <weekday>]] [--no-cache] [--cache-dir <dir>] [--topics <file.json>] [--ollama-topics] [--redact [--redaction-config <file.json>] [--redaction-key <file.json>]]\n\nOptions:\n  --no-markdown           Skip writing the per-message Markdown file\n  --no-csv                Skip writing the weekly CSV summary\n  --ollama                Run Ollama-based sentiment analysis on the generated JSON (requires local Ollama)\n  --ollama-max <n>        Limit how many messages are sent to Ollama (default: 6)\n  --exclude <csv>         Comma-separated substrings to hide in printed tables (case-insensitive)\n  --custody               Annotate messages with custody context from the visitation schedule\n  --schedule <spec>       Schedule preset or JSON path for --custody (default: default-order)\n  --holidays <file>       Holidays/school breaks JSON for --custody\n  --anchor <weekday>      Anchor weekday for court weeks (default: the schedule's anchor)\n  --no-cache              Do not read or write the parse/metrics/LLM cache\n  --cache-dir <dir>       Cache directory (default: ./output/cache)\n  --topics <file.json>    Topic dictionary (default: source_files/topics.config.json if present, else built-in)\n  --ollama-topics         Label message topics with Ollama instead of keywords (requires local Ollama)\n  --redact                Replace names, phones, emails, addresses and account numbers with pseudonyms in all outputs (the cache is not used)\n  --redaction-config <f>  Names to pseudonymize for --redact (default: source_files/redaction.config.json if present)\n  --redaction-key <f>     Where --redact keeps the un-redaction key (default: ./output/private/<basename>.redaction-key.json)\n  -h, --help              Show this help\n`);
 }
 
 function runCli(rawArgs) {
@@ -273,8 +398,105 @@ function runCli(rawArgs) {
         }
     }
 
+    // Custody context (--custody); load the schedule up front so a bad spec fails fast
+    let custodyOptions = null;
+    if (rawArgs.includes('--custody')) {
+        const readValue = (flag) => {
+            const idx = rawArgs.indexOf(flag);
+            const val = idx === -1 ? undefined : rawArgs[idx + 1];
+            return val && !val.startsWith('--') ? val : undefined;
+        };
+        try {
+            let schedule = loadSchedule(readValue('--schedule'));
+            if (readValue('--holidays')) schedule = withHolidays(schedule, readValue('--holidays'));
+            const anchorName = (readValue('--anchor') || '').toLowerCase();
+            if (anchorName && !(anchorName in nameToOrdinal)) throw new Error(`Unknown anchor weekday: ${anchorName}`);
+            custodyOptions = { schedule, anchorOrdinal: anchorName ? nameToOrdinal[anchorName] : undefined };
+        } catch (e) {
+            console.error(e.message);
+            process.exitCode = 1;
+            return undefined;
+        }
+    }
+
+    // Topic dictionary (--topics <file.json>, else source_files/topics.config.json when present)
+    let topicsConfig;
+    try {
+        const idx = rawArgs.indexOf('--topics');
+        const val = idx === -1 ? undefined : rawArgs[idx + 1];
+        topicsConfig = loadTopics(val && !val.startsWith('--') ? val : undefined);
+    } catch (e) {
+        console.error(`Invalid topics: ${e.message}`);
+        process.exitCode = 1;
+        return undefined;
+    }
+    const enableOllamaTopics = rawArgs.includes('--ollama-topics');
+
+    // Redaction (--redact, --redaction-config <file.json>, --redaction-key <file.json>)
+    let redaction = null;
+    if (rawArgs.includes('--redact')) {
+        const readValue = (flag) => {
+            const idx = rawArgs.indexOf(flag);
+            const val = idx === -1 ? undefined : rawArgs[idx + 1];
+            return val && !val.startsWith('--') ? val : undefined;
+        };
+        const keyPath = path.resolve(readValue('--redaction-key') || path.join(process.cwd(), 'output', 'private', `${path.basename(INPUT_FILE_PATH, path.extname(INPUT_FILE_PATH))}.redaction-key.json`));
+        try {
+            const { config, configPath } = loadRedactionConfig(readValue('--redaction-config'));
+            redaction = { configPath, keyPath, redactor: createRedactor(config, { key: readRedactionKey(keyPath) }) };
+        } catch (e) {
+            console.error(`Invalid redaction config: ${e.message}`);
+            process.exitCode = 1;
+            return undefined;
+        }
+    }
+
+    // Cache of parsed reports, metrics and LLM results (--no-cache, --cache-dir <dir>). It keeps the
+    // original message text, so --redact runs without it
+    let cache = null;
+    if (redaction) {
+        console.log('Not using the cache: --redact keeps the original message text out of it');
+    } else if (!rawArgs.includes('--no-cache')) {
+        const idx = rawArgs.indexOf('--cache-dir');
+        const val = idx === -1 ? undefined : rawArgs[idx + 1];
+        cache = createReportCache(val && !val.startsWith('--') ? val : path.resolve(process.cwd(), 'output', 'cache'));
+    }
+
+    // Provenance: every file written from here on is hashed into the run's manifest
+    const run = startRun('ofw.js', rawArgs);
+    ['--schedule', '--holidays'].forEach(flag => {
+        const idx = rawArgs.indexOf(flag);
+        const val = idx === -1 ? undefined : rawArgs[idx + 1];
+        if (custodyOptions && val && fs.existsSync(val)) run.addInput(val);
+    });
+    if (topicsConfig.configPath) run.addInput(topicsConfig.configPath);
+    if (redaction && redaction.configPath) run.addInput(redaction.configPath);
+
     // Entry Point
-    return parsePdfFile(INPUT_FILE_PATH)
+    return parsePdfFile(INPUT_FILE_PATH, { cache })
+        .then(data => {
+            run.addInput(INPUT_FILE_PATH);
+            if (redaction) redactData(data, redaction);
+            outputExportChanges(data, { writeCsv: flags.writeCsv });
+            if (!custodyOptions) return data;
+            annotateCustodyContext(data.messages, custodyOptions);
+            console.log('Annotated custody context');
+            return data;
+        })
+        .then(async data => {
+            if (enableOllamaTopics) {
+                try {
+                    console.log('Labeling topics with Ollama...');
+                    const { labelTopics } = require('./ollama-sentiment');
+                    const { labeled, reused } = await labelTopics(data.messages, { maxMessages: ollamaMax, cache, topics: topicsConfig.topics });
+                    console.log(`Labeled topics of ${labeled} message(s) with Ollama (${reused} from cache)`);
+                } catch (e) {
+                    console.error('Ollama topic labeling failed:', e && e.message ? e.message : e);
+                }
+            }
+            tagTopics(data.messages, { topics: topicsConfig.topics });
+            return data;
+        })
         .then(writeJsonFile)
         .then(data => flags.writeMarkdown ? writeMarkDownFile(data) : data)
         .then(async data => {
@@ -286,14 +508,28 @@ function runCli(rawArgs) {
                     console.log('Running Ollama sentiment analysis...');
                     const { MessageProcessor } = require('./ollama-sentiment');
                     const processor = new MessageProcessor('llama3.1');
-                    await processor.processJsonFile(jsonPath, outputDir, { maxMessages: ollamaMax });
+                    await processor.processJsonFile(jsonPath, outputDir, { maxMessages: ollamaMax, cache });
                 } catch (e) {
                     console.error('Ollama sentiment analysis failed:', e && e.message ? e.message : e);
                 }
             }
             return data;
         })
-        .then(data => compileAndOutputStats(data, { writeCsv: flags.writeCsv, excludePatterns: flags.excludePatterns }))
+        .then(data => {
+            compileAndOutputStats(data, { writeCsv: flags.writeCsv, excludePatterns: flags.excludePatterns, topics: topicsConfig.topics });
+            const messages = data.messages.filter(m => m && !m._nonMessage);
+            run.count('messages', messages.length);
+            run.count('threads', new Set(messages.map(m => m.threadId)).size);
+            if (data.changes) {
+                run.count('newSincePreviousExport', data.changes.added.length);
+                run.count('changedSincePreviousExport', data.changes.changed.length);
+                run.count('missingSincePreviousExport', data.changes.missing.length);
+                run.count('outOfRangeSincePreviousExport', data.changes.outOfRange.length);
+            }
+            const manifestPath = path.resolve(process.cwd(), 'output', `${data.fileNameWithoutExt}.manifest.json`);
+            console.log(`Writing provenance manifest to ${manifestPath}`);
+            run.finish(manifestPath);
+        })
         .catch(error => {
             console.error('Error:', error);
         });
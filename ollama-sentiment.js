@@ -2,6 +2,11 @@ const { default: ollama } = require('ollama');
 const fs = require('fs-extra');
 const path = require('path');
 const { createLogger, format, transports } = require('winston');
+const { normalizeMessages } = require('./utils/messages/schema');
+const { assignThreads } = require('./utils/ofw/threads');
+const { writeFile, writeJson } = require('./utils/fs');
+const { messageFingerprint } = require('./utils/ofw/cache');
+const { TOPICS } = require('./utils/ofw/topics');
 
 // Configure logging
 const logger = createLogger({
@@ -100,6 +105,65 @@ function normalizeOllamaOutput(parsed, raw, message, contextMessages) {
 	};
 }
 
+// Heuristic scores kept next to the LLM result for comparison
+function baselineFields(message) {
+	const num = (v) => (typeof v === 'number' ? v : null);
+	return {
+		baseline_sentiment: num(message.sentiment),
+		baseline_sentiment_natural: num(message.sentiment_natural),
+		baseline_tone: num(message.tone),
+		baseline_spw: num(message.sentiment_per_word),
+		baseline_npw: num(message.natural_per_word),
+	};
+}
+
+/**
+ * Label message topics with a local Ollama model, in place of the keyword topics (utils/ofw/topics.js).
+ * Labeled messages get `topics` (known topic keys only) and `topicSource: 'ollama'`; messages the model
+ * cannot label keep their keyword topics. With a cache, labels are reused by message fingerprint and model.
+ * @param {Array<object>} messages
+ * @param {{ model?: string, maxMessages?: number, cache?: object|null, topics?: Array<{ key: string, label: string }> }} [options]
+ * @returns {Promise<{ labeled: number, reused: number }>}
+ */
+async function labelTopics(messages, options = {}) {
+	const { model, maxMessages, cache, topics } = { model: 'llama3.1', maxMessages: Infinity, cache: null, topics: TOPICS, ...options };
+	const known = new Set(topics.map(t => t.key));
+	const list = topics.map(t => `"${t.key}" (${t.label})`).join(', ');
+	let labeled = 0;
+	let reused = 0;
+	for (const message of messages || []) {
+		if (!message || message._nonMessage) continue;
+		const fingerprint = cache ? messageFingerprint(message) : null;
+		const entry = fingerprint ? cache.get(fingerprint) : null;
+		const cached = entry && entry.topicsLlm ? entry.topicsLlm[model] : null;
+		let keys = cached;
+		if (cached) {
+			reused += 1;
+		} else {
+			if (labeled >= maxMessages) continue;
+			labeled += 1;
+			try {
+				const response = await ollama.chat({
+					model,
+					messages: [{ role: 'user', content: `Classify this co-parenting message into zero or more topics from: ${list}.\n\nReturn ONLY compact JSON like {"topics":["schedule"]}.\n\nSubject: ${message.subject || ''}\nBody: ${message.body || ''}` }],
+				});
+				const parsed = extractJsonFromText(response && response.message ? response.message.content : '');
+				keys = parsed && Array.isArray(parsed.topics) ? parsed.topics.map(t => String(t).trim().toLowerCase()).filter(t => known.has(t)) : [];
+				if (fingerprint) cache.update(fingerprint, { topicsLlm: { [model]: keys } });
+			} catch (error) {
+				logger.error(`Error labeling topics for threadId:${message.threadId}, index:${message.threadIndex}: ${error.message}`);
+				continue;
+			}
+		}
+		if (keys.length) {
+			message.topics = Array.from(new Set(keys));
+			message.topicSource = 'ollama';
+		}
+	}
+	logger.info(`Labeled topics for ${labeled} message(s) with Ollama; reused ${reused} cached label(s)`);
+	return { labeled, reused };
+}
+
 class MessageProcessor {
 	constructor(modelName = 'llama3.1', contextLimit = 3) {
 		this.modelName = modelName;
@@ -184,7 +248,7 @@ Output: {"sentiment":"negative","conflict_level":"high","deception_risk":"medium
 			threads[threadId].sort((a, b) => new Date(a.sentDate) - new Date(b.sentDate));
 			this.threadSummaries[threadId] = {
 				messages: [],
-				subject: threads[threadId][0].subject,
+				subject: threads[threadId][0].subject || 'No subject',
 				participants: [
 					...new Set(
 						threads[threadId].flatMap(msg => [msg.sender, ...Object.keys(msg.recipientReadTimes || {})])
@@ -196,10 +260,15 @@ Output: {"sentiment":"negative","conflict_level":"high","deception_risk":"medium
 		return Object.values(threads).flat();
 	}
 
+	// Input may be OFW JSON (from ofw.js) or any source accepted by normalizeMessages, e.g. the
+	// per-year iMessage export; messages without thread ids are threaded first.
+	// With options.cache (utils/ofw/cache.js), results for this model are reused by message
+	// fingerprint and only uncached messages are sent to Ollama (and count toward maxMessages).
 	async processJsonFile(inputFile, outputDir = 'output', options = {}) {
-		const { maxMessages } = { maxMessages: Infinity, ...options };
+		const { maxMessages, cache } = { maxMessages: Infinity, cache: null, ...options };
 		try {
-			const messages = await fs.readJson(inputFile);
+			const messages = normalizeMessages(await fs.readJson(inputFile));
+			if (messages.some(m => m.threadId == null)) assignThreads(messages);
 			if (!messages.length) {
 				logger.warn(`No messages found in ${inputFile}`);
 				return;
@@ -212,13 +281,37 @@ Output: {"sentiment":"negative","conflict_level":"high","deception_risk":"medium
 			const threadContexts = {};
 
 			let processed = 0;
+			let reused = 0;
+			let limitReached = false;
 			for (const message of orderedMessages) {
-				if (processed >= maxMessages) {
-					logger.info(`Reached maxMessages limit (${maxMessages}). Stopping early.`);
-					break;
-				}
 				const threadId = message.threadId;
 				if (!threadContexts[threadId]) threadContexts[threadId] = [];
+				const fingerprint = cache && !message._nonMessage ? messageFingerprint(message) : null;
+				const cachedEntry = fingerprint ? cache.get(fingerprint) : null;
+				const cachedResult = cachedEntry && cachedEntry.llm ? cachedEntry.llm[this.modelName] : null;
+				if (cachedResult) {
+					this.results[`${threadId}_${message.threadIndex}`] = { status: 'cached', sentiment: cachedResult.sentiment, threadId, threadIndex: message.threadIndex };
+					this.threadSummaries[threadId].messages.push({
+						sender: message.sender,
+						sentDate: message.sentDate,
+						body: message.body,
+						sentiment: cachedResult.sentiment,
+						conflict_level: cachedResult.conflict_level,
+						deception_risk: cachedResult.deception_risk,
+						flags: cachedResult.flags,
+						threadIndex: message.threadIndex,
+					});
+					this.updatedMessages.push({ ...message, sentiment_ollama: cachedResult, ...baselineFields(message) });
+					threadContexts[threadId].push(message);
+					reused += 1;
+					continue;
+				}
+				if (processed >= maxMessages) {
+					// Keep going so later messages with cached results are still included
+					if (!limitReached) logger.info(`Reached maxMessages limit (${maxMessages}). Only cached results from here on.`);
+					limitReached = true;
+					continue;
+				}
 
 				try {
 					let parsed = null;
@@ -270,15 +363,8 @@ Output: {"sentiment":"negative","conflict_level":"high","deception_risk":"medium
 					}
 
 					const stored = normalizeOllamaOutput(parsed, result, message, threadContexts[threadId]);
-					this.updatedMessages.push({
-						...message,
-						sentiment_ollama: stored,
-						baseline_sentiment: typeof message.sentiment === 'number' ? message.sentiment : null,
-						baseline_sentiment_natural: typeof message.sentiment_natural === 'number' ? message.sentiment_natural : null,
-						baseline_tone: typeof message.tone === 'number' ? message.tone : null,
-						baseline_spw: typeof message.sentiment_per_word === 'number' ? message.sentiment_per_word : null,
-						baseline_npw: typeof message.natural_per_word === 'number' ? message.natural_per_word : null,
-					});
+					if (fingerprint && result) cache.update(fingerprint, { llm: { [this.modelName]: stored } });
+					this.updatedMessages.push({ ...message, sentiment_ollama: stored, ...baselineFields(message) });
 					threadContexts[threadId].push(message);
 					processed += 1;
 				} catch (error) {
@@ -301,20 +387,21 @@ Output: {"sentiment":"negative","conflict_level":"high","deception_risk":"medium
 				}
 			}
 
+			if (cache) logger.info(`Reused ${reused} cached result(s); sent ${processed} message(s) to Ollama`);
 			const inputBase = path.basename(inputFile, path.extname(inputFile));
 			const outputJson = path.join(outputDir, `${inputBase} - LLM processed.json`);
-			await fs.writeJson(outputJson, this.updatedMessages, { spaces: 2 });
+			writeJson(outputJson, this.updatedMessages);
 			logger.info(`Saved updated JSON to ${outputJson}`);
 
 			const summaryFile = path.join(outputDir, `${inputBase} - summary.md`);
 			const summaryContent = this.generateSummaryMarkdown();
-			await fs.writeFile(summaryFile, summaryContent);
+			writeFile(summaryFile, summaryContent);
 			logger.info(`Saved summary to ${summaryFile}`);
 
 			// Threaded view including LLM sentiment
 			const threadsLlmFile = path.join(outputDir, `${inputBase} - threads.llm.md`);
 			const threadsLlmContent = this.generateThreadedLlmMarkdown();
-			await fs.writeFile(threadsLlmFile, threadsLlmContent);
+			writeFile(threadsLlmFile, threadsLlmContent);
 			logger.info(`Saved LLM threaded summary to ${threadsLlmFile}`);
 		} catch (error) {
 			logger.error(`Error reading file ${inputFile}: ${error.message}`);
@@ -377,6 +464,6 @@ Output: {"sentiment":"negative","conflict_level":"high","deception_risk":"medium
 	}
 }
 
-module.exports = { MessageProcessor };
+module.exports = { MessageProcessor, labelTopics };
 
 
@@ -0,0 +1,119 @@
+/**
+ * Redaction / Un-redaction of message reports
+ *
+ * Purpose
+ * - Redact a JSON report written earlier by ofw.js, email.js or imessage.js for sharing: names from the
+ *   redaction config become consistent pseudonyms ("Child A", "School A") and phone numbers, email
+ *   addresses, street addresses and account numbers become numbered placeholders ("[PHONE 1]").
+ * - Un-redact any redacted output (JSON, Markdown, CSV) with the key, for counsel.
+ * - The analyzers take --redact to do the same before writing anything; this tool covers reports
+ *   that were written without it.
+ *
+ * CLI
+ * - node redact.js <report.json> [--redaction-config <file.json>] [--redaction-key <file.json>] [--out <file.json>]
+ *   --redaction-config: { "names": { "<Label>": ["Name", ["Full Name", "Nickname"], ...] },
+ *                         "detectors": { "phone": false } }; otherwise the tool looks for
+ *                       source_files/redaction.config.json (gitignored) if present
+ *   --redaction-key: key file, reused when it exists so pseudonyms stay the same across reports
+ *                    (default ./output/private/<report>.redaction-key.json)
+ *   Writes ./output/<report>.redacted.json unless --out is given, plus .manifest.json next to it
+ *   (see utils/provenance.js; the key is not listed)
+ * - node redact.js <file> --unredact --redaction-key <file.json> [--out <file>]
+ *   Writes ./output/private/<file>.unredacted<ext> unless --out is given
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { loadRedactionConfig, createRedactor, readRedactionKey, writeRedactionKey, unredactText } = require('./utils/messages/redact');
+const { ensureDir, writeJson } = require('./utils/fs');
+const { startRun } = require('./utils/provenance');
+const { readArg } = require('./utils/cli');
+
+/**
+ * Print CLI usage help.
+ */
+function printHelp() {
+    console.log(`\nUsage: node redact.js <report.json> [--redaction-config <file.json>] [--redaction-key <file.json>] [--out <file.json>]\n       node redact.js <file> --unredact --redaction-key <file.json> [--out <file>]\n\nOptions:\n  --redaction-config <f>  Names to pseudonymize and detectors to turn off (default: source_files/redaction.config.json if present)\n  --redaction-key <f>     Key file; reused if it exists (default: ./output/private/<report>.redaction-key.json)\n  --unredact              Restore the original text of a redacted file with --redaction-key\n  --out <file>            Output path (default: ./output/<report>.redacted.json, or ./output/private/<file>.unredacted<ext>)\n  -h, --help              Show this help\n`);
+}
+
+function unredactFile(inputPath, argv) {
+    const keyPath = readArg(argv, '--redaction-key');
+    if (!keyPath || !fs.existsSync(keyPath)) {
+        console.error(keyPath ? `Redaction key not found: ${keyPath}` : '--unredact needs --redaction-key <file.json>');
+        process.exit(1);
+    }
+    let key;
+    try {
+        key = readRedactionKey(keyPath);
+    } catch (e) {
+        console.error(`Failed to read redaction key: ${e.message}`);
+        process.exit(1);
+    }
+    const ext = path.extname(inputPath);
+    const outPath = path.resolve(readArg(argv, '--out') || path.join(process.cwd(), 'output', 'private', `${path.basename(inputPath, ext)}.unredacted${ext}`));
+    // Written directly: un-redacted text belongs with the key, not with the shared outputs
+    ensureDir(path.dirname(outPath));
+    fs.writeFileSync(outPath, unredactText(fs.readFileSync(inputPath, 'utf8'), key));
+    console.log(`Wrote ${outPath}`);
+    return outPath;
+}
+
+function runCli(argv = process.argv.slice(2)) {
+    if (argv.includes('-h') || argv.includes('--help') || !argv[0] || argv[0].startsWith('--')) {
+        printHelp();
+        if (!argv.includes('-h') && !argv.includes('--help')) process.exit(1);
+        return null;
+    }
+    const inputPath = argv[0];
+    if (!fs.existsSync(inputPath)) {
+        console.error(`Input not found: ${inputPath}`);
+        process.exit(1);
+    }
+    if (argv.includes('--unredact')) return unredactFile(inputPath, argv);
+
+    const baseName = path.basename(inputPath, path.extname(inputPath));
+    const keyPath = path.resolve(readArg(argv, '--redaction-key') || path.join(process.cwd(), 'output', 'private', `${baseName}.redaction-key.json`));
+    let redactor;
+    let configPath;
+    try {
+        const loaded = loadRedactionConfig(readArg(argv, '--redaction-config') || undefined);
+        configPath = loaded.configPath;
+        if (configPath) console.error(`Using configuration from ${configPath}`);
+        redactor = createRedactor(loaded.config, { key: readRedactionKey(keyPath) });
+    } catch (e) {
+        console.error(`Invalid redaction config: ${e.message}`);
+        process.exit(1);
+    }
+
+    const run = startRun('redact.js', argv);
+    run.addInput(inputPath);
+    if (configPath) run.addInput(configPath);
+    let messages;
+    try {
+        messages = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+        if (!Array.isArray(messages)) throw new Error('expected an array of messages');
+    } catch (e) {
+        console.error(`Failed to read messages from ${inputPath}: ${e.message}`);
+        process.exit(1);
+    }
+
+    redactor.redactMessages(messages);
+    const outPath = path.resolve(readArg(argv, '--out') || path.join(process.cwd(), 'output', `${baseName}.redacted.json`));
+    writeJson(outPath, messages);
+    writeRedactionKey(keyPath, redactor);
+    const pseudonyms = Object.keys(redactor.key().pseudonyms).length;
+    run.count('messages', messages.length);
+    run.count('pseudonyms', pseudonyms);
+    run.finish(outPath.replace(/\.json$/i, '') + '.manifest.json');
+    console.log(`Redacted ${messages.length} message(s) with ${pseudonyms} pseudonym(s)`);
+    console.log(`Wrote ${outPath}`);
+    console.log(`Redaction key written to ${keyPath} (keep it private, do not share it with the outputs)`);
+    return { messages, keyPath, outPath };
+}
+
+if (require.main === module) {
+    runCli();
+}
+
+module.exports = { runCli };
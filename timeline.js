@@ -0,0 +1,125 @@
+/**
+ * Multi-Channel Communication Timeline
+ *
+ * Purpose
+ * - Merge OFW messages, iMessage exports and email (mbox or .eml) into one chronological
+ *   timeline, with duplicates removed and per-channel weekly stats.
+ * - Every entry links back to its source: the OFW "Message N of M", the iMessage export file
+ *   and line, or the mbox file and line / .eml file.
+ *
+ * CLI
+ * - node timeline.js [--ofw <file.json>]... [--imessage <file.txt|file.json>]... [--email <file.mbox|file.eml|dir>]...
+ *                    [--start <yyyy-mm-dd>] [--end <yyyy-mm-dd>] [--config <path>] [--out-dir <dir>]
+ *   --ofw: JSON written by ofw.js; --imessage: the plain-text export or imessage.js JSON; flags may repeat
+ *   --config: JSON with ofw, imessage and email (arrays of paths) and aliases ({ "Me": "Parent A",
+ *             "parent.a@example.com": "Parent A" }); otherwise the tool looks for
+ *             source_files/timeline.config.json (gitignored) if present
+ * - Writes ./output/timeline-<start>_<end>.md, .csv, .json and -weekly.csv, plus .manifest.json
+ *   (see utils/provenance.js)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { parseLocalDateTime } = require('./utils/date');
+const { MESSAGE_SOURCES, SOURCE_LABELS } = require('./utils/messages/schema');
+const { loadChannelMessages, buildTimeline } = require('./utils/messages/timeline');
+const { formatTimelineCsv, formatTimelineWeeklyCsv } = require('./utils/output/csv');
+const { formatTimelineMarkdown } = require('./utils/output/markdown');
+const { writeFile, writeJson } = require('./utils/fs');
+const { startRun } = require('./utils/provenance');
+const { readArg, loadConfig } = require('./utils/cli');
+
+/**
+ * Print CLI usage help.
+ */
+function printHelp() {
+    console.log(`\nUsage: node timeline.js [--ofw <file.json>]... [--imessage <file.txt|file.json>]... [--email <file.mbox|file.eml|dir>]... [--start <yyyy-mm-dd>] [--end <yyyy-mm-dd>] [--config <path>] [--out-dir <dir>]\n\nOptions:\n  --ofw       OFW JSON written by ofw.js (repeatable)\n  --imessage  iMessage plain-text export or imessage.js JSON (repeatable)\n  --email     mbox file, .eml file or folder of .eml files (repeatable)\n  --start     Range start date (inclusive; default: first message)\n  --end       Range end date (inclusive; default: last message)\n  --config    JSON config with ofw, imessage, email (path arrays) and aliases\n  --out-dir   Output directory (default: ./output)\n  -h, --help  Show this help\n`);
+}
+
+function readAll(argv, flag) {
+    const values = [];
+    argv.forEach((arg, idx) => {
+        const val = argv[idx + 1];
+        if (arg === flag && val && !val.startsWith('--')) values.push(val);
+    });
+    return values;
+}
+
+function printSummary(timeline) {
+    console.log(`\nTimeline ${timeline.range.start || '…'} → ${timeline.range.end || '…'}: ${timeline.entries.length} message(s), ${timeline.duplicates} duplicate(s) removed`);
+    Object.entries(timeline.channels).forEach(([channel, c]) => {
+        const senders = Object.entries(c.senders).map(([name, n]) => `${name} ${n}`).join(', ');
+        console.log(` - ${SOURCE_LABELS[channel]}: ${c.messages} (${senders})`);
+    });
+    if (timeline.skipped) console.log(`${timeline.skipped} report placeholder(s) or undated message(s) skipped`);
+}
+
+function runCli(argv = process.argv.slice(2)) {
+    if (argv.includes('-h') || argv.includes('--help')) {
+        printHelp();
+        return null;
+    }
+
+    let start;
+    let end;
+    try {
+        const startArg = readArg(argv, '--start');
+        const endArg = readArg(argv, '--end');
+        if (startArg) start = parseLocalDateTime(startArg);
+        if (endArg) end = parseLocalDateTime(endArg);
+    } catch (e) {
+        console.error(e.message);
+        printHelp();
+        process.exit(1);
+    }
+
+    const run = startRun('timeline.js', argv);
+    const config = loadConfig(argv, 'timeline.config.json');
+    const configPath = readArg(argv, '--config') || path.join(__dirname, 'source_files', 'timeline.config.json');
+    if (fs.existsSync(configPath)) run.addInput(configPath);
+    const sources = MESSAGE_SOURCES.flatMap(channel => {
+        const fromArgs = readAll(argv, `--${channel}`);
+        const fromConfig = [].concat(config[channel] || []);
+        return (fromArgs.length ? fromArgs : fromConfig).map(file => ({ channel, file }));
+    });
+    if (!sources.length) {
+        console.error('At least one source is required (--ofw, --imessage or --email)');
+        printHelp();
+        process.exit(1);
+    }
+
+    let timeline;
+    try {
+        const messages = sources.flatMap(({ channel, file }) => {
+            const list = loadChannelMessages(channel, file);
+            run.addInput(file);
+            console.log(`Loaded ${list.length} ${SOURCE_LABELS[channel]} message(s) from ${file}`);
+            return list;
+        });
+        timeline = buildTimeline(messages, { start, end, aliases: config.aliases });
+    } catch (e) {
+        console.error(`Failed to build timeline: ${e.message}`);
+        process.exit(1);
+    }
+    printSummary(timeline);
+
+    const outDir = path.resolve(readArg(argv, '--out-dir') || path.join(process.cwd(), 'output'));
+    const base = path.join(outDir, `timeline-${timeline.range.start || 'empty'}_${timeline.range.end || 'empty'}`);
+    writeFile(`${base}.md`, formatTimelineMarkdown(timeline));
+    writeFile(`${base}.csv`, formatTimelineCsv(timeline));
+    writeFile(`${base}-weekly.csv`, formatTimelineWeeklyCsv(timeline));
+    writeJson(`${base}.json`, { range: timeline.range, channels: timeline.channels, duplicates: timeline.duplicates, entries: timeline.entries });
+    run.count('messages', timeline.entries.length);
+    run.count('duplicates', timeline.duplicates);
+    run.count('skipped', timeline.skipped);
+    run.finish(`${base}.manifest.json`);
+    console.log(`\nWrote ${base}.md, ${base}.csv, ${base}-weekly.csv, ${base}.json and ${base}.manifest.json`);
+    return timeline;
+}
+
+if (require.main === module) {
+    runCli();
+}
+
+module.exports = { runCli };
@@ -0,0 +1,130 @@
+/**
+ * Timeshare Calculator
+ *
+ * Purpose
+ * - Convert the custody schedule (see utils/visitation/schedule.js) into custodial hours per
+ *   parent over a date range and report the parenting-time percentage (H%) used by support
+ *   calculations (Family Code § 4055).
+ * - Write an hour-by-hour ledger CSV that `childsupport.js --timeshare-ledger` can consume.
+ *
+ * Method
+ * - Expand the schedule's rules (default: the `default-order` preset) into custody events;
+ *   virtual (Zoom) events are not custodial time.
+ * - Holidays, school breaks and dated overrides replace the regular rotation for their interval;
+ *   overrides are applied as the last holidays, so they win where they overlap one.
+ * - Each day is counted in real hours, so daylight-saving days have 23 or 25.
+ * - Every remaining hour is attributed to the primary parent.
+ *
+ * CLI
+ * - node timeshare.js [--year <yyyy> | --start <yyyy-mm-dd> --end <yyyy-mm-dd>] [--anchor <weekday>]
+ *                     [--schedule <preset|path>] [--holidays <file.json>] [--config <path>] [--out <file.csv>] [--no-csv]
+ *   --config: JSON with parents, schedule, holidays and overrides; otherwise the tool looks for
+ *             source_files/timeshare.config.json (gitignored) if present
+ *   --schedule: preset name or schedule JSON path; overrides the config's schedule
+ *   --holidays: holidays/school breaks JSON; replaces the config's holidays
+ */
+
+const path = require('path');
+
+const { nameToOrdinal, parseLocalDateTime, toISODate } = require('./utils/date');
+const { calculateTimeshare } = require('./utils/visitation/timeshare');
+const { listPresets } = require('./utils/visitation/schedule');
+const { formatTimeshareLedgerCsv } = require('./utils/output/csv');
+const { writeFile } = require('./utils/fs');
+const { readArg, loadConfig } = require('./utils/cli');
+
+/**
+ * Print CLI usage help.
+ */
+function printHelp() {
+    console.log(`\nUsage: node timeshare.js [--year <yyyy> | --start <yyyy-mm-dd> --end <yyyy-mm-dd>] [--anchor <weekday>] [--schedule <preset|path>] [--holidays <file.json>] [--config <path>] [--out <file.csv>] [--no-csv]\n\nOptions:\n  --year      Calendar year to analyze (default: current year)\n  --start     Range start date (inclusive)\n  --end       Range end date (inclusive)\n  --anchor    Anchor weekday for Week 1 (default: the schedule's anchor, else Friday)\n  --schedule  Schedule preset (${listPresets().join(', ')}) or JSON path\n  --holidays  Holidays/school breaks JSON layered over the schedule\n  --config    JSON config with parents, schedule and overrides\n  --out       Ledger CSV path (default: ./output/timeshare-ledger-<start>_<end>.csv)\n  --no-csv    Skip writing the ledger CSV\n  -h, --help  Show this help\n`);
+}
+
+function printSummary(result) {
+    const { summary, parents, range } = result;
+    const names = [parents.primary, parents.visiting];
+    const pct = (t, name) => (t.byParent[name] ? t.byParent[name].percent : 0).toFixed(2).padStart(7);
+    console.log(`\nTimeshare ${range.start} → ${range.end}`);
+    console.log(`| Period  | ${names.map(n => n.padEnd(20)).join(' | ')} |`);
+    console.log(`|---------|${names.map(() => '-'.repeat(22)).join('|')}|`);
+    Object.entries(summary.byMonth).forEach(([month, t]) => {
+        console.log(`| ${month} | ${names.map(n => `${pct(t, n)}%`.padEnd(20)).join(' | ')} |`);
+    });
+    console.log(`|---------|${names.map(() => '-'.repeat(22)).join('|')}|`);
+    Object.entries(summary.byYear).forEach(([year, t]) => {
+        console.log(`| ${year.padEnd(7)} | ${names.map(n => `${pct(t, n)}%`.padEnd(20)).join(' | ')} |`);
+    });
+    console.log('');
+    names.forEach(n => {
+        const p = summary.byParent[n] || { hours: 0, percent: 0 };
+        console.log(`${n}: ${p.hours} of ${summary.totalHours} hours (${p.percent.toFixed(2)}%)`);
+    });
+}
+
+function runCli(argv = process.argv.slice(2)) {
+    if (argv.includes('-h') || argv.includes('--help')) {
+        printHelp();
+        return null;
+    }
+
+    let start;
+    let end;
+    try {
+        const startArg = readArg(argv, '--start');
+        const endArg = readArg(argv, '--end');
+        if (startArg || endArg) {
+            if (!startArg || !endArg) throw new Error('--start and --end must be provided together');
+            start = parseLocalDateTime(startArg);
+            end = parseLocalDateTime(endArg);
+        } else {
+            const year = Number(readArg(argv, '--year') || new Date().getFullYear());
+            if (!Number.isInteger(year)) throw new Error('--year must be a four-digit year');
+            start = new Date(year, 0, 1);
+            end = new Date(year, 11, 31);
+        }
+    } catch (e) {
+        console.error(e.message);
+        printHelp();
+        process.exit(1);
+    }
+
+    let anchorOrdinal; // default: the schedule's anchor
+    const anchorName = (readArg(argv, '--anchor') || '').toLowerCase();
+    if (anchorName) {
+        if (!(anchorName in nameToOrdinal)) {
+            console.error(`Unknown anchor weekday: ${anchorName}`);
+            process.exit(1);
+        }
+        anchorOrdinal = nameToOrdinal[anchorName];
+    }
+
+    const config = loadConfig(argv, 'timeshare.config.json');
+    const scheduleArg = readArg(argv, '--schedule');
+    if (scheduleArg) config.schedule = scheduleArg;
+    const holidaysArg = readArg(argv, '--holidays');
+    if (holidaysArg) config.holidays = holidaysArg;
+    let result;
+    try {
+        result = calculateTimeshare(start, end, { anchorOrdinal, config });
+    } catch (e) {
+        console.error(`Failed to compute timeshare: ${e.message}`);
+        process.exit(1);
+    }
+    printSummary(result);
+
+    if (!argv.includes('--no-csv')) {
+        const outArg = readArg(argv, '--out');
+        const outPath = outArg
+            ? path.resolve(outArg)
+            : path.resolve(process.cwd(), 'output', `timeshare-ledger-${toISODate(start)}_${toISODate(end)}.csv`);
+        writeFile(outPath, formatTimeshareLedgerCsv(result.ledger, result.parents));
+        console.log(`\nWrote ${result.ledger.length} hourly rows to ${outPath}`);
+    }
+    return result;
+}
+
+if (require.main === module) {
+    runCli();
+}
+
+module.exports = { runCli };
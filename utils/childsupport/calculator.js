@@ -0,0 +1,85 @@
+/**
+ * Child Support Calculator Engine
+ *
+ * Derives net disposable income from gross income using the DissoMaster tax calculator,
+ * applies the § 4055 guideline formula, and feeds the result into the spousal support
+ * calculation so the child support offset no longer has to be entered by hand.
+ * This is an educational implementation for estimation purposes only.
+ */
+
+const { calculateTotalTaxes } = require('../dissomaster/tax-calculator');
+const { calculateSpousalSupport } = require('../dissomaster/calculator');
+const { calculateGuidelineChildSupport } = require('./guideline');
+
+/**
+ * Calculate net monthly disposable income for a parent (simplified § 4059).
+ *
+ * @param {Object} parent - Parent income information (annual gross and pre-tax deductions)
+ * @returns {Object} Tax calculation and monthly net disposable income
+ */
+function calculateNetDisposableIncome(parent = {}) {
+  const taxCalculation = calculateTotalTaxes(parent.grossIncome || 0, {
+    filingStatus: parent.filingStatus,
+    healthInsurance: parent.healthInsurance,
+    retirementContributions: parent.retirementContributions,
+    additionalDeductions: parent.additionalDeductions
+  });
+  const otherMonthlyDeductions = (parent.otherDeductions || 0) / 12;
+  const monthlyNet = Math.max(0, taxCalculation.netIncome / 12 - otherMonthlyDeductions);
+  return {
+    grossIncome: parent.grossIncome || 0,
+    netIncome: monthlyNet,
+    taxCalculation
+  };
+}
+
+/**
+ * Calculate guideline child support and the resulting spousal support.
+ *
+ * Spousal support is computed with the higher earner as payor. The child support
+ * offset is applied only when that same parent is the child support obligor.
+ *
+ * @param {Object} parentA - Parent A income information
+ * @param {Object} parentB - Parent B income information
+ * @param {Object} options - Calculation options
+ * @param {number} options.timeshareA - Parent A's timeshare as a fraction (0..1)
+ * @param {number} [options.numberOfChildren=1] - Number of children
+ * @param {number} [options.minimumWageHourly] - Hourly minimum wage for the low-income threshold
+ * @param {boolean} [options.applyLowIncomeAdjustment=true] - Apply the low-income adjustment
+ * @param {boolean} [options.includeSpousalSupport=true] - Also compute spousal support
+ * @param {number} [options.hardshipDeduction=0] - Passed through to spousal support
+ * @param {number|null} [options.supportCap=null] - Passed through to spousal support
+ * @returns {Object} Calculation results
+ */
+function calculateChildSupport(parentA, parentB, options = {}) {
+  const { includeSpousalSupport = true, hardshipDeduction = 0, supportCap = null } = options;
+  const incomeA = calculateNetDisposableIncome(parentA);
+  const incomeB = calculateNetDisposableIncome(parentB);
+
+  const childSupport = calculateGuidelineChildSupport(incomeA.netIncome, incomeB.netIncome, options);
+
+  let spousalSupport = null;
+  if (includeSpousalSupport) {
+    const highEarner = childSupport.calculations.highEarner;
+    const payorIncome = highEarner === 'A' ? incomeA : incomeB;
+    const payeeIncome = highEarner === 'A' ? incomeB : incomeA;
+    const offset = childSupport.obligor === highEarner ? childSupport.monthlySupport : 0;
+    spousalSupport = {
+      payor: highEarner,
+      payee: highEarner === 'A' ? 'B' : 'A',
+      ...calculateSpousalSupport(payorIncome, payeeIncome, { childSupport: offset, hardshipDeduction, supportCap })
+    };
+  }
+
+  return {
+    parentA: incomeA,
+    parentB: incomeB,
+    childSupport,
+    spousalSupport
+  };
+}
+
+module.exports = {
+  calculateNetDisposableIncome,
+  calculateChildSupport
+};
@@ -0,0 +1,212 @@
+/**
+ * California Guideline Child Support (Family Code § 4055)
+ *
+ * Implements the statewide uniform guideline CS = K[HN − (H%)(TN)] as operative
+ * September 1, 2024. This is an educational implementation for estimation purposes only.
+ */
+
+// K-factor fraction by total net disposable income per month (§ 4055(b)(3)).
+// Each band returns the fraction applied to (1 + H%) or (2 − H%).
+const K_FACTOR_BANDS = [
+  { min: 0, max: 2900, fraction: (tn) => 0.165 + tn / 82857 },
+  { min: 2900, max: 5000, fraction: (tn) => 0.131 + tn / 42149 },
+  { min: 5000, max: 10000, fraction: () => 0.25 },
+  { min: 10000, max: 15000, fraction: (tn) => 0.10 + 1499 / tn },
+  { min: 15000, max: Infinity, fraction: (tn) => 0.12 + 1200 / tn }
+];
+
+// Multipliers for more than one child (§ 4055(b)(4)).
+const CHILDREN_MULTIPLIERS = {
+  1: 1,
+  2: 1.6,
+  3: 2,
+  4: 2.3,
+  5: 2.5,
+  6: 2.625,
+  7: 2.75,
+  8: 2.813,
+  9: 2.844,
+  10: 2.86
+};
+
+// California statewide minimum wage used for the low-income adjustment threshold (§ 4055(b)(7)).
+const DEFAULT_MINIMUM_WAGE_HOURLY = 16.90;
+
+/**
+ * Get the K-factor income fraction for a total net disposable income.
+ *
+ * @param {number} totalNet - Total net monthly disposable income of both parties (TN)
+ * @returns {number} Fraction before the timeshare adjustment
+ */
+function getIncomeFraction(totalNet) {
+  const tn = Math.max(0, totalNet || 0);
+  const band = K_FACTOR_BANDS.find(b => tn <= b.max) || K_FACTOR_BANDS[K_FACTOR_BANDS.length - 1];
+  return band.fraction(tn);
+}
+
+/**
+ * Calculate K (amount of both parents' income allocated for child support).
+ *
+ * @param {number} totalNet - TN, total net monthly disposable income
+ * @param {number} highEarnerTimeshare - H% as a fraction (0..1)
+ * @returns {number} K
+ */
+function calculateKFactor(totalNet, highEarnerTimeshare) {
+  const h = clamp(highEarnerTimeshare, 0, 1);
+  const timeshareFactor = h <= 0.5 ? 1 + h : 2 - h;
+  return timeshareFactor * getIncomeFraction(totalNet);
+}
+
+/**
+ * Get the multiplier for the number of children.
+ *
+ * @param {number} numberOfChildren - Number of children (1-10)
+ * @returns {number} Multiplier
+ */
+function getChildrenMultiplier(numberOfChildren) {
+  const n = Math.floor(Number(numberOfChildren));
+  if (!Number.isFinite(n) || n < 1) {
+    throw new Error('Number of children must be at least 1.');
+  }
+  return CHILDREN_MULTIPLIERS[Math.min(n, 10)];
+}
+
+/**
+ * Monthly gross income earned from full-time minimum wage (40 hrs/week, 52 weeks/year).
+ *
+ * @param {number} [hourlyWage] - Hourly minimum wage
+ * @returns {number} Monthly threshold
+ */
+function getLowIncomeThreshold(hourlyWage = DEFAULT_MINIMUM_WAGE_HOURLY) {
+  return (hourlyWage * 40 * 52) / 12;
+}
+
+/**
+ * Calculate the permitted low-income adjustment range (§ 4055(b)(7) and (c)).
+ *
+ * The adjustment may reduce support by up to CS × (threshold − obligor net) ÷ threshold.
+ *
+ * @param {number} childSupport - Support otherwise determined (positive amount)
+ * @param {number} obligorNet - Obligor's net monthly disposable income
+ * @param {number} threshold - Monthly full-time minimum wage income
+ * @returns {Object} Adjustment details
+ */
+function calculateLowIncomeAdjustment(childSupport, obligorNet, threshold) {
+  const eligible = obligorNet < threshold && childSupport > 0;
+  if (!eligible) {
+    return { eligible: false, maxReduction: 0, minimumSupport: childSupport, maximumSupport: childSupport };
+  }
+  const fraction = (threshold - Math.max(0, obligorNet)) / threshold;
+  const maxReduction = childSupport * fraction;
+  return {
+    eligible: true,
+    fraction,
+    maxReduction,
+    minimumSupport: childSupport - maxReduction,
+    maximumSupport: childSupport
+  };
+}
+
+/**
+ * Allocate a total support amount per child (§ 4055(b)(8)).
+ * Youngest child receives the one-child amount; each next child receives the
+ * difference between successive multipliers.
+ *
+ * @param {number} baseSupport - One-child support amount
+ * @param {number} numberOfChildren - Number of children
+ * @returns {Array<{child: number, amount: number}>} Allocation, youngest first
+ */
+function allocatePerChild(baseSupport, numberOfChildren) {
+  const allocation = [];
+  let previous = 0;
+  for (let i = 1; i <= numberOfChildren; i++) {
+    const multiplier = getChildrenMultiplier(i);
+    allocation.push({ child: i, amount: baseSupport * (multiplier - previous) });
+    previous = multiplier;
+  }
+  return allocation;
+}
+
+/**
+ * Calculate guideline child support.
+ *
+ * @param {number} netA - Parent A net monthly disposable income
+ * @param {number} netB - Parent B net monthly disposable income
+ * @param {Object} options - Calculation options
+ * @param {number} options.timeshareA - Parent A's timeshare as a fraction (0..1)
+ * @param {number} [options.numberOfChildren=1] - Number of children
+ * @param {number} [options.minimumWageHourly] - Hourly minimum wage for the low-income threshold
+ * @param {boolean} [options.applyLowIncomeAdjustment=true] - Apply the maximum presumptive adjustment
+ * @returns {Object} Calculation results
+ */
+function calculateGuidelineChildSupport(netA, netB, options = {}) {
+  const {
+    timeshareA = 0,
+    numberOfChildren = 1,
+    minimumWageHourly = DEFAULT_MINIMUM_WAGE_HOURLY,
+    applyLowIncomeAdjustment = true
+  } = options;
+
+  const aIsHigh = netA >= netB;
+  const highEarnerNet = aIsHigh ? netA : netB;
+  const lowEarnerNet = aIsHigh ? netB : netA;
+  const highEarnerTimeshare = clamp(aIsHigh ? timeshareA : 1 - timeshareA, 0, 1);
+  const totalNet = netA + netB;
+
+  const k = calculateKFactor(totalNet, highEarnerTimeshare);
+  const baseSupport = k * (highEarnerNet - highEarnerTimeshare * totalNet);
+  const multiplier = getChildrenMultiplier(numberOfChildren);
+  const formulaSupport = baseSupport * multiplier;
+
+  // Positive: high earner pays; negative: low earner pays the absolute value (§ 4055(b)(5))
+  const highEarnerPays = formulaSupport >= 0;
+  const obligor = highEarnerPays ? (aIsHigh ? 'A' : 'B') : (aIsHigh ? 'B' : 'A');
+  const obligorNet = highEarnerPays ? highEarnerNet : lowEarnerNet;
+  const guidelineSupport = Math.abs(formulaSupport);
+
+  const threshold = getLowIncomeThreshold(minimumWageHourly);
+  const lowIncome = calculateLowIncomeAdjustment(guidelineSupport, obligorNet, threshold);
+  const finalSupport = applyLowIncomeAdjustment && lowIncome.eligible ? lowIncome.minimumSupport : guidelineSupport;
+
+  return {
+    monthlySupport: Math.round(finalSupport),
+    obligor,
+    obligee: obligor === 'A' ? 'B' : 'A',
+    calculations: {
+      highEarner: aIsHigh ? 'A' : 'B',
+      highEarnerNet,
+      lowEarnerNet,
+      totalNet,
+      highEarnerTimeshare,
+      incomeFraction: getIncomeFraction(totalNet),
+      kFactor: k,
+      baseSupport,
+      childrenMultiplier: multiplier,
+      formulaSupport,
+      guidelineSupport,
+      lowIncomeThreshold: threshold,
+      lowIncomeAdjustment: lowIncome,
+      finalSupport,
+      // Scaled to the support ordered, so the shares add up to it after the low-income adjustment
+      perChild: allocatePerChild(finalSupport / multiplier, numberOfChildren)
+    }
+  };
+}
+
+function clamp(x, lo, hi) {
+  if (!Number.isFinite(x)) return lo;
+  return Math.max(lo, Math.min(hi, x));
+}
+
+module.exports = {
+  K_FACTOR_BANDS,
+  CHILDREN_MULTIPLIERS,
+  DEFAULT_MINIMUM_WAGE_HOURLY,
+  getIncomeFraction,
+  calculateKFactor,
+  getChildrenMultiplier,
+  getLowIncomeThreshold,
+  calculateLowIncomeAdjustment,
+  allocatePerChild,
+  calculateGuidelineChildSupport
+};
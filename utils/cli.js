@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Value following a flag, e.g. readArg(argv, '--out'). Null when the flag is absent or is
+ * followed by another flag.
+ * @param {Array<string>} argv
+ * @param {string} flag
+ * @returns {string|null}
+ */
+function readArg(argv, flag) {
+  const idx = argv.indexOf(flag);
+  if (idx === -1) return null;
+  const val = argv[idx + 1];
+  return val && !val.startsWith('--') ? val : null;
+}
+
+/**
+ * Comma-separated flag value as a list of trimmed, non-empty items ([] when absent).
+ * @param {Array<string>} argv
+ * @param {string} flag
+ * @returns {Array<string>}
+ */
+function readList(argv, flag) {
+  const val = readArg(argv, flag);
+  return val ? val.split(',').map(s => s.trim()).filter(Boolean) : [];
+}
+
+/**
+ * JSON config from --config, else source_files/<fileName> (gitignored) if present, else {}.
+ * An unreadable config ends the process, as the tool would otherwise run with the wrong settings.
+ * @param {Array<string>} argv
+ * @param {string} fileName - default file in source_files, e.g. 'timeshare.config.json'
+ * @returns {object}
+ */
+function loadConfig(argv, fileName) {
+  const explicit = readArg(argv, '--config');
+  const configPath = explicit || path.join(__dirname, '..', 'source_files', fileName);
+  if (!explicit && !fs.existsSync(configPath)) return {};
+  try {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    console.error(`Using configuration from ${configPath}`);
+    return config;
+  } catch (e) {
+    console.error('Failed to read config JSON:', e.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { readArg, readList, loadConfig };
@@ -0,0 +1,56 @@
+// RFC 4180 cell escaping and reading, with no other dependencies, so modules that only read CSV
+// (provenance record counts, timeshare and compliance logs) do not load the report formatters
+
+/**
+ * Escape a value as one CSV cell: quotes doubled, quoted when it holds a comma, quote or line break.
+ * @param {*} val - null and undefined become ''
+ * @returns {string}
+ */
+function csvCell(val) {
+  if (val === null || val === undefined) return '';
+  const s = typeof val === 'string' ? val : String(val);
+  // Escape double quotes by doubling them per RFC 4180
+  const escaped = s.replace(/"/g, '""');
+  // Quote if the cell contains special characters
+  if (/[",\n\r]/.test(escaped)) {
+    return `"${escaped}"`;
+  }
+  return escaped;
+}
+
+/**
+ * Minimal RFC 4180 reader (inverse of csvCell).
+ * @param {string} text
+ * @returns {Array<Array<string>>} rows of cells; blank lines are skipped
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const s = String(text || '');
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (inQuotes) {
+      if (ch === '"' && s[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(cell); cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && s[i + 1] === '\n') i++;
+      row.push(cell); cell = '';
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = [];
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell);
+  if (row.length > 1 || row[0] !== '') rows.push(row);
+  return rows;
+}
+
+module.exports = { csvCell, parseCsv };
@@ -85,6 +85,24 @@ function toISODate(d) {
   return `${yyyy}-${mm}-${dd}`;
 }
 
+// Parse "HH:MM" (24-hour) into minutes after midnight
+function parseTimeOfDay(value) {
+  const m = String(value || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!m) throw new Error(`Invalid time of day: ${value} (expected HH:MM)`);
+  const hours = Number(m[1]);
+  const minutes = Number(m[2]);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes !== 0)) throw new Error(`Invalid time of day: ${value} (expected HH:MM)`);
+  return hours * 60 + minutes;
+}
+
+// Parse "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM" in the local time zone
+function parseLocalDateTime(value) {
+  if (value instanceof Date) return value;
+  const m = String(value || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{1,2}):(\d{2}))?$/);
+  if (!m) throw new Error(`Invalid date: ${value} (expected YYYY-MM-DD or YYYY-MM-DDTHH:MM)`);
+  return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]), Number(m[4] || 0), Number(m[5] || 0), 0, 0);
+}
+
 // Parse a human week label to ISO start/end (supports ISO ranges and "Mon dd - Mon dd, yyyy")
 function parseWeekLabelToStartEnd(label) {
   if (!label || typeof label !== 'string') return { startISO: '', endISO: '' };
@@ -152,6 +170,8 @@ module.exports = {
   formatTimeHHMM,
   getWeekString,
   toISODate,
+  parseTimeOfDay,
+  parseLocalDateTime,
   parseWeekLabelToStartEnd,
   parseDate,
   formatDate: formatDateGeneric,
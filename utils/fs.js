@@ -1,6 +1,25 @@
 const fs = require('fs');
 const path = require('path');
 
+// Active output recorders (see recordOutputs); each is the list of paths written since it started
+const recorders = new Set();
+
+/**
+ * Record the paths written through writeFile / writeJson until stop() is called.
+ * @returns {{ paths: Array<string>, stop: () => Array<string> }} absolute paths, in write order
+ */
+function recordOutputs() {
+  const paths = [];
+  recorders.add(paths);
+  return {
+    paths,
+    stop() {
+      recorders.delete(paths);
+      return paths;
+    },
+  };
+}
+
 function ensureDir(dirPath) {
   try {
     fs.mkdirSync(dirPath, { recursive: true });
@@ -15,6 +34,8 @@ function writeFile(filePath, data) {
     const dir = path.dirname(filePath);
     ensureDir(dir);
     fs.writeFileSync(filePath, data);
+    const resolved = path.resolve(filePath);
+    recorders.forEach(paths => { if (!paths.includes(resolved)) paths.push(resolved); });
   } catch (error) {
     console.error(`Failed to write to ${filePath}:`, error);
     throw error;
@@ -26,6 +47,6 @@ function writeJson(filePath, obj) {
   writeFile(filePath, json);
 }
 
-module.exports = { ensureDir, writeFile, writeJson };
+module.exports = { ensureDir, writeFile, writeJson, recordOutputs };
 
 
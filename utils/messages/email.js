@@ -0,0 +1,198 @@
+// Email sources (mbox files, .eml files or folders of .eml) for the message timeline
+
+const fs = require('fs');
+const path = require('path');
+
+const { sha256, formatSourceId, assignSourceIds } = require('../provenance');
+
+/**
+ * Decode RFC 2047 encoded words, e.g. "=?UTF-8?Q?Jos=C3=A9?=".
+ * @param {string} value
+ * @returns {string}
+ */
+function decodeHeaderValue(value) {
+  return String(value || '')
+    .replace(/\?=\s+=\?/g, '?==?') // whitespace between adjacent encoded words is dropped
+    .replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi, (_, charset, enc, text) => {
+      const buf = enc.toUpperCase() === 'B'
+        ? Buffer.from(text, 'base64')
+        : decodeQuotedPrintableBytes(text.replace(/_/g, ' '));
+      return buf.toString(/^utf-?8$/i.test(charset) ? 'utf8' : 'latin1');
+    })
+    .trim();
+}
+
+function decodeQuotedPrintableBytes(text) {
+  const pieces = String(text).replace(/=\r?\n/g, '').split(/(=[0-9A-F]{2})/i);
+  return Buffer.concat(pieces.map(p => (/^=[0-9A-F]{2}$/i.test(p) ? Buffer.from([parseInt(p.slice(1), 16)]) : Buffer.from(p, 'utf8'))));
+}
+
+/**
+ * Split a raw message into unfolded headers (lower-case keys, first value wins) and body.
+ * @param {string} raw
+ * @returns {{ headers: Record<string, string>, body: string }}
+ */
+function splitHeaders(raw) {
+  const text = String(raw || '').replace(/\r\n/g, '\n');
+  const sep = text.indexOf('\n\n');
+  const head = sep === -1 ? text : text.slice(0, sep);
+  const body = sep === -1 ? '' : text.slice(sep + 2);
+  const headers = {};
+  head.replace(/\n[ \t]+/g, ' ').split('\n').forEach(line => {
+    const m = line.match(/^([!-9;-~]+)\s*:\s*(.*)$/);
+    if (m && !(m[1].toLowerCase() in headers)) headers[m[1].toLowerCase()] = m[2].trim();
+  });
+  return { headers, body };
+}
+
+/**
+ * Parse an address list such as `"Doe, Jane" <jane@example.com>, bob@example.com`.
+ * @param {string} value
+ * @returns {Array<{ name: string, address: string }>}
+ */
+function parseAddressList(value) {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+  let angle = false;
+  for (const ch of decodeHeaderValue(value)) {
+    if (ch === '"') quoted = !quoted;
+    else if (ch === '<' && !quoted) angle = true;
+    else if (ch === '>' && !quoted) angle = false;
+    if (ch === ',' && !quoted && !angle) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts.map(p => p.trim()).filter(Boolean).map(p => {
+    const m = p.match(/^(.*?)\s*<([^>]+)>$/);
+    const name = m ? m[1].replace(/^"|"$/g, '').trim() : '';
+    const address = (m ? m[2] : p).trim();
+    return { name, address };
+  });
+}
+
+function decodeBody(body, encoding, contentType) {
+  const enc = String(encoding || '').toLowerCase();
+  const charset = (String(contentType || '').match(/charset="?([^";]+)"?/i) || [])[1] || 'utf-8';
+  let buf;
+  if (enc === 'base64') buf = Buffer.from(body.replace(/\s+/g, ''), 'base64');
+  else if (enc === 'quoted-printable') buf = decodeQuotedPrintableBytes(body);
+  else return body;
+  return buf.toString(/^utf-?8$/i.test(charset) ? 'utf8' : 'latin1');
+}
+
+function htmlToText(html) {
+  return String(html)
+    .replace(/<(script|style)[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>|<\/p>|<\/div>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Message-IDs in an In-Reply-To/References header, in order, without angle brackets
+function parseMessageIds(value) {
+  return (String(value || '').match(/<[^<>\s]+>/g) || []).map(id => id.slice(1, -1));
+}
+
+// Plain-text body of a (possibly multipart) entity; falls back to text/html with tags stripped
+function extractText(headers, body) {
+  const type = String(headers['content-type'] || 'text/plain');
+  const boundary = (type.match(/boundary="?([^";]+)"?/i) || [])[1];
+  if (/^multipart\//i.test(type) && boundary) {
+    const parts = body.split(`--${boundary}`).slice(1)
+      .filter(p => !p.startsWith('--'))
+      .map(p => splitHeaders(p.replace(/^\n/, '')));
+    const texts = parts.map(p => ({ type: String(p.headers['content-type'] || 'text/plain'), text: extractText(p.headers, p.body) }));
+    const plain = texts.find(t => /^text\/plain/i.test(t.type) || /^multipart\//i.test(t.type));
+    const html = texts.find(t => /^text\/html/i.test(t.type));
+    return (plain || html || { text: '' }).text;
+  }
+  const text = decodeBody(body, headers['content-transfer-encoding'], type);
+  return /^text\/html/i.test(type) ? htmlToText(text) : text;
+}
+
+/**
+ * Parse a single RFC 5322 message (.eml or one mbox entry).
+ * @param {string} raw
+ * @returns {{ messageId: string, inReplyTo: string, references: Array<string>, from: { name: string, address: string }|null,
+ *   to: Array<{ name: string, address: string }>, cc: Array<{ name: string, address: string }>, date: Date|null, subject: string, body: string }}
+ */
+function parseEmail(raw) {
+  const { headers, body } = splitHeaders(raw);
+  const date = headers.date ? new Date(headers.date) : null;
+  return {
+    messageId: (headers['message-id'] || '').replace(/^<|>$/g, ''),
+    inReplyTo: parseMessageIds(headers['in-reply-to'])[0] || '',
+    references: parseMessageIds(headers.references),
+    from: parseAddressList(headers.from || '')[0] || null,
+    to: parseAddressList(headers.to || ''),
+    cc: parseAddressList(headers.cc || ''),
+    date: date && !Number.isNaN(date.getTime()) ? date : null,
+    subject: decodeHeaderValue(headers.subject || ''),
+    body: extractText(headers, body).replace(/\r/g, '').trim(),
+  };
+}
+
+/**
+ * Split an mbox file into messages. Each entry starts at a "From " separator line;
+ * `line` is the 1-based line number of that separator.
+ * @param {string} text
+ * @returns {Array<ReturnType<typeof parseEmail> & { line: number }>}
+ */
+function parseMbox(text) {
+  const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+  const out = [];
+  let current = null;
+  const flush = () => {
+    if (current) out.push({ ...parseEmail(current.lines.join('\n')), line: current.line });
+  };
+  lines.forEach((line, idx) => {
+    if (/^From \S/.test(line) && (idx === 0 || lines[idx - 1] === '')) {
+      flush();
+      current = { line: idx + 1, lines: [] };
+    } else if (current) {
+      current.lines.push(line.replace(/^>(>*From )/, '$1'));
+    }
+  });
+  flush();
+  return out;
+}
+
+/**
+ * Load emails from an mbox file, a single .eml file or a folder of .eml files.
+ * Each email records `sourceFile` (basename), `sourceId` (see utils/provenance.js) and, for mbox, `line`.
+ * @param {string} filePath
+ * @returns {Array<object>}
+ */
+function loadEmailMessages(filePath) {
+  const stat = fs.statSync(filePath);
+  if (stat.isDirectory()) {
+    return fs.readdirSync(filePath)
+      .filter(name => name.toLowerCase().endsWith('.eml'))
+      .sort()
+      .flatMap(name => loadEmailMessages(path.join(filePath, name)));
+  }
+  const raw = fs.readFileSync(filePath);
+  const text = raw.toString('utf8');
+  const sourceFile = path.basename(filePath);
+  const fileHash = sha256(raw);
+  if (filePath.toLowerCase().endsWith('.eml')) return [{ ...parseEmail(text), sourceFile, sourceId: formatSourceId('email', fileHash, 1) }];
+  return assignSourceIds(parseMbox(text).map(m => ({ ...m, sourceFile })), 'email', fileHash);
+}
+
+module.exports = {
+  decodeHeaderValue,
+  parseAddressList,
+  parseEmail,
+  parseMbox,
+  loadEmailMessages,
+};
@@ -0,0 +1,92 @@
+// iMessage plain-text exports: messages with per-message sentiment, grouped by year
+
+const Sentiment = require('sentiment');
+const natural = require('natural');
+const { polarity } = require('polarity');
+
+const sentiment = new Sentiment();
+const analyzer = new natural.SentimentAnalyzer('English', natural.PorterStemmer, 'afinn');
+
+/**
+ * Extract a 4-digit year from a timestamp line.
+ * Falls back to current year if none found.
+ * @param {string} timestamp
+ * @returns {string}
+ */
+function getYearFromTimestamp(timestamp) {
+  const match = String(timestamp).match(/\b(\d{4})\b/);
+  return match ? match[1] : String(new Date().getFullYear());
+}
+
+/**
+ * Compute sentiment metrics over message content.
+ * @param {string} content
+ * @returns {{ sentimentScore: number, naturalScore: number, polarityScore: number }}
+ */
+function analyzeSentiment(content) {
+  const sentimentResult = sentiment.analyze(content);
+  const naturalResult = analyzer.getSentiment(content.split(/\s+/));
+  const contentArray = content.split(/\s+/);
+  const polarityResult = polarity(contentArray);
+
+  return {
+    sentimentScore: sentimentResult.score,
+    naturalScore: naturalResult,
+    polarityScore: polarityResult.polarity,
+  };
+}
+
+/**
+ * Parse iMessage-exported text content and extract messages grouped by year.
+ * @param {string} data - Raw text content of the export file.
+ * @returns {Record<string, Array>} groupedMessages by year
+ */
+function parseIMessageText(data) {
+  let messages = [];
+  let currentMessage = null;
+  const lines = data.split('\n');
+
+  lines.forEach((line, idx) => {
+    if (line.match(/^\s*$/)) {
+      return; // Skip empty lines
+    }
+
+    if (line.match(/\d{1,2}:\d{2}:\d{2} [AP]M/)) {
+      // Save previous message and start a new one
+      if (currentMessage) {
+        messages.push(currentMessage);
+      }
+      currentMessage = {
+        timestamp: line.split('(')[0].trim(),
+        readInfo: line.split('(')[1]?.split(')')[0]?.trim() || null,
+        line: idx + 1, // 1-based line of the timestamp in the export
+        sender: null,
+        content: ''
+      };
+    } else if (currentMessage && !currentMessage.sender) {
+      currentMessage.sender = line.trim();
+    } else if (currentMessage) {
+      currentMessage.content += line.trim() + '\n';
+    }
+  });
+
+  if (currentMessage) {
+    messages.push(currentMessage);
+  }
+
+  // Perform sentiment analysis and group by year
+  const enriched = messages.map(message => ({
+    ...message,
+    year: getYearFromTimestamp(message.timestamp),
+    ...analyzeSentiment(message.content || ''),
+  }));
+
+  const groupedMessages = enriched.reduce((acc, message) => {
+    (acc[message.year] = acc[message.year] || []).push(message);
+    return acc;
+  }, {});
+
+  return groupedMessages;
+}
+
+module.exports = { getYearFromTimestamp, analyzeSentiment, parseIMessageText };
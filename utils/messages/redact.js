@@ -0,0 +1,259 @@
+// Redaction and pseudonymization of normalized messages before they are written or sent to a model:
+// configured names (children, schools, …) become stable pseudonyms such as "Child A", and phone
+// numbers, email addresses, street addresses and account numbers become numbered placeholders.
+// The mapping is kept in a separate key file so the outputs can be un-redacted.
+
+const fs = require('fs');
+const path = require('path');
+
+const { ensureDir } = require('../fs');
+const { scoreSentences } = require('../ofw/sentences');
+
+// Detectors in the order they run; `label` names the placeholder ("[PHONE 1]"). A match's `value`
+// group, when present, is the part that is replaced ("Account #12345678" keeps "Account #").
+const DETECTORS = [
+  {
+    key: 'email',
+    label: 'EMAIL',
+    pattern: /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi,
+    normalize: (v) => v.toLowerCase(),
+  },
+  {
+    key: 'account',
+    label: 'ACCOUNT',
+    // labeled account/card/routing/policy/member numbers (with at least one digit; card numbers may be
+    // grouped by spaces), SSNs, and runs of 12–19 digits
+    pattern: /\b(?:account|acct|card|routing|policy|member|ssn)\b(?:\s+(?:number|no\.?|num|id))?\s*[#:]?\s*(?<value>(?=[A-Z0-9-]*\d)[A-Z0-9][A-Z0-9-]{3,}(?: \d{4,})*)|\b\d{3}-\d{2}-\d{4}\b|(?<!\d)\d(?:[ -]?\d){11,18}(?!\d)/gi,
+    normalize: (v) => v.replace(/[^a-z0-9]/gi, '').toLowerCase(),
+  },
+  {
+    key: 'phone',
+    label: 'PHONE',
+    pattern: /(?<![\d-])(?:\+?1[\s.-]?)?(?:\(\d{3}\)\s?|\d{3}[\s.-]?)\d{3}[\s.-]?\d{4}(?![\d-])/g,
+    normalize: (v) => v.replace(/\D/g, '').slice(-10),
+  },
+  {
+    key: 'address',
+    label: 'ADDRESS',
+    // house number, one to four capitalized words and a street suffix, with an optional unit
+    pattern: /\b\d{1,6}\s+(?:[A-Z][A-Za-z0-9'-]*\.?\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Drive|Dr|Lane|Ln|Court|Ct|Way|Place|Pl|Circle|Cir|Parkway|Pkwy|Terrace|Ter|Highway|Hwy)\b\.?(?:,?\s*(?:Apt|Apartment|Unit|Suite|Ste|#)\.?\s*[A-Za-z0-9-]+)?/g,
+    normalize: (v) => v.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim(),
+  },
+];
+
+const DEFAULT_REDACTION_CONFIG = path.join(__dirname, '..', '..', 'source_files', 'redaction.config.json');
+
+// "A", "B", …, "Z", "AA", "AB", …
+function letterCode(index) {
+  let n = index + 1;
+  let out = '';
+  while (n > 0) {
+    out = String.fromCharCode(65 + ((n - 1) % 26)) + out;
+    n = Math.floor((n - 1) / 26);
+  }
+  return out;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Name groups and detectors from a config object:
+ * { "names": { "<Label>": ["Name", ["Full Name", "Nickname"], …] }, "detectors": { "<key>": false } }.
+ * Each entry is one person or place (an array lists its aliases); it becomes "<Label> A",
+ * "<Label> B", … in config order. Detectors are on unless set to false.
+ * @param {object} [config]
+ * @returns {{ names: Array<{ label: string, aliases: Array<string> }>, detectors: Array<typeof DETECTORS[number]> }}
+ */
+function resolveRedactionConfig(config = {}) {
+  const names = [];
+  Object.entries(config.names || {}).forEach(([label, entries]) => {
+    if (!Array.isArray(entries)) throw new Error(`Names for "${label}" must be an array`);
+    entries.forEach(entry => {
+      const aliases = [].concat(entry).map(a => String(a).trim()).filter(Boolean);
+      if (aliases.length) names.push({ label, aliases });
+    });
+  });
+  const toggles = config.detectors || {};
+  Object.keys(toggles).forEach(key => {
+    if (!DETECTORS.some(d => d.key === key)) throw new Error(`Unknown detector "${key}" (expected ${DETECTORS.map(d => d.key).join(', ')})`);
+  });
+  return { names, detectors: DETECTORS.filter(d => toggles[d.key] !== false) };
+}
+
+/**
+ * Redaction config from a JSON file; without a path, source_files/redaction.config.json
+ * (gitignored) when present, otherwise detectors only.
+ * @param {string} [configPath]
+ * @returns {{ config: ReturnType<typeof resolveRedactionConfig>, configPath: string|null }}
+ */
+function loadRedactionConfig(configPath) {
+  const file = configPath || DEFAULT_REDACTION_CONFIG;
+  if (!configPath && !fs.existsSync(file)) return { config: resolveRedactionConfig({}), configPath: null };
+  return { config: resolveRedactionConfig(JSON.parse(fs.readFileSync(file, 'utf8'))), configPath: file };
+}
+
+/**
+ * Redactor with a consistent pseudonym map: the same name or value always gets the same
+ * pseudonym, also across runs when the previous key is passed in.
+ * @param {ReturnType<typeof resolveRedactionConfig>} config
+ * @param {{ key?: { pseudonyms: Record<string, { kind: string, values: Array<string> }> } }} [options]
+ *   key: a key written by a previous run (see readRedactionKey)
+ * @returns {{ redactText: (text: string) => string, redactMessages: (messages: Array<object>) => Array<object>, key: () => object }}
+ */
+function createRedactor(config, options = {}) {
+  const { names, detectors } = config || resolveRedactionConfig({});
+  const tokens = new Map(); // `${kind}:${normalized}` -> pseudonym
+  const entries = new Map(); // pseudonym -> { kind, values }
+  const remember = (kind, id, value, token) => {
+    tokens.set(`${kind}:${id}`, token);
+    const entry = entries.get(token) || { kind, values: [] };
+    if (!entry.values.includes(value)) entry.values.push(value);
+    entries.set(token, entry);
+  };
+  const normalizeName = (v) => v.toLowerCase().replace(/\s+/g, ' ');
+  const normalizers = Object.fromEntries(DETECTORS.map(d => [d.key, d.normalize]).concat([['name', normalizeName]]));
+  Object.entries((options.key && options.key.pseudonyms) || {}).forEach(([token, { kind, values }]) => {
+    (values || []).forEach(v => remember(kind, (normalizers[kind] || normalizeName)(v), v, token));
+  });
+
+  const nextToken = (makeToken) => {
+    for (let i = 0; ; i++) {
+      const token = makeToken(i);
+      if (!entries.has(token)) return token;
+    }
+  };
+  // Each name group keeps the pseudonym of an alias seen before, else takes the next free letter
+  const aliasTokens = new Map();
+  names.forEach(({ label, aliases }) => {
+    const known = aliases.map(a => tokens.get(`name:${normalizeName(a)}`)).find(Boolean);
+    const token = known || nextToken(i => `${label} ${letterCode(i)}`);
+    aliases.forEach(a => {
+      remember('name', normalizeName(a), a, token);
+      aliasTokens.set(normalizeName(a), token);
+    });
+  });
+  const aliases = Array.from(aliasTokens.keys()).sort((a, b) => b.length - a.length);
+  const namePattern = aliases.length
+    ? new RegExp(`(?<![\\p{L}\\p{N}])(?:${aliases.map(a => escapeRegExp(a).replace(/ /g, '\\s+')).join('|')})(?![\\p{L}\\p{N}])`, 'giu')
+    : null;
+
+  const placeholder = (detector, value) => {
+    const id = `${detector.key}:${detector.normalize(value)}`;
+    let token = tokens.get(id);
+    if (!token) token = nextToken(i => `[${detector.label} ${i + 1}]`);
+    remember(detector.key, detector.normalize(value), value, token);
+    return token;
+  };
+
+  function redactText(text) {
+    if (typeof text !== 'string' || !text) return text;
+    let out = text;
+    detectors.forEach(detector => {
+      out = out.replace(detector.pattern, (...args) => {
+        const match = args[0];
+        const groups = args[args.length - 1];
+        const value = groups && typeof groups === 'object' && groups.value;
+        return value ? match.slice(0, match.lastIndexOf(value)) + placeholder(detector, value) : placeholder(detector, match);
+      });
+    });
+    if (namePattern) {
+      out = out.replace(namePattern, (match) => {
+        const token = aliasTokens.get(normalizeName(match));
+        entries.get(token).values.includes(match) || remember('name', normalizeName(match), match, token);
+        return token;
+      });
+    }
+    return out;
+  }
+
+  /**
+   * Redact messages in place: subject, body, sender, recipient names, thread key, the Ollama reason
+   * and email reply headers (Message-IDs look like addresses; the same ID keeps the same placeholder,
+   * so replies still thread). Dates, metrics and source IDs are left as they are, except the negative
+   * sentence fields, which are scored again on the redacted body.
+   */
+  function redactMessages(messages) {
+    (messages || []).forEach(m => {
+      if (!m || typeof m !== 'object') return;
+      ['subject', 'body', 'sender', 'threadKey', 'messageId', 'inReplyTo'].forEach(field => {
+        if (typeof m[field] === 'string') m[field] = redactText(m[field]);
+      });
+      if (Array.isArray(m.references)) m.references = m.references.map(redactText);
+      // Pseudonyms change lengths, so the offsets (and the quoted sentence) must come from the redacted body
+      if ('flagged_sentences' in m) {
+        const { flagged, mostNegative } = scoreSentences(m.body);
+        m.negative_sentences = flagged.length;
+        m.flagged_sentences = flagged.map(({ start, end, score }) => ({ start, end, score }));
+        m.most_negative_sentence = mostNegative;
+      }
+      if (m.recipientReadTimes && typeof m.recipientReadTimes === 'object') {
+        m.recipientReadTimes = Object.fromEntries(Object.entries(m.recipientReadTimes).map(([name, read]) => [redactText(name), read]));
+      }
+      if (m.sentiment_ollama && typeof m.sentiment_ollama.reason === 'string') {
+        m.sentiment_ollama = { ...m.sentiment_ollama, reason: redactText(m.sentiment_ollama.reason) };
+      }
+    });
+    return messages;
+  }
+
+  return {
+    redactText,
+    redactMessages,
+    key: () => ({ pseudonyms: Object.fromEntries(Array.from(entries.entries()).sort(([a], [b]) => a.localeCompare(b))) }),
+  };
+}
+
+/**
+ * Previous redaction key, or null when the file does not exist.
+ * @param {string} keyPath
+ * @returns {{ pseudonyms: Record<string, { kind: string, values: Array<string> }> }|null}
+ */
+function readRedactionKey(keyPath) {
+  if (!keyPath || !fs.existsSync(keyPath)) return null;
+  const key = JSON.parse(fs.readFileSync(keyPath, 'utf8'));
+  if (!key || typeof key.pseudonyms !== 'object') throw new Error(`Not a redaction key: ${keyPath}`);
+  return key;
+}
+
+/**
+ * Write the redaction key (pseudonym → original values). It is written directly rather than through
+ * utils/fs writeFile, so it stays out of provenance manifests that are shared with the outputs.
+ * @param {string} keyPath
+ * @param {ReturnType<typeof createRedactor>} redactor
+ */
+function writeRedactionKey(keyPath, redactor) {
+  ensureDir(path.dirname(keyPath));
+  const key = {
+    note: 'Redaction key: maps each pseudonym to the original text. Keep it private and apart from the redacted outputs.',
+    updatedAt: new Date().toISOString(),
+    ...redactor.key(),
+  };
+  fs.writeFileSync(keyPath, JSON.stringify(key, null, 2));
+}
+
+/**
+ * Restore the original text of redacted output using a redaction key (the first value recorded
+ * for each pseudonym).
+ * @param {string} text
+ * @param {{ pseudonyms: Record<string, { kind: string, values: Array<string> }> }} key
+ * @returns {string}
+ */
+function unredactText(text, key) {
+  const pairs = Object.entries((key && key.pseudonyms) || {}).filter(([, e]) => e.values && e.values.length);
+  if (!pairs.length) return text;
+  const byToken = new Map(pairs.map(([token, e]) => [token, e.values[0]]));
+  const pattern = new RegExp(`${Array.from(byToken.keys()).sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')}(?![\\p{L}\\p{N}])`, 'gu');
+  return String(text).replace(pattern, (token) => byToken.get(token));
+}
+
+module.exports = {
+  DETECTORS,
+  resolveRedactionConfig,
+  loadRedactionConfig,
+  createRedactor,
+  readRedactionKey,
+  writeRedactionKey,
+  unredactText,
+};
@@ -0,0 +1,231 @@
+// Normalized conversation model shared by OFW, iMessage and email sources
+
+const { computeDerivedMetrics } = require('../ofw/metrics');
+
+const MESSAGE_SOURCES = ['ofw', 'imessage', 'email'];
+const SOURCE_LABELS = { ofw: 'OFW', imessage: 'iMessage', email: 'Email' };
+
+const MONTHS = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 };
+const UNIT_MS = { second: 1000, minute: 60000, hour: 3600000, day: 86400000 };
+
+/**
+ * A normalized message has the shape produced by the OFW parser, so every OFW tool
+ * (accumulateStats, assignThreads, analyzeRapidFireMessages, MessageProcessor) works on it:
+ * {
+ *   source: 'ofw'|'imessage'|'email',
+ *   sentDate: Date,
+ *   sender: string,
+ *   recipientReadTimes: Record<string, Date|'Never'>,
+ *   subject: string,                     // '' for iMessage
+ *   body: string,
+ *   wordCount: number,
+ *   sentiment: number, sentiment_natural: number,
+ *   sentiment_per_word: number, natural_per_word: number, tone: number,
+ *   threadId?: number, threadKey?: string, threadIndex?: number   // after assignThreads
+ * }
+ * Source-specific fields (e.g. iMessage `polarity`, `readInfo`, email `messageId`, `inReplyTo`, `references`) are kept alongside,
+ * as are `sourceFile`, `line` (iMessage, mbox) and `messageNumber`/`messageTotal` (OFW) for
+ * linking back to the original export.
+ */
+
+function toDate(value) {
+  if (value instanceof Date) return value;
+  if (value === null || value === undefined || value === '') return null;
+  return new Date(value);
+}
+
+/**
+ * Parse an iMessage export timestamp such as "Mar 05, 2024 09:12:11 AM" in local time.
+ * @param {string} timestamp
+ * @returns {Date} Invalid Date when the format is not recognized
+ */
+function parseIMessageTimestamp(timestamp) {
+  const s = String(timestamp || '').replace(/\s+/g, ' ').trim();
+  const m = s.match(/^([A-Za-z]{3})[a-z]* (\d{1,2}), (\d{4}) (\d{1,2}):(\d{2})(?::(\d{2}))? ?([AP]M)$/i);
+  if (!m || !(m[1].toLowerCase() in MONTHS)) return new Date(s);
+  let hh = Number(m[4]) % 12;
+  if (m[7].toUpperCase() === 'PM') hh += 12;
+  return new Date(Number(m[3]), MONTHS[m[1].toLowerCase()], Number(m[2]), hh, Number(m[5]), Number(m[6] || 0));
+}
+
+/**
+ * Delay from an iMessage read receipt such as "Read by them after 1 hour, 5 minutes".
+ * @param {string|null} readInfo
+ * @returns {number|null} milliseconds, or null when the receipt has no delay
+ */
+function parseReadDelay(readInfo) {
+  const s = String(readInfo || '');
+  if (!/^read\b/i.test(s.trim())) return null;
+  const after = s.split(/\bafter\b/i)[1];
+  if (!after) return null;
+  let ms = 0;
+  let found = false;
+  after.replace(/(\d+)\s*(second|minute|hour|day)s?/gi, (_, n, unit) => {
+    ms += Number(n) * UNIT_MS[unit.toLowerCase()];
+    found = true;
+    return '';
+  });
+  return found ? ms : null;
+}
+
+/**
+ * Adapt an OFW message (from processMessages, or read back from its JSON output) to the
+ * normalized schema: dates revived, read times keyed by recipient, `source: 'ofw'`.
+ * Messages already normalized (any source) pass through the same way.
+ * @param {object} message
+ * @returns {object} new object
+ */
+function fromOfwMessage(message) {
+  const recipientReadTimes = {};
+  Object.entries(message.recipientReadTimes || {}).forEach(([name, value]) => {
+    recipientReadTimes[name] = value === 'Never' ? 'Never' : toDate(value);
+  });
+  return {
+    ...message,
+    source: message.source || 'ofw',
+    sentDate: toDate(message.sentDate),
+    sender: message.sender || '',
+    recipientReadTimes,
+    subject: message.subject || '',
+    body: message.body || '',
+  };
+}
+
+/**
+ * Adapt an iMessage (from parseIMessageText) to the normalized schema.
+ * iMessage has no recipients per message, so the other conversation participants are
+ * the recipients; a read receipt with a delay gives their read time, anything else counts as unread.
+ * @param {{ timestamp: string, readInfo?: string|null, sender: string, content: string, sentimentScore?: number, naturalScore?: number, polarityScore?: number }} message
+ * @param {{ participants?: Array<string> }} [options] - conversation participants (default: none)
+ * @returns {object}
+ */
+function fromIMessage(message, options = {}) {
+  const sentDate = parseIMessageTimestamp(message.timestamp);
+  const sender = String(message.sender || '').trim();
+  const delay = parseReadDelay(message.readInfo);
+  const recipientReadTimes = {};
+  (options.participants || []).filter(name => name && name !== sender).forEach(name => {
+    recipientReadTimes[name] = delay !== null && !Number.isNaN(sentDate.getTime()) ? new Date(sentDate.getTime() + delay) : 'Never';
+  });
+  const body = String(message.content || '').trim();
+  return {
+    source: 'imessage',
+    sentDate,
+    sender,
+    recipientReadTimes,
+    subject: '',
+    body,
+    wordCount: body ? body.split(/\s+/).filter(Boolean).length : 0,
+    sentiment: Number(message.sentimentScore) || 0,
+    sentiment_natural: Number(message.naturalScore) || 0,
+    polarity: Number(message.polarityScore) || 0,
+    readInfo: message.readInfo || null,
+    ...(message.sourceFile ? { sourceFile: message.sourceFile } : {}),
+    ...(message.line ? { line: message.line } : {}),
+    ...(message.sourceId ? { sourceId: message.sourceId } : {}),
+  };
+}
+
+/**
+ * Adapt an email (from utils/messages/email.js) to the normalized schema. Senders and
+ * recipients are display names, else addresses; email has no read receipts, so every
+ * recipient counts as unread. `messageId`, `inReplyTo` and `references` are kept for threading.
+ * @param {{ messageId?: string, inReplyTo?: string, references?: Array<string>, from: { name: string, address: string }|null, to?: Array<object>, cc?: Array<object>, date: Date|string|null, subject?: string, body?: string }} message
+ * @returns {object}
+ */
+function fromEmail(message) {
+  const label = (a) => (a ? a.name || a.address || '' : '');
+  const recipientReadTimes = {};
+  [...(message.to || []), ...(message.cc || [])].map(label).filter(Boolean).forEach(name => {
+    recipientReadTimes[name] = 'Never';
+  });
+  const body = String(message.body || '').trim();
+  return {
+    source: 'email',
+    sentDate: toDate(message.date) || new Date(NaN),
+    sender: label(message.from),
+    recipientReadTimes,
+    subject: message.subject || '',
+    body,
+    wordCount: body ? body.split(/\s+/).filter(Boolean).length : 0,
+    sentiment: 0,
+    sentiment_natural: 0,
+    messageId: message.messageId || '',
+    inReplyTo: message.inReplyTo || '',
+    references: message.references || [],
+    ...(message.sourceFile ? { sourceFile: message.sourceFile } : {}),
+    ...(message.line ? { line: message.line } : {}),
+    ...(message.sourceId ? { sourceId: message.sourceId } : {}),
+  };
+}
+
+/**
+ * Source of a raw or normalized message.
+ * @param {object} message
+ * @returns {'ofw'|'imessage'|'email'}
+ */
+function detectSource(message) {
+  if (message && MESSAGE_SOURCES.includes(message.source)) return message.source;
+  if (message && 'timestamp' in message && 'content' in message && !('sentDate' in message)) return 'imessage';
+  if (message && 'from' in message && 'messageId' in message && !('sentDate' in message)) return 'email';
+  return 'ofw';
+}
+
+/**
+ * Normalize messages from any supported source. Accepts an array (OFW messages, iMessages, emails,
+ * or normalized messages, possibly read back from JSON) or iMessage output grouped by year.
+ * Derived metrics (tone, per-word scores) are computed for messages that lack them.
+ * @param {Array<object>|Record<string, Array<object>>} input
+ * @param {{ participants?: Array<string> }} [options] - iMessage participants (default: every sender seen)
+ * @returns {Array<object>} new array of normalized messages, in input order (years ascending)
+ */
+function normalizeMessages(input, options = {}) {
+  let list = [];
+  if (Array.isArray(input)) list = input;
+  else if (input && typeof input === 'object') {
+    list = Object.keys(input).sort().flatMap(year => (Array.isArray(input[year]) ? input[year] : []));
+  }
+  list = list.filter(m => m && typeof m === 'object');
+
+  // Normalized messages carry `source` and `sentDate`; only raw exports need the iMessage/email adapters
+  const rawSource = (m) => (m.source ? null : detectSource(m));
+  const rawIMessages = list.filter(m => rawSource(m) === 'imessage');
+  const participants = options.participants
+    || Array.from(new Set(rawIMessages.map(m => String(m.sender || '').trim()).filter(Boolean)));
+
+  const out = list.map(m => {
+    const source = rawSource(m);
+    if (source === 'imessage') return fromIMessage(m, { participants });
+    if (source === 'email') return fromEmail(m);
+    return fromOfwMessage(m);
+  });
+  computeDerivedMetrics(out.filter(m => !m._nonMessage && !Number.isFinite(m.tone)));
+  return out;
+}
+
+/**
+ * Where a message came from, e.g. "Report.pdf, Message 12 of 340", "chat.txt, line 88", "inbox.mbox, line 1204".
+ * @param {object} message - normalized message
+ * @returns {string}
+ */
+function describeSourceLocation(message) {
+  const parts = [];
+  if (message.sourceFile) parts.push(message.sourceFile);
+  if (message.messageNumber) parts.push(`Message ${message.messageNumber} of ${message.messageTotal}`);
+  else if (message.line) parts.push(`line ${message.line}`);
+  if (!parts.length && message.messageId) parts.push(`<${message.messageId}>`);
+  return parts.join(', ');
+}
+
+module.exports = {
+  MESSAGE_SOURCES,
+  SOURCE_LABELS,
+  parseIMessageTimestamp,
+  parseReadDelay,
+  fromOfwMessage,
+  fromIMessage,
+  fromEmail,
+  detectSource,
+  normalizeMessages,
+  describeSourceLocation,
+};
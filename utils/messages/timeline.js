@@ -0,0 +1,168 @@
+// Merged multi-channel timeline (OFW + iMessage + email) over the normalized message schema
+
+const fs = require('fs');
+const path = require('path');
+
+const { toISODate } = require('../date');
+const { MESSAGE_SOURCES, normalizeMessages, describeSourceLocation } = require('./schema');
+const { loadEmailMessages } = require('./email');
+const { parseIMessageText } = require('./imessage');
+const { accumulateStats } = require('../ofw/stats');
+const { hashFile, assignSourceIds } = require('../provenance');
+
+/**
+ * Load one source file (or, for email, folder) as normalized messages.
+ * - ofw: JSON written by ofw.js
+ * - imessage: the plain-text export (.txt) or a per-year JSON from imessage.js
+ * - email: mbox file, .eml file or folder of .eml files
+ * Messages without a `sourceFile` get the basename of `filePath`.
+ * @param {'ofw'|'imessage'|'email'} channel
+ * @param {string} filePath
+ * @returns {Array<object>}
+ */
+function loadChannelMessages(channel, filePath) {
+  const sourceFile = path.basename(filePath);
+  let raw;
+  if (channel === 'email') {
+    raw = loadEmailMessages(filePath);
+  } else if (channel === 'imessage' && !filePath.toLowerCase().endsWith('.json')) {
+    raw = parseIMessageText(fs.readFileSync(filePath, 'utf8'));
+    const fileHash = hashFile(filePath);
+    Object.values(raw).forEach(list => assignSourceIds(list, 'imessage', fileHash));
+  } else if (channel === 'ofw' || channel === 'imessage') {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } else {
+    throw new Error(`Unknown channel "${channel}" (expected ${MESSAGE_SOURCES.join(', ')})`);
+  }
+  return normalizeMessages(raw).map(m => ({ ...m, source: channel, sourceFile: m.sourceFile || sourceFile }));
+}
+
+/**
+ * Map sender and recipient names (or email addresses) to one name per person, case-insensitively,
+ * so "Me", "parent.a@example.com" and "Parent A" line up across channels.
+ * @param {Array<object>} messages
+ * @param {Record<string, string>} [aliases]
+ * @returns {Array<object>} same array (mutated) for convenience
+ */
+function applyAliases(messages, aliases = {}) {
+  const map = new Map(Object.entries(aliases || {}).map(([from, to]) => [String(from).trim().toLowerCase(), String(to)]));
+  if (!map.size) return messages;
+  const resolve = (name) => map.get(String(name || '').trim().toLowerCase()) || name;
+  messages.forEach(m => {
+    m.sender = resolve(m.sender);
+    const readTimes = {};
+    Object.entries(m.recipientReadTimes || {}).forEach(([name, value]) => {
+      const key = resolve(name);
+      // Keep the earliest read time when two aliases collapse into one recipient
+      if (!(key in readTimes) || readTimes[key] === 'Never' || (value !== 'Never' && value < readTimes[key])) readTimes[key] = value;
+    });
+    m.recipientReadTimes = readTimes;
+  });
+  return messages;
+}
+
+function normalizeBodyForKey(body) {
+  return String(body || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Remove messages that appear more than once, e.g. overlapping OFW reports, iMessage
+ * exports of the same chat, or an email in both an mbox and an .eml folder. Emails match
+ * on Message-ID; everything else on channel, sender, minute sent and body. The first copy
+ * is kept and gains `duplicateLocations` (the other copies' source locations).
+ * @param {Array<object>} messages - normalized messages
+ * @returns {{ messages: Array<object>, duplicates: number }}
+ */
+function dedupeMessages(messages) {
+  const seen = new Map();
+  const out = [];
+  let duplicates = 0;
+  messages.forEach(m => {
+    const minute = Math.floor(m.sentDate.getTime() / 60000);
+    const key = m.source === 'email' && m.messageId
+      ? `email|id:${m.messageId}`
+      : `${m.source}|${m.sender}|${minute}|${normalizeBodyForKey(m.body)}`;
+    const kept = seen.get(key);
+    if (kept) {
+      duplicates++;
+      kept.duplicateLocations.push(describeSourceLocation(m));
+      return;
+    }
+    const entry = { ...m, duplicateLocations: [] };
+    seen.set(key, entry);
+    out.push(entry);
+  });
+  return { messages: out, duplicates };
+}
+
+/**
+ * Merge normalized messages from every channel into one chronological timeline.
+ * Report placeholders and messages without a valid date are skipped (counted in `skipped`).
+ * @param {Array<object>} messages - normalized messages (see loadChannelMessages)
+ * @param {{ start?: Date, end?: Date, aliases?: Record<string, string> }} [options] - inclusive date range
+ * @returns {{
+ *   range: { start: string|null, end: string|null },
+ *   entries: Array<{ sentDate: Date, channel: string, sender: string, recipients: Array<string>, subject: string,
+ *     body: string, wordCount: number, tone: number, location: string, sourceId: string, duplicateLocations: Array<string> }>,
+ *   channels: Record<string, { messages: number, senders: Record<string, number>, first: Date|null, last: Date|null }>,
+ *   weekly: Record<string, Record<string, Record<string, object>>>,   // channel -> accumulateStats(...).weekly
+ *   duplicates: number,
+ *   skipped: number
+ * }}
+ */
+function buildTimeline(messages, options = {}) {
+  const { start, end } = options;
+  const endExclusive = end ? new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1) : null;
+  const valid = (messages || []).filter(m => m && !m._nonMessage && m.sentDate instanceof Date && !Number.isNaN(m.sentDate.getTime()));
+  const skipped = (messages || []).length - valid.length;
+  const inRange = applyAliases(valid.map(m => ({ ...m })), options.aliases)
+    .filter(m => (!start || m.sentDate >= start) && (!endExclusive || m.sentDate < endExclusive));
+  const { messages: unique, duplicates } = dedupeMessages(inRange);
+  // Stable sort keeps each source's own order for messages sent in the same minute
+  unique.sort((a, b) => a.sentDate - b.sentDate);
+
+  const channels = {};
+  const weekly = {};
+  MESSAGE_SOURCES.forEach(key => {
+    const list = unique.filter(m => m.source === key);
+    if (!list.length) return;
+    const senders = {};
+    list.forEach(m => { senders[m.sender] = (senders[m.sender] || 0) + 1; });
+    channels[key] = { messages: list.length, senders, first: list[0].sentDate, last: list[list.length - 1].sentDate };
+    weekly[key] = accumulateStats(list).weekly;
+  });
+
+  const entries = unique.map(m => ({
+    sentDate: m.sentDate,
+    channel: m.source,
+    sender: m.sender,
+    recipients: Object.keys(m.recipientReadTimes || {}),
+    subject: m.subject || '',
+    body: m.body || '',
+    wordCount: Number(m.wordCount) || 0,
+    tone: Number.isFinite(m.tone) ? m.tone : 0,
+    location: describeSourceLocation(m),
+    sourceId: m.sourceId || '',
+    duplicateLocations: m.duplicateLocations,
+  }));
+
+  return {
+    range: {
+      start: start ? toISODate(start) : (entries.length ? toISODate(entries[0].sentDate) : null),
+      end: end ? toISODate(end) : (entries.length ? toISODate(entries[entries.length - 1].sentDate) : null),
+    },
+    entries,
+    channels,
+    weekly,
+    duplicates,
+    skipped,
+  };
+}
+
+module.exports = {
+  loadChannelMessages,
+  describeSourceLocation,
+  applyAliases,
+  dedupeMessages,
+  buildTimeline,
+};
@@ -0,0 +1,195 @@
+// Local content-addressed cache for repeated OFW exports: parsed reports keyed by the PDF's SHA-256,
+// and per-message metrics and LLM results keyed by message fingerprint (sender + sentDate + body hash)
+
+const fs = require('fs');
+const path = require('path');
+
+const { ensureDir } = require('../fs');
+const { sha256 } = require('../provenance');
+const { computeDerivedMetrics } = require('./metrics');
+
+// Fields computeDerivedMetrics sets; these depend only on the body and the scoring code.
+// Entries hold numbers only: sentences are kept as offsets into the body (see cachedMetrics)
+const METRIC_FIELDS = ['wordCount', 'sentiment', 'sentiment_natural', 'sentiment_per_word', 'natural_per_word', 'tone', 'tone_v2', 'negative_sentences', 'flagged_sentences', 'most_negative_sentence'];
+
+// Bump when a lexicon or scoring change alters any of METRIC_FIELDS, so cached entries are scored again
+const METRICS_VERSION = 1;
+
+function isoDate(value) {
+  const d = value instanceof Date ? value : new Date(value);
+  return value != null && !Number.isNaN(d.getTime()) ? d.toISOString() : '';
+}
+
+/**
+ * Fingerprint of a message's content: SHA-256 over the sender, sent date and the SHA-256 of the body.
+ * Read receipts, message numbers and the source file are not part of it, so the same message
+ * keeps its fingerprint across exports.
+ * @param {object} message - parsed or normalized message
+ * @returns {string} hex
+ */
+function messageFingerprint(message) {
+  return sha256([String(message.sender || '').trim(), isoDate(message.sentDate), sha256(String(message.body || ''))].join('\n'));
+}
+
+// Revive a parsed message read back from JSON: dates as Date objects, 'Never' kept
+function reviveParsedMessage(message) {
+  const out = { ...message };
+  if ('sentDate' in out) out.sentDate = out.sentDate == null ? new Date(NaN) : new Date(out.sentDate);
+  out.recipientReadTimes = {};
+  Object.entries(message.recipientReadTimes || {}).forEach(([name, value]) => {
+    out.recipientReadTimes[name] = value === 'Never' || value == null ? value : new Date(value);
+  });
+  return out;
+}
+
+/**
+ * Open (or create) a cache directory:
+ * - messages/<fp[0..1]>/<fp>.json: { fingerprint, sender, sentDate, metricsVersion, metrics (no message text),
+ *   llm: { [model]: result }, topicsLlm: { [model]: topic keys } }
+ * - reports/<sha256>.json: { sha256, sourceFile, parsedAt, messages } (processMessages output for that PDF,
+ *   full message bodies included, so the cache directory holds the original text)
+ * - index.json: { reports: [{ sha256, sourceFile, parsedAt, first, last }] } in the order parsed; first/last
+ *   are the sent dates the export spans
+ * Cache files are written directly rather than through utils/fs, so they stay out of provenance manifests.
+ * @param {string} dir
+ * @returns {{
+ *   dir: string,
+ *   get: (fingerprint: string) => object|null,
+ *   update: (fingerprint: string, patch: object) => object,
+ *   getReport: (sha: string) => ({ sha256: string, sourceFile: string, parsedAt: string, messages: Array<object> })|null,
+ *   putReport: (report: { sha256: string, sourceFile: string, messages: Array<object> }) => void,
+ *   previousReport: (sha: string) => object|null,
+ * }}
+ */
+function createReportCache(dir) {
+  const root = path.resolve(dir);
+  const indexPath = path.join(root, 'index.json');
+  const entryPath = (fp) => path.join(root, 'messages', fp.slice(0, 2), `${fp}.json`);
+  const reportPath = (sha) => path.join(root, 'reports', `${sha}.json`);
+  const read = (filePath) => {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+      return null;
+    }
+  };
+  const write = (filePath, obj) => {
+    ensureDir(path.dirname(filePath));
+    fs.writeFileSync(filePath, JSON.stringify(obj, null, 2));
+  };
+  const readIndex = () => {
+    const index = read(indexPath);
+    return index && Array.isArray(index.reports) ? index : { reports: [] };
+  };
+  const loadReport = (sha) => {
+    const report = read(reportPath(sha));
+    return report && Array.isArray(report.messages) ? { ...report, messages: report.messages.map(reviveParsedMessage) } : null;
+  };
+  // Index entries written before first/last were recorded get them from the report
+  const withRange = (entry) => {
+    if ('last' in entry) return entry;
+    const report = loadReport(entry.sha256);
+    return { ...entry, ...dateRange(report ? report.messages : []) };
+  };
+
+  return {
+    dir: root,
+    get(fingerprint) {
+      return read(entryPath(fingerprint));
+    },
+    update(fingerprint, patch) {
+      const existing = read(entryPath(fingerprint)) || { fingerprint };
+      const entry = {
+        ...existing,
+        ...patch,
+        llm: { ...(existing.llm || {}), ...(patch.llm || {}) },
+        topicsLlm: { ...(existing.topicsLlm || {}), ...(patch.topicsLlm || {}) },
+      };
+      write(entryPath(fingerprint), entry);
+      return entry;
+    },
+    getReport: loadReport,
+    putReport({ sha256: sha, sourceFile, messages }) {
+      const parsedAt = new Date().toISOString();
+      write(reportPath(sha), { sha256: sha, sourceFile, parsedAt, messages });
+      const index = readIndex();
+      index.reports = index.reports.filter(r => r.sha256 !== sha).concat({ sha256: sha, sourceFile, parsedAt, ...dateRange(messages) });
+      write(indexPath, index);
+    },
+    previousReport(sha) {
+      const reports = readIndex().reports;
+      if (!reports.some(r => r.sha256 === sha)) {
+        const latest = reports.pop();
+        return latest ? loadReport(latest.sha256) : null;
+      }
+      // The export whose dates come just before this one's (by last, then first message), so
+      // re-running an older PDF compares it with the one before it, not the newest
+      const ordered = reports.map(withRange).sort((a, b) => a.last.localeCompare(b.last)
+        || a.first.localeCompare(b.first)
+        || String(a.parsedAt).localeCompare(String(b.parsedAt)));
+      const previous = ordered[ordered.findIndex(r => r.sha256 === sha) - 1];
+      return previous ? loadReport(previous.sha256) : null;
+    },
+  };
+}
+
+// Sent dates an export spans, as ISO strings ('' when it has no dated message)
+function dateRange(messages) {
+  const times = messages.filter(m => m && !m._nonMessage).map(m => new Date(m.sentDate).getTime()).filter(Number.isFinite);
+  if (!times.length) return { first: '', last: '' };
+  return { first: new Date(Math.min(...times)).toISOString(), last: new Date(Math.max(...times)).toISOString() };
+}
+
+// Metrics as stored in a cache entry, without the text of the most negative sentence
+function cachedMetrics(message) {
+  const metrics = Object.fromEntries(METRIC_FIELDS.map(f => [f, message[f]]));
+  if (metrics.most_negative_sentence) {
+    const { start, end, score } = metrics.most_negative_sentence;
+    metrics.most_negative_sentence = { start, end, score };
+  }
+  return metrics;
+}
+
+// Copy cached metrics onto a message, quoting the most negative sentence from its body again
+function restoreMetrics(message, metrics) {
+  Object.assign(message, metrics);
+  if (metrics.most_negative_sentence) {
+    const { start, end, score } = metrics.most_negative_sentence;
+    message.most_negative_sentence = { text: String(message.body || '').slice(start, end), start, end, score };
+  }
+}
+
+/**
+ * Fill in derived metrics from the cache and compute them only for messages not seen before, or last
+ * scored by another METRICS_VERSION.
+ * Report placeholders are always computed and never cached.
+ * @param {Array<object>} messages - parsed messages (mutated)
+ * @param {ReturnType<typeof createReportCache>} cache
+ * @returns {{ messages: Array<object>, reused: number, computed: number }}
+ */
+function applyCachedMetrics(messages, cache) {
+  const misses = [];
+  let reused = 0;
+  messages.forEach(message => {
+    if (!message || message._nonMessage) {
+      misses.push(message);
+      return;
+    }
+    const entry = cache.get(messageFingerprint(message));
+    // Entries from another metrics version, or cached before a metric was added, are computed again
+    if (entry && entry.metricsVersion === METRICS_VERSION && entry.metrics && METRIC_FIELDS.every(f => f in entry.metrics)) {
+      restoreMetrics(message, entry.metrics);
+      reused += 1;
+    } else {
+      misses.push(message);
+    }
+  });
+  computeDerivedMetrics(misses);
+  const fresh = misses.filter(m => m && !m._nonMessage);
+  fresh.forEach(m => {
+    cache.update(messageFingerprint(m), { sender: m.sender, sentDate: isoDate(m.sentDate), metricsVersion: METRICS_VERSION, metrics: cachedMetrics(m) });
+  });
+  return { messages, reused, computed: fresh.length };
+}
+
+module.exports = { METRICS_VERSION, messageFingerprint, createReportCache, applyCachedMetrics };
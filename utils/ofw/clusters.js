@@ -9,7 +9,8 @@ function toEpochMs(dateLike) {
 
 /**
  * Find rapid-fire clusters for a given sender where consecutive messages are within a threshold.
- * @param {Array<{sentDate:string|Date,sender:string,wordCount?:number,subject?:string}>} messages
+ * @param {Array<{sentDate:string|Date,sender:string,wordCount?:number,subject?:string}>} messages - OFW or
+ *   normalized messages (utils/messages/schema.js)
  * @param {string} senderName
  * @param {number} thresholdSeconds - max gap between msgs in a cluster (default 1800s)
  * @returns {Array<Array<object>>} clusters (each cluster is an array of messages)
@@ -45,6 +46,154 @@ function analyzeRapidFireMessages(messages, senderName, thresholdSeconds = 60 *
   return clusters;
 }
 
-module.exports = { analyzeRapidFireMessages };
+const DEFAULT_THRESHOLD_SECONDS = 60 * 30;
+const DEFAULT_MIN_MESSAGES = 3;
+
+// Intensity score weights (see scoreCluster); `minSpanMinutes` keeps a burst sent within the
+// same minute from dividing by zero
+const DEFAULT_SCORING = { messages: 1, words: 1, tone: 2, minSpanMinutes: 10 };
+
+// Tone change (on the -1..1 tone scale) from first to last message that counts as a trend
+const TONE_TREND_THRESHOLD = 0.2;
+
+/**
+ * Scoring weights from config, falling back to DEFAULT_SCORING for missing keys.
+ * @param {{ messages?: number, words?: number, tone?: number, minSpanMinutes?: number }} [config]
+ * @returns {typeof DEFAULT_SCORING}
+ */
+function resolveScoring(config = {}) {
+  const scoring = { ...DEFAULT_SCORING };
+  Object.keys(DEFAULT_SCORING).forEach(key => {
+    if (config[key] === undefined) return;
+    const n = Number(config[key]);
+    if (!Number.isFinite(n) || n < 0) throw new Error(`Invalid scoring.${key}: ${config[key]} (expected a number >= 0)`);
+    scoring[key] = n;
+  });
+  return scoring;
+}
+
+/**
+ * Tone trajectory across a cluster: per-message tone in order, first to last change and the trend
+ * ('escalating' when the tone drops by TONE_TREND_THRESHOLD or more, 'de-escalating' when it rises
+ * by as much, otherwise 'steady').
+ * @param {Array<{ tone?: number }>} cluster
+ * @returns {{ values: Array<number>, start: number, end: number, min: number, change: number, trend: 'escalating'|'de-escalating'|'steady' }}
+ */
+function toneTrajectory(cluster) {
+  const values = cluster.map(m => (Number.isFinite(m.tone) ? m.tone : 0));
+  const start = values[0] || 0;
+  const end = values.length ? values[values.length - 1] : 0;
+  const change = end - start;
+  let trend = 'steady';
+  if (change <= -TONE_TREND_THRESHOLD) trend = 'escalating';
+  else if (change >= TONE_TREND_THRESHOLD) trend = 'de-escalating';
+  return { values, start, end, min: values.length ? Math.min(...values) : 0, change, trend };
+}
+
+/**
+ * Intensity of a cluster per hour of its time span:
+ *   (messages × w.messages + words / 100 × w.words + negative tone × w.tone) / span hours
+ * where negative tone is the sum of max(0, -tone) over its messages and the span is at least
+ * `minSpanMinutes` (and never under a minute).
+ * @param {Array<object>} cluster
+ * @param {typeof DEFAULT_SCORING} [scoring]
+ * @returns {number}
+ */
+function scoreCluster(cluster, scoring = DEFAULT_SCORING) {
+  const words = cluster.reduce((acc, m) => acc + (m.wordCount || 0), 0);
+  const negativeTone = cluster.reduce((acc, m) => acc + Math.max(0, -(Number.isFinite(m.tone) ? m.tone : 0)), 0);
+  const spanMinutes = (toEpochMs(cluster[cluster.length - 1].sentDate) - toEpochMs(cluster[0].sentDate)) / 60000;
+  const spanHours = Math.max(spanMinutes, scoring.minSpanMinutes, 1) / 60;
+  return (cluster.length * scoring.messages + (words / 100) * scoring.words + negativeTone * scoring.tone) / spanHours;
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Rapid-fire clusters for every sender (or the given ones), scored and compared side by side.
+ * @param {Array<object>} messages - OFW or normalized messages
+ * @param {{ thresholdSeconds?: number, minMessages?: number, senders?: Array<string>, scoring?: typeof DEFAULT_SCORING }} [options]
+ *   senders match case-insensitively; empty means everyone
+ * @returns {{
+ *   thresholdSeconds: number,
+ *   minMessages: number,
+ *   scoring: typeof DEFAULT_SCORING,
+ *   clusters: Array<{ id: number, sender: string, messages: Array<object>, start: Date, end: Date, spanMinutes: number, words: number, avgTone: number, tone: ReturnType<typeof toneTrajectory>, score: number }>,
+ *   senders: Record<string, { messages: number, activeDays: number, messagesPerActiveDay: number, medianGapMinutes: number|null, clusters: number, clusteredMessages: number, clusteredPct: number, largestCluster: number, avgClusterSize: number, maxScore: number, avgScore: number, escalating: number }>,
+ * }} clusters in chronological order, numbered from 1; senders sorted by name
+ */
+function findRapidFireClusters(messages, options = {}) {
+  const thresholdSeconds = Number.isFinite(options.thresholdSeconds) ? options.thresholdSeconds : DEFAULT_THRESHOLD_SECONDS;
+  const minMessages = Number.isFinite(options.minMessages) ? options.minMessages : DEFAULT_MIN_MESSAGES;
+  const scoring = options.scoring || DEFAULT_SCORING;
+  const only = (options.senders || []).map(s => String(s).trim().toLowerCase()).filter(Boolean);
+  const valid = (messages || []).filter(m => m && !m._nonMessage && m.sender && !Number.isNaN(toEpochMs(m.sentDate)));
+  const names = Array.from(new Set(valid.map(m => m.sender)))
+    .filter(name => !only.length || only.includes(String(name).trim().toLowerCase()))
+    .sort((a, b) => a.localeCompare(b));
+
+  const clusters = [];
+  const senders = {};
+  names.forEach(sender => {
+    const own = valid.filter(m => m.sender === sender).sort((a, b) => toEpochMs(a.sentDate) - toEpochMs(b.sentDate));
+    const gaps = own.slice(1).map((m, i) => (toEpochMs(m.sentDate) - toEpochMs(own[i].sentDate)) / 60000);
+    const activeDays = new Set(own.map(m => new Date(m.sentDate).toDateString())).size;
+    const found = analyzeRapidFireMessages(own, sender, thresholdSeconds)
+      .filter(cluster => cluster.length >= minMessages)
+      .map(cluster => {
+        const start = new Date(cluster[0].sentDate);
+        const end = new Date(cluster[cluster.length - 1].sentDate);
+        const tone = toneTrajectory(cluster);
+        return {
+          sender,
+          messages: cluster,
+          start,
+          end,
+          spanMinutes: (end - start) / 60000,
+          words: cluster.reduce((acc, m) => acc + (m.wordCount || 0), 0),
+          avgTone: tone.values.reduce((acc, v) => acc + v, 0) / cluster.length,
+          tone,
+          score: scoreCluster(cluster, scoring),
+        };
+      });
+    clusters.push(...found);
+    const clustered = found.reduce((acc, c) => acc + c.messages.length, 0);
+    senders[sender] = {
+      messages: own.length,
+      activeDays,
+      messagesPerActiveDay: activeDays ? own.length / activeDays : 0,
+      medianGapMinutes: median(gaps),
+      clusters: found.length,
+      clusteredMessages: clustered,
+      clusteredPct: own.length ? (clustered / own.length) * 100 : 0,
+      largestCluster: found.reduce((acc, c) => Math.max(acc, c.messages.length), 0),
+      avgClusterSize: found.length ? clustered / found.length : 0,
+      maxScore: found.reduce((acc, c) => Math.max(acc, c.score), 0),
+      avgScore: found.length ? found.reduce((acc, c) => acc + c.score, 0) / found.length : 0,
+      escalating: found.filter(c => c.tone.trend === 'escalating').length,
+    };
+  });
+
+  clusters.sort((a, b) => a.start - b.start || a.sender.localeCompare(b.sender));
+  clusters.forEach((c, i) => { c.id = i + 1; });
+  return { thresholdSeconds, minMessages, scoring, clusters, senders };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD_SECONDS,
+  DEFAULT_MIN_MESSAGES,
+  DEFAULT_SCORING,
+  TONE_TREND_THRESHOLD,
+  analyzeRapidFireMessages,
+  resolveScoring,
+  toneTrajectory,
+  scoreCluster,
+  findRapidFireClusters,
+};
 
 
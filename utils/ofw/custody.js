@@ -0,0 +1,150 @@
+// Custody context for OFW messages: where each message falls in the visitation schedule
+
+const { toISODate } = require('../date');
+const { getCourtWeeksInRange } = require('../visitation/weeks');
+const { loadSchedule, custodyAt, eventsOnDay } = require('../visitation/schedule');
+
+// Context buckets in precedence order; a message gets the first that applies
+const CUSTODY_CONTEXTS = [
+  { key: 'during-visit', label: 'During Visit' },
+  { key: 'exchange-day', label: 'Exchange Day' },
+  { key: 'day-before-exchange', label: 'Day Before Exchange' },
+  { key: 'zoom-day', label: 'Zoom Day' },
+  { key: 'other', label: 'Other' },
+];
+
+const DAY_MS = 86400000;
+
+function startOfDay(d) {
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+}
+
+/**
+ * Times at which custody changes hands. Hours with no custody event belong to the primary parent.
+ * @param {Array<object>} events - Schedule events
+ * @returns {Array<{ at: Date, from: 'primary'|'visiting', to: 'primary'|'visiting' }>}
+ */
+function listExchanges(events) {
+  const holder = (t) => {
+    const ev = custodyAt(events, new Date(t));
+    return ev ? ev.parent : 'primary';
+  };
+  const times = new Set();
+  events.filter(ev => ev.kind === 'custody').forEach(ev => {
+    times.add(ev.start.getTime());
+    times.add(ev.end.getTime());
+  });
+  return Array.from(times)
+    .sort((a, b) => a - b)
+    .map(t => ({ at: new Date(t), from: holder(t - 1), to: holder(t) }))
+    .filter(x => x.from !== x.to);
+}
+
+/**
+ * Annotate messages (from parsePdfFile) with their custody context, based on the
+ * court weeks from getWeeksInfo/getCourtWeeksInRange for the span of the messages:
+ * message.custody = {
+ *   parent: 'primary'|'visiting',       // who had the child when the message was sent
+ *   dayType: 'Visit'|'Zoom'|'None',      // visiting-parent custody or a virtual visit that day
+ *   nextExchange: Date|null,
+ *   daysToNextExchange: number|null,     // calendar days; 0 = exchange later the same day
+ *   context: 'during-visit'|'exchange-day'|'day-before-exchange'|'zoom-day'|'other'
+ * }
+ * @param {Array<object>} messages
+ * @param {{ schedule?: object, anchorOrdinal?: number }} [options] - `schedule` from loadSchedule (default: default-order)
+ * @returns {Array<object>} same array (mutated) for convenience
+ */
+function annotateCustodyContext(messages, options = {}) {
+  if (!Array.isArray(messages)) return [];
+  const dated = messages.filter(m => m && !m._nonMessage && m.sentDate instanceof Date && !Number.isNaN(m.sentDate.getTime()));
+  if (!dated.length) return messages;
+  const times = dated.map(m => m.sentDate.getTime());
+  const first = startOfDay(new Date(Math.min(...times)));
+  const lastSent = startOfDay(new Date(Math.max(...times)));
+  // Look ahead far enough to find the next exchange after the last message
+  const last = new Date(lastSent.getFullYear(), lastSent.getMonth() + 2, lastSent.getDate());
+
+  const schedule = options.schedule || loadSchedule();
+  const seen = new Set();
+  const events = [];
+  getCourtWeeksInRange(first, last, options.anchorOrdinal, schedule).forEach(week => week.events.forEach(ev => {
+    const key = `${ev.id}@${ev.start.getTime()}`;
+    if (!seen.has(key)) { seen.add(key); events.push(ev); }
+  }));
+  const exchanges = listExchanges(events);
+
+  dated.forEach(message => {
+    const sent = message.sentDate;
+    const current = custodyAt(events, sent);
+    const parent = current ? current.parent : 'primary';
+    const onDay = eventsOnDay(events, startOfDay(sent)).filter(ev => ev.overridden !== 'full');
+    let dayType = 'None';
+    if (onDay.some(ev => ev.kind === 'custody' && ev.parent === 'visiting')) dayType = 'Visit';
+    else if (onDay.some(ev => ev.kind === 'virtual')) dayType = 'Zoom';
+    const next = exchanges.find(x => x.at > sent);
+    const days = next ? Math.round((startOfDay(next.at) - startOfDay(sent)) / DAY_MS) : null;
+    let context = 'other';
+    if (parent === 'visiting') context = 'during-visit';
+    else if (days === 0) context = 'exchange-day';
+    else if (days === 1) context = 'day-before-exchange';
+    else if (dayType === 'Zoom') context = 'zoom-day';
+    message.custody = {
+      parent,
+      dayType,
+      nextExchange: next ? next.at : null,
+      daysToNextExchange: days,
+      context,
+    };
+  });
+  return messages;
+}
+
+/**
+ * Message volume and tone per custody context and sender.
+ * @param {Array<object>} messages - Annotated by annotateCustodyContext
+ * @returns {Record<string, Record<string, { messagesSent: number, totalWords: number, avgSentiment: number, tone: number }>>}
+ *   keyed by context, then sender; contexts follow CUSTODY_CONTEXTS order
+ */
+function summarizeByCustodyContext(messages) {
+  const out = Object.fromEntries(CUSTODY_CONTEXTS.map(c => [c.key, {}]));
+  (messages || []).forEach(m => {
+    if (!m || m._nonMessage || !m.custody || !m.sender) return;
+    const bucket = out[m.custody.context];
+    const s = bucket[m.sender] || (bucket[m.sender] = { messagesSent: 0, totalWords: 0, sentiment: 0, toneTotal: 0 });
+    s.messagesSent++;
+    s.totalWords += Number(m.wordCount) || 0;
+    s.sentiment += Number(m.sentiment) || 0;
+    s.toneTotal += Number.isFinite(m.tone) ? m.tone : 0;
+  });
+  Object.values(out).forEach(bucket => Object.entries(bucket).forEach(([sender, s]) => {
+    bucket[sender] = {
+      messagesSent: s.messagesSent,
+      totalWords: s.totalWords,
+      avgSentiment: s.sentiment / s.messagesSent,
+      tone: s.toneTotal / s.messagesSent,
+    };
+  }));
+  return out;
+}
+
+/**
+ * Short text for Markdown/CSV, e.g. "During Visit (visiting), next exchange 2025-03-02 (1 day)".
+ * @param {object} custody - message.custody
+ * @returns {string}
+ */
+function describeCustodyContext(custody) {
+  if (!custody) return '';
+  const label = (CUSTODY_CONTEXTS.find(c => c.key === custody.context) || {}).label || custody.context;
+  const next = custody.nextExchange
+    ? `, next exchange ${toISODate(custody.nextExchange)} (${custody.daysToNextExchange} day${custody.daysToNextExchange === 1 ? '' : 's'})`
+    : '';
+  return `${label} (${custody.parent})${next}`;
+}
+
+module.exports = {
+  CUSTODY_CONTEXTS,
+  listExchanges,
+  annotateCustodyContext,
+  summarizeByCustodyContext,
+  describeCustodyContext,
+};
@@ -0,0 +1,198 @@
+// Compare two OFW exports of the same conversation: messages added or removed, edited bodies,
+// recipient read-state changes and "Message N of M" numbering gaps
+
+const { messageFingerprint } = require('./cache');
+
+function isoDate(value) {
+  const d = value instanceof Date ? value : new Date(value);
+  return value != null && !Number.isNaN(d.getTime()) ? d.toISOString() : '';
+}
+
+function realMessages(list) {
+  return (list || []).filter(m => m && !m._nonMessage);
+}
+
+/**
+ * Pair the messages of two exports. Identical messages (same fingerprint: sender, sent date and body)
+ * are paired first; the rest are paired by sender and sent date, in order, which catches edited bodies.
+ * @param {Array<object>} previous - messages from the earlier export
+ * @param {Array<object>} current - messages from the later export
+ * @returns {{ pairs: Array<{ previous: object, message: object, sameBody: boolean }>, added: Array<object>, removed: Array<object> }}
+ */
+function matchMessages(previous, current) {
+  const queue = (list, key) => {
+    const map = new Map();
+    list.forEach(m => {
+      const k = key(m);
+      if (!map.has(k)) map.set(k, []);
+      map.get(k).push(m);
+    });
+    return map;
+  };
+  const slot = (m) => `${String(m.sender || '').trim()}|${isoDate(m.sentDate)}`;
+  const pairs = [];
+
+  const byFingerprint = queue(realMessages(previous), messageFingerprint);
+  const unmatched = realMessages(current).filter(message => {
+    const candidates = byFingerprint.get(messageFingerprint(message));
+    if (!candidates || !candidates.length) return true;
+    pairs.push({ previous: candidates.shift(), message, sameBody: true });
+    return false;
+  });
+  const leftover = Array.from(byFingerprint.values()).flat();
+  const bySlot = queue(leftover, slot);
+  const added = unmatched.filter(message => {
+    const candidates = bySlot.get(slot(message));
+    if (!candidates || !candidates.length) return true;
+    pairs.push({ previous: candidates.shift(), message, sameBody: false });
+    return false;
+  });
+  // Back in export order
+  const order = (list) => new Map(list.map((m, i) => [m, i]));
+  const previousOrder = order(previous || []);
+  const currentOrder = order(current || []);
+  const removed = Array.from(bySlot.values()).flat().sort((a, b) => previousOrder.get(a) - previousOrder.get(b));
+  pairs.sort((a, b) => currentOrder.get(a.message) - currentOrder.get(b.message));
+  return { pairs, added, removed };
+}
+
+// 'Never', an ISO timestamp, or null when the recipient is not listed
+function readState(message, recipient) {
+  const times = message.recipientReadTimes || {};
+  if (!(recipient in times)) return null;
+  return times[recipient] === 'Never' ? 'Never' : isoDate(times[recipient]);
+}
+
+/**
+ * Read-state changes for one recipient list between two copies of a message.
+ * @param {object} previous
+ * @param {object} message
+ * @returns {Array<{ recipient: string, before: string|null, after: string|null, change: 'read'|'unread'|'read time changed'|'recipient added'|'recipient removed' }>}
+ */
+function readStateChanges(previous, message) {
+  const recipients = Array.from(new Set([
+    ...Object.keys(previous.recipientReadTimes || {}),
+    ...Object.keys(message.recipientReadTimes || {}),
+  ])).sort((a, b) => a.localeCompare(b));
+  return recipients.map(recipient => {
+    const before = readState(previous, recipient);
+    const after = readState(message, recipient);
+    if (before === after) return null;
+    let change = 'read time changed';
+    if (before === null) change = 'recipient added';
+    else if (after === null) change = 'recipient removed';
+    else if (before === 'Never') change = 'read';
+    else if (after === 'Never') change = 'unread';
+    return { recipient, before, after, change };
+  }).filter(Boolean);
+}
+
+/**
+ * Check the "Message N of M" numbering of one export for missing and repeated numbers.
+ * @param {Array<object>} messages
+ * @returns {{ total: number|null, numbered: number, gaps: Array<{ from: number, to: number }>, duplicates: Array<number> }}
+ *   `total` is the largest M seen (null when no message is numbered)
+ */
+function numberingGaps(messages) {
+  const numbered = realMessages(messages).filter(m => Number.isInteger(m.messageNumber) && m.messageNumber > 0);
+  if (!numbered.length) return { total: null, numbered: 0, gaps: [], duplicates: [] };
+  const total = Math.max(...numbered.map(m => (Number.isInteger(m.messageTotal) ? m.messageTotal : 0)), ...numbered.map(m => m.messageNumber));
+  const seen = new Map();
+  numbered.forEach(m => seen.set(m.messageNumber, (seen.get(m.messageNumber) || 0) + 1));
+  const gaps = [];
+  for (let n = 1; n <= total; n++) {
+    if (seen.has(n)) continue;
+    const last = gaps[gaps.length - 1];
+    if (last && last.to === n - 1) last.to = n;
+    else gaps.push({ from: n, to: n });
+  }
+  const duplicates = Array.from(seen.entries()).filter(([, count]) => count > 1).map(([n]) => n).sort((a, b) => a - b);
+  return { total, numbered: numbered.length, gaps, duplicates };
+}
+
+function dateRange(messages) {
+  const times = realMessages(messages).map(m => new Date(m.sentDate).getTime()).filter(Number.isFinite);
+  return times.length ? { first: new Date(Math.min(...times)), last: new Date(Math.max(...times)) } : { first: null, last: null };
+}
+
+/**
+ * Full comparison of two parsed OFW exports.
+ * @param {Array<object>} previous - normalized messages from the earlier export
+ * @param {Array<object>} current - normalized messages from the later export
+ * @returns {{
+ *   added: Array<object>,
+ *   removed: Array<object>,
+ *   edited: Array<{ previous: object, message: object, fields: Array<'body'|'subject'> }>,
+ *   readChanges: Array<{ previous: object, message: object, recipient: string, before: string|null, after: string|null, change: string }>,
+ *   numbering: { previous: ReturnType<typeof numberingGaps>, current: ReturnType<typeof numberingGaps> },
+ *   ranges: { previous: { first: Date|null, last: Date|null }, current: { first: Date|null, last: Date|null } },
+ *   matched: number,
+ *   unchanged: number,
+ * }}
+ */
+function compareReports(previous, current) {
+  const { pairs, added, removed } = matchMessages(previous, current);
+  const edited = [];
+  const readChanges = [];
+  let unchanged = 0;
+  pairs.forEach(({ previous: old, message, sameBody }) => {
+    const fields = [];
+    if (!sameBody) fields.push('body');
+    if (String(old.subject || '') !== String(message.subject || '')) fields.push('subject');
+    if (fields.length) edited.push({ previous: old, message, fields });
+    const reads = readStateChanges(old, message);
+    reads.forEach(r => readChanges.push({ previous: old, message, ...r }));
+    if (!fields.length && !reads.length) unchanged += 1;
+  });
+  const byDate = (a, b) => new Date(a.sentDate) - new Date(b.sentDate);
+  return {
+    added: added.sort(byDate),
+    removed: removed.sort(byDate),
+    edited: edited.sort((a, b) => byDate(a.message, b.message)),
+    readChanges: readChanges.sort((a, b) => byDate(a.message, b.message)),
+    numbering: { previous: numberingGaps(previous), current: numberingGaps(current) },
+    ranges: { previous: dateRange(previous), current: dateRange(current) },
+    matched: pairs.length,
+    unchanged,
+  };
+}
+
+/**
+ * Compact comparison used by ofw.js after each run, condensed from compareReports: new, changed and
+ * missing messages, with the changes of each message in one entry. Only earlier
+ * messages inside the dates both exports cover count as missing; the rest (e.g. older than this
+ * export's first message, as with overlapping re-exports) are listed as `outOfRange`.
+ * @param {Array<object>} previous - messages from the earlier export
+ * @param {Array<object>} current - messages from this export
+ * @returns {{ added: Array<object>, changed: Array<{ message: object, previous: object, changes: Array<'body'|'subject'|'read receipts'> }>, missing: Array<object>, outOfRange: Array<object>, unchanged: number }}
+ */
+function diffExports(previous, current) {
+  const report = compareReports(previous, current);
+  const changed = new Map();
+  const entry = (old, message) => {
+    if (!changed.has(message)) changed.set(message, { message, previous: old, changes: [] });
+    return changed.get(message);
+  };
+  report.edited.forEach(({ previous: old, message, fields }) => entry(old, message).changes.push(...fields));
+  report.readChanges.forEach(({ previous: old, message }) => {
+    const c = entry(old, message);
+    if (!c.changes.includes('read receipts')) c.changes.push('read receipts');
+  });
+  const { previous: before, current: after } = report.ranges;
+  const shared = before.first && after.first
+    ? { first: Math.max(before.first, after.first), last: Math.min(before.last, after.last) }
+    : null;
+  const inShared = (m) => {
+    const t = new Date(m.sentDate).getTime();
+    return Boolean(shared) && t >= shared.first && t <= shared.last;
+  };
+  return {
+    added: report.added,
+    changed: Array.from(changed.values()).sort((x, y) => new Date(x.message.sentDate) - new Date(y.message.sentDate)),
+    missing: report.removed.filter(inShared),
+    outOfRange: report.removed.filter(m => !inShared(m)),
+    unchanged: report.unchanged,
+  };
+}
+
+module.exports = { matchMessages, readStateChanges, numberingGaps, compareReports, diffExports };
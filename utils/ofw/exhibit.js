@@ -0,0 +1,290 @@
+// Court exhibit layout for OFW message excerpts: message selection, cover page with table of
+// contents, message pages and the caption header / Bates footer on every page
+
+const { formatDateMMDDYYYY, formatTimeHHMM } = require('../date');
+const { normalizeMessages } = require('../messages/schema');
+const { PAGE_SIZES, measureText, wrapText } = require('../output/pdf');
+const { scoreSentences } = require('./sentences');
+
+const [PAGE_WIDTH, PAGE_HEIGHT] = PAGE_SIZES.letter;
+const MARGIN = 72;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const CONTENT_TOP = PAGE_HEIGHT - 80;
+const CONTENT_BOTTOM = 72;
+const BODY_SIZE = 10;
+const LINE_HEIGHT = 13;
+const HIGHLIGHT_FILL = [1, 0.93, 0.55]; // light yellow; prints as light grey in black and white
+
+/**
+ * Flags assigned by ollama-sentiment.js (`sentiment_ollama.flags`, or `flags` on the message).
+ * @param {object} message
+ * @returns {Array<string>}
+ */
+function messageFlags(message) {
+  const llm = message.sentiment_ollama && typeof message.sentiment_ollama === 'object' ? message.sentiment_ollama.flags : null;
+  const flags = Array.isArray(llm) ? llm : message.flags;
+  return Array.isArray(flags) ? flags.filter(f => typeof f === 'string') : [];
+}
+
+/**
+ * Pick the messages for an exhibit. Each filter that is given must match (a message matches a
+ * list filter when it matches any entry); the end date is inclusive of the whole day.
+ * @param {Array<object>|Record<string, Array<object>>} input - parsed OFW JSON (array or grouped by year)
+ * @param {{ threadIds?: Array<string|number>, start?: Date, end?: Date, senders?: Array<string>, flags?: Array<string> }} [filters]
+ * @returns {Array<object>} normalized messages in chronological order
+ */
+function selectMessages(input, filters = {}) {
+  const lower = (list) => (list || []).map(s => String(s).trim().toLowerCase()).filter(Boolean);
+  const threadIds = new Set((filters.threadIds || []).map(String));
+  const senders = lower(filters.senders);
+  const flags = lower(filters.flags);
+  const endExclusive = filters.end
+    ? new Date(filters.end.getFullYear(), filters.end.getMonth(), filters.end.getDate() + 1)
+    : null;
+
+  return normalizeMessages(input)
+    .filter(m => !m._nonMessage && !Number.isNaN(m.sentDate.getTime()))
+    .filter(m => !threadIds.size || threadIds.has(String(m.threadId)))
+    .filter(m => !filters.start || m.sentDate >= filters.start)
+    .filter(m => !endExclusive || m.sentDate < endExclusive)
+    .filter(m => !senders.length || senders.includes(String(m.sender || '').trim().toLowerCase()))
+    .filter(m => !flags.length || messageFlags(m).some(f => flags.includes(f.toLowerCase())))
+    .sort((a, b) => a.sentDate - b.sentDate);
+}
+
+// "03/05/2025 at 09:12 AM", as printed in OFW reports
+function formatSent(value) {
+  if (!(value instanceof Date) || Number.isNaN(value.getTime())) return String(value || '');
+  return `${formatDateMMDDYYYY(value)} at ${formatTimeHHMM(value)}`;
+}
+
+function truncate(text, maxWidth, size, bold) {
+  if (measureText(text, size, bold) <= maxWidth) return text;
+  let out = text;
+  while (out && measureText(`${out}…`, size, bold) > maxWidth) out = out.slice(0, -1);
+  return `${out.trimEnd()}…`;
+}
+
+/**
+ * Page writer that moves down the content area and starts a new page when a line does not fit.
+ * `onNewPage` runs after each page break (used for "continued" headings).
+ */
+function createPageWriter() {
+  const pages = [];
+  let ops = null;
+  let y = 0;
+  const writer = {
+    pages,
+    onNewPage: null,
+    newPage() {
+      ops = [];
+      pages.push(ops);
+      y = CONTENT_TOP;
+      if (writer.onNewPage) writer.onNewPage();
+    },
+    remaining() {
+      return ops ? y - CONTENT_BOTTOM : 0;
+    },
+    ensure(height) {
+      if (!ops || y - height < CONTENT_BOTTOM) writer.newPage();
+    },
+    space(height) {
+      if (ops) y = Math.max(CONTENT_BOTTOM, y - height);
+    },
+    line(segments, { size = BODY_SIZE, lead = LINE_HEIGHT, x = MARGIN } = {}) {
+      writer.ensure(lead);
+      y -= lead;
+      let cx = x;
+      segments.forEach(({ text, bold = false, right = false, highlight = false }) => {
+        const tx = right ? PAGE_WIDTH - MARGIN - measureText(text, size, bold) : cx;
+        // Drawn first so the text stays on top; lines of a highlighted passage touch
+        if (highlight) ops.push({ type: 'rect', x: tx, y: y - size * 0.3, w: measureText(text, size, bold), h: lead, fill: HIGHLIGHT_FILL });
+        ops.push({ type: 'text', x: tx, y, text, size, bold });
+        cx = tx + measureText(text, size, bold);
+      });
+      return { page: pages.length - 1, y };
+    },
+    rule() {
+      writer.ensure(8);
+      y -= 6;
+      ops.push({ type: 'line', x1: MARGIN, y1: y, x2: PAGE_WIDTH - MARGIN, y2: y });
+      y -= 2;
+    },
+    link(target, at, height) {
+      ops.push({ type: 'link', x: MARGIN, y: at.y - 3, w: CONTENT_WIDTH, h: height, page: target });
+    },
+  };
+  return writer;
+}
+
+// "Label: value" wrapped under the value column
+function writeField(writer, label, value) {
+  const labelText = `${label}: `;
+  const indent = measureText(labelText, BODY_SIZE, true);
+  wrapText(value, CONTENT_WIDTH - indent, BODY_SIZE).forEach((line, i) => {
+    writer.line(i === 0 ? [{ text: labelText, bold: true }, { text: line }] : [{ text: line }], { x: i === 0 ? MARGIN : MARGIN + indent });
+  });
+}
+
+/**
+ * Body lines as writer segments, with the words inside the given character ranges of the body
+ * (flagged_sentences) highlighted. wrapText keeps the words in order, so each is found in the body
+ * after the previous one.
+ * @param {string} body
+ * @param {Array<{ start: number, end: number }>} spans
+ * @returns {Array<Array<{ text: string, highlight: boolean }>>}
+ */
+function highlightedLines(body, spans) {
+  let cursor = 0;
+  return wrapText(body, CONTENT_WIDTH, BODY_SIZE).map(line => {
+    const segments = [];
+    line.split(' ').filter(Boolean).forEach(word => {
+      const at = body.indexOf(word, cursor);
+      cursor = at + word.length;
+      const highlight = spans.some(s => at >= s.start && at < s.end);
+      const last = segments[segments.length - 1];
+      if (!last) segments.push({ text: word, highlight });
+      else if (last.highlight === highlight) last.text += ` ${word}`;
+      // The space between two passages stays unhighlighted
+      else if (highlight) {
+        last.text += ' ';
+        segments.push({ text: word, highlight });
+      } else segments.push({ text: ` ${word}`, highlight });
+    });
+    return segments.length ? segments : [{ text: '', highlight: false }];
+  });
+}
+
+/**
+ * Lay out the selected messages, one after another; the fields mirror formatMessageMarkdown
+ * (From / To with First Viewed / Subject / body), with the negative sentences highlighted in the body.
+ * Messages from JSON written before sentence scoring are scored here.
+ * @param {{ highlight?: boolean }} [options] - highlight: false leaves the body unmarked (the count is still listed)
+ * @returns {{ pages: Array<Array<object>>, starts: Array<number> }} pages and the page each message starts on
+ */
+function layoutMessages(messages, options = {}) {
+  const writer = createPageWriter();
+  const starts = [];
+  let heading = null;
+  writer.onNewPage = () => {
+    if (heading) writer.line([{ text: `${heading} (continued)`, bold: true }]);
+  };
+
+  messages.forEach((message, i) => {
+    heading = null;
+    // Keep the heading and header fields together with the first body lines
+    if (writer.remaining() < LINE_HEIGHT * 8) writer.newPage();
+    else if (i > 0) writer.space(LINE_HEIGHT);
+    const title = `Message ${i + 1} of ${messages.length}`;
+    const ofwPosition = message.messageNumber && message.messageTotal
+      ? [{ text: `OFW Message ${message.messageNumber} of ${message.messageTotal}`, right: true }]
+      : [];
+    const at = writer.line([{ text: title, bold: true }, ...ofwPosition], { size: 11, lead: 15 });
+    starts.push(at.page);
+    heading = title;
+
+    writeField(writer, 'Sent', formatSent(message.sentDate));
+    writeField(writer, 'From', String(message.sender || ''));
+    const recipients = Object.entries(message.recipientReadTimes || {});
+    if (!recipients.length) writeField(writer, 'To', '');
+    recipients.forEach(([recipient, firstViewed], idx) => {
+      const value = `${recipient} (First Viewed: ${formatSent(firstViewed)})`;
+      if (idx === 0) writeField(writer, 'To', value);
+      else wrapText(value, CONTENT_WIDTH - measureText('To: ', BODY_SIZE, true), BODY_SIZE)
+        .forEach(line => writer.line([{ text: line }], { x: MARGIN + measureText('To: ', BODY_SIZE, true) }));
+    });
+    writeField(writer, 'Subject', String(message.subject || ''));
+    const flags = messageFlags(message);
+    if (flags.length) writeField(writer, 'Flags', flags.join(', '));
+    if (message.sourceId) writeField(writer, 'Source ID', message.sourceId);
+    const body = String(message.body || '');
+    const flagged = Array.isArray(message.flagged_sentences) ? message.flagged_sentences : scoreSentences(body).flagged;
+    const highlight = options.highlight !== false;
+    if (flagged.length) writeField(writer, 'Negative sentences', `${flagged.length}${highlight ? ' (highlighted)' : ''}`);
+    writer.space(LINE_HEIGHT / 2);
+    highlightedLines(body, highlight ? flagged : []).forEach(segments => writer.line(segments));
+    heading = null;
+    writer.rule();
+  });
+  return { pages: writer.pages, starts };
+}
+
+/**
+ * Cover page with the exhibit label, title and caption, then the table of contents.
+ * @param {number} firstMessagePage - page index (0-based, whole exhibit) where message pages begin
+ */
+function layoutContents(messages, starts, firstMessagePage, options) {
+  const writer = createPageWriter();
+  writer.newPage();
+  writer.space(LINE_HEIGHT * 4);
+  const centered = (text, size, lead, bold = false) => writer.line([{ text, bold }], { size, lead, x: (PAGE_WIDTH - measureText(text, size, bold)) / 2 });
+  centered(options.label, 28, 34, true);
+  if (options.title) wrapText(options.title, CONTENT_WIDTH, 14, true).forEach(line => centered(line, 14, 20, true));
+  writer.space(LINE_HEIGHT);
+  options.captionLines.forEach(line => centered(line, BODY_SIZE, LINE_HEIGHT));
+  writer.space(LINE_HEIGHT * 2);
+  writer.line([{ text: 'Table of Contents', bold: true }], { size: 12, lead: 18 });
+  writer.rule();
+
+  writer.onNewPage = () => writer.line([{ text: 'Table of Contents (continued)', bold: true }], { size: 12, lead: 18 });
+  messages.forEach((message, i) => {
+    const page = firstMessagePage + starts[i];
+    const bates = options.batesFor(page);
+    const date = message.sentDate instanceof Date ? formatDateMMDDYYYY(message.sentDate) : '';
+    const entry = `${i + 1}. ${date}  ${message.sender || ''} — ${message.subject || 'No subject'}`;
+    const maxWidth = CONTENT_WIDTH - measureText(bates, BODY_SIZE) - 18;
+    const at = writer.line([{ text: truncate(entry, maxWidth, BODY_SIZE) }, { text: bates, right: true }]);
+    writer.link(page, at, LINE_HEIGHT);
+  });
+  return writer.pages;
+}
+
+/**
+ * Lay out a paginated exhibit: cover page with table of contents, then the messages. Every page
+ * gets the case caption and exhibit label in the header and "Page x of y" plus a Bates number
+ * in the footer.
+ * @param {Array<object>} messages - normalized messages, already selected and ordered
+ * @param {{ label?: string, caption?: string|Array<string>, title?: string, batesPrefix?: string, batesStart?: number, batesDigits?: number, highlight?: boolean }} [options]
+ *   highlight: mark the negative sentences in each body (default true)
+ * @returns {{ pages: Array<Array<object>>, toc: Array<{ index: number, sender: string, subject: string, page: number, bates: string }>, bates: { first: string, last: string } }}
+ */
+function layoutExhibit(messages, options = {}) {
+  const label = options.label || 'Exhibit';
+  const captionLines = [].concat(options.caption || []).flatMap(c => String(c).split('\n')).filter(Boolean);
+  const batesStart = Number.isInteger(options.batesStart) ? options.batesStart : 1;
+  const batesDigits = options.batesDigits || 6;
+  const batesFor = (pageIndex) => `${options.batesPrefix || ''}${String(batesStart + pageIndex).padStart(batesDigits, '0')}`;
+
+  const body = layoutMessages(messages, { highlight: options.highlight });
+  const contentsOptions = { label, title: options.title, captionLines, batesFor };
+  // Bates numbers are fixed width, so the contents page count does not depend on the offset
+  const contentsCount = layoutContents(messages, body.starts, 0, contentsOptions).length;
+  const contents = layoutContents(messages, body.starts, contentsCount, contentsOptions);
+  const pages = [...contents, ...body.pages];
+
+  const header = captionLines.join(' — ');
+  pages.forEach((ops, i) => {
+    const top = PAGE_HEIGHT - 48;
+    const labelWidth = measureText(label, 9, true);
+    ops.push({ type: 'text', x: MARGIN, y: top, text: truncate(header, CONTENT_WIDTH - labelWidth - 18, 9, false), size: 9 });
+    ops.push({ type: 'text', x: PAGE_WIDTH - MARGIN - labelWidth, y: top, text: label, size: 9, bold: true });
+    ops.push({ type: 'line', x1: MARGIN, y1: top - 6, x2: PAGE_WIDTH - MARGIN, y2: top - 6 });
+
+    const pageText = `Page ${i + 1} of ${pages.length}`;
+    const bates = batesFor(i);
+    ops.push({ type: 'line', x1: MARGIN, y1: 56, x2: PAGE_WIDTH - MARGIN, y2: 56 });
+    ops.push({ type: 'text', x: (PAGE_WIDTH - measureText(pageText, 9)) / 2, y: 42, text: pageText, size: 9 });
+    ops.push({ type: 'text', x: PAGE_WIDTH - MARGIN - measureText(bates, 9, true), y: 42, text: bates, size: 9, bold: true });
+  });
+
+  const toc = messages.map((m, i) => ({
+    index: i + 1,
+    sender: m.sender,
+    subject: m.subject,
+    page: contents.length + body.starts[i] + 1,
+    bates: batesFor(contents.length + body.starts[i]),
+  }));
+  return { pages, toc, bates: { first: batesFor(0), last: batesFor(pages.length - 1) } };
+}
+
+module.exports = { messageFlags, selectMessages, layoutExhibit };
@@ -0,0 +1,200 @@
+// Expense and reimbursement claims in message bodies: dollar amounts with expense language, and
+// whether the other parent acknowledged, disputed or paid them in later messages
+
+const { threadGroupKey } = require('./threads');
+const { splitSentences } = require('./sentences');
+const { loadSubjectCategories, categorizeSubject } = require('./reads');
+
+// Expense categories in precedence order; the first with a keyword in the claim wins
+const EXPENSE_CATEGORIES = [
+  { label: 'Childcare', keywords: ['daycare', 'day care', 'childcare', 'child care', 'babysitter', 'babysitting', 'nanny', 'after school care', 'aftercare', 'preschool'] },
+  { label: 'Medical', keywords: ['copay', 'co pay', 'doctor', 'dentist', 'orthodontist', 'braces', 'pediatrician', 'prescription', 'medication', 'medicine', 'therapy', 'therapist', 'counselor', 'urgent care', 'hospital', 'glasses', 'deductible', 'medical'] },
+  { label: 'Activities', keywords: ['camp', 'soccer', 'baseball', 'basketball', 'football', 'dance', 'swim', 'lesson', 'lessons', 'practice', 'uniform', 'league', 'recital', 'scouts', 'tournament', 'activity', 'activities'] },
+  { label: 'Education', keywords: ['tuition', 'school', 'tutor', 'tutoring', 'books', 'school supplies', 'supplies', 'field trip', 'lunch account', 'registration'] },
+  { label: 'Clothing', keywords: ['clothes', 'clothing', 'shoes', 'jacket', 'coat'] },
+  { label: 'Travel', keywords: ['flight', 'airfare', 'mileage', 'travel', 'hotel'] },
+];
+
+// "$40", "$ 1,250.00", "40 dollars"
+const AMOUNT = /\$\s?(\d{1,3}(?:,\d{3})+|\d+)(\.\d{1,2})?|\b(\d{1,3}(?:,\d{3})+|\d+)(\.\d{1,2})?\s?(?:dollars|bucks)\b/gi;
+
+// Expense language that makes a sentence with an amount a claim; `label` is shown in the report
+const CLAIM_CUES = [
+  { label: 'reimburse', pattern: /\breimburs/i },
+  { label: 'owe', pattern: /\bowe[sd]?\b/i },
+  { label: 'split', pattern: /\b(your|my|his|her) (half|share|portion|part)\b|\b(half|50 ?%) of\b|\bsplit\b/i },
+  { label: 'pay me', pattern: /\b(pay|send|venmo|zelle) (me|it|your)\b|\bpay (for|back)\b/i },
+  { label: 'paid for', pattern: /\b(paid|spent|bought)\b/i },
+  { label: 'expense', pattern: /\b(expenses?|costs?|bills?|invoices?|receipts?|charges?|fees?|copay|tuition|deductible)\b/i },
+];
+
+// The other parent says they paid ("I sent you $20", "payment sent", "I venmoed it")
+const PAYMENT = /\b(paid|sent|venmoed|zelled|transferred|mailed) you\b|\bsent (the|your|my) (payment|money|check|half|share)\b|\bpayment (sent|made)\b|\bcheck is in the mail\b|\b(i|i've|i have|just) (venmoed|zelled)\b/i;
+// The requester confirms receiving it ("got the payment", "thanks for paying")
+const RECEIVED = /\b(received|got) (the|your) (payment|money|check|transfer|venmo|zelle)\b|\bthanks?( you)? for (paying|sending|the payment)\b/i;
+const DISPUTE = /\b(not|won't|will not|am not|refuse to|can't|cannot) (going to )?(pay|paying|reimburse|reimbursing|cover|covering|split|splitting)\b|\b(don't|do not|doesn't|does not) owe\b|\bnever agreed\b|\bnot (my|our) (responsibility|expense)\b|\bdisagree\b/i;
+// The payer agrees to pay: a promise to pay ("I'll send it Friday"), agreement in a sentence about
+// paying ("ok, I can cover half"), or a reply that is nothing but agreement ("Ok.", "Sounds good, thanks")
+const PROMISE = /\b(i will|i'll|will) (pay|send|reimburse|venmo|zelle|cover|get you)\b/i;
+const AGREE = /\b(ok|okay|sure|agreed|sounds good|no problem|will do)\b/i;
+const ABOUT_PAYING = /\$|\b(pay|paying|reimburse|reimbursing|send|venmo|zelle|cover|split|half|share|owe)\b/i;
+const AGREEMENT_ONLY = /^(\s*(ok|okay|sure|agreed|sounds good|no problem|will do|yes|yep|fine|thanks|thank you)\s*[.,!]*)+$/i;
+// Words right before an amount that mark it as the share being asked for ("your half is $20")
+const SHARE_BEFORE = /\b(half|share|portion|part|owe[sd]?|owe me|reimburse( me)?|pay me|send me|venmo me|zelle me)\b[^$\d]{0,20}$/i;
+// ...or, without such an amount, a request for half of the amount stated ("reimburse half")
+const HALF = /\b(half|50 ?%)\b/i;
+
+const STATUSES = ['paid', 'acknowledged', 'disputed', 'unresolved', 'no reply'];
+
+/**
+ * Dollar amounts in a text, in order.
+ * @param {string} text
+ * @returns {Array<{ value: number, index: number, text: string }>}
+ */
+function parseAmounts(text) {
+  return Array.from(String(text || '').matchAll(AMOUNT)).map(m => ({
+    value: Number(`${(m[1] || m[3]).replace(/,/g, '')}${m[2] || m[4] || ''}`),
+    index: m.index,
+    text: m[0],
+  })).filter(a => Number.isFinite(a.value) && a.value > 0);
+}
+
+/**
+ * The expense claim in a message body, if any: a dollar amount and expense language, in the same or
+ * different sentences ("Shoes were $60. Please pay me back."), leaving out sentences that are a
+ * payment or a receipt confirmation. The claimed amount is the first amount
+ * right after "half", "share", "owe", "reimburse" or "pay me" ("the copay was $40, your half is
+ * $20" claims $20); otherwise half the first amount when the claim asks for half ("I paid $120,
+ * can you reimburse half?" claims $60), else the first amount.
+ * @param {string} body
+ * @returns {{ amount: number, amounts: Array<number>, text: string, cues: Array<string> }|null}
+ */
+function detectExpenseClaim(body) {
+  const sentences = splitSentences(body).map(s => s.text).filter(s => !PAYMENT.test(s) && !RECEIVED.test(s)).map(text => ({
+    text,
+    amounts: parseAmounts(text),
+    cues: CLAIM_CUES.filter(c => c.pattern.test(text)).map(c => c.label),
+  })).filter(s => s.amounts.length || s.cues.length);
+  if (!sentences.some(s => s.amounts.length) || !sentences.some(s => s.cues.length)) return null;
+  const amounts = sentences.flatMap(s => s.amounts.map((a, i) => ({
+    ...a,
+    share: SHARE_BEFORE.test(s.text.slice(i ? s.amounts[i - 1].index + s.amounts[i - 1].text.length : 0, a.index)),
+  })));
+  const shared = amounts.find(a => a.share);
+  const half = !shared && sentences.some(s => HALF.test(s.text));
+  return {
+    amount: shared ? shared.value : (half ? amounts[0].value / 2 : amounts[0].value),
+    amounts: amounts.map(a => a.value),
+    text: sentences.map(s => s.text).join(' '),
+    cues: Array.from(new Set(sentences.flatMap(s => s.cues))),
+  };
+}
+
+/**
+ * Expense categories from a config object { "<Label>": ["keyword", ...] } (replaces the defaults).
+ * @param {Record<string, Array<string>>} [config]
+ * @returns {Array<{ label: string, keywords: Array<string> }>}
+ */
+function loadExpenseCategories(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return EXPENSE_CATEGORIES;
+  return loadSubjectCategories(config);
+}
+
+// Whether a reply agrees to pay the claim it answers; a bare "ok" inside other talk ("Is she ok?") does not
+function acknowledges(body) {
+  const text = String(body || '');
+  if (PROMISE.test(text) || AGREEMENT_ONLY.test(text)) return true;
+  return splitSentences(text).some(s => AGREE.test(s.text) && ABOUT_PAYING.test(s.text));
+}
+
+/**
+ * Build a ledger of expense claims (one per message with a claim, see detectExpenseClaim) and check
+ * how each recipient responded in later messages. Status per claim and recipient (payer):
+ * - paid: the payer later says they paid (in the thread, or anywhere with the claimed amount), or the
+ *   requester later confirms receiving the payment in the thread
+ * - disputed / acknowledged: the payer's latest reply in the thread that refuses, or agrees to pay (a
+ *   promise to pay, agreement in a sentence about paying, or a reply that is only agreement)
+ * - unresolved: the payer replied in the thread without either
+ * - no reply: no later message from the payer in the thread
+ * The category is the first expense category found in the claim sentences, then the subject, then the body.
+ * @param {Array<object>} messages - parsed or normalized messages with threadId
+ * @param {{ categories?: ReturnType<typeof loadExpenseCategories>, senders?: Array<string>, start?: Date, end?: Date }} [options]
+ *   senders/start/end limit which claims are listed (responses are always looked up in full)
+ * @returns {{
+ *   scanned: number,
+ *   claims: Array<{ message: object, requester: string, payer: string, amount: number, amounts: Array<number>, category: string, text: string, cues: Array<string>, status: 'paid'|'acknowledged'|'disputed'|'unresolved'|'no reply', response: object|null }>,
+ *   summary: Record<string, Record<string, Record<string, { claims: number, claimed: number, paid: number, acknowledged: number, disputed: number, unresolved: number, noReply: number, outstanding: number }>>>,
+ * }} claims in chronological order; summary amounts keyed by requester, payer and category
+ *   (categories in dictionary order, then 'Other')
+ */
+function buildExpenseLedger(messages, options = {}) {
+  const categories = options.categories || EXPENSE_CATEGORIES;
+  const senders = (options.senders || []).map(s => String(s).trim().toLowerCase()).filter(Boolean);
+  const endExclusive = options.end
+    ? new Date(options.end.getFullYear(), options.end.getMonth(), options.end.getDate() + 1)
+    : null;
+  const dated = (messages || [])
+    .filter(m => m && !m._nonMessage && m.sender && m.sentDate instanceof Date && !Number.isNaN(m.sentDate.getTime()))
+    .sort((a, b) => a.sentDate - b.sentDate);
+
+  const threads = new Map();
+  dated.forEach(m => {
+    const key = threadGroupKey(m);
+    if (!threads.has(key)) threads.set(key, []);
+    threads.get(key).push(m);
+  });
+
+  const inScope = (m) => (!senders.length || senders.includes(String(m.sender).trim().toLowerCase()))
+    && (!options.start || m.sentDate >= options.start)
+    && (!endExclusive || m.sentDate < endExclusive);
+  const categorize = (claim, m) => [claim.text, m.subject, m.body]
+    .map(text => categorizeSubject(text || '', categories))
+    .find(label => label !== 'Other') || 'Other';
+
+  const claims = [];
+  let scanned = 0;
+  dated.forEach(message => {
+    if (!inScope(message)) return;
+    scanned++;
+    const claim = detectExpenseClaim(message.body);
+    if (!claim) return;
+    const requester = String(message.sender).trim();
+    const category = categorize(claim, message);
+    const thread = threads.get(threadGroupKey(message));
+    const later = (list, who) => list.filter(m => m.sentDate > message.sentDate && String(m.sender).trim() === who);
+    Object.keys(message.recipientReadTimes || {}).map(r => String(r).trim()).filter(r => r && r !== requester).forEach(payer => {
+      const replies = later(thread, payer);
+      const paidElsewhere = later(dated, payer).find(m => PAYMENT.test(m.body || '') && parseAmounts(m.body).some(a => a.value === claim.amount));
+      const payment = replies.find(m => PAYMENT.test(m.body || ''))
+        || later(thread, requester).find(m => RECEIVED.test(m.body || ''))
+        || paidElsewhere
+        || null;
+      const stance = replies.filter(m => DISPUTE.test(m.body || '') || acknowledges(m.body)).pop() || null;
+      let status;
+      let response;
+      if (payment) [status, response] = ['paid', payment];
+      else if (stance) [status, response] = [DISPUTE.test(stance.body) ? 'disputed' : 'acknowledged', stance];
+      else if (replies.length) [status, response] = ['unresolved', replies[0]];
+      else [status, response] = ['no reply', null];
+      claims.push({ message, requester, payer, amount: claim.amount, amounts: claim.amounts, category, text: claim.text, cues: claim.cues, status, response });
+    });
+  });
+
+  const summary = {};
+  const order = categories.map(c => c.label).concat('Other');
+  claims.forEach(c => {
+    const byPayer = summary[c.requester] || (summary[c.requester] = {});
+    const byCategory = byPayer[c.payer] || (byPayer[c.payer] = {});
+    const s = byCategory[c.category] || (byCategory[c.category] = { claims: 0, claimed: 0, paid: 0, acknowledged: 0, disputed: 0, unresolved: 0, noReply: 0, outstanding: 0 });
+    s.claims++;
+    s.claimed += c.amount;
+    s[c.status === 'no reply' ? 'noReply' : c.status] += c.amount;
+    s.outstanding = s.claimed - s.paid;
+  });
+  Object.values(summary).forEach(byPayer => Object.keys(byPayer).forEach(payer => {
+    byPayer[payer] = Object.fromEntries(Object.entries(byPayer[payer]).sort(([a], [b]) => order.indexOf(a) - order.indexOf(b)));
+  }));
+  return { scanned, claims, summary };
+}
+
+module.exports = { EXPENSE_CATEGORIES, STATUSES, parseAmounts, detectExpenseClaim, loadExpenseCategories, buildExpenseLedger };
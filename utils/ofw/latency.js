@@ -0,0 +1,128 @@
+// Reply latency for OFW conversations: how long each person takes to answer a message in a thread
+
+const { getWeekString } = require('../date');
+const { threadGroupKey } = require('./threads');
+
+const HOUR_MS = 3600000;
+
+/**
+ * Percentile by linear interpolation between closest ranks (as PERCENTILE.INC in spreadsheets).
+ * @param {Array<number>} values
+ * @param {number} p - 0..1
+ * @returns {number|null} null for an empty list
+ */
+function percentile(values, p) {
+  if (!values.length) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const rank = p * (sorted.length - 1);
+  const lo = Math.floor(rank);
+  const hi = Math.ceil(rank);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (rank - lo);
+}
+
+function emptyBucket() {
+  return { received: 0, answered: 0, unanswered: 0, hours: [] };
+}
+
+function finishBucket(b) {
+  return {
+    received: b.received,
+    answered: b.answered,
+    unanswered: b.unanswered,
+    replies: b.hours.length,
+    medianHours: percentile(b.hours, 0.5),
+    p90Hours: percentile(b.hours, 0.9),
+  };
+}
+
+/**
+ * Per-person reply latency from thread assignments (assignThreads).
+ * Within each thread, a message addressed to someone waits until that person's next message in the
+ * same thread. That message is one reply; its latency runs from the oldest message it answers, so
+ * three messages in a row answered at once count as one reply and three answered messages.
+ * Messages never followed by a message from the recipient in their thread are unanswered.
+ * Weekly buckets use the week the answered (or unanswered) message was sent.
+ * @param {Array<object>} messages - parsed or normalized messages with threadId
+ * @returns {{
+ *   totals: Record<string, { received: number, answered: number, unanswered: number, replies: number, medianHours: number|null, p90Hours: number|null }>,
+ *   weekly: Record<string, Record<string, { received: number, answered: number, unanswered: number, replies: number, medianHours: number|null, p90Hours: number|null, medianChangeHours: number|null }>>,
+ *   replies: Array<{ person: string, threadId: any, receivedAt: Date, repliedAt: Date, hours: number, answered: number, messages: Array<object> }>,
+ * }} weeks in chronological order, people sorted by name within each week; `medianChangeHours` is
+ *   the change from that person's previous week with replies; each reply lists the messages it answers
+ */
+function summarizeReplyLatency(messages) {
+  const valid = (messages || [])
+    .filter(m => m && !m._nonMessage && m.sender && m.sentDate)
+    .map(m => ({ message: m, sentDate: m.sentDate instanceof Date ? m.sentDate : new Date(m.sentDate) }))
+    .filter(m => !Number.isNaN(m.sentDate.getTime()))
+    .sort((a, b) => a.sentDate - b.sentDate);
+
+  const threads = new Map();
+  valid.forEach(entry => {
+    const key = threadGroupKey(entry.message);
+    if (!threads.has(key)) threads.set(key, []);
+    threads.get(key).push(entry);
+  });
+
+  const totals = {};
+  const weeks = new Map(); // week -> { firstSent, people: { person -> bucket } }
+  const replies = [];
+  const bucketsFor = (person, date) => {
+    const week = getWeekString(date);
+    if (!weeks.has(week)) weeks.set(week, { firstSent: date, people: {} });
+    const w = weeks.get(week);
+    if (date < w.firstSent) w.firstSent = date;
+    return [
+      totals[person] || (totals[person] = emptyBucket()),
+      w.people[person] || (w.people[person] = emptyBucket()),
+    ];
+  };
+
+  threads.forEach(entries => {
+    const pending = new Map(); // recipient -> messages waiting for their reply
+    entries.forEach(({ message, sentDate }) => {
+      const sender = String(message.sender).trim();
+      const waiting = pending.get(sender) || [];
+      if (waiting.length) {
+        const first = waiting[0];
+        const hours = (sentDate - first.sentDate) / HOUR_MS;
+        waiting.forEach(w => bucketsFor(sender, w.sentDate).forEach(b => { b.received++; b.answered++; }));
+        bucketsFor(sender, first.sentDate).forEach(b => b.hours.push(hours));
+        replies.push({ person: sender, threadId: message.threadId, receivedAt: first.sentDate, repliedAt: sentDate, hours, answered: waiting.length, messages: waiting.map(w => w.message) });
+        pending.set(sender, []);
+      }
+      Object.keys(message.recipientReadTimes || {}).forEach(name => {
+        const recipient = String(name).trim();
+        if (!recipient || recipient === sender) return;
+        if (!pending.has(recipient)) pending.set(recipient, []);
+        pending.get(recipient).push({ sentDate, message });
+      });
+    });
+    pending.forEach((waiting, person) => waiting.forEach(w => {
+      bucketsFor(person, w.sentDate).forEach(b => { b.received++; b.unanswered++; });
+    }));
+  });
+
+  const weekly = {};
+  const lastMedian = {};
+  Array.from(weeks.entries())
+    .sort(([, a], [, b]) => a.firstSent - b.firstSent)
+    .forEach(([week, w]) => {
+      weekly[week] = {};
+      Object.keys(w.people).sort((a, b) => a.localeCompare(b)).forEach(person => {
+        const stats = finishBucket(w.people[person]);
+        const previous = lastMedian[person];
+        stats.medianChangeHours = stats.medianHours !== null && previous !== undefined ? stats.medianHours - previous : null;
+        if (stats.medianHours !== null) lastMedian[person] = stats.medianHours;
+        weekly[week][person] = stats;
+      });
+    });
+
+  return {
+    totals: Object.fromEntries(Object.keys(totals).sort((a, b) => a.localeCompare(b)).map(person => [person, finishBucket(totals[person])])),
+    weekly,
+    replies,
+  };
+}
+
+module.exports = { percentile, summarizeReplyLatency };
@@ -1,6 +1,9 @@
 const Sentiment = require('sentiment');
 const natural = require('natural');
 
+const { scoreTone } = require('./tone');
+const { scoreSentences } = require('./sentences');
+
 const sentiment = new Sentiment();
 const analyzer = new natural.SentimentAnalyzer('English', natural.PorterStemmer, 'afinn');
 
@@ -12,6 +15,10 @@ const analyzer = new natural.SentimentAnalyzer('English', natural.PorterStemmer,
  * - sentiment_per_word: sentiment ÷ max(1, wordCount)
  * - natural_per_word: sentiment_natural ÷ max(1, wordCount)
  * - tone: normalized composite using repo scaling (avg of s/12 and n/0.2 clamped to [-1,1])
+ * - tone_v2: co-parenting tone in [-1,1] from the domain lexicon with negation and emphasis (see utils/ofw/tone.js)
+ * - negative_sentences: sentences scoring at or below NEGATIVE_SENTENCE_THRESHOLD with tone_v2 (see utils/ofw/sentences.js)
+ * - flagged_sentences: those sentences as { start, end, score }, character offsets into body
+ * - most_negative_sentence: { text, start, end, score } of the lowest-scoring sentence, null when none is below 0
  *
  * @param {Array<object>} messages
  * @returns {Array<object>} same array (mutated) for convenience
@@ -41,6 +48,13 @@ function computeDerivedMetrics(messages) {
     const sNorm = clamp(s / 12, -1, 1);
     const nNorm = clamp(n / 0.2, -1, 1);
     message.tone = clamp((sNorm + nNorm) / 2, -1, 1);
+
+    message.tone_v2 = scoreTone(body).score;
+
+    const { flagged, mostNegative } = scoreSentences(body);
+    message.negative_sentences = flagged.length;
+    message.flagged_sentences = flagged.map(({ start, end, score }) => ({ start, end, score }));
+    message.most_negative_sentence = mostNegative;
   });
   return messages;
 }
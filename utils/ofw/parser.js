@@ -128,14 +128,17 @@ function parseMessage(messageBlock) {
 
 /**
  * Convert OFW PDF text into an array of messages.
+ * Messages that follow a "Message N of M" boundary carry `messageNumber` and `messageTotal`.
  * @param {string} text
  * @returns {Array<object>}
  */
 function processMessages(text) {
   const messages = [];
   const lines = text.split('\n');
-  const boundaryRegex = /^\s*Message\s+\d+\s+of\s+\d+\s*$/;
+  const boundaryRegex = /^\s*Message\s+(\d+)\s+of\s+(\d+)\s*$/;
   let current = [];
+  let position = null; // last boundary seen: { messageNumber, messageTotal }
+  const parseBlock = (blockText) => Object.assign(parseMessage(blockText), position);
   const hasMeta = (block) => /(\n|^)Sent\s*:|\nFrom\s*:|\nTo\s*:|\nSubject\s*:/m.test(block);
   const createPlaceholder = () => ({
     _nonMessage: true,
@@ -150,19 +153,21 @@ function processMessages(text) {
 
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i];
-    if (boundaryRegex.test(line)) {
+    const boundary = line.match(boundaryRegex);
+    if (boundary) {
       if (current.length) {
         const blockText = current.join('\n');
-        messages.push(hasMeta(blockText) ? parseMessage(blockText) : createPlaceholder());
+        messages.push(hasMeta(blockText) ? parseBlock(blockText) : createPlaceholder());
         current = [];
       }
+      position = { messageNumber: Number(boundary[1]), messageTotal: Number(boundary[2]) };
       continue;
     }
     current.push(line);
   }
   if (current.length) {
     const blockText = current.join('\n');
-    if (hasMeta(blockText)) messages.push(parseMessage(blockText));
+    if (hasMeta(blockText)) messages.push(parseBlock(blockText));
   }
   return messages;
 }
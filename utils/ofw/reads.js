@@ -0,0 +1,176 @@
+// Read-receipt behavior for OFW messages: never-opened messages, first-view delay distributions by
+// recipient, send hour, weekday and subject category, and messages opened but never answered
+
+const { getWeekString } = require('../date');
+const { normalizeSubject, threadGroupKey } = require('./threads');
+const { percentile } = require('./latency');
+const { detectRequests } = require('./requests');
+const { TOPICS } = require('./topics');
+
+const HOUR_MS = 3600000;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Delay from sending to first view; `max` in hours (exclusive)
+const READ_TIME_BUCKETS = [
+  { key: 'under1h', label: '< 1 hour', max: 1 },
+  { key: 'under4h', label: '1–4 hours', max: 4 },
+  { key: 'under24h', label: '4–24 hours', max: 24 },
+  { key: 'under72h', label: '1–3 days', max: 72 },
+  { key: 'over72h', label: '> 3 days', max: Infinity },
+];
+
+// Subject categories in precedence order (the topic dictionary's keywords, see utils/ofw/topics.js);
+// the first whose keyword appears in the thread subject wins
+const SUBJECT_CATEGORIES = TOPICS.map(({ label, keywords }) => ({ label, keywords }));
+const OTHER_CATEGORY = 'Other';
+
+/**
+ * Subject categories from a config object { "<Label>": ["keyword", ...] } (replaces the defaults).
+ * @param {Record<string, Array<string>>} [config]
+ * @returns {Array<{ label: string, keywords: Array<string> }>}
+ */
+function loadSubjectCategories(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return SUBJECT_CATEGORIES;
+  return Object.entries(config).map(([label, keywords]) => {
+    if (!Array.isArray(keywords)) throw new Error(`Category "${label}" must list keywords in an array`);
+    return { label, keywords: keywords.map(k => String(k).toLowerCase().trim()).filter(Boolean) };
+  });
+}
+
+/**
+ * Category of a subject: the first category with a keyword in the normalized subject
+ * (whole words; reply/forward prefixes removed), else "Other".
+ * @param {string} subject
+ * @param {Array<{ label: string, keywords: Array<string> }>} [categories]
+ * @returns {string}
+ */
+function categorizeSubject(subject, categories = SUBJECT_CATEGORIES) {
+  const text = ` ${normalizeSubject(subject).replace(/[^a-z0-9]+/g, ' ')} `;
+  const found = categories.find(c => c.keywords.some(k => text.includes(` ${k.replace(/[^a-z0-9]+/g, ' ').trim()} `)));
+  return found ? found.label : OTHER_CATEGORY;
+}
+
+function readTimeBucket(hours) {
+  return READ_TIME_BUCKETS.find(b => hours < b.max).key;
+}
+
+function emptyGroup() {
+  return { received: 0, read: 0, neverRead: 0, readNotAnswered: 0, hours: [] };
+}
+
+function finishGroup(g) {
+  return {
+    received: g.received,
+    read: g.read,
+    neverRead: g.neverRead,
+    neverReadPct: g.received ? (g.neverRead / g.received) * 100 : 0,
+    readNotAnswered: g.readNotAnswered,
+    medianHours: percentile(g.hours, 0.5),
+    p90Hours: percentile(g.hours, 0.9),
+  };
+}
+
+/**
+ * Read-receipt behavior per recipient. Each message counts once per recipient listed in
+ * `recipientReadTimes`: "Never" is never read, a date is the first view. A read message is
+ * "read, not answered" when the recipient sent no later message in the same thread.
+ * Hour of day and weekday are those of the message being sent.
+ * @param {Array<object>} messages - parsed or normalized messages with threadId
+ * @param {{ categories?: Array<{ label: string, keywords: Array<string> }> }} [options]
+ * @returns {{
+ *   recipients: Record<string, ReturnType<typeof finishGroup> & { distribution: Record<string, number> }>,
+ *   byHour: Record<string, Array<ReturnType<typeof finishGroup>>>,
+ *   byWeekday: Record<string, Array<ReturnType<typeof finishGroup>>>,
+ *   byCategory: Record<string, Record<string, ReturnType<typeof finishGroup>>>,
+ *   weekly: Record<string, Record<string, ReturnType<typeof finishGroup>>>,
+ *   items: Array<{ message: object, recipient: string, category: string, readAt: Date|null, hoursToRead: number|null, answered: boolean, requests: number }>,
+ * }} byHour has 24 entries and byWeekday 7 (Sunday first) per recipient; weeks in chronological order
+ */
+function summarizeReadBehavior(messages, options = {}) {
+  const categories = options.categories || SUBJECT_CATEGORIES;
+  const dated = (messages || [])
+    .filter(m => m && !m._nonMessage && m.sender && m.sentDate instanceof Date && !Number.isNaN(m.sentDate.getTime()))
+    .sort((a, b) => a.sentDate - b.sentDate);
+  const threads = new Map();
+  dated.forEach(m => {
+    const key = threadGroupKey(m);
+    if (!threads.has(key)) threads.set(key, []);
+    threads.get(key).push(m);
+  });
+
+  const groups = { recipients: {}, byHour: {}, byWeekday: {}, byCategory: {}, weekly: new Map() };
+  const distribution = {};
+  const items = [];
+  const add = (group, key, item) => {
+    const g = group[key] || (group[key] = emptyGroup());
+    g.received++;
+    if (!item.readAt) g.neverRead++;
+    else {
+      g.read++;
+      if (item.hoursToRead !== null) g.hours.push(item.hoursToRead);
+      if (!item.answered) g.readNotAnswered++;
+    }
+  };
+
+  dated.forEach(message => {
+    const sender = String(message.sender).trim();
+    const category = categorizeSubject(message.subject, categories);
+    const thread = threads.get(threadGroupKey(message));
+    Object.entries(message.recipientReadTimes || {}).forEach(([name, value]) => {
+      const recipient = String(name).trim();
+      if (!recipient || recipient === sender || /^\s*To:/i.test(recipient)) return;
+      const viewed = value === 'Never' || value == null ? null : (value instanceof Date ? value : new Date(value));
+      const readAt = viewed && !Number.isNaN(viewed.getTime()) ? viewed : null;
+      const delay = readAt ? (readAt - message.sentDate) / HOUR_MS : null;
+      const item = {
+        message,
+        recipient,
+        category,
+        readAt,
+        // Negative delays (clock skew in the export) count as read but not in the timing stats
+        hoursToRead: delay !== null && delay >= 0 ? delay : null,
+        answered: thread.some(m => m.sentDate > message.sentDate && String(m.sender).trim() === recipient),
+        requests: detectRequests(message.body).length,
+      };
+      items.push(item);
+
+      add(groups.recipients, recipient, item);
+      const hours = groups.byHour[recipient] || (groups.byHour[recipient] = {});
+      add(hours, message.sentDate.getHours(), item);
+      const days = groups.byWeekday[recipient] || (groups.byWeekday[recipient] = {});
+      add(days, message.sentDate.getDay(), item);
+      const cats = groups.byCategory[recipient] || (groups.byCategory[recipient] = {});
+      add(cats, category, item);
+      const week = getWeekString(message.sentDate);
+      if (!groups.weekly.has(week)) groups.weekly.set(week, {});
+      add(groups.weekly.get(week), recipient, item);
+      const dist = distribution[recipient] || (distribution[recipient] = Object.fromEntries(READ_TIME_BUCKETS.map(b => [b.key, 0]).concat([['never', 0]])));
+      if (!readAt) dist.never++;
+      else if (item.hoursToRead !== null) dist[readTimeBucket(item.hoursToRead)]++;
+    });
+  });
+
+  const byName = (obj) => Object.keys(obj).sort((a, b) => a.localeCompare(b));
+  const slots = (group, n) => Array.from({ length: n }, (_, i) => finishGroup(group[i] || emptyGroup()));
+  const categoryOrder = categories.map(c => c.label).concat(OTHER_CATEGORY);
+  return {
+    recipients: Object.fromEntries(byName(groups.recipients).map(r => [r, { ...finishGroup(groups.recipients[r]), distribution: distribution[r] }])),
+    byHour: Object.fromEntries(byName(groups.byHour).map(r => [r, slots(groups.byHour[r], 24)])),
+    byWeekday: Object.fromEntries(byName(groups.byWeekday).map(r => [r, slots(groups.byWeekday[r], 7)])),
+    byCategory: Object.fromEntries(byName(groups.byCategory).map(r => [r, Object.fromEntries(categoryOrder
+      .filter(c => groups.byCategory[r][c])
+      .map(c => [c, finishGroup(groups.byCategory[r][c])]))])),
+    // Map insertion follows the sorted messages, so weeks are already chronological
+    weekly: Object.fromEntries(Array.from(groups.weekly.entries()).map(([week, people]) => [week, Object.fromEntries(byName(people).map(r => [r, finishGroup(people[r])]))])),
+    items,
+  };
+}
+
+module.exports = {
+  WEEKDAYS,
+  READ_TIME_BUCKETS,
+  SUBJECT_CATEGORIES,
+  loadSubjectCategories,
+  categorizeSubject,
+  summarizeReadBehavior,
+};
@@ -0,0 +1,109 @@
+// Unanswered request detector: questions, requests and date/time proposals in message bodies,
+// and whether the recipient answered them in the same thread within a time window
+
+const { threadGroupKey } = require('./threads');
+const { splitSentences } = require('./sentences');
+
+const HOUR_MS = 3600000;
+const DEFAULT_WINDOW_HOURS = 48;
+
+// Cues that make a sentence a request; `label` is shown in the report
+const REQUEST_CUES = [
+  { label: 'question mark', pattern: /\?/ },
+  { label: 'can you', pattern: /\b(can|could|would|will) you\b/i },
+  { label: 'let me know', pattern: /\blet me know\b/i },
+  { label: 'please', pattern: /\bplease (confirm|respond|reply|answer|advise|send|call|tell|sign|bring|pick|drop|update|return|check)\b/i },
+  { label: 'are you available', pattern: /\bare you (able|available|ok|okay|free)\b/i },
+];
+
+// A date or time in the sentence ("Friday", "tomorrow", "5pm", "5:30", "3/14", "Mar 14")
+const DATE_TIME = /\b((mon|tues|wednes|thurs|fri|satur|sun)day|today|tonight|tomorrow|this weekend|next (week|weekend)|\d{1,2}(:\d{2})? ?(am|pm)|\d{1,2}:\d{2}|\d{1,2}\/\d{1,2}(\/\d{2,4})?|(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.? \d{1,2})\b/i;
+// ...together with a proposal ("how about Friday at 5", "can we switch to Sunday", "does 6pm work")
+const PROPOSAL = /\b(how about|what about|can we|could we|shall we|let's|i propose|i suggest|instead|does .{0,40}\bwork|would .{0,40}\bwork|is .{0,40}\b(ok|okay|alright|fine))\b/i;
+
+/**
+ * Questions, requests and date/time proposals in a message body, one per sentence.
+ * `kind` is 'proposal' when a date or time is proposed, 'request' for a request phrase without a
+ * question mark, otherwise 'question'.
+ * @param {string} body
+ * @returns {Array<{ kind: 'question'|'request'|'proposal', text: string, cues: Array<string> }>}
+ */
+function detectRequests(body) {
+  return splitSentences(body).map(({ text }) => {
+    const cues = REQUEST_CUES.filter(c => c.pattern.test(text)).map(c => c.label);
+    const proposal = DATE_TIME.test(text) && PROPOSAL.test(text);
+    if (proposal) cues.push('date/time proposal');
+    if (!cues.length) return null;
+    let kind = 'question';
+    if (proposal) kind = 'proposal';
+    else if (!cues.includes('question mark')) kind = 'request';
+    return { kind, text, cues };
+  }).filter(Boolean);
+}
+
+/**
+ * Find messages with questions or requests and check whether each recipient answered them: their
+ * next message in the same thread counts as the answer. Status per recipient:
+ * - answered: within the window
+ * - late: after the window
+ * - unanswered: never, and the window had passed by the last message in the export
+ * - pending: never, but the window was still open at the end of the export
+ * @param {Array<object>} messages - parsed or normalized messages with threadId
+ * @param {{ windowHours?: number, senders?: Array<string>, start?: Date, end?: Date }} [options]
+ *   senders/start/end limit which requests are checked (replies are always looked up in full)
+ * @returns {{
+ *   windowHours: number,
+ *   scanned: number,
+ *   exportEnd: Date|null,
+ *   requests: Array<{ message: object, recipient: string, items: ReturnType<typeof detectRequests>, status: 'answered'|'late'|'unanswered'|'pending', reply: object|null, hoursToReply: number|null }>,
+ *   summary: Record<string, Record<string, { requests: number, answered: number, late: number, unanswered: number, pending: number }>>,
+ * }} requests in chronological order; summary keyed by sender, then recipient
+ */
+function findUnansweredRequests(messages, options = {}) {
+  const windowHours = Number.isFinite(options.windowHours) ? options.windowHours : DEFAULT_WINDOW_HOURS;
+  const senders = (options.senders || []).map(s => String(s).trim().toLowerCase()).filter(Boolean);
+  const endExclusive = options.end
+    ? new Date(options.end.getFullYear(), options.end.getMonth(), options.end.getDate() + 1)
+    : null;
+  const dated = (messages || [])
+    .filter(m => m && !m._nonMessage && m.sender && m.sentDate instanceof Date && !Number.isNaN(m.sentDate.getTime()))
+    .sort((a, b) => a.sentDate - b.sentDate);
+  const exportEnd = dated.length ? dated[dated.length - 1].sentDate : null;
+
+  const threads = new Map();
+  dated.forEach(m => {
+    const key = threadGroupKey(m);
+    if (!threads.has(key)) threads.set(key, []);
+    threads.get(key).push(m);
+  });
+
+  const inScope = (m) => (!senders.length || senders.includes(String(m.sender).trim().toLowerCase()))
+    && (!options.start || m.sentDate >= options.start)
+    && (!endExclusive || m.sentDate < endExclusive);
+  const requests = [];
+  const summary = {};
+  let scanned = 0;
+  dated.forEach(message => {
+    if (!inScope(message)) return;
+    scanned++;
+    const items = detectRequests(message.body);
+    if (!items.length) return;
+    const sender = String(message.sender).trim();
+    const thread = threads.get(threadGroupKey(message));
+    Object.keys(message.recipientReadTimes || {}).map(r => String(r).trim()).filter(r => r && r !== sender).forEach(recipient => {
+      const reply = thread.find(m => m.sentDate > message.sentDate && String(m.sender).trim() === recipient) || null;
+      const hoursToReply = reply ? (reply.sentDate - message.sentDate) / HOUR_MS : null;
+      let status;
+      if (reply) status = hoursToReply <= windowHours ? 'answered' : 'late';
+      else status = (exportEnd - message.sentDate) / HOUR_MS >= windowHours ? 'unanswered' : 'pending';
+      requests.push({ message, recipient, items, status, reply, hoursToReply });
+      const bySender = summary[sender] || (summary[sender] = {});
+      const s = bySender[recipient] || (bySender[recipient] = { requests: 0, answered: 0, late: 0, unanswered: 0, pending: 0 });
+      s.requests++;
+      s[status]++;
+    });
+  });
+  return { windowHours, scanned, exportEnd, requests, summary };
+}
+
+module.exports = { DEFAULT_WINDOW_HOURS, REQUEST_CUES, detectRequests, findUnansweredRequests };
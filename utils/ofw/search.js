@@ -0,0 +1,333 @@
+// Full-text search over parsed messages: an inverted index (term → message → word positions) kept on
+// disk per input file, boolean/phrase/proximity queries, field filters and keyword-in-context snippets
+
+const fs = require('fs');
+const path = require('path');
+
+const { ensureDir } = require('../fs');
+const { hashFile } = require('../provenance');
+const { messageFlags } = require('./exhibit');
+
+// Bump when the tokenizer or index layout changes, so indexes on disk are rebuilt
+const INDEX_VERSION = 1;
+// Body positions start after the subject plus this gap, so phrases never span subject and body
+const FIELD_GAP = 1000;
+const WORD = /[\p{L}\p{N}]+(?:'[\p{L}\p{N}]+)*/gu;
+
+/**
+ * Words of a text, lowercased, with their character offsets. Curly apostrophes count as straight
+ * ones, so "don’t" and "don't" are the same word.
+ * @param {string} text
+ * @returns {Array<{ term: string, start: number, end: number }>}
+ */
+function tokenize(text) {
+  const source = String(text || '').replace(/’/g, "'");
+  return Array.from(source.matchAll(WORD), m => ({ term: m[0].toLowerCase(), start: m.index, end: m.index + m[0].length }));
+}
+
+// Indexed words of a message: subject first, then the body starting at FIELD_GAP past the subject
+function messageTokens(message) {
+  const subject = tokenize(message.subject).map((t, i) => ({ ...t, field: 'subject', position: i }));
+  const offset = subject.length + FIELD_GAP;
+  const body = tokenize(message.body).map((t, i) => ({ ...t, field: 'body', position: offset + i }));
+  return subject.concat(body);
+}
+
+/**
+ * Inverted index of the subjects and bodies of messages; message IDs are array indexes.
+ * @param {Array<object>} messages
+ * @returns {{ version: number, count: number, terms: Record<string, Array<Array<number>>> }}
+ *   terms: term → [[message index, position, position, …], …]
+ */
+function buildSearchIndex(messages) {
+  const terms = Object.create(null);
+  (messages || []).forEach((message, doc) => {
+    if (!message || message._nonMessage) return;
+    messageTokens(message).forEach(({ term, position }) => {
+      const postings = terms[term] || (terms[term] = []);
+      const last = postings[postings.length - 1];
+      if (last && last[0] === doc) last.push(position);
+      else postings.push([doc, position]);
+    });
+  });
+  return { version: INDEX_VERSION, count: (messages || []).length, terms };
+}
+
+/**
+ * Index for a parsed JSON file, read from `<dir>/<sha256 of the file>.json` when it was built for the
+ * same file, otherwise built and saved there. Index files are written directly rather than through
+ * utils/fs, so they stay out of provenance manifests.
+ * @param {string} inputPath - the JSON the messages were loaded from
+ * @param {Array<object>} messages - its messages, in file order
+ * @param {{ dir?: string|null, rebuild?: boolean }} [options] - dir: null keeps the index in memory only
+ * @returns {{ index: ReturnType<typeof buildSearchIndex>, reused: boolean, indexPath: string|null }}
+ */
+function loadSearchIndex(inputPath, messages, options = {}) {
+  const dir = options.dir === undefined ? path.resolve(process.cwd(), 'output', 'cache', 'search') : options.dir;
+  if (!dir) return { index: buildSearchIndex(messages), reused: false, indexPath: null };
+  const indexPath = path.join(path.resolve(dir), `${hashFile(inputPath)}.json`);
+  if (!options.rebuild && fs.existsSync(indexPath)) {
+    try {
+      const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+      if (index.version === INDEX_VERSION && index.count === messages.length) return { index, reused: true, indexPath };
+    } catch (e) {
+      // unreadable index: rebuild below
+    }
+  }
+  const index = buildSearchIndex(messages);
+  ensureDir(path.dirname(indexPath));
+  fs.writeFileSync(indexPath, JSON.stringify({ ...index, sourceFile: path.basename(inputPath), builtAt: new Date().toISOString() }));
+  return { index, reused: false, indexPath };
+}
+
+/**
+ * Parse a query into a tree.
+ * - words match whole words, ignoring case; `word*` matches words starting with "word"
+ * - "exact phrase"; "pick up late"~5 matches the words in any order within 5 words of each other
+ * - AND (also implied between terms), OR, NOT or a leading `-`, and parentheses
+ * @param {string} query
+ * @returns {object} node: { type: 'term', term, prefix } | { type: 'phrase', terms, slop } | { type: 'and'|'or', nodes } | { type: 'not', node }
+ */
+function parseQuery(query) {
+  const tokens = [];
+  const lexer = /\s*(?:(\()|(\))|"([^"]*)"(?:~(\d+))?|(-)(?=[^\s)])|([^\s()"]+))/gy;
+  const source = String(query || '');
+  let match;
+  while (lexer.lastIndex < source.length && (match = lexer.exec(source))) {
+    if (match[1]) tokens.push({ type: '(' });
+    else if (match[2]) tokens.push({ type: ')' });
+    else if (match[3] !== undefined) tokens.push({ type: 'phrase', text: match[3], slop: match[4] !== undefined ? Number(match[4]) : null });
+    else if (match[5]) tokens.push({ type: '-' });
+    else if (/^(AND|OR|NOT)$/.test(match[6])) tokens.push({ type: match[6] });
+    else tokens.push({ type: 'word', text: match[6] });
+  }
+  if (lexer.lastIndex < source.trimEnd().length) throw new Error(`Unbalanced quote in query: ${source}`);
+  let i = 0;
+  const peek = () => tokens[i];
+  const startsOperand = (t) => t && ['(', 'phrase', '-', 'NOT', 'word'].includes(t.type);
+
+  function parseOr() {
+    const nodes = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      i += 1;
+      nodes.push(parseAnd());
+    }
+    return nodes.length === 1 ? nodes[0] : { type: 'or', nodes };
+  }
+  function parseAnd() {
+    const nodes = [parseNot()];
+    while (peek() && (peek().type === 'AND' || startsOperand(peek()))) {
+      if (peek().type === 'AND') i += 1;
+      nodes.push(parseNot());
+    }
+    return nodes.length === 1 ? nodes[0] : { type: 'and', nodes };
+  }
+  function parseNot() {
+    if (peek() && (peek().type === 'NOT' || peek().type === '-')) {
+      i += 1;
+      return { type: 'not', node: parseNot() };
+    }
+    return parsePrimary();
+  }
+  function parsePrimary() {
+    const token = tokens[i++];
+    if (!token) throw new Error('Query ends where a search term was expected');
+    if (token.type === '(') {
+      const node = parseOr();
+      if (!peek() || peek().type !== ')') throw new Error('Missing ")" in query');
+      i += 1;
+      return node;
+    }
+    if (token.type === 'phrase') {
+      const terms = tokenize(token.text).map(t => t.term);
+      if (!terms.length) throw new Error('Empty phrase in query');
+      return terms.length === 1 && token.slop === null ? { type: 'term', term: terms[0], prefix: false } : { type: 'phrase', terms, slop: token.slop };
+    }
+    if (token.type === 'word') {
+      const prefix = token.text.endsWith('*');
+      const terms = tokenize(token.text).map(t => t.term);
+      if (!terms.length) throw new Error(`Nothing to search for in "${token.text}"`);
+      // "co-parent" or "3/14" are several words: search them as a phrase
+      return terms.length === 1 ? { type: 'term', term: terms[0], prefix } : { type: 'phrase', terms, slop: null };
+    }
+    throw new Error(`Unexpected ${token.type === ')' ? '")"' : token.type} in query`);
+  }
+
+  if (!tokens.length) throw new Error('Empty query');
+  const tree = parseOr();
+  if (i < tokens.length) throw new Error(`Unexpected ${tokens[i].type === ')' ? '")"' : tokens[i].type} in query`);
+  return tree;
+}
+
+// Postings for a term. An index read back from disk has an ordinary object for `terms`, so "constructor"
+// and the like must not fall through to Object.prototype
+function postingsFor(index, term) {
+  return Object.prototype.hasOwnProperty.call(index.terms, term) ? index.terms[term] : [];
+}
+
+// Evaluate a query tree: Map of message index → Set of matched positions (empty for NOT matches)
+function evaluate(node, index, docs) {
+  const postingsMap = (postings) => new Map(postings.map(([doc, ...positions]) => [doc, positions]));
+  switch (node.type) {
+    case 'term': {
+      const out = new Map();
+      const terms = node.prefix ? Object.keys(index.terms).filter(t => t.startsWith(node.term)) : [node.term];
+      terms.forEach(term => postingsFor(index, term).forEach(([doc, ...positions]) => {
+        const set = out.get(doc) || new Set();
+        positions.forEach(p => set.add(p));
+        out.set(doc, set);
+      }));
+      return out;
+    }
+    case 'phrase': {
+      const lists = node.terms.map(term => postingsMap(postingsFor(index, term)));
+      const out = new Map();
+      Array.from(lists[0].keys()).filter(doc => lists.every(l => l.has(doc))).forEach(doc => {
+        const hits = new Set();
+        if (node.slop === null) {
+          const sets = lists.map(l => new Set(l.get(doc)));
+          lists[0].get(doc).forEach(start => {
+            if (sets.every((set, k) => set.has(start + k))) node.terms.forEach((_, k) => hits.add(start + k));
+          });
+        } else {
+          // Smallest windows holding every word; a window counts when it spans at most `slop` words
+          const events = lists.flatMap((l, k) => l.get(doc).map(position => ({ position, k }))).sort((a, b) => a.position - b.position);
+          const counts = new Array(lists.length).fill(0);
+          let covered = 0;
+          let left = 0;
+          events.forEach((event, right) => {
+            if (counts[event.k]++ === 0) covered += 1;
+            while (covered === lists.length) {
+              if (event.position - events[left].position <= node.slop) events.slice(left, right + 1).forEach(e => hits.add(e.position));
+              if (--counts[events[left].k] === 0) covered -= 1;
+              left += 1;
+            }
+          });
+        }
+        if (hits.size) out.set(doc, hits);
+      });
+      return out;
+    }
+    case 'and': {
+      const results = node.nodes.map(n => evaluate(n, index, docs));
+      const out = new Map();
+      Array.from(results[0].keys()).filter(doc => results.every(r => r.has(doc))).forEach(doc => {
+        out.set(doc, new Set(results.flatMap(r => Array.from(r.get(doc)))));
+      });
+      return out;
+    }
+    case 'or': {
+      const out = new Map();
+      node.nodes.map(n => evaluate(n, index, docs)).forEach(result => result.forEach((positions, doc) => {
+        out.set(doc, new Set([...(out.get(doc) || []), ...positions]));
+      }));
+      return out;
+    }
+    case 'not': {
+      const excluded = evaluate(node.node, index, docs);
+      return new Map(docs.filter(doc => !excluded.has(doc)).map(doc => [doc, new Set()]));
+    }
+    default:
+      throw new Error(`Unknown query node: ${node.type}`);
+  }
+}
+
+/**
+ * Keyword-in-context snippets for the matched word positions of a message: each match with `context`
+ * words on either side, nearby matches merged, in subject-then-body order. Without matched positions
+ * (a NOT-only query) the opening words of the body are returned.
+ * @param {object} message
+ * @param {Iterable<number>} positions - from searchMessages
+ * @param {{ context?: number, maxSnippets?: number, mark?: (word: string) => string }} [options]
+ *   mark: how matched words are shown (default **word**)
+ * @returns {Array<{ field: 'subject'|'body', text: string }>}
+ */
+function keywordsInContext(message, positions, options = {}) {
+  const context = options.context === undefined ? 8 : options.context;
+  const mark = options.mark || (word => `**${word}**`);
+  const matched = new Set(positions);
+  const snippets = [];
+  ['subject', 'body'].forEach(field => {
+    const text = String(message[field] || '');
+    const words = messageTokens(message).filter(t => t.field === field);
+    const windows = [];
+    words.forEach((w, i) => {
+      if (!matched.has(w.position)) return;
+      const from = Math.max(0, i - context);
+      const to = Math.min(words.length - 1, i + context);
+      const last = windows[windows.length - 1];
+      if (last && from <= last.to + 1) last.to = to;
+      else windows.push({ from, to });
+    });
+    // A message found only through NOT has no matched words: show its opening words instead
+    if (field === 'body' && !matched.size && words.length) windows.push({ from: 0, to: Math.min(words.length - 1, context * 2) });
+    windows.forEach(({ from, to }) => {
+      let out = '';
+      let cursor = words[from].start;
+      for (let i = from; i <= to; i++) {
+        // Consecutive matched words (a phrase) are marked as one
+        let j = i;
+        if (matched.has(words[i].position)) {
+          while (j < to && matched.has(words[j + 1].position) && !text.slice(words[j].end, words[j + 1].start).trim()) j += 1;
+        }
+        const chunk = text.slice(words[i].start, words[j].end);
+        out += text.slice(cursor, words[i].start) + (matched.has(words[i].position) ? mark(chunk) : chunk);
+        cursor = words[j].end;
+        i = j;
+      }
+      const prefix = from > 0 ? '…' : '';
+      // Keep the closing punctuation at the end of the text; elsewhere mark the cut
+      const suffix = to < words.length - 1 ? '…' : text.slice(cursor).trimEnd();
+      snippets.push({ field, text: `${prefix}${out.replace(/\s+/g, ' ').trim()}${suffix}` });
+    });
+  });
+  return snippets.slice(0, options.maxSnippets === undefined ? 3 : options.maxSnippets);
+}
+
+/**
+ * Messages matching a query and filters, with the matched positions; chronological unless
+ * `sort` is 'relevance' (most matched words first).
+ * @param {Array<object>} messages - normalized messages, in the order the index was built from
+ * @param {ReturnType<typeof buildSearchIndex>} index
+ * @param {string|object} query - query text (see parseQuery) or a parsed tree
+ * @param {{ senders?: Array<string>, start?: Date, end?: Date, threadIds?: Array<string|number>,
+ *   toneMin?: number, toneMax?: number, flags?: Array<string>, sort?: 'date'|'relevance' }} [filters]
+ *   end is inclusive of the whole day; a message matches a list filter when it matches any entry;
+ *   messages without a valid sent date are left out
+ * @returns {Array<{ message: object, positions: Array<number>, score: number }>}
+ */
+function searchMessages(messages, index, query, filters = {}) {
+  const lower = (list) => (list || []).map(s => String(s).trim().toLowerCase()).filter(Boolean);
+  const senders = lower(filters.senders);
+  const flags = lower(filters.flags);
+  const threadIds = new Set((filters.threadIds || []).map(String));
+  const endExclusive = filters.end
+    ? new Date(filters.end.getFullYear(), filters.end.getMonth(), filters.end.getDate() + 1)
+    : null;
+  const keep = (m) => m && !m._nonMessage && m.sentDate instanceof Date && !Number.isNaN(m.sentDate.getTime())
+    && (!senders.length || senders.includes(String(m.sender || '').trim().toLowerCase()))
+    && (!filters.start || m.sentDate >= filters.start)
+    && (!endExclusive || m.sentDate < endExclusive)
+    && (!threadIds.size || threadIds.has(String(m.threadId)))
+    && (filters.toneMin === undefined || (typeof m.tone === 'number' && m.tone >= filters.toneMin))
+    && (filters.toneMax === undefined || (typeof m.tone === 'number' && m.tone <= filters.toneMax))
+    && (!flags.length || messageFlags(m).some(f => flags.includes(f.toLowerCase())));
+
+  const docs = messages.map((m, doc) => doc).filter(doc => keep(messages[doc]));
+  const tree = typeof query === 'string' ? parseQuery(query) : query;
+  const allowed = new Set(docs);
+  const results = Array.from(evaluate(tree, index, docs))
+    .filter(([doc]) => allowed.has(doc))
+    .map(([doc, positions]) => ({ message: messages[doc], positions: Array.from(positions).sort((a, b) => a - b), score: positions.size }));
+  const byDate = (a, b) => a.message.sentDate - b.message.sentDate;
+  return results.sort(filters.sort === 'relevance' ? (a, b) => b.score - a.score || byDate(a, b) : byDate);
+}
+
+module.exports = {
+  tokenize,
+  buildSearchIndex,
+  loadSearchIndex,
+  parseQuery,
+  keywordsInContext,
+  searchMessages,
+};
@@ -0,0 +1,94 @@
+const { scoreTone } = require('./tone');
+
+// A sentence at or below this tone_v2 score is flagged: one clearly negative word ("disappointed",
+// "not happy") is enough, a mild one ("sorry I was late") is not
+const NEGATIVE_SENTENCE_THRESHOLD = -0.3;
+
+// Words ending in "." that do not end a sentence ("Dr. Lee", "5 p.m. pickup")
+const ABBREVIATIONS = new Set(['mr', 'mrs', 'ms', 'dr', 'st', 'jr', 'sr', 'vs', 'etc', 'e.g', 'i.e', 'a.m', 'p.m', 'approx', 'appt', 'dept', 'no']);
+
+function isAbbreviation(text, dotIndex) {
+  const match = /([A-Za-z.]+)$/.exec(text.slice(Math.max(0, dotIndex - 12), dotIndex));
+  return Boolean(match) && ABBREVIATIONS.has(match[1].toLowerCase());
+}
+
+/**
+ * Split a message body into sentences. A sentence ends at ".", "!" or "?" (runs such as "?!" and a
+ * closing quote or bracket included) followed by whitespace or the end, and at each line break.
+ * Common abbreviations and decimals ("5.30") do not end a sentence. Request detection and expense
+ * claims split with this too, so every stage sees the same sentences.
+ * @param {string} text
+ * @returns {Array<{ text: string, start: number, end: number }>} trimmed sentences with their
+ *   character offsets in `text` (end exclusive)
+ */
+function splitSentences(text) {
+  const body = String(text || '');
+  const sentences = [];
+  let start = 0;
+  const push = (end) => {
+    const piece = body.slice(start, end);
+    const trimmed = piece.trim();
+    if (!trimmed) return;
+    const from = start + piece.length - piece.trimStart().length;
+    sentences.push({ text: trimmed, start: from, end: from + trimmed.length });
+  };
+  const boundary = /[.!?]+["'”’)\]]*(?=\s|$)|\n/g;
+  let match;
+  while ((match = boundary.exec(body))) {
+    if (/^\.["'”’)\]]*$/.test(match[0]) && isAbbreviation(body, match.index)) continue;
+    const end = match.index + match[0].length;
+    push(end);
+    start = end;
+  }
+  push(body.length);
+  return sentences;
+}
+
+/**
+ * Score each sentence of a message body with tone_v2 (utils/ofw/tone.js), so one hostile sentence
+ * inside a long polite message is not averaged away. Capitals are judged across the whole message
+ * (a shouted sentence still counts as shouting) and curt replies only when the message is a single
+ * sentence.
+ * @param {string} text
+ * @param {{ threshold?: number }} [options] - flag sentences scoring at or below this (default NEGATIVE_SENTENCE_THRESHOLD)
+ * @returns {{ sentences: Array<{ text: string, start: number, end: number, score: number }>, flagged: Array<{ text: string, start: number, end: number, score: number }>, mostNegative: { text: string, start: number, end: number, score: number }|null }}
+ *   mostNegative is the lowest-scoring sentence, or null when no sentence scores below 0
+ */
+function scoreSentences(text, options = {}) {
+  const threshold = typeof options.threshold === 'number' ? options.threshold : NEGATIVE_SENTENCE_THRESHOLD;
+  const body = String(text || '');
+  const letters = body.replace(/[^A-Za-z]/g, '');
+  const allCaps = letters.length > 0 && letters === letters.toUpperCase();
+  const split = splitSentences(body);
+  const sentences = split.map(s => ({ ...s, score: scoreTone(s.text, { allCaps, curt: split.length === 1 }).score }));
+  const lowest = sentences.reduce((min, s) => (!min || s.score < min.score ? s : min), null);
+  return {
+    sentences,
+    flagged: sentences.filter(s => s.score <= threshold),
+    mostNegative: lowest && lowest.score < 0 ? lowest : null,
+  };
+}
+
+/**
+ * Wrap the given character ranges of a text with `mark`, leaving the rest as is.
+ * @param {string} text
+ * @param {Array<{ start: number, end: number }>} spans - non-overlapping ranges (e.g. flagged_sentences)
+ * @param {(segment: string) => string} [mark] - default wraps in Markdown bold
+ * @returns {string}
+ */
+function highlightSentences(text, spans, mark = (segment) => `**${segment}**`) {
+  const body = String(text || '');
+  let out = '';
+  let cursor = 0;
+  (spans || [])
+    .filter(s => Number.isInteger(s.start) && Number.isInteger(s.end) && s.start < s.end && s.end <= body.length)
+    .sort((a, b) => a.start - b.start)
+    .forEach(({ start, end }) => {
+      if (start < cursor) return;
+      out += body.slice(cursor, start) + mark(body.slice(start, end));
+      cursor = end;
+    });
+  return out + body.slice(cursor);
+}
+
+module.exports = { NEGATIVE_SENTENCE_THRESHOLD, splitSentences, scoreSentences, highlightSentences };
@@ -16,6 +16,9 @@ const defaultStats = {
 
 /**
  * Accumulate weekly and total statistics from parsed messages.
+ * Messages annotated with `custody` also add per-context counts under `custody`.
+ * Accepts messages from any source adapted by utils/messages/schema.js (missing word counts,
+ * scores or recipients count as zero/none; dates may be strings from JSON).
  * @param {Array<object>} messages
  * @returns {{ totals: Record<string, any>, weekly: Record<string, Record<string, any>> }}
  */
@@ -38,7 +41,8 @@ function accumulateStats(messages) {
     if (message && (message._nonMessage || !message.sentDate || !message.sender)) {
       return;
     }
-    const weekString = getWeekString(message.sentDate);
+    const sentDate = message.sentDate instanceof Date ? message.sentDate : new Date(message.sentDate);
+    const weekString = getWeekString(sentDate);
     const sender = message.sender || 'Unknown';
     // Ensure week thread map exists
     if (!weeklyThreadCounts[weekString]) weeklyThreadCounts[weekString] = new Map();
@@ -59,26 +63,30 @@ function accumulateStats(messages) {
     }
 
     totals[sender].messagesSent++;
-    totals[sender].totalWords += message.wordCount;
-    totals[sender].sentiment += message.sentiment;
-    totals[sender].sentiment_natural += message.sentiment_natural;
+    totals[sender].totalWords += Number(message.wordCount) || 0;
+    totals[sender].sentiment += Number(message.sentiment) || 0;
+    totals[sender].sentiment_natural += Number(message.sentiment_natural) || 0;
     if (Number.isFinite(message.sentiment_per_word)) totals[sender].sentiment_per_word += message.sentiment_per_word;
     if (Number.isFinite(message.natural_per_word)) totals[sender].natural_per_word += message.natural_per_word;
     if (Number.isFinite(message.tone)) totals[sender].toneTotal += message.tone;
 
     stats[weekString][sender].messagesSent++;
-    stats[weekString][sender].totalWords += message.wordCount;
-    stats[weekString][sender].sentiment += message.sentiment;
-    stats[weekString][sender].sentiment_natural += message.sentiment_natural;
+    stats[weekString][sender].totalWords += Number(message.wordCount) || 0;
+    stats[weekString][sender].sentiment += Number(message.sentiment) || 0;
+    stats[weekString][sender].sentiment_natural += Number(message.sentiment_natural) || 0;
     if (Number.isFinite(message.sentiment_per_word)) stats[weekString][sender].sentiment_per_word += message.sentiment_per_word;
     if (Number.isFinite(message.natural_per_word)) stats[weekString][sender].natural_per_word += message.natural_per_word;
     if (Number.isFinite(message.tone)) stats[weekString][sender].toneTotal += message.tone;
+    if (message.custody) {
+      addCustodyContext(totals[sender], message);
+      addCustodyContext(stats[weekString][sender], message);
+    }
 
-    for (const [recipient, firstViewed] of Object.entries(message.recipientReadTimes)) {
+    for (const [recipient, firstViewed] of Object.entries(message.recipientReadTimes || {})) {
       if (firstViewed !== 'Never') {
         const firstViewedDate = new Date(firstViewed);
         // Convert to hours at accumulation time (was minutes previously)
-        const readTime = (firstViewedDate - message.sentDate) / 3600000;
+        const readTime = (firstViewedDate - sentDate) / 3600000;
 
         if (!totals[recipient]) {
           totals[recipient] = {
@@ -155,6 +163,15 @@ function accumulateStats(messages) {
   return { totals, weekly: stats, threadStats };
 }
 
+// Per custody context (see utils/ofw/custody.js) counts and tone totals for annotated messages
+function addCustodyContext(personStats, message) {
+  if (!personStats.custody) personStats.custody = {};
+  const key = message.custody.context;
+  const c = personStats.custody[key] || (personStats.custody[key] = { messagesSent: 0, toneTotal: 0 });
+  c.messagesSent++;
+  if (Number.isFinite(message.tone)) c.toneTotal += message.tone;
+}
+
 // Compute tone as weekly/total average of per-message tone (computed in metrics)
 function computeTone(personStats) {
   if (!personStats || typeof personStats !== 'object') return 0;
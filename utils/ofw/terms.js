@@ -0,0 +1,262 @@
+// Term frequency trends: how often configured words, phrases (n-grams) and regex patterns appear in
+// each sender's messages per week or month, and which terms rose or fell most between two periods
+
+const { getWeekString, toISODate, parseWeekLabelToStartEnd } = require('../date');
+const { tokenize } = require('./search');
+
+// Escalation language counted when no terms are configured; the child's name has to come from config
+const DEFAULT_TERMS = [
+  { label: 'Lawyer', terms: ['lawyer', 'lawyers', 'attorney', 'attorneys'] },
+  { label: 'Court', terms: ['court', 'judge', 'contempt'] },
+  { label: 'Police', terms: ['police', 'cops', '911'] },
+  'never',
+  'always',
+  'your fault',
+];
+
+// Left out of discovered words and word pairs (see discoverTerms)
+const STOPWORDS = new Set(("a about after again all also am an and any are as at be because been before being but by can could did do does don't for from had has have he her here him his how i i'm if in into is it it's its just let me more my no not now of on or our out over re she so some than that that's the their them then there they this to too up us was we were what when where which who will with would you you're your").split(' '));
+
+/**
+ * Terms to count, from config entries:
+ * - "word", "word*" (words starting with "word") or "two or more words" (an n-gram: the words in
+ *   order, any punctuation between them), matched in the message body ignoring case
+ * - { "label": "Child", "terms": ["Emma", "Em"] }: several of those counted as one term
+ * - { "label": "Police", "pattern": "\\bcall(ing)? the (police|cops)\\b" }: a regular expression,
+ *   case-insensitive, counting every match
+ * @param {Array<string|object>} [entries] - default DEFAULT_TERMS
+ * @returns {Array<{ key: string, label: string, words: Array<Array<{ term: string, prefix: boolean }>>, pattern: RegExp|null }>}
+ */
+function resolveTerms(entries = DEFAULT_TERMS) {
+  if (!Array.isArray(entries)) throw new Error('Terms must be an array');
+  const seen = new Set();
+  return entries.map((entry, i) => {
+    const spec = typeof entry === 'string' ? { terms: [entry] } : entry;
+    if (!spec || typeof spec !== 'object') throw new Error(`Term ${i + 1} must be a string or an object`);
+    const label = String(spec.label || (spec.terms && spec.terms[0]) || spec.pattern || '').trim();
+    if (!label) throw new Error(`Term ${i + 1} needs a label, terms or a pattern`);
+    if (seen.has(label.toLowerCase())) throw new Error(`Term "${label}" is listed twice`);
+    seen.add(label.toLowerCase());
+    let pattern = null;
+    if (spec.pattern !== undefined) {
+      try {
+        pattern = new RegExp(spec.pattern, 'giu');
+      } catch (e) {
+        throw new Error(`Term "${label}" has an invalid pattern: ${e.message}`);
+      }
+    }
+    if (spec.terms !== undefined && !Array.isArray(spec.terms)) throw new Error(`Term "${label}" terms must be an array`);
+    const words = (spec.terms || []).map(t => {
+      const text = String(t).trim();
+      const tokens = tokenize(text).map(w => w.term);
+      if (!tokens.length) throw new Error(`Term "${label}" has nothing to count in "${text}"`);
+      return tokens.map((term, k) => ({ term, prefix: k === tokens.length - 1 && text.endsWith('*') }));
+    });
+    if (!words.length && !pattern) throw new Error(`Term "${label}" needs terms or a pattern`);
+    return { key: label.toLowerCase(), label, words, pattern };
+  });
+}
+
+/**
+ * Occurrences of each term in a text.
+ * @param {string} text
+ * @param {ReturnType<typeof resolveTerms>} terms
+ * @returns {Record<string, number>} by term key; terms that do not occur are left out
+ */
+function countTerms(text, terms) {
+  const tokens = tokenize(text).map(t => t.term);
+  const at = new Map();
+  tokens.forEach((token, i) => {
+    if (!at.has(token)) at.set(token, []);
+    at.get(token).push(i);
+  });
+  const matches = (word, token) => token !== undefined && (word.prefix ? token.startsWith(word.term) : token === word.term);
+  const counts = {};
+  terms.forEach(t => {
+    let n = 0;
+    t.words.forEach(words => {
+      // Only positions where the first word occurs can start a match, unless it is a prefix
+      const starts = words[0].prefix ? tokens.map((_, i) => i) : (at.get(words[0].term) || []);
+      starts.forEach(i => {
+        if (words.every((w, k) => matches(w, tokens[i + k]))) n += 1;
+      });
+    });
+    if (t.pattern) n += Array.from(String(text || '').matchAll(t.pattern)).length;
+    if (n) counts[t.key] = n;
+  });
+  return counts;
+}
+
+// Week ("Mar 02 - Mar 08, 2025", as in the weekly stats) or month ("Mar 2025") of a date, with its first and last day
+function periodOf(date, period) {
+  if (period === 'month') {
+    const start = new Date(date.getFullYear(), date.getMonth(), 1);
+    const end = new Date(date.getFullYear(), date.getMonth() + 1, 0);
+    return { label: start.toLocaleString('en-US', { month: 'short', year: 'numeric' }), start: toISODate(start), end: toISODate(end) };
+  }
+  const label = getWeekString(date);
+  const { startISO, endISO } = parseWeekLabelToStartEnd(label);
+  return { label, start: startISO, end: endISO };
+}
+
+function datedMessages(messages, senders) {
+  const wanted = (senders || []).map(s => String(s).trim().toLowerCase()).filter(Boolean);
+  return (messages || [])
+    .filter(m => m && !m._nonMessage && m.sender && m.sentDate instanceof Date && !Number.isNaN(m.sentDate.getTime()))
+    .filter(m => !wanted.length || wanted.includes(String(m.sender).trim().toLowerCase()))
+    .sort((a, b) => a.sentDate - b.sentDate);
+}
+
+/**
+ * Term counts per sender and week (or month), with the number of messages each sender sent then so
+ * counts can be compared across busy and quiet periods. Periods with no messages are included, so
+ * trends have no gaps.
+ * @param {Array<object>} messages - normalized messages
+ * @param {{ terms?: ReturnType<typeof resolveTerms>, period?: 'week'|'month', senders?: Array<string> }} [options]
+ * @returns {{
+ *   terms: Array<{ key: string, label: string }>,
+ *   period: 'week'|'month',
+ *   periods: Array<{ label: string, start: string, end: string }>,
+ *   senders: Array<string>,
+ *   counts: Record<string, Record<string, { messages: number, terms: Record<string, number> }>>,
+ * }} counts keyed by period label, then sender; periods chronological, senders by name
+ */
+function summarizeTermTrends(messages, options = {}) {
+  const terms = options.terms || resolveTerms();
+  const period = options.period === 'month' ? 'month' : 'week';
+  const valid = datedMessages(messages, options.senders);
+  const senders = Array.from(new Set(valid.map(m => String(m.sender).trim()))).sort((a, b) => a.localeCompare(b));
+  const periods = [];
+  if (valid.length) {
+    const first = valid[0].sentDate;
+    const lastLabel = periodOf(valid[valid.length - 1].sentDate, period).label;
+    const step = new Date(first.getFullYear(), first.getMonth(), period === 'month' ? 1 : first.getDate());
+    for (;;) {
+      const p = periodOf(step, period);
+      periods.push(p);
+      if (p.label === lastLabel) break;
+      if (period === 'month') step.setMonth(step.getMonth() + 1);
+      else step.setDate(step.getDate() + 7);
+    }
+  }
+  const counts = Object.fromEntries(periods.map(p => [p.label, Object.fromEntries(senders.map(s => [s, { messages: 0, terms: {} }]))]));
+  valid.forEach(m => {
+    const bucket = counts[periodOf(m.sentDate, period).label][String(m.sender).trim()];
+    bucket.messages += 1;
+    Object.entries(countTerms(m.body, terms)).forEach(([key, n]) => {
+      bucket.terms[key] = (bucket.terms[key] || 0) + n;
+    });
+  });
+  return { terms: terms.map(({ key, label }) => ({ key, label })), period, periods, senders, counts };
+}
+
+/**
+ * Words and two-word phrases used at least `minCount` times, to compare alongside the configured
+ * terms. Stopwords and numbers are left out, and phrases that start or end with a stopword.
+ * @param {Array<object>} messages
+ * @param {{ minCount?: number, senders?: Array<string> }} [options]
+ * @returns {ReturnType<typeof resolveTerms>}
+ */
+function discoverTerms(messages, options = {}) {
+  const minCount = options.minCount || 3;
+  const counts = new Map();
+  const useful = (w) => !STOPWORDS.has(w) && !/^\d+$/.test(w) && w.length > 1;
+  datedMessages(messages, options.senders).forEach(m => {
+    const words = tokenize(m.body).map(t => t.term);
+    words.forEach((w, i) => {
+      if (useful(w)) counts.set(w, (counts.get(w) || 0) + 1);
+      const next = words[i + 1];
+      if (next && useful(w) && useful(next)) counts.set(`${w} ${next}`, (counts.get(`${w} ${next}`) || 0) + 1);
+    });
+  });
+  return Array.from(counts.entries())
+    .filter(([, n]) => n >= minCount)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([text]) => ({ key: text, label: text, words: [text.split(' ').map(term => ({ term, prefix: false }))], pattern: null }));
+}
+
+/**
+ * Change in how often each term is used between two date ranges, per 100 messages sent in each, so
+ * a busier period does not look like escalation by itself. Sorted into the terms that rose most and
+ * fell most.
+ * @param {Array<object>} messages
+ * @param {{ terms?: ReturnType<typeof resolveTerms>, before?: { start: Date, end: Date }, after?: { start: Date, end: Date },
+ *   senders?: Array<string>, top?: number }} [options] - ranges include the whole end day; without
+ *   both, the days from the first message to the last are split in half
+ * @returns {{
+ *   before: { start: string, end: string, messages: number },
+ *   after: { start: string, end: string, messages: number },
+ *   rising: Array<ReturnType<typeof termChange>>,
+ *   falling: Array<ReturnType<typeof termChange>>,
+ * }} up to `top` (default 10) terms each, with their change per sender
+ */
+function compareTermPeriods(messages, options = {}) {
+  const terms = options.terms || resolveTerms();
+  const valid = datedMessages(messages, options.senders);
+  const ranges = options.before && options.after ? options : splitRange(valid);
+  const inRange = (range) => {
+    const endExclusive = new Date(range.end.getFullYear(), range.end.getMonth(), range.end.getDate() + 1);
+    return valid.filter(m => m.sentDate >= range.start && m.sentDate < endExclusive);
+  };
+  const tally = (list) => {
+    const bySender = {};
+    list.forEach(m => {
+      const sender = String(m.sender).trim();
+      const b = bySender[sender] || (bySender[sender] = { messages: 0, terms: {} });
+      b.messages += 1;
+      Object.entries(countTerms(m.body, terms)).forEach(([key, n]) => { b.terms[key] = (b.terms[key] || 0) + n; });
+    });
+    return bySender;
+  };
+  const beforeList = inRange(ranges.before);
+  const afterList = inRange(ranges.after);
+  const before = tally(beforeList);
+  const after = tally(afterList);
+  const senders = Array.from(new Set(Object.keys(before).concat(Object.keys(after)))).sort((a, b) => a.localeCompare(b));
+  const sum = (bySender, key) => Object.values(bySender).reduce((n, b) => n + (b.terms[key] || 0), 0);
+
+  const changes = terms.map(t => termChange(t, sum(before, t.key), beforeList.length, sum(after, t.key), afterList.length, Object.fromEntries(senders.map(s => {
+    const b = before[s] || { messages: 0, terms: {} };
+    const a = after[s] || { messages: 0, terms: {} };
+    return [s, termChange(t, b.terms[t.key] || 0, b.messages, a.terms[t.key] || 0, a.messages)];
+  }))));
+  const top = options.top || 10;
+  const range = (r, list) => ({ start: toISODate(r.start), end: toISODate(r.end), messages: list.length });
+  return {
+    before: range(ranges.before, beforeList),
+    after: range(ranges.after, afterList),
+    rising: changes.filter(c => c.change > 0).sort((a, b) => b.change - a.change || a.label.localeCompare(b.label)).slice(0, top),
+    falling: changes.filter(c => c.change < 0).sort((a, b) => a.change - b.change || a.label.localeCompare(b.label)).slice(0, top),
+  };
+}
+
+// First and second half of the days the messages span (the middle day goes to the first half)
+function splitRange(valid) {
+  const day = (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  const first = valid.length ? day(valid[0].sentDate) : day(new Date());
+  const last = valid.length ? day(valid[valid.length - 1].sentDate) : first;
+  const days = Math.round((last - first) / 86400000);
+  const middle = new Date(first.getFullYear(), first.getMonth(), first.getDate() + Math.floor(days / 2));
+  const next = new Date(middle.getFullYear(), middle.getMonth(), middle.getDate() + 1);
+  return { before: { start: first, end: middle }, after: { start: next, end: last > middle ? last : next } };
+}
+
+function termChange(term, beforeCount, beforeMessages, afterCount, afterMessages, senders) {
+  const per100 = (count, total) => (total ? (count / total) * 100 : 0);
+  const beforeRate = per100(beforeCount, beforeMessages);
+  const afterRate = per100(afterCount, afterMessages);
+  const round = (v) => Number(v.toFixed(2));
+  const out = {
+    key: term.key,
+    label: term.label,
+    before: beforeCount,
+    after: afterCount,
+    beforePer100: round(beforeRate),
+    afterPer100: round(afterRate),
+    change: round(afterRate - beforeRate),
+  };
+  if (senders) out.senders = senders;
+  return out;
+}
+
+module.exports = { DEFAULT_TERMS, resolveTerms, countTerms, summarizeTermTrends, discoverTerms, compareTermPeriods };
@@ -1,6 +1,8 @@
 /**
- * Thread assignment for OFW messages.
+ * Thread assignment for OFW messages and other sources adapted by utils/messages/schema.js.
  * Strategy: subject-based normalization with participant set and safeguards for "No subject".
+ * Sources without subjects (iMessage) therefore thread by day and participants.
+ * Messages with reply headers (email Message-ID / In-Reply-To / References) thread by those instead.
  */
 
 function normalizeWhitespace(input) {
@@ -62,14 +64,54 @@ function computeThreadKey(message) {
   const subjectNorm = normalizeSubject(message && message.subject);
   const participants = getParticipants(message).join('|');
   if (subjectNorm === 'no subject') {
-    const day = yyyymmdd(message && message.sentDate);
+    const sent = message && message.sentDate;
+    const day = yyyymmdd(sent instanceof Date || !sent ? sent : new Date(sent));
     return `nosubj|${day}|${participants}`;
   }
   return `${subjectNorm}|${participants}`;
 }
 
+function messageIds(message) {
+  if (!message || typeof message !== 'object') return [];
+  return [message.messageId, message.inReplyTo, ...(Array.isArray(message.references) ? message.references : [])]
+    .filter(id => typeof id === 'string' && id);
+}
+
+/**
+ * Thread keys from reply headers: messages linked by Message-ID, In-Reply-To or References
+ * share a key even when the subject changes or the root message is missing. Messages with
+ * none of these headers are left out and fall back to computeThreadKey.
+ * @param {Array<object>} messages
+ * @returns {Map<object, string>} message -> "reply|<root message id>"
+ */
+function computeReplyThreadKeys(messages) {
+  const parent = new Map();
+  const find = (id) => {
+    let root = id;
+    while (parent.get(root) !== root) root = parent.get(root);
+    while (id !== root) {
+      const next = parent.get(id);
+      parent.set(id, root);
+      id = next;
+    }
+    return root;
+  };
+  const union = (a, b) => {
+    const ra = find(a);
+    const rb = find(b);
+    // Smaller id wins so keys do not depend on message order
+    if (ra !== rb) parent.set(ra < rb ? rb : ra, ra < rb ? ra : rb);
+  };
+
+  const withIds = (messages || []).map(m => [m, messageIds(m)]).filter(([, ids]) => ids.length);
+  withIds.forEach(([, ids]) => ids.forEach(id => { if (!parent.has(id)) parent.set(id, id); }));
+  withIds.forEach(([, ids]) => ids.slice(1).forEach(id => union(ids[0], id)));
+  return new Map(withIds.map(([m, ids]) => [m, `reply|${find(ids[0])}`]));
+}
+
 /**
  * Assign thread identifiers to messages in-place and return the same array for convenience.
+ * Reply-header threads (see computeReplyThreadKeys) are never split by inactivity.
  * Adds: message.threadId (number), message.threadKey (string), message.threadIndex (0-based order within thread)
  *
  * @param {Array<object>} messages
@@ -80,10 +122,11 @@ function assignThreads(messages, options = {}) {
   const inactivityDays = Number.isFinite(Number(options.inactivityDays)) ? Number(options.inactivityDays) : 30;
   const maxGapMs = Math.max(0, inactivityDays) * 24 * 60 * 60 * 1000;
 
+  const replyKeys = computeReplyThreadKeys(messages);
   const keyToMessages = new Map();
   messages.forEach(msg => {
     if (!msg || typeof msg !== 'object') return;
-    const key = computeThreadKey(msg);
+    const key = replyKeys.get(msg) || computeThreadKey(msg);
     if (!keyToMessages.has(key)) keyToMessages.set(key, []);
     keyToMessages.get(key).push(msg);
   });
@@ -106,7 +149,7 @@ function assignThreads(messages, options = {}) {
       const msg = list[i];
       const t = msg && msg.sentDate instanceof Date ? msg.sentDate.getTime() : new Date(msg.sentDate || 0).getTime();
       const gap = (lastTime != null && Number.isFinite(lastTime) && Number.isFinite(t)) ? (t - lastTime) : 0;
-      const shouldSplit = maxGapMs > 0 && gap > maxGapMs;
+      const shouldSplit = maxGapMs > 0 && gap > maxGapMs && !key.startsWith('reply|');
       if (i === 0 || shouldSplit) {
         // Start new segment
         if (i > 0) {
@@ -131,10 +174,23 @@ function assignThreads(messages, options = {}) {
   return messages;
 }
 
-module.exports = { normalizeSubject, assignThreads, computeThreadKey };
+/**
+ * Key for grouping messages by thread: the assigned threadId, else threadKey, else the subject.
+ * @param {object} message
+ * @returns {string}
+ */
+function threadGroupKey(message) {
+  if (message.threadId != null) return `id:${message.threadId}`;
+  if (message.threadKey) return `key:${String(message.threadKey)}`;
+  return `subj:${String(message.subject || '').toLowerCase().trim()}`;
+}
+
+module.exports = { normalizeSubject, assignThreads, computeThreadKey, computeReplyThreadKeys, threadGroupKey };
 
 /**
  * Build per-thread summaries for reporting/CSV.
+ * `topics` lists the topics of the thread's messages (utils/ofw/topics.js tagTopics), most frequent
+ * first; empty when the messages are not tagged.
  * @param {Array<object>} messages
  * @returns {Array<object>} summaries
  */
@@ -155,6 +211,7 @@ function summarizeThreads(messages) {
         toneTotal: 0,
         participants: new Set(),
         subjectCounts: new Map(),
+        topicCounts: new Map(),
       });
     }
     return byId.get(threadId);
@@ -178,6 +235,7 @@ function summarizeThreads(messages) {
     }
     const subj = String(m.subject || '').trim();
     if (subj) t.subjectCounts.set(subj, (t.subjectCounts.get(subj) || 0) + 1);
+    (Array.isArray(m.topics) ? m.topics : []).forEach(topic => t.topicCounts.set(topic, (t.topicCounts.get(topic) || 0) + 1));
   });
 
   function pickSubject(map) {
@@ -204,6 +262,8 @@ function summarizeThreads(messages) {
       totalWords: t.totalWords,
       avgSentiment: t.messagesCount ? Number((t.sentimentTotal / t.messagesCount).toFixed(2)) : 0,
       tone: t.messagesCount ? Number((t.toneTotal / t.messagesCount).toFixed(2)) : 0,
+      // Map keeps first-seen order, so equally frequent topics stay in message order
+      topics: Array.from(t.topicCounts.entries()).sort((a, b) => b[1] - a[1]).map(([topic]) => topic),
     };
   });
 
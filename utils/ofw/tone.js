@@ -0,0 +1,291 @@
+// Co-parenting tone (tone_v2): AFINN word scores (the list the `sentiment` package uses) with a
+// domain layer for legal and custody language, negation scope, intensifiers, ALL-CAPS and
+// exclamation emphasis and curt one-line replies. See computeDerivedMetrics for the original `tone`.
+
+const AFINN = require('sentiment/languages/en/labels.json');
+
+/**
+ * Domain weights on the AFINN scale (-5..5), replacing AFINN where both have a term. Entries with
+ * spaces are phrases (matched before single words, longest first); "word*" matches words starting
+ * with "word". A weight of 0 neutralizes an AFINN word that is routine in co-parenting logistics.
+ */
+const DOMAIN_LEXICON = {
+  // Cooperation
+  'not a problem': 2, 'no problem': 2, 'no worries': 2, 'not a big deal': 1.5, 'no big deal': 1.5,
+  'sounds good': 2, 'works for me': 2, 'that works': 2, 'happy to': 2, 'of course': 1.5,
+  'thank you': 2, 'i appreciate': 2, 'i understand': 1.5, 'have fun': 2, 'great job': 3,
+  'let me know': 0.5, 'no rush': 1.5, 'take your time': 1.5, 'feel better': 2,
+  sorry: 1, apologize: 1.5, flexible: 2,
+  // Logistics and custody words AFINN scores as sentiment
+  'child care': 0, childcare: 0, daycare: 0, 'child support': 0, 'spousal support': 0, free: 0,
+  sick: 0, fever: 0, ill: 0, emergency: -0.5, miss: -0.5, missed: -1, 'no school': 0, 'no practice': 0,
+  // Legal escalation
+  'see you in court': -4, 'take you to court': -4, 'back to court': -3, 'file a motion': -2.5,
+  'restraining order': -3, 'protective order': -3, 'call the police': -3, 'called the police': -3,
+  'parental alienation': -3, 'alienat*': -3, contempt: -3, unfit: -3, 'harass*': -3, 'threaten*': -3,
+  'my lawyer': -2, 'my attorney': -2, lawyer: -1.5, attorney: -1.5, court: -1, judge: -1, police: -2,
+  cps: -3, 'per the order': -1.5, 'per the court order': -2, 'court order': -1, 'violat*': -2.5,
+  'for the record': -1.5, 'documenting this': -1.5, 'document this': -1.5,
+  // Blame and dismissiveness
+  'your fault': -3, 'as usual': -2, 'once again': -1.5, 'late again': -2, 'as i said': -2, 'as i already said': -2.5,
+  "i've told you": -2, 'i have told you': -2, 'how many times': -2.5, 'not my problem': -3, 'your problem': -2.5,
+  whatever: -2, ridiculous: -2.5, unacceptable: -2.5, irresponsible: -3, 'you always': -2, 'you never': -2,
+};
+
+// Words that flip (and damp) scored words later in the same clause
+const NEGATORS = new Set(["not", "no", "never", "none", "nothing", "neither", "nor", "without", "hardly", "cannot", "can't", "cant", "won't", "wont", "don't", "dont", "doesn't", "doesnt", "didn't", "didnt", "isn't", "isnt", "aren't", "arent", "wasn't", "wasnt", "weren't", "shouldn't", "wouldn't", "couldn't", "haven't", "hasn't", "hadn't", "ain't"]);
+const NEGATION_SCOPE = 3; // words after a negator it reaches
+const NEGATION_FACTOR = -0.5;
+
+const INTENSIFIERS = { very: 1.3, really: 1.3, so: 1.2, extremely: 1.5, totally: 1.3, absolutely: 1.4, completely: 1.4, incredibly: 1.5, truly: 1.2, super: 1.3, especially: 1.2 };
+const DIMINISHERS = { slightly: 0.6, somewhat: 0.7, 'a bit': 0.7, 'a little': 0.7, 'kind of': 0.7, 'sort of': 0.7, barely: 0.5 };
+
+const CAPS_FACTOR = 1.5;
+const SHOUT_WEIGHT = -0.5; // each ALL-CAPS word of 3+ letters without a score of its own
+const SHOUT_LIMIT = -2;
+const EXCLAMATION_STEP = 0.2; // per "!" ending the clause, up to three
+// Capitalized abbreviations that are not shouting
+const ACRONYMS = new Set(['OFW', 'ASAP', 'USA', 'DMV', 'SSN', 'IEP', 'ADHD', 'CPS', 'DDS', 'ENT', 'MRI', 'PTA', 'ETA', 'FYI', 'EST', 'PST', 'CST', 'MST', 'PDT', 'EDT']);
+
+// One-line replies that read as curt in a co-parenting thread ("Fine.", "K", "Noted.")
+const CURT_REPLIES = new Set(['ok', 'okay', 'k', 'kk', 'fine', 'whatever', 'noted', 'sure', 'yes', 'no', 'received', 'got it', 'ok fine', 'fine whatever', 'understood', 'if you say so', 'as you wish']);
+const CURT_WEIGHT = -1.5;
+
+const NORMALIZE_ALPHA = 15; // raw / sqrt(raw² + alpha), as in VADER
+
+// Lexicon entries as token sequences, longest first
+function compileLexicon(lexicon) {
+  return Object.entries(lexicon)
+    .map(([entry, weight]) => {
+      const words = entry.toLowerCase().split(/\s+/).filter(Boolean);
+      const prefix = words[words.length - 1].endsWith('*');
+      if (prefix) words[words.length - 1] = words[words.length - 1].slice(0, -1);
+      return { entry, words, prefix, weight: Number(weight) };
+    })
+    .sort((a, b) => b.words.length - a.words.length);
+}
+
+const COMPILED_DOMAIN = compileLexicon(DOMAIN_LEXICON);
+
+// Words with their original text, clause and sentence: clauses end at , . ! ? ; : and new lines
+// (negation, modifiers and phrases stay within one), sentences at . ! ? and new lines
+function tokenizeClauses(text) {
+  const tokens = [];
+  const re = /([A-Za-z0-9]+(?:['’][A-Za-z]+)*)|([,;:]+)|([.!?\n]+)/g;
+  let sentence = { exclamations: 0 };
+  let clause = {};
+  let match;
+  while ((match = re.exec(text))) {
+    if (match[1]) {
+      tokens.push({ raw: match[1], word: match[1].toLowerCase().replace(/’/g, "'"), clause, sentence });
+    } else if (match[2]) {
+      clause = {};
+    } else {
+      sentence.exclamations = (match[3].match(/!/g) || []).length;
+      sentence = { exclamations: 0 };
+      clause = {};
+    }
+  }
+  return tokens;
+}
+
+function matchAt(tokens, i, entry) {
+  if (i + entry.words.length > tokens.length) return false;
+  return entry.words.every((w, k) => {
+    const t = tokens[i + k];
+    if (t.clause !== tokens[i].clause) return false;
+    return entry.prefix && k === entry.words.length - 1 ? t.word.startsWith(w) : t.word === w;
+  });
+}
+
+// Intensifier or diminisher ("very", "a bit") ending right before position i in the same clause
+function modifierBefore(tokens, i) {
+  const one = tokens[i - 1];
+  if (!one || one.clause !== tokens[i].clause) return null;
+  if (INTENSIFIERS[one.word]) return { text: one.word, factor: INTENSIFIERS[one.word], note: 'intensified' };
+  if (DIMINISHERS[one.word]) return { text: one.word, factor: DIMINISHERS[one.word], note: 'softened' };
+  const two = tokens[i - 2];
+  const pair = two && two.clause === one.clause ? `${two.word} ${one.word}` : '';
+  return DIMINISHERS[pair] ? { text: pair, factor: DIMINISHERS[pair], note: 'softened' } : null;
+}
+
+// Words of a modifier starting at i, which are not scored themselves ("super", "kind" are in AFINN)
+function modifierLength(tokens, i) {
+  const next = tokens[i + 1];
+  if (next && next.clause === tokens[i].clause && DIMINISHERS[`${tokens[i].word} ${next.word}`]) return 2;
+  return INTENSIFIERS[tokens[i].word] || DIMINISHERS[tokens[i].word] ? 1 : 0;
+}
+
+/**
+ * Score a message body for co-parenting tone.
+ * - Each scored word or phrase (DOMAIN_LEXICON first, then AFINN) counts its weight, multiplied by:
+ *   NEGATION_FACTOR when a negator is within NEGATION_SCOPE words before it in the same clause
+ *   ("not happy", "don't really appreciate"); an intensifier or diminisher right before it; CAPS_FACTOR
+ *   when written in capitals in a message that is not all capitals; and 1 + EXCLAMATION_STEP per "!"
+ *   ending its sentence.
+ * - Other ALL-CAPS words count SHOUT_WEIGHT each (down to SHOUT_LIMIT); a reply that is only a curt
+ *   word or two ("Fine.", "K") counts CURT_WEIGHT.
+ * - The sum is squashed into -1..1 the way VADER does, so a long message does not saturate.
+ * @param {string} text
+ * @param {{ allCaps?: boolean, curt?: boolean }} [options] - when scoring part of a message
+ *   (utils/ofw/sentences.js): whether the whole message is in capitals, and whether curt replies count
+ * @returns {{ score: number, raw: number, cues: Array<{ text: string, weight: number, notes: Array<string> }> }}
+ *   score rounded to 4 places; cues in text order, notes naming what changed the base weight
+ */
+function scoreTone(text, options = {}) {
+  const body = String(text || '');
+  const tokens = tokenizeClauses(body);
+  const letters = body.replace(/[^A-Za-z]/g, '');
+  const allCaps = typeof options.allCaps === 'boolean' ? options.allCaps : letters.length > 0 && letters === letters.toUpperCase();
+  const cues = [];
+  let shout = 0;
+
+  let i = 0;
+  while (i < tokens.length) {
+    const entry = COMPILED_DOMAIN.find(e => matchAt(tokens, i, e));
+    const skip = entry ? 0 : modifierLength(tokens, i);
+    if (skip) {
+      i += skip;
+      continue;
+    }
+    const length = entry ? entry.words.length : 1;
+    let weight = entry ? entry.weight : null;
+    if (!entry && Object.prototype.hasOwnProperty.call(AFINN, tokens[i].word)) weight = AFINN[tokens[i].word];
+    const raw = tokens.slice(i, i + length);
+    const isCaps = raw.every(t => t.raw.replace(/[^A-Za-z]/g, '').length >= 2 && t.raw === t.raw.toUpperCase());
+    if (weight === null) {
+      if (!allCaps && isCaps && raw[0].raw.length >= 3 && !ACRONYMS.has(raw[0].raw) && !/\d/.test(raw[0].raw)) shout += SHOUT_WEIGHT;
+      i += 1;
+      continue;
+    }
+    if (weight === 0) {
+      i += length;
+      continue;
+    }
+    const notes = [];
+    let value = weight;
+    // Phrases that carry their own negation ("not a problem", "no worries") are not negated again
+    if (!NEGATORS.has(raw[0].word)) {
+      const negated = tokens.slice(Math.max(0, i - NEGATION_SCOPE), i).some(t => t.clause === raw[0].clause && NEGATORS.has(t.word));
+      if (negated) {
+        value *= NEGATION_FACTOR;
+        notes.push('negated');
+      }
+    }
+    const modifier = modifierBefore(tokens, i);
+    if (modifier) {
+      value *= modifier.factor;
+      notes.push(`${modifier.note} (${modifier.text})`);
+    }
+    if (!allCaps && isCaps) {
+      value *= CAPS_FACTOR;
+      notes.push('capitals');
+    }
+    const bangs = Math.min(3, raw[0].sentence.exclamations);
+    if (bangs) {
+      value *= 1 + EXCLAMATION_STEP * bangs;
+      notes.push('!'.repeat(bangs));
+    }
+    cues.push({ text: raw.map(t => t.raw).join(' '), weight: Number(value.toFixed(2)), notes });
+    i += length;
+  }
+
+  const words = tokens.map(t => t.word).join(' ');
+  if (options.curt !== false && tokens.length && tokens.length <= 3 && CURT_REPLIES.has(words)) {
+    // The curt reply replaces whatever its words scored ("Fine" is +2 in AFINN)
+    cues.length = 0;
+    cues.push({ text: body.trim(), weight: CURT_WEIGHT, notes: ['curt reply'] });
+  }
+  if (shout) cues.push({ text: 'ALL-CAPS words', weight: Math.max(SHOUT_LIMIT, shout), notes: ['shouting'] });
+
+  const raw = cues.reduce((sum, c) => sum + c.weight, 0);
+  const score = raw / Math.sqrt(raw * raw + NORMALIZE_ALPHA);
+  return { score: Number(score.toFixed(4)), raw: Number(raw.toFixed(2)), cues };
+}
+
+// How a tone_v2 cue is listed in reports, e.g. "late AGAIN -3.00 (capitals)"
+function describeToneCue(cue) {
+  return `${cue.text} ${cue.weight > 0 ? '+' : ''}${cue.weight.toFixed(2)}${cue.notes.length ? ` (${cue.notes.join(', ')})` : ''}`;
+}
+
+const TONE_LABELS = ['negative', 'neutral', 'positive'];
+const NEUTRAL_BAND = 0.1; // scores within ±0.1 count as neutral when comparing labels
+
+function toneLabel(score) {
+  if (score < -NEUTRAL_BAND) return 'negative';
+  return score > NEUTRAL_BAND ? 'positive' : 'neutral';
+}
+
+function pearson(xs, ys) {
+  const n = xs.length;
+  if (n < 2) return null;
+  const mean = (v) => v.reduce((a, b) => a + b, 0) / n;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  xs.forEach((x, i) => {
+    sxy += (x - mx) * (ys[i] - my);
+    sxx += (x - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  });
+  return sxx && syy ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+/**
+ * Compare the original `tone` with `tone_v2` on the same messages: correlation, how often both give
+ * the same label (negative / neutral / positive, NEUTRAL_BAND around 0), a label confusion table,
+ * averages per sender and the messages where the two disagree most, with the cues behind tone_v2.
+ * tone_v2 is always recomputed from the body, so JSON written before it existed can be calibrated.
+ * @param {Array<object>} messages - normalized messages (with `tone`)
+ * @param {{ top?: number }} [options] - disagreements listed (default 20)
+ * @returns {{
+ *   count: number,
+ *   correlation: number|null,
+ *   meanAbsDiff: number,
+ *   agreement: number,
+ *   confusion: Record<string, Record<string, number>>,
+ *   senders: Record<string, { messages: number, tone: number, toneV2: number }>,
+ *   rows: Array<{ message: object, tone: number, toneV2: number, diff: number, label: string, labelV2: string, cues: Array<object> }>,
+ *   disagreements: Array<object>,
+ * }} confusion keyed by tone label, then tone_v2 label; rows chronological
+ */
+function calibrateTone(messages, options = {}) {
+  const time = (m) => (m.sentDate instanceof Date && !Number.isNaN(m.sentDate.getTime()) ? m.sentDate.getTime() : 0);
+  const top = options.top === undefined ? 20 : options.top;
+  const rows = (messages || [])
+    .filter(m => m && !m._nonMessage && Number.isFinite(m.tone))
+    .map(m => {
+      const { score, cues } = scoreTone(m.body);
+      return { message: m, tone: m.tone, toneV2: score, diff: Number((score - m.tone).toFixed(4)), label: toneLabel(m.tone), labelV2: toneLabel(score), cues };
+    })
+    .sort((a, b) => time(a.message) - time(b.message));
+  const confusion = Object.fromEntries(TONE_LABELS.map(a => [a, Object.fromEntries(TONE_LABELS.map(b => [b, 0]))]));
+  const senders = {};
+  rows.forEach(r => {
+    confusion[r.label][r.labelV2] += 1;
+    const name = String(r.message.sender || 'Unknown').trim();
+    const s = senders[name] || (senders[name] = { messages: 0, tone: 0, toneV2: 0 });
+    s.messages += 1;
+    s.tone += r.tone;
+    s.toneV2 += r.toneV2;
+  });
+  Object.values(senders).forEach(s => {
+    s.tone = Number((s.tone / s.messages).toFixed(4));
+    s.toneV2 = Number((s.toneV2 / s.messages).toFixed(4));
+  });
+  const correlation = pearson(rows.map(r => r.tone), rows.map(r => r.toneV2));
+  return {
+    count: rows.length,
+    correlation: correlation === null ? null : Number(correlation.toFixed(4)),
+    meanAbsDiff: rows.length ? Number((rows.reduce((n, r) => n + Math.abs(r.diff), 0) / rows.length).toFixed(4)) : 0,
+    agreement: rows.length ? Number((rows.filter(r => r.label === r.labelV2).length / rows.length).toFixed(4)) : 0,
+    confusion,
+    senders,
+    rows,
+    disagreements: rows.slice().sort((a, b) => Math.abs(b.diff) - Math.abs(a.diff)).slice(0, top),
+  };
+}
+
+module.exports = { DOMAIN_LEXICON, TONE_LABELS, scoreTone, describeToneCue, toneLabel, calibrateTone };
@@ -0,0 +1,233 @@
+// Offline topic classification for co-parenting messages: keyword and regex dictionaries over the
+// subject and body, and per-topic counts, tone and reply latency
+
+const fs = require('fs');
+const path = require('path');
+
+const { getWeekString } = require('../date');
+const { percentile, summarizeReplyLatency } = require('./latency');
+
+// Topics in precedence order (ties in the number of matches go to the earlier topic). Keywords match
+// whole words or phrases, ignoring case and punctuation; patterns are regular expressions.
+const TOPICS = [
+  {
+    key: 'medical',
+    label: 'Medical',
+    keywords: ['doctor', 'dentist', 'orthodontist', 'pediatrician', 'appointment', 'medical', 'medicine', 'medication', 'prescription', 'therapy', 'therapist', 'counselor', 'sick', 'fever', 'health', 'vaccine', 'allergy', 'urgent care', 'emergency room', 'hospital'],
+    patterns: [/\b(flu|covid|strep|ear infection)\b/i],
+  },
+  {
+    key: 'school',
+    label: 'School',
+    keywords: ['school', 'teacher', 'class', 'homework', 'report card', 'grades', 'conference', 'iep', 'tutor', 'principal', 'field trip', 'enrollment', 'registration'],
+    patterns: [/\b(kinder|pre-?school|elementary|middle school|high school)\b/i],
+  },
+  {
+    key: 'schedule',
+    label: 'Schedule/exchange',
+    keywords: ['pickup', 'pick up', 'pick-up', 'drop off', 'dropoff', 'drop-off', 'exchange', 'schedule', 'visit', 'visitation', 'weekend', 'holiday', 'custody time', 'parenting time', 'swap', 'trade', 'overnight'],
+    patterns: [/\bpick (her|him|them) up\b/i, /\b(my|your) (day|days|week|weekend)\b/i],
+  },
+  {
+    key: 'extracurricular',
+    label: 'Extracurricular',
+    keywords: ['practice', 'game', 'soccer', 'baseball', 'basketball', 'football', 'dance', 'swim', 'camp', 'lesson', 'lessons', 'recital', 'scouts', 'tournament', 'team', 'coach', 'birthday party', 'activity', 'activities'],
+    patterns: [],
+  },
+  {
+    key: 'finances',
+    label: 'Finances/reimbursement',
+    keywords: ['expense', 'expenses', 'reimburse', 'reimbursement', 'payment', 'pay', 'paid', 'owe', 'child support', 'cost', 'bill', 'receipt', 'insurance', 'tuition', 'fee', 'venmo', 'zelle', 'copay'],
+    patterns: [/\$\s?\d/],
+  },
+  {
+    key: 'travel',
+    label: 'Travel',
+    keywords: ['travel', 'trip', 'vacation', 'flight', 'passport', 'itinerary', 'hotel', 'out of state', 'out of the country', 'road trip'],
+    patterns: [],
+  },
+  {
+    key: 'legal',
+    label: 'Legal',
+    keywords: ['attorney', 'lawyer', 'court', 'judge', 'mediator', 'mediation', 'court order', 'custody order', 'motion', 'hearing', 'subpoena', 'contempt', 'declaration', 'ex parte', 'restraining order', 'police'],
+    patterns: [],
+  },
+];
+const OTHER_TOPIC = { key: 'other', label: 'Other', keywords: [], patterns: [] };
+
+/**
+ * Topic dictionary from a config object { "<key>": { label?, keywords?, patterns? } }: entries with a
+ * built-in key replace that topic's fields, new keys are added after the built-in topics.
+ * Patterns are regular expression strings (matched ignoring case).
+ * @param {Record<string, { label?: string, keywords?: Array<string>, patterns?: Array<string> }>} [config]
+ * @returns {Array<{ key: string, label: string, keywords: Array<string>, patterns: Array<RegExp> }>}
+ */
+function resolveTopics(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return TOPICS;
+  const topics = TOPICS.map(t => ({ ...t }));
+  Object.entries(config).forEach(([key, entry]) => {
+    if (!entry || typeof entry !== 'object') throw new Error(`Topic "${key}" must be an object with keywords and/or patterns`);
+    ['keywords', 'patterns'].forEach(field => {
+      if (entry[field] !== undefined && !Array.isArray(entry[field])) throw new Error(`Topic "${key}" ${field} must be an array`);
+    });
+    let patterns;
+    try {
+      patterns = entry.patterns && entry.patterns.map(p => new RegExp(p, 'i'));
+    } catch (e) {
+      throw new Error(`Topic "${key}" has an invalid pattern: ${e.message}`);
+    }
+    const existing = topics.find(t => t.key === key);
+    const topic = existing || { key, label: key, keywords: [], patterns: [] };
+    if (entry.label) topic.label = String(entry.label);
+    if (entry.keywords) topic.keywords = entry.keywords.map(k => String(k).toLowerCase().trim()).filter(Boolean);
+    if (patterns) topic.patterns = patterns;
+    if (!existing) topics.push(topic);
+  });
+  return topics;
+}
+
+const DEFAULT_TOPICS_CONFIG = path.join(__dirname, '..', '..', 'source_files', 'topics.config.json');
+
+/**
+ * Topic dictionary from a JSON file ({ "topics": { ... } } as in resolveTopics); without a path,
+ * source_files/topics.config.json (gitignored) when present, otherwise the built-in topics.
+ * @param {string} [configPath]
+ * @returns {{ topics: ReturnType<typeof resolveTopics>, configPath: string|null }}
+ */
+function loadTopics(configPath) {
+  const file = configPath || DEFAULT_TOPICS_CONFIG;
+  if (!configPath && !fs.existsSync(file)) return { topics: TOPICS, configPath: null };
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return { topics: resolveTopics(config.topics), configPath: file };
+}
+
+// Lowercase words separated by single spaces, padded so ` keyword ` matches whole words
+function keywordText(text) {
+  return ` ${String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()} `;
+}
+
+/**
+ * Topics of a message from its subject and body, most matched keywords/patterns first;
+ * ['other'] when nothing matches.
+ * @param {{ subject?: string, body?: string }} message
+ * @param {ReturnType<typeof resolveTopics>} [topics]
+ * @returns {Array<string>} topic keys
+ */
+function classifyTopics(message, topics = TOPICS) {
+  const raw = `${message.subject || ''}\n${message.body || ''}`;
+  const text = keywordText(raw);
+  const hits = topics.map((topic, order) => ({
+    key: topic.key,
+    order,
+    count: topic.keywords.filter(k => text.includes(keywordText(k))).length
+      + topic.patterns.filter(p => p.test(raw)).length,
+  })).filter(h => h.count > 0);
+  if (!hits.length) return [OTHER_TOPIC.key];
+  return hits.sort((a, b) => b.count - a.count || a.order - b.order).map(h => h.key);
+}
+
+/**
+ * Tag each message with `topics` (keys from classifyTopics) and `topicSource: 'keywords'`.
+ * Messages already labeled by Ollama (`topicSource: 'ollama'`) are left as they are.
+ * @param {Array<object>} messages
+ * @param {{ topics?: ReturnType<typeof resolveTopics> }} [options]
+ * @returns {Array<object>} the same array
+ */
+function tagTopics(messages, options = {}) {
+  (messages || []).forEach(m => {
+    if (!m || m._nonMessage || m.topicSource === 'ollama') return;
+    m.topics = classifyTopics(m, options.topics || TOPICS);
+    m.topicSource = 'keywords';
+  });
+  return messages;
+}
+
+/**
+ * Topic keys and labels in report order: the dictionary, then 'other'.
+ * @param {ReturnType<typeof resolveTopics>} [topics]
+ * @returns {Record<string, string>}
+ */
+function topicLabels(topics = TOPICS) {
+  return Object.fromEntries(topics.concat(OTHER_TOPIC).map(t => [t.key, t.label]));
+}
+
+function emptyBucket() {
+  return { messagesSent: 0, totalWords: 0, toneTotal: 0, hours: [] };
+}
+
+function finishBucket(b) {
+  return {
+    messagesSent: b.messagesSent,
+    totalWords: b.totalWords,
+    tone: b.messagesSent ? b.toneTotal / b.messagesSent : 0,
+    replies: b.hours.length,
+    medianReplyHours: percentile(b.hours, 0.5),
+  };
+}
+
+/**
+ * Messages, words, tone and reply latency per topic and sender, in total and per week.
+ * A message counts once under each of its topics. A reply (see summarizeReplyLatency) counts for the
+ * person replying under every topic of the messages it answers, in the week the oldest of them was sent.
+ * @param {Array<object>} messages - tagged messages (tagTopics); untagged ones count as 'other'
+ * @param {{ topics?: ReturnType<typeof resolveTopics>, latency?: ReturnType<typeof summarizeReplyLatency> }} [options]
+ *   latency: reuse an existing reply latency summary of the same messages
+ * @returns {{
+ *   labels: Record<string, string>,
+ *   totals: Record<string, Record<string, ReturnType<typeof finishBucket>>>,
+ *   weekly: Record<string, Record<string, Record<string, ReturnType<typeof finishBucket>>>>,
+ * }} totals keyed by topic then sender; weekly keyed by week, topic, sender. Weeks are chronological,
+ *   topics in dictionary order and senders by name
+ */
+function summarizeTopics(messages, options = {}) {
+  const labels = topicLabels(options.topics || TOPICS);
+  const valid = (messages || [])
+    .filter(m => m && !m._nonMessage && m.sender && m.sentDate instanceof Date && !Number.isNaN(m.sentDate.getTime()))
+    .sort((a, b) => a.sentDate - b.sentDate);
+  const latency = options.latency || summarizeReplyLatency(valid);
+  const topicsOf = (m) => (Array.isArray(m.topics) && m.topics.length ? m.topics : [OTHER_TOPIC.key]);
+
+  const totals = {};
+  const weeks = new Map(); // week -> { firstSent, topics: { topic -> { person -> bucket } } }
+  const bucketsFor = (topic, person, date) => {
+    const week = getWeekString(date);
+    if (!weeks.has(week)) weeks.set(week, { firstSent: date, topics: {} });
+    const w = weeks.get(week);
+    if (date < w.firstSent) w.firstSent = date;
+    const total = totals[topic] || (totals[topic] = {});
+    const weekly = w.topics[topic] || (w.topics[topic] = {});
+    return [
+      total[person] || (total[person] = emptyBucket()),
+      weekly[person] || (weekly[person] = emptyBucket()),
+    ];
+  };
+
+  valid.forEach(m => {
+    const sender = String(m.sender).trim();
+    topicsOf(m).forEach(topic => bucketsFor(topic, sender, m.sentDate).forEach(b => {
+      b.messagesSent++;
+      b.totalWords += Number(m.wordCount) || 0;
+      b.toneTotal += Number.isFinite(m.tone) ? m.tone : 0;
+    }));
+  });
+  latency.replies.forEach(reply => {
+    const topics = new Set((reply.messages || []).flatMap(topicsOf));
+    topics.forEach(topic => bucketsFor(topic, reply.person, reply.receivedAt).forEach(b => b.hours.push(reply.hours)));
+  });
+
+  const order = Object.keys(labels);
+  const sortTopics = (keys) => keys.sort((a, b) => (order.indexOf(a) === -1 ? order.length : order.indexOf(a)) - (order.indexOf(b) === -1 ? order.length : order.indexOf(b)));
+  const finishTopics = (byTopic) => Object.fromEntries(sortTopics(Object.keys(byTopic)).map(topic => [
+    topic,
+    Object.fromEntries(Object.keys(byTopic[topic]).sort((a, b) => a.localeCompare(b)).map(person => [person, finishBucket(byTopic[topic][person])])),
+  ]));
+  return {
+    labels,
+    totals: finishTopics(totals),
+    weekly: Object.fromEntries(Array.from(weeks.entries())
+      .sort(([, a], [, b]) => a.firstSent - b.firstSent)
+      .map(([week, w]) => [week, finishTopics(w.topics)])),
+  };
+}
+
+module.exports = { TOPICS, resolveTopics, loadTopics, classifyTopics, tagTopics, topicLabels, summarizeTopics };
@@ -1,7 +1,21 @@
 const { parseWeekLabelToStartEnd, toISODate } = require('../date');
+const { CUSTODY_CONTEXTS } = require('../ofw/custody');
+const { SOURCE_LABELS, describeSourceLocation } = require('../messages/schema');
+const { WEEKDAYS } = require('../ofw/reads');
+const { messageFlags } = require('../ofw/exhibit');
+const { keywordsInContext } = require('../ofw/search');
+const { describeToneCue } = require('../ofw/tone');
+const { csvCell, parseCsv } = require('../csv-parse');
 
 function formatWeeklyCsv(stats) {
-  let csvOutput = 'Week Start,Week End,Name,Messages Sent,Messages Read,Average Read Time (minutes),Total Words, Sentiment, Sentiment_natural, Tone\n';
+  // Custody-context columns only when messages were annotated (ofw.js --custody)
+  const hasCustody = Object.values(stats).some(w => Object.values(w).some(p => p && p.custody));
+  const custodyHeader = hasCustody ? CUSTODY_CONTEXTS.map(c => `,Msgs ${c.label},Tone ${c.label}`).join('') : '';
+  const custodyCells = (personStats) => CUSTODY_CONTEXTS.map(c => {
+    const ctx = (personStats.custody || {})[c.key];
+    return ctx ? `,${ctx.messagesSent},${(ctx.toneTotal / ctx.messagesSent).toFixed(2)}` : ',0,';
+  }).join('');
+  let csvOutput = `Week Start,Week End,Name,Messages Sent,Messages Read,Average Read Time (minutes),Total Words, Sentiment, Sentiment_natural, Tone${custodyHeader}\n`;
   for (const [week, weekStats] of Object.entries(stats)) {
     const { startISO, endISO } = parseWeekLabelToStartEnd(week);
     for (const [person, personStats] of Object.entries(weekStats)) {
@@ -11,7 +25,7 @@ function formatWeeklyCsv(stats) {
         ? Number(personStats.avgSentimentNatural)
         : Number(personStats.sentiment_natural);
       const naturalAvgStr = Number.isFinite(naturalAvg) ? naturalAvg.toFixed(2) : '0.00';
-      csvOutput += `${startISO ? `"${startISO}"` : ''},${endISO ? `"${endISO}"` : ''},"${person}",${personStats.messagesSent},${personStats.messagesRead},${personStats.averageReadTime.toFixed(2)},${wordCount},${personStats.avgSentiment.toFixed(2)},${naturalAvgStr},${tone}\n`;
+      csvOutput += `${startISO ? `"${startISO}"` : ''},${endISO ? `"${endISO}"` : ''},"${person}",${personStats.messagesSent},${personStats.messagesRead},${personStats.averageReadTime.toFixed(2)},${wordCount},${personStats.avgSentiment.toFixed(2)},${naturalAvgStr},${tone}${hasCustody ? custodyCells(personStats) : ''}\n`;
     }
   }
   return csvOutput;
@@ -76,18 +90,6 @@ function getGlobalTopNSenders(stats, n) {
     .map(([name]) => name);
 }
 
-function csvCell(val) {
-  if (val === null || val === undefined) return '';
-  const s = typeof val === 'string' ? val : String(val);
-  // Escape double quotes by doubling them per RFC 4180
-  const escaped = s.replace(/"/g, '""');
-  // Quote if the cell contains special characters
-  if (/[",\n\r]/.test(escaped)) {
-    return `"${escaped}"`;
-  }
-  return escaped;
-}
-
 function safeInt(val) {
   const n = Number(val);
   return Number.isFinite(n) ? Math.round(n) : 0;
@@ -103,7 +105,7 @@ module.exports.formatWeeklyTop2Csv = formatWeeklyTop2Csv;
 // Threads CSV: one row per thread with summary metrics
 function formatThreadsCsv(threadSummaries) {
   const header = [
-    'Thread ID','Thread Key','Subject','Messages','First Sent','Last Sent','Span Days','Participants','Total Words','Avg Sentiment','Tone'
+    'Thread ID','Thread Key','Subject','Messages','First Sent','Last Sent','Span Days','Participants','Total Words','Avg Sentiment','Tone','Topics'
   ].join(',');
   const rows = [header];
   const toLocalYMDHM = (val) => {
@@ -130,6 +132,7 @@ function formatThreadsCsv(threadSummaries) {
       safeInt(t.totalWords),
       safeNum(t.avgSentiment),
       safeNum(t.tone),
+      csvCell((t.topics || []).join('; ')),
     ];
     rows.push(cells.join(','));
   });
@@ -137,3 +140,580 @@ function formatThreadsCsv(threadSummaries) {
 }
 
 module.exports.formatThreadsCsv = formatThreadsCsv;
+
+// Re-exported for callers that read back what these formatters write
+module.exports.parseCsv = parseCsv;
+
+// Timeshare ledger CSV: one row per custodial hour
+function formatTimeshareLedgerCsv(ledger, parents) {
+  const names = parents || {};
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const rows = ['Date,Hour Start,Weekday,Parent,Role,Source'];
+  (ledger || []).forEach(r => {
+    const d = r.hourStart;
+    const date = toISODate(d);
+    const hour = `${String(d.getHours()).padStart(2, '0')}:00`;
+    rows.push([
+      date,
+      hour,
+      weekdays[d.getDay()],
+      csvCell(names[r.parent] || r.parent),
+      r.parent,
+      csvCell(r.source),
+    ].join(','));
+  });
+  return rows.join('\n') + '\n';
+}
+
+module.exports.formatTimeshareLedgerCsv = formatTimeshareLedgerCsv;
+
+// Compliance CSV: one row per scheduled visit, then one per makeup visit
+function formatComplianceCsv(report) {
+  const names = report.parents || {};
+  const time = (d) => `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+  const rows = ['Date,Start,End,Event,Event ID,Scheduled Parent,Status,By,Late Minutes,Made Up On,Makeup For,Notes'];
+  (report.visits || []).forEach(v => {
+    rows.push([
+      v.date,
+      time(v.start),
+      `${toISODate(v.end)} ${time(v.end)}`,
+      csvCell(v.label),
+      csvCell(v.id),
+      csvCell(names[v.parent] || v.parent),
+      v.status,
+      csvCell(v.by ? names[v.by] || v.by : ''),
+      safeInt(v.lateMinutes),
+      v.madeUpOn || '',
+      '',
+      csvCell(v.notes),
+    ].join(','));
+  });
+  (report.makeups || []).forEach(m => {
+    rows.push([m.date, '', '', 'Makeup visit', '', '', 'makeup', csvCell(m.by ? names[m.by] || m.by : ''), 0, '', m.makeupFor || '', csvCell(m.notes)].join(','));
+  });
+  return rows.join('\n') + '\n';
+}
+
+module.exports.formatComplianceCsv = formatComplianceCsv;
+
+// Monthly compliance CSV: counts and compliance percentage per month plus a total row
+function formatComplianceMonthlyCsv(report) {
+  const rows = ['Month,Scheduled,Held,Late,Substituted,Cancelled,No-show,Unlogged,Makeups,Late Minutes,Compliance %'];
+  const row = (label, t) => [label, t.scheduled, t.held, t.late, t.substituted, t.cancelled, t.missed, t.unlogged, t.makeups, t.lateMinutes, t.compliance === null ? '' : t.compliance.toFixed(2)].join(',');
+  Object.entries(report.byMonth || {}).forEach(([month, t]) => rows.push(row(month, t)));
+  if (report.totals) rows.push(row('Total', report.totals));
+  return rows.join('\n') + '\n';
+}
+
+module.exports.formatComplianceMonthlyCsv = formatComplianceMonthlyCsv;
+
+// Custody context CSV: message volume and tone per context and sender (utils/ofw/custody.js)
+function formatCustodyContextCsv(summary) {
+  const rows = ['Context,Name,Messages Sent,Total Words,Avg Sentiment,Tone'];
+  CUSTODY_CONTEXTS.forEach(c => {
+    Object.entries((summary || {})[c.key] || {}).forEach(([sender, s]) => {
+      rows.push([c.label, csvCell(sender), safeInt(s.messagesSent), safeInt(s.totalWords), safeNum(s.avgSentiment), safeNum(s.tone)].join(','));
+    });
+  });
+  return rows.join('\n') + '\n';
+}
+
+module.exports.formatCustodyContextCsv = formatCustodyContextCsv;
+
+// Timeline CSV: one row per message, chronological across channels
+function formatTimelineCsv(timeline) {
+  const time = (d) => `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+  const rows = ['Date,Time,Channel,Sender,Recipients,Subject,Body,Words,Tone,Source,Source ID,Duplicates'];
+  (timeline.entries || []).forEach(e => {
+    rows.push([
+      toISODate(e.sentDate),
+      time(e.sentDate),
+      SOURCE_LABELS[e.channel] || e.channel,
+      csvCell(e.sender),
+      csvCell(e.recipients.join('; ')),
+      csvCell(e.subject),
+      csvCell(e.body),
+      safeInt(e.wordCount),
+      safeNum(e.tone).toFixed(2),
+      csvCell(e.location),
+      csvCell(e.sourceId || ''),
+      csvCell(e.duplicateLocations.join('; ')),
+    ].join(','));
+  });
+  return rows.join('\n') + '\n';
+}
+
+module.exports.formatTimelineCsv = formatTimelineCsv;
+
+// Timeline weekly CSV: per-channel, per-person weekly stats (accumulateStats per channel)
+function formatTimelineWeeklyCsv(timeline) {
+  const rows = ['Week Start,Week End,Channel,Name,Messages Sent,Messages Read,Total Words,Tone'];
+  Object.entries(timeline.weekly || {}).forEach(([channel, weeks]) => {
+    Object.entries(weeks).forEach(([week, people]) => {
+      const { startISO, endISO } = parseWeekLabelToStartEnd(week);
+      Object.entries(people).forEach(([name, s]) => {
+        rows.push([startISO || '', endISO || '', SOURCE_LABELS[channel] || channel, csvCell(name), safeInt(s.messagesSent), safeInt(s.messagesRead), safeInt(s.totalWords), safeNum(s.tone).toFixed(2)].join(','));
+      });
+    });
+  });
+  return rows.join('\n') + '\n';
+}
+
+module.exports.formatTimelineWeeklyCsv = formatTimelineWeeklyCsv;
+
+// Export comparison CSV: messages new, changed, missing or outside the shared dates since the previous OFW export (diffExports)
+function formatExportChangesCsv(diff) {
+  const time = (d) => `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+  const valid = (d) => d instanceof Date && !Number.isNaN(d.getTime());
+  const rows = ['Status,Date,Time,Sender,Subject,Changes,Source ID,Previous Source ID'];
+  const push = (status, m, changes = '', previousId = '') => {
+    rows.push([
+      status,
+      valid(m.sentDate) ? toISODate(m.sentDate) : '',
+      valid(m.sentDate) ? time(m.sentDate) : '',
+      csvCell(m.sender),
+      csvCell(m.subject),
+      csvCell(changes),
+      csvCell(status === 'missing' || status === 'out of range' ? '' : m.sourceId || ''),
+      csvCell(previousId),
+    ].join(','));
+  };
+  (diff.added || []).forEach(m => push('new', m));
+  (diff.changed || []).forEach(c => push('changed', c.message, c.changes.join('; '), c.previous.sourceId || ''));
+  (diff.missing || []).forEach(m => push('missing', m, '', m.sourceId || ''));
+  (diff.outOfRange || []).forEach(m => push('out of range', m, '', m.sourceId || ''));
+  return rows.join('\n') + '\n';
+}
+
+module.exports.formatExportChangesCsv = formatExportChangesCsv;
+
+/**
+ * CSV of every difference between two OFW exports (see utils/ofw/diff.js compareReports), one row each:
+ * added, removed, edited (one row per field, with the old and new text), read state (one row per
+ * recipient) and numbering gaps or repeated numbers in either export.
+ * @param {ReturnType<import('../ofw/diff').compareReports>} report
+ * @returns {string}
+ */
+function formatOfwDiffCsv(report) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const valid = (d) => d instanceof Date && !Number.isNaN(d.getTime());
+  const stamp = (v) => {
+    const d = v instanceof Date ? v : new Date(v);
+    return v == null || !valid(d) ? '' : `${toISODate(d)} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+  };
+  const readValue = (v) => (v === null ? '' : v === 'Never' ? 'Never' : stamp(v));
+  const rows = ['Change,Date,Time,Sender,Subject,Detail,Before,After,Message Number,Previous Message Number,Source ID,Previous Source ID'];
+  const push = (change, { message = {}, previous = {}, detail = '', before = '', after = '', number, previousNumber } = {}) => {
+    const m = message.sentDate ? message : previous;
+    rows.push([
+      csvCell(change),
+      valid(m.sentDate) ? toISODate(m.sentDate) : '',
+      valid(m.sentDate) ? `${pad(m.sentDate.getHours())}:${pad(m.sentDate.getMinutes())}` : '',
+      csvCell(m.sender || ''),
+      csvCell(m.subject || ''),
+      csvCell(detail),
+      csvCell(before),
+      csvCell(after),
+      csvCell(number !== undefined ? number : message.messageNumber || ''),
+      csvCell(previousNumber !== undefined ? previousNumber : previous.messageNumber || ''),
+      csvCell(message.sourceId || ''),
+      csvCell(previous.sourceId || ''),
+    ].join(','));
+  };
+  (report.added || []).forEach(message => push('added', { message }));
+  (report.removed || []).forEach(previous => push('removed', { previous }));
+  (report.edited || []).forEach(({ message, previous, fields }) => fields.forEach(field => {
+    push('edited', { message, previous, detail: field, before: previous[field] || '', after: message[field] || '' });
+  }));
+  (report.readChanges || []).forEach(r => push('read state', {
+    message: r.message, previous: r.previous, detail: `${r.recipient}: ${r.change}`, before: readValue(r.before), after: readValue(r.after),
+  }));
+  ['previous', 'current'].forEach(which => {
+    const numbering = (report.numbering || {})[which];
+    if (!numbering) return;
+    const detail = `${which} export (${numbering.total} messages)`;
+    const key = which === 'current' ? 'number' : 'previousNumber';
+    numbering.gaps.forEach(g => push('numbering gap', { detail, [key]: g.from === g.to ? `${g.from}` : `${g.from}–${g.to}` }));
+    numbering.duplicates.forEach(n => push('repeated number', { detail, [key]: `${n}` }));
+  });
+  return rows.join('\n') + '\n';
+}
+
+module.exports.formatOfwDiffCsv = formatOfwDiffCsv;
+
+// Reply latency (see utils/ofw/latency.js); medians and p90 in hours, blank when there were no replies
+function latencyHours(v) {
+  return v === null || v === undefined ? '' : safeNum(v);
+}
+
+function formatReplyLatencyCsv(latency) {
+  const rows = ['Name,Received,Answered,Unanswered,Replies,Median (hours),P90 (hours)'];
+  Object.entries((latency || {}).totals || {}).forEach(([person, s]) => {
+    rows.push([csvCell(person), safeInt(s.received), safeInt(s.answered), safeInt(s.unanswered), safeInt(s.replies), latencyHours(s.medianHours), latencyHours(s.p90Hours)].join(','));
+  });
+  return rows.join('\n') + '\n';
+}
+
+module.exports.formatReplyLatencyCsv = formatReplyLatencyCsv;
+
+function formatReplyLatencyWeeklyCsv(latency) {
+  const rows = ['Week Start,Week End,Name,Received,Answered,Unanswered,Replies,Median (hours),P90 (hours),Median Change (hours)'];
+  Object.entries((latency || {}).weekly || {}).forEach(([week, people]) => {
+    const { startISO, endISO } = parseWeekLabelToStartEnd(week);
+    Object.entries(people).forEach(([person, s]) => {
+      rows.push([
+        startISO || csvCell(week),
+        endISO || '',
+        csvCell(person),
+        safeInt(s.received),
+        safeInt(s.answered),
+        safeInt(s.unanswered),
+        safeInt(s.replies),
+        latencyHours(s.medianHours),
+        latencyHours(s.p90Hours),
+        latencyHours(s.medianChangeHours),
+      ].join(','));
+    });
+  });
+  return rows.join('\n') + '\n';
+}
+
+module.exports.formatReplyLatencyWeeklyCsv = formatReplyLatencyWeeklyCsv;
+
+/**
+ * Questions and requests (see utils/ofw/requests.js) with whether each recipient answered them,
+ * one row per detected sentence and recipient.
+ * @param {ReturnType<import('../ofw/requests').findUnansweredRequests>} report
+ * @returns {string}
+ */
+function formatUnansweredRequestsCsv(report) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const stamp = (d) => (d ? `${toISODate(d)} ${pad(d.getHours())}:${pad(d.getMinutes())}` : '');
+  const rows = ['Status,Date,Time,From,To,Subject,Kind,Request,Cues,Thread,Message,Source ID,Reply Date,Hours to Reply,Reply Message'];
+  ((report || {}).requests || []).forEach(r => {
+    const m = r.message;
+    r.items.forEach(item => {
+      rows.push([
+        r.status,
+        toISODate(m.sentDate),
+        `${pad(m.sentDate.getHours())}:${pad(m.sentDate.getMinutes())}`,
+        csvCell(m.sender),
+        csvCell(r.recipient),
+        csvCell(m.subject || ''),
+        item.kind,
+        csvCell(item.text),
+        csvCell(item.cues.join('; ')),
+        m.threadId != null ? csvCell(m.threadId) : '',
+        csvCell(describeSourceLocation(m)),
+        csvCell(m.sourceId || ''),
+        r.reply ? stamp(r.reply.sentDate) : '',
+        r.hoursToReply === null ? '' : safeNum(r.hoursToReply),
+        r.reply ? csvCell(describeSourceLocation(r.reply)) : '',
+      ].join(','));
+    });
+  });
+  return rows.join('\n') + '\n';
+}
+
+module.exports.formatUnansweredRequestsCsv = formatUnansweredRequestsCsv;
+
+/**
+ * Read receipts (see utils/ofw/reads.js), one row per message and recipient: never read, read and
+ * answered in the thread, or read but never answered.
+ * @param {ReturnType<import('../ofw/reads').summarizeReadBehavior>} summary
+ * @returns {string}
+ */
+function formatReadBehaviorCsv(summary) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const rows = ['Status,Date,Time,From,To,Subject,Category,Read Date,Hours to Read,Requests,Thread,Message,Source ID'];
+  ((summary || {}).items || []).forEach(item => {
+    const m = item.message;
+    let status = 'never read';
+    if (item.readAt) status = item.answered ? 'read, answered' : 'read, not answered';
+    rows.push([
+      csvCell(status),
+      toISODate(m.sentDate),
+      `${pad(m.sentDate.getHours())}:${pad(m.sentDate.getMinutes())}`,
+      csvCell(m.sender),
+      csvCell(item.recipient),
+      csvCell(m.subject || ''),
+      csvCell(item.category),
+      item.readAt ? `${toISODate(item.readAt)} ${pad(item.readAt.getHours())}:${pad(item.readAt.getMinutes())}` : '',
+      latencyHours(item.hoursToRead),
+      safeInt(item.requests),
+      m.threadId != null ? csvCell(m.threadId) : '',
+      csvCell(describeSourceLocation(m)),
+      csvCell(m.sourceId || ''),
+    ].join(','));
+  });
+  return rows.join('\n') + '\n';
+}
+
+module.exports.formatReadBehaviorCsv = formatReadBehaviorCsv;
+
+function readBehaviorCells(s) {
+  return [safeInt(s.received), safeInt(s.read), safeInt(s.neverRead), safeNum(s.neverReadPct), safeInt(s.readNotAnswered), latencyHours(s.medianHours), latencyHours(s.p90Hours)];
+}
+
+// Read receipts broken down by send hour, send weekday and subject category per recipient
+function formatReadBehaviorBreakdownCsv(summary) {
+  const s = summary || {};
+  const rows = ['Recipient,Breakdown,Value,Received,Read,Never Read,Never Read %,Read Not Answered,Median (hours),P90 (hours)'];
+  Object.entries(s.recipients || {}).forEach(([recipient, totals]) => {
+    rows.push([csvCell(recipient), 'all', 'all', ...readBehaviorCells(totals)].join(','));
+    ((s.byHour || {})[recipient] || []).forEach((h, hour) => {
+      if (h.received) rows.push([csvCell(recipient), 'hour sent', `${String(hour).padStart(2, '0')}:00`, ...readBehaviorCells(h)].join(','));
+    });
+    ((s.byWeekday || {})[recipient] || []).forEach((d, day) => {
+      if (d.received) rows.push([csvCell(recipient), 'weekday sent', WEEKDAYS[day], ...readBehaviorCells(d)].join(','));
+    });
+    Object.entries((s.byCategory || {})[recipient] || {}).forEach(([category, c]) => {
+      rows.push([csvCell(recipient), 'subject category', csvCell(category), ...readBehaviorCells(c)].join(','));
+    });
+  });
+  return rows.join('\n') + '\n';
+}
+
+module.exports.formatReadBehaviorBreakdownCsv = formatReadBehaviorBreakdownCsv;
+
+function formatReadBehaviorWeeklyCsv(summary) {
+  const rows = ['Week Start,Week End,Recipient,Received,Read,Never Read,Never Read %,Read Not Answered,Median (hours),P90 (hours)'];
+  Object.entries((summary || {}).weekly || {}).forEach(([week, people]) => {
+    const { startISO, endISO } = parseWeekLabelToStartEnd(week);
+    Object.entries(people).forEach(([recipient, s]) => {
+      rows.push([startISO || csvCell(week), endISO || '', csvCell(recipient), ...readBehaviorCells(s)].join(','));
+    });
+  });
+  return rows.join('\n') + '\n';
+}
+
+module.exports.formatReadBehaviorWeeklyCsv = formatReadBehaviorWeeklyCsv;
+
+/**
+ * Rapid-fire clusters (see utils/ofw/clusters.js), one row per cluster in chronological order.
+ * @param {ReturnType<import('../ofw/clusters').findRapidFireClusters>} report
+ * @returns {string}
+ */
+function formatClustersCsv(report) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const stamp = (d) => `${toISODate(d)} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+  const rows = ['Cluster,Sender,Start,End,Span (minutes),Messages,Words,Avg Tone,Tone Start,Tone End,Tone Change,Trend,Score,First Message,Last Message'];
+  ((report || {}).clusters || []).forEach(c => {
+    rows.push([
+      c.id,
+      csvCell(c.sender),
+      stamp(c.start),
+      stamp(c.end),
+      safeNum(c.spanMinutes),
+      c.messages.length,
+      safeInt(c.words),
+      safeNum(c.avgTone),
+      safeNum(c.tone.start),
+      safeNum(c.tone.end),
+      safeNum(c.tone.change),
+      c.tone.trend,
+      safeNum(c.score),
+      csvCell(describeSourceLocation(c.messages[0])),
+      csvCell(describeSourceLocation(c.messages[c.messages.length - 1])),
+    ].join(','));
+  });
+  return rows.join('\n') + '\n';
+}
+
+module.exports.formatClustersCsv = formatClustersCsv;
+
+// Message frequency and clusters per sender, side by side
+function formatClusterSendersCsv(report) {
+  const rows = ['Name,Messages,Active Days,Messages per Active Day,Median Gap (minutes),Clusters,Clustered Messages,Clustered %,Largest Cluster,Avg Cluster Size,Max Score,Avg Score,Escalating Clusters'];
+  Object.entries((report || {}).senders || {}).forEach(([name, s]) => {
+    rows.push([
+      csvCell(name),
+      safeInt(s.messages),
+      safeInt(s.activeDays),
+      safeNum(s.messagesPerActiveDay),
+      s.medianGapMinutes === null ? '' : safeNum(s.medianGapMinutes),
+      safeInt(s.clusters),
+      safeInt(s.clusteredMessages),
+      safeNum(s.clusteredPct),
+      safeInt(s.largestCluster),
+      safeNum(s.avgClusterSize),
+      safeNum(s.maxScore),
+      safeNum(s.avgScore),
+      safeInt(s.escalating),
+    ].join(','));
+  });
+  return rows.join('\n') + '\n';
+}
+
+module.exports.formatClusterSendersCsv = formatClusterSendersCsv;
+
+// Topics per week (see utils/ofw/topics.js), in the layout of the weekly senders CSV
+function formatTopicsWeeklyCsv(summary) {
+  const labels = (summary || {}).labels || {};
+  const rows = ['Week Start,Week End,Topic,Name,Messages Sent,Total Words,Tone,Replies,Median Reply (hours)'];
+  Object.entries((summary || {}).weekly || {}).forEach(([week, topics]) => {
+    const { startISO, endISO } = parseWeekLabelToStartEnd(week);
+    Object.entries(topics).forEach(([topic, people]) => Object.entries(people).forEach(([person, s]) => {
+      rows.push([
+        startISO || csvCell(week),
+        endISO || '',
+        csvCell(labels[topic] || topic),
+        csvCell(person),
+        safeInt(s.messagesSent),
+        safeInt(s.totalWords),
+        safeNum(s.tone),
+        safeInt(s.replies),
+        latencyHours(s.medianReplyHours),
+      ].join(','));
+    }));
+  });
+  return rows.join('\n') + '\n';
+}
+
+module.exports.formatTopicsWeeklyCsv = formatTopicsWeeklyCsv;
+
+// Dollar amounts with cents, blank when missing (expense ledger)
+function money(v) {
+  const n = Number(v);
+  return v === null || v === undefined || !Number.isFinite(n) ? '' : n.toFixed(2);
+}
+
+// Expense ledger (see utils/ofw/expenses.js): one row per claim and payer
+function formatExpenseLedgerCsv(ledger) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const stamp = (d) => (d ? `${toISODate(d)} ${pad(d.getHours())}:${pad(d.getMinutes())}` : '');
+  const rows = ['Date,Time,Requester,Payer,Amount,Amounts Mentioned,Category,Status,Claim,Subject,Thread,Message,Source ID,Response Date,Response Message,Response Source ID'];
+  ((ledger || {}).claims || []).forEach(c => {
+    const m = c.message;
+    rows.push([
+      toISODate(m.sentDate),
+      `${pad(m.sentDate.getHours())}:${pad(m.sentDate.getMinutes())}`,
+      csvCell(c.requester),
+      csvCell(c.payer),
+      money(c.amount),
+      csvCell(c.amounts.map(money).join('; ')),
+      csvCell(c.category),
+      c.status,
+      csvCell(c.text),
+      csvCell(m.subject || ''),
+      m.threadId != null ? csvCell(m.threadId) : '',
+      csvCell(describeSourceLocation(m)),
+      csvCell(m.sourceId || ''),
+      c.response ? stamp(c.response.sentDate) : '',
+      c.response ? csvCell(describeSourceLocation(c.response)) : '',
+      c.response ? csvCell(c.response.sourceId || '') : '',
+    ].join(','));
+  });
+  return rows.join('\n') + '\n';
+}
+
+module.exports.formatExpenseLedgerCsv = formatExpenseLedgerCsv;
+
+// Expense totals per requester, payer and category, with an "All" row per requester and payer
+function formatExpenseSummaryCsv(ledger) {
+  const fields = ['claimed', 'paid', 'acknowledged', 'disputed', 'unresolved', 'noReply', 'outstanding'];
+  const rows = ['Requester,Payer,Category,Claims,Claimed,Paid,Acknowledged,Disputed,Unresolved,No Reply,Outstanding'];
+  Object.entries((ledger || {}).summary || {}).forEach(([requester, payers]) => Object.entries(payers).forEach(([payer, byCategory]) => {
+    const all = { claims: 0 };
+    fields.forEach(f => { all[f] = 0; });
+    Object.entries(byCategory).concat([['All', all]]).forEach(([category, s]) => {
+      if (s !== all) {
+        all.claims += s.claims;
+        fields.forEach(f => { all[f] += s[f]; });
+      }
+      rows.push([csvCell(requester), csvCell(payer), csvCell(category), safeInt(s.claims)].concat(fields.map(f => money(s[f]))).join(','));
+    });
+  }));
+  return rows.join('\n') + '\n';
+}
+
+module.exports.formatExpenseSummaryCsv = formatExpenseSummaryCsv;
+
+// Search results (see utils/ofw/search.js): one row per message, snippets with matched words in [brackets]
+function formatSearchResultsCsv(results, options = {}) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const rows = ['Date,Time,Sender,Recipients,Subject,Thread,Tone,Flags,Matches,Snippets,Message,Source ID'];
+  (results || []).forEach(({ message: m, positions, score }) => {
+    const snippets = keywordsInContext(m, positions, { context: options.context, mark: (word) => `[${word}]` });
+    rows.push([
+      toISODate(m.sentDate),
+      `${pad(m.sentDate.getHours())}:${pad(m.sentDate.getMinutes())}`,
+      csvCell(m.sender || ''),
+      csvCell(Object.keys(m.recipientReadTimes || {}).join('; ')),
+      csvCell(m.subject || ''),
+      m.threadId != null ? csvCell(m.threadId) : '',
+      typeof m.tone === 'number' ? safeNum(m.tone) : '',
+      csvCell(messageFlags(m).join('; ')),
+      score,
+      csvCell(snippets.map(sn => sn.text).join(' | ')),
+      csvCell(describeSourceLocation(m)),
+      csvCell(m.sourceId || ''),
+    ].join(','));
+  });
+  return rows.join('\n') + '\n';
+}
+
+module.exports.formatSearchResultsCsv = formatSearchResultsCsv;
+
+// Term counts per period (see utils/ofw/terms.js): one row per period, sender and term, plus an
+// "All" row per period and term; Per 100 Messages is blank when the sender sent nothing that period
+function formatTermTrendsCsv(trends) {
+  const rows = ['Period Start,Period End,Period,Name,Term,Count,Messages,Per 100 Messages'];
+  const { terms = [], periods = [], senders = [], counts = {} } = trends || {};
+  periods.forEach(p => {
+    const bySender = counts[p.label] || {};
+    const all = { messages: 0, terms: {} };
+    senders.forEach(s => {
+      const b = bySender[s] || { messages: 0, terms: {} };
+      all.messages += b.messages;
+      Object.entries(b.terms).forEach(([key, n]) => { all.terms[key] = (all.terms[key] || 0) + n; });
+    });
+    senders.map(s => [s, bySender[s] || { messages: 0, terms: {} }]).concat([['All', all]]).forEach(([name, b]) => terms.forEach(t => {
+      const n = b.terms[t.key] || 0;
+      rows.push([p.start, p.end, csvCell(p.label), csvCell(name), csvCell(t.label), n, b.messages, b.messages ? ((n / b.messages) * 100).toFixed(2) : ''].join(','));
+    }));
+  });
+  return rows.join('\n') + '\n';
+}
+
+module.exports.formatTermTrendsCsv = formatTermTrendsCsv;
+
+// Top rising and falling terms between two date ranges, overall ("All") and per sender
+function formatTermChangesCsv(comparison) {
+  const rows = ['Direction,Term,Name,Before Start,Before End,After Start,After End,Before,After,Before per 100,After per 100,Change per 100'];
+  const { before = {}, after = {} } = comparison || {};
+  [['rising', (comparison || {}).rising || []], ['falling', (comparison || {}).falling || []]].forEach(([direction, list]) => list.forEach(c => {
+    [['All', c]].concat(Object.entries(c.senders || {})).forEach(([name, s]) => {
+      rows.push([direction, csvCell(c.label), csvCell(name), before.start, before.end, after.start, after.end, s.before, s.after, s.beforePer100.toFixed(2), s.afterPer100.toFixed(2), s.change.toFixed(2)].join(','));
+    });
+  }));
+  return rows.join('\n') + '\n';
+}
+
+module.exports.formatTermChangesCsv = formatTermChangesCsv;
+
+// Tone calibration (see calibrateTone in utils/ofw/tone.js): both scores for every message, with the tone_v2 cues
+function formatToneCalibrationCsv(report) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const rows = ['Date,Time,Sender,Tone,Tone v2,Difference,Label,Label v2,Cues,Message,Source ID'];
+  ((report || {}).rows || []).forEach(r => {
+    const m = r.message;
+    const dated = m.sentDate instanceof Date && !Number.isNaN(m.sentDate.getTime());
+    rows.push([
+      dated ? toISODate(m.sentDate) : '',
+      dated ? `${pad(m.sentDate.getHours())}:${pad(m.sentDate.getMinutes())}` : '',
+      csvCell(m.sender || ''),
+      r.tone.toFixed(4),
+      r.toneV2.toFixed(4),
+      r.diff.toFixed(4),
+      r.label,
+      r.labelV2,
+      csvCell(r.cues.map(describeToneCue).join('; ')),
+      csvCell(describeSourceLocation(m)),
+      csvCell(m.sourceId || ''),
+    ].join(','));
+  });
+  return rows.join('\n') + '\n';
+}
+
+module.exports.formatToneCalibrationCsv = formatToneCalibrationCsv;
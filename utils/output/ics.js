@@ -0,0 +1,133 @@
+// iCalendar (RFC 5545) output for schedule events
+
+const { toISODate } = require('../date');
+const { formatEventLabel } = require('../visitation/schedule');
+
+const PRODID = '-//ofw-tools//Visitation Calendar//EN';
+
+function pad2(n) { return String(n).padStart(2, '0'); }
+
+// Floating local date-time (no TZID): the calendar shows the court-ordered wall-clock time
+function formatIcsDateTime(d) {
+  return `${d.getFullYear()}${pad2(d.getMonth() + 1)}${pad2(d.getDate())}T${pad2(d.getHours())}${pad2(d.getMinutes())}00`;
+}
+
+function formatIcsDate(d) {
+  return `${d.getFullYear()}${pad2(d.getMonth() + 1)}${pad2(d.getDate())}`;
+}
+
+function formatIcsUtc(d) {
+  return d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}Z$/, 'Z');
+}
+
+// Escape TEXT values (RFC 5545 § 3.3.11)
+function escapeIcsText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Fold content lines longer than 75 octets (RFC 5545 § 3.1)
+function foldIcsLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const ch of line) {
+    const len = Buffer.byteLength(ch, 'utf8');
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (currentBytes + len > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += ch;
+    currentBytes += len;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// SEQUENCE for a calendar written at `now`: seconds since 2000-01-01 UTC. A later export always has a
+// higher sequence, so clients that ignore a same-UID, same-sequence re-import take the new times
+function icsSequence(now) {
+  return Math.max(0, Math.floor((now.getTime() - Date.UTC(2000, 0, 1)) / 1000));
+}
+
+function isWholeDays(start, end) {
+  return start.getHours() === 0 && start.getMinutes() === 0 && end.getHours() === 0 && end.getMinutes() === 0;
+}
+
+/**
+ * Build a VCALENDAR document.
+ * @param {Array<{uid: string, start: Date, end: Date, summary: string, description?: string, location?: string, transparent?: boolean, status?: string}>} entries
+ * @param {{ name?: string, now?: Date }} [options] - `now` sets DTSTAMP, LAST-MODIFIED and SEQUENCE
+ *   (defaults to the current time)
+ * @returns {string} CRLF-delimited iCalendar text
+ */
+function formatIcsCalendar(entries, options = {}) {
+  const now = options.now || new Date();
+  const dtstamp = formatIcsUtc(now);
+  const sequence = icsSequence(now);
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+  if (options.name) lines.push(`X-WR-CALNAME:${escapeIcsText(options.name)}`);
+  entries.forEach(entry => {
+    lines.push('BEGIN:VEVENT');
+    lines.push(`UID:${entry.uid}`);
+    lines.push(`DTSTAMP:${dtstamp}`);
+    lines.push(`LAST-MODIFIED:${dtstamp}`);
+    lines.push(`SEQUENCE:${sequence}`);
+    if (isWholeDays(entry.start, entry.end)) {
+      lines.push(`DTSTART;VALUE=DATE:${formatIcsDate(entry.start)}`);
+      lines.push(`DTEND;VALUE=DATE:${formatIcsDate(entry.end)}`);
+    } else {
+      lines.push(`DTSTART:${formatIcsDateTime(entry.start)}`);
+      lines.push(`DTEND:${formatIcsDateTime(entry.end)}`);
+    }
+    lines.push(`SUMMARY:${escapeIcsText(entry.summary)}`);
+    if (entry.description) lines.push(`DESCRIPTION:${escapeIcsText(entry.description)}`);
+    if (entry.location) lines.push(`LOCATION:${escapeIcsText(entry.location)}`);
+    if (entry.transparent) lines.push('TRANSP:TRANSPARENT');
+    if (entry.status) lines.push(`STATUS:${entry.status}`);
+    lines.push('END:VEVENT');
+  });
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Convert schedule events into a calendar. UIDs are derived from the schedule name,
+ * rule id and start date and SEQUENCE grows with each export, so re-importing after a time or
+ * location change updates the existing events instead of duplicating or ignoring them.
+ * @param {Array<object>} events - Output of evaluateSchedule
+ * @param {{ scheduleName?: string, calendarName?: string, location?: string, now?: Date }} [options]
+ *   `location` is the default exchange location for custody events whose rule has no `location`
+ * @returns {string}
+ */
+function formatScheduleIcs(events, options = {}) {
+  const slug = (v) => String(v).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const scheduleSlug = slug(options.scheduleName || 'schedule');
+  const entries = events.map(ev => ({
+    uid: `${scheduleSlug}-${slug(ev.id)}-${formatIcsDate(ev.start)}@ofw-tools`,
+    start: ev.start,
+    end: ev.end,
+    summary: formatEventLabel(ev),
+    description: `${ev.kind === 'virtual' ? 'Virtual visit' : `Custody: ${ev.parent} parent`} · ${toISODate(ev.start)}${options.scheduleName ? ` · Schedule: ${options.scheduleName}` : ''}`
+      + (ev.overridden ? ` · ${ev.overridden === 'full' ? 'Replaced' : 'Partly replaced'} by ${ev.overriddenBy}` : ''),
+    location: ev.location || (ev.kind === 'custody' ? options.location : undefined),
+    transparent: ev.kind === 'virtual' || ev.overridden === 'full',
+    // Keep fully replaced events (cancelled) so a re-import removes them from calendars that had them
+    status: ev.overridden === 'full' ? 'CANCELLED' : undefined,
+  }));
+  return formatIcsCalendar(entries, { name: options.calendarName || options.scheduleName || 'Visitation', now: options.now });
+}
+
+module.exports = {
+  escapeIcsText,
+  foldIcsLine,
+  formatIcsCalendar,
+  formatScheduleIcs,
+};
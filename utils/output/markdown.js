@@ -1,4 +1,11 @@
-const { formatDate } = require('../date');
+const { formatDate, toISODate } = require('../date');
+const { describeCustodyContext } = require('../ofw/custody');
+const { SOURCE_LABELS, describeSourceLocation } = require('../messages/schema');
+const { READ_TIME_BUCKETS, WEEKDAYS } = require('../ofw/reads');
+const { messageFlags } = require('../ofw/exhibit');
+const { keywordsInContext } = require('../ofw/search');
+const { TONE_LABELS, describeToneCue } = require('../ofw/tone');
+const { highlightSentences } = require('../ofw/sentences');
 
 function createNameFilter(excludePatterns = []) {
   const patterns = Array.isArray(excludePatterns)
@@ -33,9 +40,14 @@ function formatMessageMarkdown(message, index, total) {
     `- To:`,
     toLines,
     `- Message ${index + 1} of ${total}`,
-    `- Word Count: **${wordCount}**, Sentiment: **${sentiment}**, Natural: **${sentiment_natural}**, Tone: **${tone}**`,
+    ...(message.sourceId ? [`- Source ID: ${message.sourceId}`] : []),
+    ...(message.custody ? [`- Custody: ${describeCustodyContext(message.custody)}`] : []),
+    `- Word Count: **${wordCount}**, Sentiment: **${sentiment}**, Natural: **${sentiment_natural}**, Tone: **${tone}**${message.tone_v2 !== undefined ? `, Tone v2: **${message.tone_v2}**` : ''}`,
+    ...(message.negative_sentences > 0 && message.most_negative_sentence
+      ? [`- Negative sentences: **${message.negative_sentences}** (bold below); most negative (${message.most_negative_sentence.score}): "${message.most_negative_sentence.text}"`]
+      : []),
     '',
-    body || '',
+    Array.isArray(message.flagged_sentences) ? highlightSentences(body, message.flagged_sentences) : body || '',
     '',
     ''
   ].join('\n');
@@ -194,6 +206,563 @@ function formatThreadTreeMarkdown(messages, options = {}) {
   return lines.join('\n');
 }
 
-module.exports = { formatMessageMarkdown, formatTotalsMarkdown, formatWeeklyMarkdown, formatThreadTreeMarkdown, createNameFilter };
+// Pipe table with columns padded to their widest cell
+function formatTable(headers, rows) {
+  const widths = headers.map((h, i) => Math.max(h.length, ...rows.map(r => String(r[i]).length)));
+  const line = (cells) => `| ${cells.map((c, i) => String(c).padEnd(widths[i])).join(' | ')} |`;
+  return [line(headers), `|${widths.map(w => '-'.repeat(w + 2)).join('|')}|`, ...rows.map(line)].join('\n');
+}
+
+function formatVisitTime(d) {
+  const hh = String(d.getHours()).padStart(2, '0');
+  const mm = String(d.getMinutes()).padStart(2, '0');
+  return hh === '00' && mm === '00' ? '' : `${hh}:${mm}`;
+}
+
+// Visitation compliance report (see utils/visitation/compliance.js)
+function formatComplianceMarkdown(report) {
+  const { parents, totals } = report;
+  const roleName = (role) => (role ? parents[role] || role : '');
+  const pct = (v) => (v === null ? '—' : `${v.toFixed(2)}%`);
+  const unloggedNote = { ignore: 'not counted', held: 'counted as held', missed: 'counted as missed' }[report.unlogged];
+  const out = [];
+  out.push(`# Visitation Compliance — ${report.range.start} → ${report.range.end}`);
+  out.push('');
+  out.push(`- Schedule: ${report.scheduleName || 'custom'}`);
+  out.push(`- Scheduled visits: ${totals.scheduled}; compliance: **${pct(totals.compliance)}** (visits with no log entry: ${totals.unlogged}, ${unloggedNote})`);
+  out.push('');
+  out.push('## By parent');
+  out.push('');
+  out.push(formatTable(
+    ['Parent', 'No-shows', 'Cancelled', 'Late arrivals', 'Late minutes', 'Makeups'],
+    ['primary', 'visiting', 'unattributed']
+      .filter(role => role !== 'unattributed' || Object.values(report.byParent.unattributed).some(Boolean))
+      .map(role => {
+        const p = report.byParent[role];
+        return [role === 'unattributed' ? '(not recorded)' : roleName(role), p.missed, p.cancelled, p.late, p.lateMinutes, p.makeups];
+      }),
+  ));
+  out.push('');
+  out.push('## By month');
+  out.push('');
+  const monthRow = (label, t) => [label, t.scheduled, t.held, t.late, t.substituted, t.cancelled, t.missed, t.unlogged, t.makeups, pct(t.compliance)];
+  out.push(formatTable(
+    ['Month', 'Scheduled', 'Held', 'Late', 'Substituted', 'Cancelled', 'No-show', 'Unlogged', 'Makeups', 'Compliance'],
+    Object.entries(report.byMonth).map(([month, t]) => monthRow(month, t)).concat([monthRow('Total', totals)]),
+  ));
+  out.push('');
+  out.push('## Visits');
+  out.push('');
+  out.push(formatTable(
+    ['Date', 'Time', 'Event', 'Status', 'By', 'Late (min)', 'Made up', 'Notes'],
+    report.visits.map(v => [v.date, formatVisitTime(v.start), v.label, v.status, roleName(v.by), v.lateMinutes || '', v.madeUpOn || '', v.notes]),
+  ));
+  if (report.makeups.length) {
+    out.push('');
+    out.push('## Makeup visits');
+    out.push('');
+    out.push(formatTable(
+      ['Date', 'Makes up for', 'By', 'Notes'],
+      report.makeups.map(m => [m.date, m.makeupFor || '', roleName(m.by), m.notes]),
+    ));
+  }
+  if (report.unmatched.length) {
+    out.push('');
+    out.push('## Log entries with no scheduled visit');
+    out.push('');
+    report.unmatched.forEach(u => out.push(`- ${u.date} ${u.status}${u.notes ? ` (${u.notes})` : ''}: ${u.reason}`));
+  }
+  out.push('');
+  return out.join('\n');
+}
+
+// Merged multi-channel timeline (see utils/messages/timeline.js), one section per day
+function formatTimelineMarkdown(timeline) {
+  const label = (channel) => SOURCE_LABELS[channel] || channel;
+  const time = (d) => `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+  const weekday = (d) => d.toLocaleDateString('en-US', { weekday: 'short' });
+  const out = [];
+  out.push(`# Communication Timeline — ${timeline.range.start || '…'} → ${timeline.range.end || '…'}`);
+  out.push('');
+  out.push(formatTable(
+    ['Channel', 'Messages', 'First', 'Last', 'Senders'],
+    Object.entries(timeline.channels).map(([channel, c]) => [
+      label(channel),
+      c.messages,
+      toISODate(c.first),
+      toISODate(c.last),
+      Object.entries(c.senders).map(([name, n]) => `${name} (${n})`).join(', '),
+    ]),
+  ));
+  out.push('');
+  out.push(`- Messages: ${timeline.entries.length}; duplicates removed: ${timeline.duplicates}`);
+  let day = null;
+  timeline.entries.forEach(e => {
+    const date = toISODate(e.sentDate);
+    if (date !== day) {
+      day = date;
+      out.push('');
+      out.push(`## ${date} (${weekday(e.sentDate)})`);
+      out.push('');
+    }
+    const to = e.recipients.length ? ` → ${e.recipients.join(', ')}` : '';
+    const subject = e.subject && e.subject !== 'No subject' ? ` — ${e.subject}` : '';
+    const also = e.duplicateLocations.length ? `; also ${e.duplicateLocations.join('; ')}` : '';
+    const id = e.sourceId ? ` · ${e.sourceId}` : '';
+    out.push(`- **${time(e.sentDate)}** [${label(e.channel)}] **${e.sender}**${to}${subject} _(${e.location}${id}${also})_`);
+    String(e.body || '').split('\n').filter(Boolean).forEach(line => out.push(`  > ${line}`));
+  });
+  out.push('');
+  return out.join('\n');
+}
+
+// Comparison of two OFW exports (see utils/ofw/diff.js)
+function formatOfwDiffMarkdown(report, names = {}) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const stamp = (d) => {
+    const date = d instanceof Date ? d : new Date(d);
+    return d == null || Number.isNaN(date.getTime()) ? '—' : `${toISODate(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  };
+  const readValue = (v) => (v === null ? '(not listed)' : v === 'Never' ? 'Never' : stamp(v));
+  const position = (m) => (m.messageNumber ? `${m.messageNumber} of ${m.messageTotal}` : '');
+  const range = (g) => (g.from === g.to ? `${g.from}` : `${g.from}–${g.to}`);
+  const numbering = (n) => {
+    if (n.total === null) return 'not numbered';
+    const gaps = n.gaps.length ? `missing ${n.gaps.map(range).join(', ')}` : 'no gaps';
+    const dupes = n.duplicates.length ? `; repeated ${n.duplicates.join(', ')}` : '';
+    return `${n.numbered} of ${n.total}, ${gaps}${dupes}`;
+  };
+  const quote = (text) => String(text || '').split('\n').map(line => `> ${line}`).join('\n');
+  const previousName = names.previous || 'previous export';
+  const currentName = names.current || 'current export';
+  const out = [];
+  out.push(`# OFW Export Comparison — ${previousName} → ${currentName}`);
+  out.push('');
+  out.push(formatTable(
+    ['', 'Previous', 'Current'],
+    [
+      ['File', previousName, currentName],
+      ['First message', stamp(report.ranges.previous.first), stamp(report.ranges.current.first)],
+      ['Last message', stamp(report.ranges.previous.last), stamp(report.ranges.current.last)],
+      ['Numbering', numbering(report.numbering.previous), numbering(report.numbering.current)],
+    ],
+  ));
+  out.push('');
+  out.push(`- Matched: ${report.matched} (unchanged: ${report.unchanged}); added: ${report.added.length}; removed: ${report.removed.length}; edited: ${report.edited.length}; read-state changes: ${report.readChanges.length}`);
+
+  out.push('');
+  out.push('## Removed messages');
+  out.push('');
+  out.push(report.removed.length
+    ? formatTable(['Sent', 'From', 'Subject', 'Message', 'Source ID'], report.removed.map(m => [stamp(m.sentDate), m.sender, m.subject, position(m), m.sourceId || '']))
+    : 'None.');
+  out.push('');
+  out.push('## Added messages');
+  out.push('');
+  out.push(report.added.length
+    ? formatTable(['Sent', 'From', 'Subject', 'Message', 'Source ID'], report.added.map(m => [stamp(m.sentDate), m.sender, m.subject, position(m), m.sourceId || '']))
+    : 'None.');
+  out.push('');
+  out.push('## Edited messages');
+  if (!report.edited.length) {
+    out.push('');
+    out.push('None.');
+  }
+  report.edited.forEach(e => {
+    out.push('');
+    out.push(`### ${stamp(e.message.sentDate)} ${e.message.sender} — ${e.message.subject}`);
+    out.push('');
+    out.push(`- Changed: ${e.fields.join(', ')}; message ${position(e.previous) || '?'} → ${position(e.message) || '?'}`);
+    if (e.fields.includes('subject')) out.push(`- Subject: “${e.previous.subject}” → “${e.message.subject}”`);
+    if (e.fields.includes('body')) {
+      out.push('');
+      out.push('Before:');
+      out.push('');
+      out.push(quote(e.previous.body));
+      out.push('');
+      out.push('After:');
+      out.push('');
+      out.push(quote(e.message.body));
+    }
+  });
+  out.push('');
+  out.push('## Read-state changes');
+  out.push('');
+  out.push(report.readChanges.length
+    ? formatTable(
+      ['Sent', 'From', 'Subject', 'Recipient', 'Before', 'After', 'Change'],
+      report.readChanges.map(r => [stamp(r.message.sentDate), r.message.sender, r.message.subject, r.recipient, readValue(r.before), readValue(r.after), r.change]),
+    )
+    : 'None.');
+  out.push('');
+  return out.join('\n');
+}
+
+// Reply latency per person, then per week (see utils/ofw/latency.js)
+function formatReplyLatencyMarkdown(latency, options = {}) {
+  const shouldHide = createNameFilter(options.excludePatterns);
+  const hours = (v) => (v === null || v === undefined ? '—' : v.toFixed(1));
+  const change = (v) => (v === null || v === undefined ? '' : `${v > 0 ? '+' : ''}${v.toFixed(1)}`);
+  const out = [];
+  out.push('## Reply Latency');
+  out.push('');
+  out.push(formatTable(
+    ['Name', 'Received', 'Answered', 'Unanswered', 'Replies', 'Median (hrs)', 'P90 (hrs)'],
+    Object.entries(latency.totals || {})
+      .filter(([person]) => !shouldHide(person))
+      .map(([person, s]) => [person, s.received, s.answered, s.unanswered, s.replies, hours(s.medianHours), hours(s.p90Hours)]),
+  ));
+  out.push('');
+  out.push('### By week');
+  out.push('');
+  const rows = [];
+  Object.entries(latency.weekly || {}).forEach(([week, people]) => {
+    let first = true;
+    Object.entries(people).forEach(([person, s]) => {
+      if (shouldHide(person)) return;
+      rows.push([first ? week : '', person, s.received, s.unanswered, s.replies, hours(s.medianHours), hours(s.p90Hours), change(s.medianChangeHours)]);
+      first = false;
+    });
+  });
+  out.push(formatTable(['Week', 'Name', 'Received', 'Unanswered', 'Replies', 'Median (hrs)', 'P90 (hrs)', 'Δ Median'], rows));
+  out.push('');
+  return out.join('\n');
+}
+
+// Messages, tone and reply latency per topic and person (see utils/ofw/topics.js)
+function formatTopicsMarkdown(summary, options = {}) {
+  const shouldHide = createNameFilter(options.excludePatterns);
+  const hours = (v) => (v === null || v === undefined ? '—' : v.toFixed(1));
+  const rows = [];
+  Object.entries(summary.totals || {}).forEach(([topic, people]) => {
+    let first = true;
+    Object.entries(people).forEach(([person, s]) => {
+      if (shouldHide(person)) return;
+      rows.push([first ? (summary.labels[topic] || topic) : '', person, s.messagesSent, s.totalWords, s.tone.toFixed(2), s.replies, hours(s.medianReplyHours)]);
+      first = false;
+    });
+  });
+  return ['## Topics', '', formatTable(['Topic', 'Name', 'Messages', 'Words', 'Tone', 'Replies', 'Median reply (hrs)'], rows), ''].join('\n');
+}
+
+// Unanswered questions and requests (see utils/ofw/requests.js), with citations to each message
+function formatUnansweredRequestsMarkdown(report, options = {}) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const stamp = (d) => (d ? `${toISODate(d)} ${pad(d.getHours())}:${pad(d.getMinutes())}` : '—');
+  const cite = (m) => [describeSourceLocation(m), m.sourceId].filter(Boolean).join(' · ') || stamp(m.sentDate);
+  const items = (r) => r.items.map(i => i.text).join(' ');
+  const byStatus = (status) => report.requests.filter(r => r.status === status);
+  const messagesWithRequests = new Set(report.requests.map(r => r.message)).size;
+  const out = [];
+  out.push(`# Unanswered Requests${options.name ? ` — ${options.name}` : ''}`);
+  out.push('');
+  out.push(`- Window: ${report.windowHours} hours; messages checked: ${report.scanned}; messages with questions or requests: ${messagesWithRequests}; export ends ${stamp(report.exportEnd)}`);
+  out.push('- A request counts as answered when the recipient sends their next message in the same thread within the window.');
+  out.push('');
+  out.push('## Summary');
+  out.push('');
+  const summaryRows = [];
+  Object.entries(report.summary).forEach(([sender, recipients]) => Object.entries(recipients).forEach(([recipient, s]) => {
+    summaryRows.push([sender, recipient, s.requests, s.answered, s.late, s.unanswered, s.pending]);
+  }));
+  out.push(formatTable(['From', 'To', 'Requests', 'Answered', 'Late', 'Unanswered', 'Pending'], summaryRows));
+  out.push('');
+  out.push('## Unanswered');
+  const unanswered = byStatus('unanswered');
+  if (!unanswered.length) {
+    out.push('');
+    out.push('None.');
+  }
+  unanswered.forEach(r => {
+    const m = r.message;
+    out.push('');
+    out.push(`### ${stamp(m.sentDate)} — ${m.sender} → ${r.recipient} — ${m.subject || 'No subject'}`);
+    out.push('');
+    out.push(`- Message: ${cite(m)}${m.threadId != null ? `; thread ${m.threadId}` : ''}`);
+    out.push(`- No later message from ${r.recipient} in this thread`);
+    out.push('');
+    r.items.forEach(i => out.push(`> ${i.text} _(${i.kind}: ${i.cues.join(', ')})_`));
+  });
+  const late = byStatus('late');
+  if (late.length) {
+    out.push('');
+    out.push(`## Answered after ${report.windowHours} hours`);
+    out.push('');
+    out.push(formatTable(
+      ['Sent', 'From', 'To', 'Request', 'Replied', 'Hours', 'Message', 'Reply'],
+      late.map(r => [stamp(r.message.sentDate), r.message.sender, r.recipient, items(r), stamp(r.reply.sentDate), r.hoursToReply.toFixed(1), cite(r.message), cite(r.reply)]),
+    ));
+  }
+  const pending = byStatus('pending');
+  if (pending.length) {
+    out.push('');
+    out.push('## Pending (window still open at the end of the export)');
+    out.push('');
+    out.push(formatTable(
+      ['Sent', 'From', 'To', 'Request', 'Message'],
+      pending.map(r => [stamp(r.message.sentDate), r.message.sender, r.recipient, items(r), cite(r.message)]),
+    ));
+  }
+  out.push('');
+  return out.join('\n');
+}
+
+// Expense claims (see utils/ofw/expenses.js): totals per requester, payer and category, and the
+// ledger with citations to the claim and the response that settled its status
+function formatExpenseLedgerMarkdown(ledger, options = {}) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const stamp = (d) => (d ? `${toISODate(d)} ${pad(d.getHours())}:${pad(d.getMinutes())}` : '—');
+  const cite = (m) => [describeSourceLocation(m), m.sourceId].filter(Boolean).join(' · ') || stamp(m.sentDate);
+  const money = (v) => `$${v.toFixed(2)}`;
+  const out = [];
+  out.push(`# Expense Claims${options.name ? ` — ${options.name}` : ''}`);
+  out.push('');
+  out.push(`- Messages checked: ${ledger.scanned}; claims: ${ledger.claims.length}`);
+  out.push('- A claim is a message with a dollar amount and expense language. Its status comes from later messages: paid (the payer says they paid, or the requester confirms receiving it), disputed or acknowledged (the payer\'s latest reply in the thread that refuses or agrees to pay), unresolved (a reply without either) or no reply.');
+  out.push('');
+  out.push('## Summary');
+  out.push('');
+  const summaryRows = [];
+  Object.entries(ledger.summary).forEach(([requester, payers]) => Object.entries(payers).forEach(([payer, byCategory]) => {
+    Object.entries(byCategory).forEach(([category, s]) => {
+      summaryRows.push([requester, payer, category, s.claims, money(s.claimed), money(s.paid), money(s.acknowledged), money(s.disputed), money(s.unresolved + s.noReply), money(s.outstanding)]);
+    });
+  }));
+  out.push(formatTable(['Requester', 'Payer', 'Category', 'Claims', 'Claimed', 'Paid', 'Acknowledged', 'Disputed', 'No answer', 'Outstanding'], summaryRows));
+  out.push('');
+  out.push('## Ledger');
+  out.push('');
+  if (!ledger.claims.length) {
+    out.push('None.');
+  } else {
+    out.push(formatTable(
+      ['Sent', 'Requester', 'Payer', 'Amount', 'Category', 'Status', 'Claim', 'Message', 'Response'],
+      ledger.claims.map(c => [stamp(c.message.sentDate), c.requester, c.payer, money(c.amount), c.category, c.status, c.text, cite(c.message), c.response ? cite(c.response) : '—']),
+    ));
+  }
+  out.push('');
+  return out.join('\n');
+}
+
+// Read-receipt behavior (see utils/ofw/reads.js): never-read messages, time to first view and
+// messages read but never answered, with citations
+function formatReadBehaviorMarkdown(summary, options = {}) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const stamp = (d) => (d ? `${toISODate(d)} ${pad(d.getHours())}:${pad(d.getMinutes())}` : '—');
+  const cite = (m) => [describeSourceLocation(m), m.sourceId].filter(Boolean).join(' · ') || stamp(m.sentDate);
+  const hours = (v) => (v === null || v === undefined ? '—' : v.toFixed(1));
+  const pct = (v) => `${v.toFixed(1)}%`;
+  const statsRow = (s) => [s.received, s.read, s.neverRead, pct(s.neverReadPct), s.readNotAnswered, hours(s.medianHours), hours(s.p90Hours)];
+  const statsHeaders = ['Received', 'Read', 'Never read', 'Never read %', 'Read, not answered', 'Median (hrs)', 'P90 (hrs)'];
+  const recipients = Object.keys(summary.recipients || {});
+  const out = [];
+  out.push(`# Read Behavior${options.name ? ` — ${options.name}` : ''}`);
+  out.push('');
+  out.push('- Read times are the first view recorded in the export, measured from when the message was sent. Hour and weekday are those of sending.');
+  out.push('- "Read, not answered" means the recipient opened the message but sent no later message in the same thread.');
+  out.push('');
+  out.push('## Summary');
+  out.push('');
+  out.push(formatTable(['Recipient', ...statsHeaders], recipients.map(r => [r, ...statsRow(summary.recipients[r])])));
+  out.push('');
+  out.push('## Time to first view');
+  out.push('');
+  out.push(formatTable(
+    ['Recipient', ...READ_TIME_BUCKETS.map(b => b.label), 'Never'],
+    recipients.map(r => {
+      const d = summary.recipients[r].distribution;
+      return [r, ...READ_TIME_BUCKETS.map(b => d[b.key]), d.never];
+    }),
+  ));
+  out.push('');
+  out.push('## By hour sent');
+  out.push('');
+  const hourRows = [];
+  recipients.forEach(r => (summary.byHour[r] || []).forEach((s, hour) => {
+    if (s.received) hourRows.push([r, `${pad(hour)}:00`, ...statsRow(s)]);
+  }));
+  out.push(formatTable(['Recipient', 'Hour', ...statsHeaders], hourRows));
+  out.push('');
+  out.push('## By weekday sent');
+  out.push('');
+  const dayRows = [];
+  recipients.forEach(r => (summary.byWeekday[r] || []).forEach((s, day) => {
+    if (s.received) dayRows.push([r, WEEKDAYS[day], ...statsRow(s)]);
+  }));
+  out.push(formatTable(['Recipient', 'Weekday', ...statsHeaders], dayRows));
+  out.push('');
+  out.push('## By subject category');
+  out.push('');
+  const categoryRows = [];
+  recipients.forEach(r => Object.entries(summary.byCategory[r] || {}).forEach(([category, s]) => {
+    categoryRows.push([r, category, ...statsRow(s)]);
+  }));
+  out.push(formatTable(['Recipient', 'Category', ...statsHeaders], categoryRows));
+  out.push('');
+  out.push('## By week');
+  out.push('');
+  const weekRows = [];
+  Object.entries(summary.weekly || {}).forEach(([week, people]) => {
+    let first = true;
+    Object.entries(people).forEach(([r, s]) => {
+      weekRows.push([first ? week : '', r, ...statsRow(s)]);
+      first = false;
+    });
+  });
+  out.push(formatTable(['Week', 'Recipient', ...statsHeaders], weekRows));
+  const neverRead = (summary.items || []).filter(i => !i.readAt);
+  out.push('');
+  out.push('## Never read');
+  out.push('');
+  out.push(neverRead.length
+    ? formatTable(
+      ['Sent', 'From', 'To', 'Subject', 'Category', 'Message'],
+      neverRead.map(i => [stamp(i.message.sentDate), i.message.sender, i.recipient, i.message.subject || '', i.category, cite(i.message)]),
+    )
+    : 'None.');
+  const unanswered = (summary.items || []).filter(i => i.readAt && !i.answered);
+  out.push('');
+  out.push('## Read, never answered');
+  out.push('');
+  out.push(unanswered.length
+    ? formatTable(
+      ['Sent', 'From', 'To', 'Subject', 'Read', 'Hours to read', 'Requests', 'Message'],
+      unanswered.map(i => [stamp(i.message.sentDate), i.message.sender, i.recipient, i.message.subject || '', stamp(i.readAt), hours(i.hoursToRead), i.requests, cite(i.message)]),
+    )
+    : 'None.');
+  out.push('');
+  return out.join('\n');
+}
+
+// Search results (see utils/ofw/search.js): one entry per message with a citation and
+// keyword-in-context snippets, matched words in bold
+function formatSearchResultsMarkdown(results, options = {}) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const stamp = (d) => (d ? `${toISODate(d)} ${pad(d.getHours())}:${pad(d.getMinutes())}` : '—');
+  const cite = (m) => [describeSourceLocation(m), m.sourceId].filter(Boolean).join(' · ') || stamp(m.sentDate);
+  const out = [];
+  out.push(`# Search${options.query ? ` — ${options.query}` : ''}`);
+  out.push('');
+  if (options.names && options.names.length) out.push(`- Searched: ${options.names.join(', ')}${options.scanned !== undefined ? ` (${options.scanned} messages)` : ''}`);
+  (options.filters || []).forEach(f => out.push(`- ${f}`));
+  out.push(`- Results: ${(results || []).length}${options.total !== undefined && options.total > (results || []).length ? ` of ${options.total}` : ''}`);
+  out.push('');
+  (results || []).forEach(({ message: m, positions }) => {
+    const to = Object.keys(m.recipientReadTimes || {});
+    out.push(`## ${stamp(m.sentDate)} — ${m.sender || 'Unknown'}${to.length ? ` → ${to.join(', ')}` : ''}${m.subject ? ` — ${m.subject}` : ''}`);
+    out.push('');
+    const details = [cite(m)];
+    if (m.threadId != null) details.push(`thread ${m.threadId}`);
+    if (typeof m.tone === 'number') details.push(`tone ${m.tone.toFixed(2)}`);
+    if (messageFlags(m).length) details.push(`flags: ${messageFlags(m).join(', ')}`);
+    out.push(`- ${details.join(' · ')}`);
+    keywordsInContext(m, positions, { context: options.context }).forEach(sn => {
+      out.push(`> ${sn.field === 'subject' ? 'Subject: ' : ''}${sn.text}`);
+      out.push('');
+    });
+    if (out[out.length - 1] !== '') out.push('');
+  });
+  return out.join('\n');
+}
+
+// Term trends (see utils/ofw/terms.js): a sparkline of each term's count per period, overall and per
+// sender, then the terms that rose and fell most between two date ranges
+function formatTermTrendsMarkdown(trends, comparison, options = {}) {
+  const BARS = '▁▂▃▄▅▆▇█';
+  // One character per period, scaled to the row's busiest period; "·" where the term was not used
+  const spark = (values) => {
+    const max = Math.max(0, ...values);
+    return values.map(v => (v ? BARS[Math.min(BARS.length - 1, Math.ceil((v / max) * BARS.length) - 1)] : '·')).join('');
+  };
+  const signed = (v) => `${v > 0 ? '+' : v < 0 ? '−' : ''}${Math.abs(v).toFixed(2)}`;
+  const { terms, periods, senders, counts } = trends;
+  const out = [];
+  out.push(`# Term Trends${options.name ? ` — ${options.name}` : ''}`);
+  out.push('');
+  const messageTotal = periods.reduce((n, p) => n + senders.reduce((k, s) => k + counts[p.label][s].messages, 0), 0);
+  out.push(periods.length
+    ? `- ${periods.length} ${trends.period === 'month' ? 'month' : 'week'}(s), ${periods[0].label} to ${periods[periods.length - 1].label}; ${messageTotal} message(s); ${terms.length} term(s)`
+    : '- No dated messages');
+  out.push('- Trend: one character per period, scaled to the row\'s busiest period; · means the term was not used.');
+  out.push('');
+  out.push('## Trends');
+  out.push('');
+  const rows = [];
+  terms.forEach(t => {
+    ['All'].concat(senders).forEach((name, i) => {
+      const values = periods.map(p => (name === 'All'
+        ? senders.reduce((n, s) => n + (counts[p.label][s].terms[t.key] || 0), 0)
+        : counts[p.label][name].terms[t.key] || 0));
+      const total = values.reduce((a, b) => a + b, 0);
+      if (i && !total) return;
+      const peak = total ? periods[values.indexOf(Math.max(...values))].label : '—';
+      rows.push([i ? '' : t.label, name, total, spark(values), peak]);
+    });
+  });
+  out.push(rows.length ? formatTable(['Term', 'Name', 'Total', 'Trend', 'Peak'], rows) : 'None.');
+  if (comparison) {
+    const { before, after } = comparison;
+    const bySender = (c) => Object.entries(c.senders || {}).filter(([, s]) => s.change).map(([name, s]) => `${name} ${signed(s.change)}`).join('; ') || '—';
+    const changeRows = (list) => list.map(c => [c.label, c.before, c.after, c.beforePer100.toFixed(2), c.afterPer100.toFixed(2), signed(c.change), bySender(c)]);
+    const headers = ['Term', 'Before', 'After', 'Per 100 before', 'Per 100 after', 'Change', 'By sender'];
+    out.push('');
+    out.push(`## Rising and falling: ${before.start} to ${before.end} (${before.messages} messages) vs ${after.start} to ${after.end} (${after.messages} messages)`);
+    out.push('');
+    out.push('- Change is in uses per 100 messages sent in each range, so a busier range does not rise by itself.');
+    out.push('');
+    out.push('### Rising');
+    out.push('');
+    out.push(comparison.rising.length ? formatTable(headers, changeRows(comparison.rising)) : 'None.');
+    out.push('');
+    out.push('### Falling');
+    out.push('');
+    out.push(comparison.falling.length ? formatTable(headers, changeRows(comparison.falling)) : 'None.');
+  }
+  out.push('');
+  return out.join('\n');
+}
+
+// Tone calibration (see calibrateTone in utils/ofw/tone.js): how the original tone and tone_v2 compare on
+// the same messages, and the messages where they disagree most with the cues behind tone_v2
+function formatToneCalibrationMarkdown(report, options = {}) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const stamp = (d) => (d instanceof Date && !Number.isNaN(d.getTime()) ? `${toISODate(d)} ${pad(d.getHours())}:${pad(d.getMinutes())}` : '—');
+  const cite = (m) => [describeSourceLocation(m), m.sourceId].filter(Boolean).join(' · ') || stamp(m.sentDate);
+  const signed = (v) => `${v > 0 ? '+' : ''}${v.toFixed(2)}`;
+  const percent = (v) => `${(v * 100).toFixed(1)}%`;
+  const out = [];
+  out.push(`# Tone Calibration${options.name ? ` — ${options.name}` : ''}`);
+  out.push('');
+  out.push(`- Messages: ${report.count}; correlation: ${report.correlation === null ? '—' : report.correlation.toFixed(2)}; mean absolute difference: ${report.meanAbsDiff.toFixed(2)}; same label: ${percent(report.agreement)}`);
+  out.push('- tone: AFINN scores from `sentiment` and `natural`. tone_v2: co-parenting lexicon with negation, intensifiers, capitals, exclamations and curt replies (utils/ofw/tone.js). Labels: negative below -0.10, positive above 0.10.');
+  out.push('');
+  out.push('## By sender');
+  out.push('');
+  out.push(formatTable(['Name', 'Messages', 'Avg tone', 'Avg tone_v2', 'Difference'], Object.entries(report.senders).map(([name, s]) => [name, s.messages, s.tone.toFixed(2), s.toneV2.toFixed(2), signed(s.toneV2 - s.tone)])));
+  out.push('');
+  out.push('## Labels (rows: tone, columns: tone_v2)');
+  out.push('');
+  out.push(formatTable(['tone \\ tone_v2'].concat(TONE_LABELS), TONE_LABELS.map(a => [a].concat(TONE_LABELS.map(b => report.confusion[a][b])))));
+  out.push('');
+  out.push('## Largest disagreements');
+  if (!report.disagreements.length) {
+    out.push('');
+    out.push('None.');
+  }
+  report.disagreements.forEach(r => {
+    const m = r.message;
+    out.push('');
+    out.push(`### ${stamp(m.sentDate)} — ${m.sender || 'Unknown'} — tone ${r.tone.toFixed(2)}, tone_v2 ${r.toneV2.toFixed(2)} (${signed(r.diff)})`);
+    out.push('');
+    out.push(`- Message: ${cite(m)}`);
+    out.push(`- tone_v2 cues: ${r.cues.length ? r.cues.map(describeToneCue).join('; ') : 'none'}`);
+    out.push('');
+    out.push(`> ${String(m.body || '').replace(/\s+/g, ' ').trim()}`);
+  });
+  out.push('');
+  return out.join('\n');
+}
+
+module.exports = { formatMessageMarkdown, formatTotalsMarkdown, formatWeeklyMarkdown, formatThreadTreeMarkdown, formatComplianceMarkdown, formatTimelineMarkdown, formatOfwDiffMarkdown, formatReplyLatencyMarkdown, formatTopicsMarkdown, formatUnansweredRequestsMarkdown, formatExpenseLedgerMarkdown, formatReadBehaviorMarkdown, formatSearchResultsMarkdown, formatTermTrendsMarkdown, formatToneCalibrationMarkdown, createNameFilter };
 
 
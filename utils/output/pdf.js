@@ -0,0 +1,175 @@
+// Minimal PDF writer: text, rules and internal links on fixed-size pages using the standard
+// Helvetica fonts (no embedding, WinAnsi encoding), so exhibits need no extra dependencies.
+
+const PAGE_SIZES = { letter: [612, 792], legal: [612, 1008], a4: [595, 842] };
+
+// Helvetica / Helvetica-Bold advance widths (1/1000 em) for ASCII 32..126, from the Adobe AFM files
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+  ],
+};
+
+// Characters outside Latin-1 that WinAnsi still encodes
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+  '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99,
+};
+
+/**
+ * WinAnsi byte for a character; characters the standard fonts cannot show become "?".
+ * @param {string} ch
+ * @returns {number}
+ */
+function toWinAnsi(ch) {
+  if (ch in WIN_ANSI_EXTRAS) return WIN_ANSI_EXTRAS[ch];
+  const code = ch.codePointAt(0);
+  if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) return code;
+  if (ch === '\t') return 32;
+  return 63;
+}
+
+/**
+ * Width of a single line of text in points.
+ * @param {string} text
+ * @param {number} size - font size in points
+ * @param {boolean} [bold]
+ * @returns {number}
+ */
+function measureText(text, size, bold = false) {
+  const table = bold ? WIDTHS.bold : WIDTHS.regular;
+  let units = 0;
+  for (const ch of String(text || '')) {
+    const code = toWinAnsi(ch);
+    units += code >= 32 && code <= 126 ? table[code - 32] : 556;
+  }
+  return (units * size) / 1000;
+}
+
+/**
+ * Wrap text to a width; honors newlines and breaks words longer than a line.
+ * @param {string} text
+ * @param {number} maxWidth - points
+ * @param {number} size
+ * @param {boolean} [bold]
+ * @returns {Array<string>} lines ('' for blank lines)
+ */
+function wrapText(text, maxWidth, size, bold = false) {
+  const out = [];
+  String(text || '').replace(/\r/g, '').split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(/[ \t]+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (measureText(candidate, size, bold) <= maxWidth) {
+        line = candidate;
+        return;
+      }
+      if (line) out.push(line);
+      line = '';
+      // Hard-break words (URLs, long numbers) that do not fit on a line of their own
+      let rest = word;
+      while (measureText(rest, size, bold) > maxWidth) {
+        let n = 1;
+        while (n < rest.length && measureText(rest.slice(0, n + 1), size, bold) <= maxWidth) n++;
+        out.push(rest.slice(0, n));
+        rest = rest.slice(n);
+      }
+      line = rest;
+    });
+    out.push(line);
+  });
+  return out;
+}
+
+function pdfString(text) {
+  let out = '(';
+  for (const ch of String(text)) {
+    const code = toWinAnsi(ch);
+    if (code === 40 || code === 41 || code === 92) out += `\\${String.fromCharCode(code)}`;
+    else if (code > 126) out += `\\${code.toString(8).padStart(3, '0')}`;
+    else out += String.fromCharCode(code);
+  }
+  return `${out})`;
+}
+
+function num(n) {
+  return Number(n.toFixed(2)).toString();
+}
+
+/**
+ * Render pages of drawing operations to a PDF file. Coordinates are PDF points from the
+ * bottom-left corner of the page.
+ * - { type: 'text', x, y, text, size, bold? }
+ * - { type: 'line', x1, y1, x2, y2, width? }
+ * - { type: 'rect', x, y, w, h, fill }   // filled rectangle, fill as [r, g, b] from 0 to 1 (e.g. a highlight behind text)
+ * - { type: 'link', x, y, w, h, page }   // clickable area that jumps to the 0-based page
+ * @param {Array<Array<object>>} pages
+ * @param {{ pageSize?: 'letter'|'legal'|'a4', title?: string, author?: string, subject?: string }} [options]
+ * @returns {Buffer}
+ */
+function renderPdf(pages, options = {}) {
+  const [width, height] = PAGE_SIZES[options.pageSize || 'letter'] || PAGE_SIZES.letter;
+  const objects = []; // index = object number - 1
+  const reserve = () => objects.push(null);
+  const set = (ref, body) => { objects[ref - 1] = body; };
+
+  reserve(); reserve(); reserve(); reserve(); reserve(); // catalog, pages, F1, F2, info
+  const pageRefs = pages.map(() => { reserve(); return objects.length; });
+  const contentRefs = pages.map(() => { reserve(); return objects.length; });
+
+  pages.forEach((ops, i) => {
+    const stream = [];
+    const annots = [];
+    ops.forEach(op => {
+      if (op.type === 'text') {
+        stream.push(`BT /${op.bold ? 'F2' : 'F1'} ${num(op.size)} Tf ${num(op.x)} ${num(op.y)} Td ${pdfString(op.text)} Tj ET`);
+      } else if (op.type === 'line') {
+        stream.push(`${num(op.width || 0.5)} w ${num(op.x1)} ${num(op.y1)} m ${num(op.x2)} ${num(op.y2)} l S`);
+      } else if (op.type === 'rect') {
+        stream.push(`${op.fill.map(num).join(' ')} rg ${num(op.x)} ${num(op.y)} ${num(op.w)} ${num(op.h)} re f 0 g`);
+      } else if (op.type === 'link' && pageRefs[op.page]) {
+        annots.push(`<< /Type /Annot /Subtype /Link /Border [0 0 0] /Rect [${num(op.x)} ${num(op.y)} ${num(op.x + op.w)} ${num(op.y + op.h)}] /Dest [${pageRefs[op.page]} 0 R /XYZ null null null] >>`);
+      }
+    });
+    const content = stream.join('\n');
+    set(contentRefs[i], `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+    set(pageRefs[i], `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentRefs[i]} 0 R${annots.length ? ` /Annots [${annots.join(' ')}]` : ''} >>`);
+  });
+
+  set(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  set(2, `<< /Type /Pages /Kids [${pageRefs.map(r => `${r} 0 R`).join(' ')}] /Count ${pageRefs.length} >>`);
+  set(3, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  set(4, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  const info = [['Title', options.title], ['Author', options.author], ['Subject', options.subject], ['Producer', 'ofw-tools']]
+    .filter(([, v]) => v)
+    .map(([k, v]) => `/${k} ${pdfString(v)}`)
+    .join(' ');
+  set(5, `<< ${info} >>`);
+
+  let out = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(Buffer.byteLength(out, 'latin1'));
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  const xref = Buffer.byteLength(out, 'latin1');
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach(o => { out += `${String(o).padStart(10, '0')} 00000 n \n`; });
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(out, 'latin1');
+}
+
+module.exports = { PAGE_SIZES, measureText, wrapText, renderPdf };
@@ -0,0 +1,158 @@
+// Provenance: Bates-style source IDs for messages and the <name>.manifest.json each CLI writes next
+// to its outputs. A manifest records the tool, its version, Node version, CLI flags, start and finish
+// times, every input (path, size, SHA-256), every output written through utils/fs (path relative to
+// the manifest, size, SHA-256, record count) and the tool's own counts; CLI headers point here.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { recordOutputs, writeJson } = require('./fs');
+const { parseCsv } = require('./csv-parse');
+const { version } = require('../package.json');
+
+const SOURCE_ID_PREFIXES = { ofw: 'OFW', imessage: 'IMS', email: 'EML' };
+
+/**
+ * SHA-256 of a string or Buffer, hex encoded.
+ * @param {string|Buffer} data
+ * @returns {string}
+ */
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hashFile(filePath) {
+  return sha256(fs.readFileSync(filePath));
+}
+
+/**
+ * Stable ID for a message: source prefix, the first 8 hex digits of the source file's SHA-256
+ * and the message's position in that file (OFW "Message N of M" number, or the line number
+ * for iMessage exports and mbox files), e.g. "OFW-3F2A9C1B-000123".
+ * @param {'ofw'|'imessage'|'email'} source
+ * @param {string} fileHash - SHA-256 of the source file
+ * @param {number} position
+ * @returns {string}
+ */
+function formatSourceId(source, fileHash, position) {
+  const prefix = SOURCE_ID_PREFIXES[source] || String(source).toUpperCase();
+  return `${prefix}-${String(fileHash).slice(0, 8).toUpperCase()}-${String(position).padStart(6, '0')}`;
+}
+
+/**
+ * Give each message from one source file its `sourceId` (see formatSourceId). Report placeholders
+ * and messages without a known position are left without one.
+ * @param {Array<object>} messages - raw or normalized messages from a single file
+ * @param {'ofw'|'imessage'|'email'} source
+ * @param {string} fileHash - SHA-256 of that file
+ * @returns {Array<object>} same array (mutated) for convenience
+ */
+function assignSourceIds(messages, source, fileHash) {
+  messages.forEach(m => {
+    if (!m || m._nonMessage) return;
+    const position = source === 'ofw' ? m.messageNumber : m.line;
+    if (Number.isInteger(position) && position > 0) m.sourceId = formatSourceId(source, fileHash, position);
+  });
+  return messages;
+}
+
+/**
+ * Path, size and SHA-256 of an input; a directory lists each file in it.
+ * @param {string} filePath
+ * @returns {Array<{ path: string, bytes: number, sha256: string }>}
+ */
+function describeInput(filePath) {
+  const resolved = path.resolve(filePath);
+  if (fs.statSync(resolved).isDirectory()) {
+    return fs.readdirSync(resolved).sort()
+      .map(name => path.join(resolved, name))
+      .filter(p => fs.statSync(p).isFile())
+      .flatMap(describeInput);
+  }
+  return [{ path: resolved, bytes: fs.statSync(resolved).size, sha256: hashFile(resolved) }];
+}
+
+/**
+ * Records in an output file: array length (or `entries`, or the sum of per-year arrays) for JSON,
+ * data rows for CSV; null for other formats.
+ * @param {string} filePath
+ * @returns {number|null}
+ */
+function countRecords(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  try {
+    if (ext === '.json') {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (Array.isArray(data)) return data.length;
+      if (data && Array.isArray(data.entries)) return data.entries.length;
+      const values = data && typeof data === 'object' ? Object.values(data) : [];
+      return values.length && values.every(Array.isArray) ? values.reduce((n, v) => n + v.length, 0) : null;
+    }
+    if (ext === '.csv') return Math.max(0, parseCsv(fs.readFileSync(filePath, 'utf8')).length - 1);
+  } catch (e) {
+    return null;
+  }
+  return null;
+}
+
+/**
+ * Start recording a run. Outputs written through utils/fs are recorded until finish(), which
+ * hashes them and writes the manifest:
+ * { tool, version, node, argv, startedAt, finishedAt, inputs: [{ path, bytes, sha256 }],
+ *   outputs: [{ path, bytes, sha256, records }], counts }
+ * Output paths are relative to the manifest, so the folder can be moved and re-verified.
+ * @param {string} tool - script name, e.g. 'ofw.js'
+ * @param {Array<string>} argv - CLI arguments as given
+ * @returns {{ manifest: object, addInput: (filePath: string) => void, count: (name: string, n: number) => void, finish: (manifestPath: string) => object }}
+ */
+function startRun(tool, argv = []) {
+  const recorder = recordOutputs();
+  const manifest = {
+    tool,
+    version,
+    node: process.version,
+    argv: [...argv],
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    inputs: [],
+    outputs: [],
+    counts: {},
+  };
+  return {
+    manifest,
+    addInput(filePath) {
+      describeInput(filePath).forEach(input => {
+        if (!manifest.inputs.some(i => i.path === input.path)) manifest.inputs.push(input);
+      });
+    },
+    count(name, n) {
+      manifest.counts[name] = n;
+    },
+    finish(manifestPath) {
+      const resolved = path.resolve(manifestPath);
+      manifest.outputs = recorder.stop()
+        .filter(p => p !== resolved && fs.existsSync(p))
+        .map(p => ({
+          path: path.relative(path.dirname(resolved), p),
+          bytes: fs.statSync(p).size,
+          sha256: hashFile(p),
+          records: countRecords(p),
+        }));
+      manifest.finishedAt = new Date().toISOString();
+      writeJson(resolved, manifest);
+      return manifest;
+    },
+  };
+}
+
+module.exports = {
+  SOURCE_ID_PREFIXES,
+  sha256,
+  hashFile,
+  formatSourceId,
+  assignSourceIds,
+  describeInput,
+  countRecords,
+  startRun,
+};
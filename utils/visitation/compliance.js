@@ -0,0 +1,285 @@
+/**
+ * Visitation compliance tracker.
+ * Compares the scheduled events from getCourtWeeksInRange with a log of actual exchanges
+ * and tallies missed visits, late arrivals and makeup visits per parent and per month.
+ *
+ * Exchange log (CSV with a header row, or JSON array / { "exchanges": [...] }):
+ *   Date,Event,Status,By,Arrival,Late Minutes,Makeup For,Notes
+ *   2025-03-05,wednesday-visit,late,visiting,15:25,,,Traffic
+ *   2025-03-08,weekend-visit,cancelled,primary,,,,Child sick
+ *   2025-03-12,,makeup,,,,2025-03-08,
+ * - Status: held, late, substituted (held at another time/place), cancelled, missed (no-show), makeup
+ * - Event: optional schedule rule id or label, to pick between events on the same day
+ * - By: parent responsible for a late arrival, cancellation or no-show (role or display name)
+ * - Late minutes come from `Late Minutes`, else from `Arrival` vs the scheduled start time
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { parseLocalDateTime, parseTimeOfDay, toISODate } = require('../date');
+const { parseCsv } = require('../csv-parse');
+const { getCourtWeeksInRange } = require('./weeks');
+const { loadSchedule, applyHolidayConfig } = require('./schedule');
+
+const COMPLIANCE_STATUSES = ['held', 'late', 'substituted', 'cancelled', 'missed', 'makeup'];
+const STATUS_ALIASES = { completed: 'held', 'on-time': 'held', ontime: 'held', 'no-show': 'missed', noshow: 'missed', substitute: 'substituted' };
+const HELD_STATUSES = ['held', 'late', 'substituted'];
+const UNLOGGED_MODES = ['ignore', 'held', 'missed'];
+
+const DEFAULT_COMPLIANCE_CONFIG = {
+  parents: { primary: 'Primary Parent', visiting: 'Visiting Parent' },
+  schedule: 'default-order',
+  unlogged: 'ignore',
+};
+
+// "Late Minutes" → lateMinutes
+function toKey(header) {
+  return String(header).trim().toLowerCase().replace(/[^a-z0-9]+(.)/g, (_, c) => c.toUpperCase());
+}
+
+/**
+ * Parse an exchange log from CSV or JSON text into normalized entries.
+ * @param {string} text
+ * @param {{ format?: 'csv'|'json', parents?: { primary: string, visiting: string } }} [options]
+ *   `parents` lets the `By` column use display names instead of roles
+ * @returns {Array<{ line: number, date: string, event?: string, status: string, by?: 'primary'|'visiting', arrival?: string, lateMinutes?: number, makeupFor?: string, notes: string }>}
+ */
+function parseExchangeLog(text, options = {}) {
+  const trimmed = String(text || '').trim();
+  const format = options.format || (/^[[{]/.test(trimmed) ? 'json' : 'csv');
+  let records;
+  if (format === 'json') {
+    const data = JSON.parse(trimmed);
+    records = (Array.isArray(data) ? data : data.exchanges || []).map((r, i) => ({ ...r, line: i + 1 }));
+  } else {
+    const [header = [], ...rows] = parseCsv(trimmed);
+    const keys = header.map(toKey);
+    records = rows.map((cells, i) => ({
+      ...Object.fromEntries(keys.map((k, j) => [k, (cells[j] || '').trim()])),
+      line: i + 2,
+    }));
+  }
+  const parents = options.parents || DEFAULT_COMPLIANCE_CONFIG.parents;
+  const toRole = (value, at) => {
+    const v = String(value || '').trim().toLowerCase();
+    if (!v) return undefined;
+    const role = ['primary', 'visiting'].find(r => r === v || String(parents[r] || '').toLowerCase() === v);
+    if (!role) throw new Error(`${at}: by must be primary, visiting or a parent name (got "${value}")`);
+    return role;
+  };
+  return records.map(r => {
+    const at = `Exchange log ${format === 'csv' ? 'line' : 'entry'} ${r.line}`;
+    const rawStatus = String(r.status || '').trim().toLowerCase();
+    const status = STATUS_ALIASES[rawStatus] || rawStatus;
+    if (!COMPLIANCE_STATUSES.includes(status)) {
+      throw new Error(`${at}: status must be one of ${COMPLIANCE_STATUSES.join(', ')} (got "${r.status || ''}")`);
+    }
+    const isoDate = (value) => {
+      try {
+        return toISODate(parseLocalDateTime(value));
+      } catch (e) {
+        throw new Error(`${at}: ${e.message}`);
+      }
+    };
+    const date = isoDate(r.date);
+    const lateMinutes = r.lateMinutes === undefined || r.lateMinutes === '' ? undefined : Number(r.lateMinutes);
+    if (lateMinutes !== undefined && !(Number.isFinite(lateMinutes) && lateMinutes >= 0)) {
+      throw new Error(`${at}: late minutes must be a non-negative number`);
+    }
+    if (r.arrival) {
+      try { parseTimeOfDay(r.arrival); } catch (e) { throw new Error(`${at}: ${e.message}`); }
+    }
+    const by = toRole(r.by, at);
+    return {
+      line: r.line,
+      date,
+      event: r.event || undefined,
+      status,
+      by,
+      arrival: r.arrival || undefined,
+      lateMinutes,
+      makeupFor: r.makeupFor ? isoDate(r.makeupFor) : undefined,
+      notes: r.notes || '',
+    };
+  });
+}
+
+/**
+ * Read an exchange log file (.json or .csv).
+ * @param {string} filePath
+ * @param {{ parents?: object }} [options]
+ */
+function loadExchangeLog(filePath, options = {}) {
+  const text = fs.readFileSync(path.resolve(filePath), 'utf8');
+  return parseExchangeLog(text, { ...options, format: path.extname(filePath).toLowerCase() === '.json' ? 'json' : 'csv' });
+}
+
+/**
+ * Scheduled events starting within [startDate, endDate], taken from the court weeks.
+ * Events a holiday fully replaces are left out; the holiday event takes their place.
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @param {object} schedule
+ * @param {number} [anchorOrdinal]
+ * @returns {Array<object>} schedule events
+ */
+function listScheduledVisits(startDate, endDate, schedule, anchorOrdinal) {
+  const last = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate() + 1);
+  const seen = new Set();
+  const visits = [];
+  getCourtWeeksInRange(startDate, endDate, anchorOrdinal, schedule).forEach(week => week.events.forEach(ev => {
+    const key = `${ev.id}@${ev.start.getTime()}`;
+    if (seen.has(key) || ev.start < startDate || ev.start >= last || ev.overridden === 'full') return;
+    seen.add(key);
+    visits.push(ev);
+  }));
+  return visits.sort((a, b) => a.start - b.start);
+}
+
+function hasTime(d) {
+  return d.getHours() !== 0 || d.getMinutes() !== 0;
+}
+
+function emptyParentTally() {
+  return { late: 0, cancelled: 0, missed: 0, makeups: 0, lateMinutes: 0 };
+}
+
+function emptyTally() {
+  return { scheduled: 0, held: 0, late: 0, substituted: 0, cancelled: 0, missed: 0, unlogged: 0, makeups: 0, lateMinutes: 0, compliance: null };
+}
+
+// Held / (held + cancelled + missed); unlogged visits count per the `unlogged` mode
+function finalizeTally(t, unlogged) {
+  const held = HELD_STATUSES.reduce((a, k) => a + t[k], 0) + (unlogged === 'held' ? t.unlogged : 0);
+  const considered = held + t.cancelled + t.missed + (unlogged === 'missed' ? t.unlogged : 0);
+  return { ...t, compliance: considered ? Number(((held / considered) * 100).toFixed(2)) : null };
+}
+
+/**
+ * Match log entries to scheduled visits and build the compliance report.
+ * @param {Array<object>} visits - From listScheduledVisits
+ * @param {Array<object>} log - From parseExchangeLog
+ * @param {{ unlogged?: 'ignore'|'held'|'missed', parents?: object }} [options]
+ *   `unlogged` decides how scheduled visits with no log entry count toward compliance
+ * @returns {{ visits: Array<object>, makeups: Array<object>, unmatched: Array<object>, byParent: object, byMonth: object, totals: object, parents: object }}
+ */
+function buildComplianceReport(visits, log, options = {}) {
+  const unlogged = options.unlogged || DEFAULT_COMPLIANCE_CONFIG.unlogged;
+  if (!UNLOGGED_MODES.includes(unlogged)) throw new Error(`unlogged must be one of ${UNLOGGED_MODES.join(', ')}`);
+  const rows = visits.map(ev => ({
+    date: toISODate(ev.start),
+    start: ev.start,
+    end: ev.end,
+    id: ev.id,
+    label: ev.label,
+    parent: ev.parent,
+    kind: ev.kind,
+    status: 'unlogged',
+    by: undefined,
+    lateMinutes: 0,
+    madeUpOn: undefined,
+    notes: '',
+  }));
+  const makeups = [];
+  const unmatched = [];
+
+  log.forEach(entry => {
+    if (entry.status === 'makeup') {
+      makeups.push({ ...entry });
+      return;
+    }
+    const wanted = entry.event && entry.event.toLowerCase();
+    const row = rows.find(r => r.status === 'unlogged' && r.date === entry.date
+      && (!wanted || r.id.toLowerCase() === wanted || String(r.label).toLowerCase() === wanted));
+    if (!row) {
+      unmatched.push({ ...entry, reason: `no scheduled ${entry.event ? `"${entry.event}" ` : ''}event on ${entry.date}` });
+      return;
+    }
+    let lateMinutes = entry.lateMinutes;
+    if (lateMinutes === undefined && entry.arrival && hasTime(row.start)) {
+      lateMinutes = Math.max(0, parseTimeOfDay(entry.arrival) - (row.start.getHours() * 60 + row.start.getMinutes()));
+    }
+    Object.assign(row, {
+      status: entry.status === 'held' && lateMinutes > 0 ? 'late' : entry.status,
+      by: entry.by,
+      lateMinutes: lateMinutes || 0,
+      notes: entry.notes,
+    });
+  });
+
+  makeups.forEach(m => {
+    const missed = m.makeupFor && rows.find(r => r.date === m.makeupFor && (r.status === 'cancelled' || r.status === 'missed') && !r.madeUpOn);
+    if (missed) {
+      missed.madeUpOn = m.date;
+      if (!m.by) m.by = missed.by;
+    }
+  });
+
+  const parentKey = (role) => role || 'unattributed';
+  const byParent = { primary: emptyParentTally(), visiting: emptyParentTally(), unattributed: emptyParentTally() };
+  const byMonth = {};
+  const totals = emptyTally();
+  const monthOf = (date) => date.slice(0, 7);
+  const tallyFor = (month) => (byMonth[month] = byMonth[month] || emptyTally());
+
+  rows.forEach(r => {
+    [totals, tallyFor(monthOf(r.date))].forEach(t => {
+      t.scheduled++;
+      t[r.status]++;
+      t.lateMinutes += r.lateMinutes;
+    });
+    if (r.status === 'late' || r.status === 'cancelled' || r.status === 'missed') {
+      const p = byParent[parentKey(r.by)];
+      p[r.status]++;
+      p.lateMinutes += r.lateMinutes;
+    }
+  });
+  makeups.forEach(m => {
+    totals.makeups++;
+    tallyFor(monthOf(m.date)).makeups++;
+    byParent[parentKey(m.by)].makeups++;
+  });
+
+  return {
+    visits: rows,
+    makeups,
+    unmatched,
+    unlogged,
+    parents: { ...DEFAULT_COMPLIANCE_CONFIG.parents, ...(options.parents || {}) },
+    byParent,
+    byMonth: Object.fromEntries(Object.keys(byMonth).sort().map(k => [k, finalizeTally(byMonth[k], unlogged)])),
+    totals: finalizeTally(totals, unlogged),
+  };
+}
+
+/**
+ * Convenience wrapper: load the schedule, list the scheduled visits and compare them with the log.
+ * @param {Date} startDate - First day (inclusive)
+ * @param {Date} endDate - Last day (inclusive)
+ * @param {Array<object>} log - From parseExchangeLog / loadExchangeLog
+ * @param {{ anchorOrdinal?: number, config?: { parents?: object, schedule?: string|object, holidays?: string|Array<object>, schoolBreaks?: Array<object>, unlogged?: string } }} [options]
+ */
+function calculateCompliance(startDate, endDate, log, options = {}) {
+  const config = { ...DEFAULT_COMPLIANCE_CONFIG, ...(options.config || {}) };
+  const schedule = applyHolidayConfig(loadSchedule(config.schedule), config);
+  const first = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+  const last = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
+  if (last < first) throw new Error('End date must be on or after start date');
+  const visits = listScheduledVisits(first, last, schedule, options.anchorOrdinal);
+  return {
+    ...buildComplianceReport(visits, log, { unlogged: config.unlogged, parents: config.parents }),
+    scheduleName: schedule.name,
+    range: { start: toISODate(first), end: toISODate(last) },
+  };
+}
+
+module.exports = {
+  COMPLIANCE_STATUSES,
+  DEFAULT_COMPLIANCE_CONFIG,
+  parseExchangeLog,
+  loadExchangeLog,
+  listScheduledVisits,
+  buildComplianceReport,
+  calculateCompliance,
+};
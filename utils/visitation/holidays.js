@@ -0,0 +1,213 @@
+/**
+ * Holiday and special-day overlay for custody schedules.
+ * Holidays and school breaks replace the regular rotation for their interval. They are
+ * declared next to the schedule rules (or in a separate file) as:
+ *
+ * {
+ *   "schoolBreaks": [{ "name": "Spring Break", "startDate": "2026-03-30", "endDate": "2026-04-03", "alternate": { "odd": "visiting", "even": "primary" } }],
+ *   "holidays": [
+ *     { "name": "Thanksgiving", "date": "thanksgiving", "startOffsetDays": -1, "start": "18:00", "endOffsetDays": 3, "end": "18:00",
+ *       "alternate": { "odd": "visiting", "even": "primary" } },
+ *     { "name": "Mother's Day", "date": "mothersDay", "start": "09:00", "end": "19:00", "parent": "primary" },
+ *     { "name": "Child's Birthday", "date": "06-12", "start": "15:00", "end": "19:00", "alternate": { "odd": "primary", "even": "visiting" } }
+ *   ]
+ * }
+ *
+ * `date` is a built-in name (see BUILT_IN_HOLIDAYS), MM-DD (every year), YYYY-MM-DD (one-off)
+ * or { month, weekday, nth } where nth = -1 means the last occurrence. Without times a holiday
+ * covers whole days from startOffsetDays through endOffsetDays. School breaks take dated ranges
+ * (endDate inclusive). Entries later in the combined list (school breaks, then holidays) win.
+ */
+
+const { nameToOrdinal, getNthOccurrenceDate, parseTimeOfDay, parseLocalDateTime } = require('../date');
+
+const ROLES = ['primary', 'visiting'];
+
+// US holidays commonly named in custody orders; months are 1-based
+const BUILT_IN_HOLIDAYS = {
+  newYearsDay: { month: 1, day: 1 },
+  mlkDay: { month: 1, weekday: 'Monday', nth: 3 },
+  presidentsDay: { month: 2, weekday: 'Monday', nth: 3 },
+  easter: { easter: true },
+  mothersDay: { month: 5, weekday: 'Sunday', nth: 2 },
+  memorialDay: { month: 5, weekday: 'Monday', nth: -1 },
+  fathersDay: { month: 6, weekday: 'Sunday', nth: 3 },
+  independenceDay: { month: 7, day: 4 },
+  laborDay: { month: 9, weekday: 'Monday', nth: 1 },
+  columbusDay: { month: 10, weekday: 'Monday', nth: 2 },
+  halloween: { month: 10, day: 31 },
+  veteransDay: { month: 11, day: 11 },
+  thanksgiving: { month: 11, weekday: 'Thursday', nth: 4 },
+  christmasEve: { month: 12, day: 24 },
+  christmasDay: { month: 12, day: 25 },
+  newYearsEve: { month: 12, day: 31 },
+};
+
+function addDays(day, n) {
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate() + n);
+}
+
+function atMinutes(day, minutes) {
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes, 0, 0);
+}
+
+function slug(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Easter Sunday (Gregorian) via the anonymous computus.
+ * @param {number} year
+ * @returns {Date}
+ */
+function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Resolve a holiday date spec for a year.
+ * @param {string|object} spec - Built-in name, 'MM-DD', 'YYYY-MM-DD' or { month, weekday, nth } / { month, day }
+ * @param {number} year
+ * @returns {Date|null} null when the spec does not occur in that year
+ */
+function resolveHolidayDate(spec, year) {
+  if (typeof spec === 'string') {
+    if (BUILT_IN_HOLIDAYS[spec]) return resolveHolidayDate(BUILT_IN_HOLIDAYS[spec], year);
+    const mmdd = spec.match(/^(\d{2})-(\d{2})$/);
+    if (mmdd) return new Date(year, Number(mmdd[1]) - 1, Number(mmdd[2]));
+    const oneOff = parseLocalDateTime(spec);
+    return oneOff.getFullYear() === year ? oneOff : null;
+  }
+  if (spec.easter) return getEasterSunday(year);
+  if (spec.day) return new Date(year, spec.month - 1, spec.day);
+  const weekday = nameToOrdinal[String(spec.weekday).toLowerCase()];
+  if (spec.nth === -1) {
+    return getNthOccurrenceDate(year, spec.month - 1, weekday, 5) || getNthOccurrenceDate(year, spec.month - 1, weekday, 4);
+  }
+  return getNthOccurrenceDate(year, spec.month - 1, weekday, spec.nth);
+}
+
+function parentForYear(entry, year) {
+  if (entry.alternate) return entry.alternate[year % 2 === 0 ? 'even' : 'odd'];
+  return entry.parent || 'visiting';
+}
+
+/**
+ * Check holiday and school-break entries.
+ * @param {{ holidays?: Array<object>, schoolBreaks?: Array<object> }} config
+ * @returns {string[]} errors
+ */
+function validateHolidays(config = {}) {
+  const errors = [];
+  const isTime = (v) => { try { parseTimeOfDay(v); return true; } catch (e) { return false; } };
+  const isDate = (v) => { try { parseLocalDateTime(v); return true; } catch (e) { return false; } };
+  const checkCommon = (entry, at) => {
+    if (!entry.name) errors.push(`${at}.name is required`);
+    if (entry.parent !== undefined && !ROLES.includes(entry.parent)) errors.push(`${at}.parent must be "primary" or "visiting"`);
+    if (entry.alternate !== undefined && (!entry.alternate || !ROLES.includes(entry.alternate.odd) || !ROLES.includes(entry.alternate.even))) {
+      errors.push(`${at}.alternate must set "odd" and "even" to "primary" or "visiting"`);
+    }
+    ['start', 'end'].forEach(k => {
+      if (entry[k] !== undefined && !isTime(entry[k])) errors.push(`${at}.${k} must be HH:MM`);
+    });
+  };
+  if (config.holidays !== undefined && !Array.isArray(config.holidays)) errors.push('holidays must be an array');
+  if (config.schoolBreaks !== undefined && !Array.isArray(config.schoolBreaks)) errors.push('schoolBreaks must be an array');
+  (Array.isArray(config.holidays) ? config.holidays : []).forEach((entry, i) => {
+    const at = `holidays[${i}]`;
+    if (!entry || typeof entry !== 'object') { errors.push(`${at} must be an object`); return; }
+    checkCommon(entry, at);
+    const spec = entry.date;
+    let validDate;
+    if (typeof spec === 'string') {
+      validDate = Boolean(BUILT_IN_HOLIDAYS[spec]) || /^\d{2}-\d{2}$/.test(spec) || isDate(spec);
+    } else {
+      validDate = Boolean(spec) && Number.isInteger(spec.month) && spec.month >= 1 && spec.month <= 12
+        && (Number.isInteger(spec.day) || (String(spec.weekday || '').toLowerCase() in nameToOrdinal && [-1, 1, 2, 3, 4, 5].includes(spec.nth)));
+    }
+    if (!validDate) {
+      errors.push(`${at}.date must be a built-in holiday (${Object.keys(BUILT_IN_HOLIDAYS).join(', ')}), MM-DD, YYYY-MM-DD or { month, weekday, nth }`);
+    }
+    ['startOffsetDays', 'endOffsetDays'].forEach(k => {
+      if (entry[k] !== undefined && !Number.isInteger(entry[k])) errors.push(`${at}.${k} must be a whole number of days`);
+    });
+  });
+  (Array.isArray(config.schoolBreaks) ? config.schoolBreaks : []).forEach((entry, i) => {
+    const at = `schoolBreaks[${i}]`;
+    if (!entry || typeof entry !== 'object') { errors.push(`${at} must be an object`); return; }
+    checkCommon(entry, at);
+    if (!isDate(entry.startDate)) errors.push(`${at}.startDate must be YYYY-MM-DD`);
+    if (!isDate(entry.endDate)) errors.push(`${at}.endDate must be YYYY-MM-DD`);
+  });
+  return errors;
+}
+
+/**
+ * Expand holidays and school breaks into custody spans overlapping [from, to].
+ * @param {{ holidays?: Array<object>, schoolBreaks?: Array<object> }} config
+ * @param {Date} from - First day (inclusive)
+ * @param {Date} to - Last day (inclusive)
+ * @returns {Array<{ start: Date, end: Date, parent: 'primary'|'visiting', id: string, category: 'holiday'|'schoolBreak', label: string, order: number }>}
+ *   `order` ranks entries (school breaks first, then holidays); higher wins on overlap
+ */
+function expandHolidays(config, from, to) {
+  const spans = [];
+  const rangeStart = from.getTime();
+  const rangeEnd = addDays(to, 1).getTime();
+  let order = 0;
+  (config.schoolBreaks || []).forEach(entry => {
+    const startDay = parseLocalDateTime(entry.startDate);
+    const endDay = parseLocalDateTime(entry.endDate);
+    spans.push({
+      start: atMinutes(startDay, entry.start ? parseTimeOfDay(entry.start) : 0),
+      end: entry.end ? atMinutes(endDay, parseTimeOfDay(entry.end)) : addDays(endDay, 1),
+      parent: parentForYear(entry, startDay.getFullYear()),
+      id: `school:${slug(entry.name)}`,
+      category: 'schoolBreak',
+      label: entry.name,
+      order: order++,
+    });
+  });
+  (config.holidays || []).forEach(entry => {
+    const entryOrder = order++;
+    // Include the prior year so spans that cross New Year (e.g. winter break) are caught
+    for (let year = from.getFullYear() - 1; year <= to.getFullYear(); year++) {
+      const date = resolveHolidayDate(entry.date, year);
+      if (!date) continue;
+      const startDay = addDays(date, entry.startOffsetDays || 0);
+      const endDay = addDays(date, entry.endOffsetDays || 0);
+      spans.push({
+        start: atMinutes(startDay, entry.start ? parseTimeOfDay(entry.start) : 0),
+        end: entry.end ? atMinutes(endDay, parseTimeOfDay(entry.end)) : addDays(endDay, 1),
+        parent: parentForYear(entry, year),
+        id: `holiday:${slug(entry.name)}`,
+        category: 'holiday',
+        label: entry.name,
+        order: entryOrder,
+      });
+    }
+  });
+  return spans.filter(s => s.start.getTime() < rangeEnd && s.end.getTime() > rangeStart);
+}
+
+module.exports = {
+  BUILT_IN_HOLIDAYS,
+  getEasterSunday,
+  resolveHolidayDate,
+  validateHolidays,
+  expandHolidays,
+};
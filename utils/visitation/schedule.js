@@ -0,0 +1,500 @@
+/**
+ * Declarative custody schedule engine.
+ * A schedule is JSON — { name, description?, anchor?, rules: [...] } — and each rule
+ * expands into dated events. Where custody events overlap, the later rule wins, so a
+ * summer block listed after the regular rotation replaces it for its dates.
+ *
+ * Rule types
+ * - monthlyWeeks: court weeks (Week 1 = first Sun–Sat week containing the anchor weekday)
+ *   { weeks: [1..5], day, start?, endDay?, end? }
+ * - weekly: { day, start?, endDay?, end?, every?: number, startDate? (required when every > 1) }
+ * - everyOtherWeekend: { startDate, day?, start?, endDay?, end?, midweek?: { day, start?, end? } }
+ * - alternatingWeeks: { startDate, exchangeTime?, startParent? }
+ * - rotation: { pattern: [days...], startDate, exchangeTime?, startParent?, parents? }
+ *   e.g. 2-2-3 → [2, 2, 3]; 2-2-5-5 → [2, 2, 5, 5]. Segments alternate parents unless
+ *   `parents` lists the role for each pattern segment.
+ * - block: { startDate, endDate, start?, end?, years?: 'all'|'odd'|'even' }
+ *   Dates are YYYY-MM-DD (one-off) or MM-DD (every year); endDate is inclusive.
+ *
+ * Common fields: id, label, parent ('visiting' default), kind ('custody' default, or
+ * 'virtual' for calls that are not custodial time), location (exchange address or call link),
+ * effectiveFrom / effectiveTo (YYYY-MM-DD, inclusive) to bound a rule when an order changes.
+ * Times are HH:MM (24-hour); without times an event covers whole days.
+ *
+ * Holidays and school breaks (`holidays`, `schoolBreaks`; see ./holidays) overlay the rules:
+ * they outrank every rule, and regular events they overlap are marked `overriddenBy`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { nameToOrdinal, getFirstWeekStart, parseTimeOfDay, parseLocalDateTime } = require('../date');
+const { validateHolidays, expandHolidays } = require('./holidays');
+
+const PRESETS_DIR = path.join(__dirname, 'presets');
+const DEFAULT_SCHEDULE = 'default-order';
+const RULE_TYPES = ['monthlyWeeks', 'weekly', 'everyOtherWeekend', 'alternatingWeeks', 'rotation', 'block'];
+const ROLES = ['primary', 'visiting'];
+const KINDS = ['custody', 'virtual'];
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+function addDays(day, n) {
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate() + n);
+}
+
+function startOfDay(d) {
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+}
+
+// Whole days between two local dates, immune to DST shifts
+function daysBetween(a, b) {
+  return Math.round((Date.UTC(b.getFullYear(), b.getMonth(), b.getDate()) - Date.UTC(a.getFullYear(), a.getMonth(), a.getDate())) / MS_PER_DAY);
+}
+
+function atMinutes(day, minutes) {
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes, 0, 0);
+}
+
+function weekdayOrdinal(name) {
+  const ord = nameToOrdinal[String(name || '').toLowerCase()];
+  if (ord === undefined) throw new Error(`Unknown weekday: ${name}`);
+  return ord;
+}
+
+/**
+ * Start/end of an event that begins on `day` and runs to the rule's endDay/end.
+ * Without `end` the event lasts through the end day.
+ */
+function spanFrom(day, rule) {
+  const endOffset = rule.endDay ? (weekdayOrdinal(rule.endDay) - day.getDay() + 7) % 7 : 0;
+  const endDay = addDays(day, endOffset);
+  return {
+    start: atMinutes(day, rule.start ? parseTimeOfDay(rule.start) : 0),
+    end: rule.end ? atMinutes(endDay, parseTimeOfDay(rule.end)) : addDays(endDay, 1),
+  };
+}
+
+/**
+ * List court weeks overlapping a date range. A Sun–Sat week belongs to the month that
+ * contains its anchor weekday, so a month's trailing "5th week" is never double counted.
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @param {number} [anchorOrdinal=5] - 0=Sun ... 6=Sat
+ * @returns {Array<{startOfWeek: Date, endOfWeek: Date, year: number, month: number, weekNumber: number}>}
+ */
+function listCourtWeeks(startDate, endDate, anchorOrdinal = 5) {
+  const weeks = [];
+  const first = startOfDay(startDate);
+  let year = startDate.getFullYear();
+  let month = startDate.getMonth(); // previous month, 1-based
+  if (month === 0) { year -= 1; month = 12; }
+  const lastKey = endDate.getFullYear() * 12 + endDate.getMonth() + 1;
+  while (year * 12 + month <= lastKey) {
+    const firstWeekStart = getFirstWeekStart(year, month, anchorOrdinal);
+    for (let i = 0; i < 5; i++) {
+      const startOfWeek = addDays(firstWeekStart, i * 7);
+      if (addDays(startOfWeek, anchorOrdinal).getMonth() + 1 !== month) break;
+      const endOfWeek = addDays(startOfWeek, 6);
+      if (endOfWeek < first || startOfWeek > endDate) continue;
+      weeks.push({ startOfWeek, endOfWeek, year, month, weekNumber: i + 1 });
+    }
+    month += 1;
+    if (month > 12) { month = 1; year += 1; }
+  }
+  return weeks;
+}
+
+// Sundays from the week before `from` through `to`
+function listSundays(from, to) {
+  const sundays = [];
+  for (let d = addDays(from, -from.getDay() - 7); d <= to; d = addDays(d, 7)) sundays.push(d);
+  return sundays;
+}
+
+function expandMonthlyWeeks(rule, from, to, anchorOrdinal) {
+  const dayOrd = weekdayOrdinal(rule.day);
+  return listCourtWeeks(addDays(from, -7), to, anchorOrdinal)
+    .filter(week => rule.weeks.includes(week.weekNumber))
+    .map(week => spanFrom(addDays(week.startOfWeek, dayOrd), rule));
+}
+
+function expandWeekly(rule, from, to) {
+  const dayOrd = weekdayOrdinal(rule.day);
+  const every = rule.every || 1;
+  const ref = rule.startDate ? parseLocalDateTime(rule.startDate) : new Date(1970, 0, 4);
+  const refSunday = addDays(ref, -ref.getDay());
+  return listSundays(from, to)
+    .filter(sunday => (((daysBetween(refSunday, sunday) / 7) % every) + every) % every === 0)
+    .map(sunday => spanFrom(addDays(sunday, dayOrd), rule));
+}
+
+function expandRotation(rule, from, to) {
+  const pattern = rule.pattern;
+  const cycleDays = pattern.reduce((a, n) => a + n, 0);
+  const origin = parseLocalDateTime(rule.startDate);
+  const exchange = rule.exchangeTime ? parseTimeOfDay(rule.exchangeTime) : 0;
+  const startParent = rule.startParent || 'visiting';
+  const otherParent = startParent === 'visiting' ? 'primary' : 'visiting';
+  const events = [];
+  // Begin one cycle before the range so the segment in progress at `from` is included
+  let cycle = Math.floor(daysBetween(origin, from) / cycleDays) - 1;
+  for (;;) {
+    let offset = cycle * cycleDays;
+    for (let i = 0; i < pattern.length; i++) {
+      const segment = cycle * pattern.length + i;
+      const parent = Array.isArray(rule.parents)
+        ? rule.parents[i]
+        : ((segment % 2) + 2) % 2 === 0 ? startParent : otherParent;
+      const start = atMinutes(addDays(origin, offset), exchange);
+      offset += pattern[i];
+      if (start > addDays(to, 1)) return events;
+      events.push({ start, end: atMinutes(addDays(origin, offset), exchange), parent });
+    }
+    cycle += 1;
+  }
+}
+
+function parseBlockDate(value, year) {
+  const mmdd = String(value).match(/^(\d{2})-(\d{2})$/);
+  if (mmdd) return new Date(year, Number(mmdd[1]) - 1, Number(mmdd[2]));
+  return parseLocalDateTime(value);
+}
+
+function expandBlock(rule, from, to) {
+  const yearly = /^\d{2}-\d{2}$/.test(String(rule.startDate));
+  const years = [];
+  if (yearly) {
+    for (let y = from.getFullYear() - 1; y <= to.getFullYear(); y++) {
+      if (rule.years === 'odd' && y % 2 === 0) continue;
+      if (rule.years === 'even' && y % 2 !== 0) continue;
+      years.push(y);
+    }
+  } else {
+    years.push(null);
+  }
+  return years.map(y => {
+    const startDay = parseBlockDate(rule.startDate, y);
+    let endDay = parseBlockDate(rule.endDate, y);
+    if (endDay < startDay) endDay = parseBlockDate(rule.endDate, y + 1); // e.g. 12-20 → 01-03
+    return {
+      start: atMinutes(startDay, rule.start ? parseTimeOfDay(rule.start) : 0),
+      end: rule.end ? atMinutes(endDay, parseTimeOfDay(rule.end)) : addDays(endDay, 1),
+    };
+  });
+}
+
+/**
+ * Expand one rule into raw spans. Composite rule types delegate to the basic ones.
+ * @returns {Array<{start: Date, end: Date, parent?: string, idSuffix?: string, labelSuffix?: string}>}
+ */
+function expandRule(rule, from, to, anchorOrdinal) {
+  switch (rule.type) {
+    case 'monthlyWeeks':
+      return expandMonthlyWeeks(rule, from, to, anchorOrdinal);
+    case 'weekly':
+      return expandWeekly(rule, from, to);
+    case 'everyOtherWeekend': {
+      const weekend = expandWeekly({
+        day: 'Friday', start: '18:00', endDay: 'Sunday', end: '18:00',
+        ...rule, every: 2,
+      }, from, to);
+      const midweek = rule.midweek
+        ? expandWeekly({ ...rule.midweek, every: 1 }, from, to).map(s => ({ ...s, idSuffix: ':midweek', labelSuffix: ' (Midweek)' }))
+        : [];
+      return weekend.concat(midweek);
+    }
+    case 'alternatingWeeks':
+      return expandRotation({ ...rule, pattern: [7] }, from, to);
+    case 'rotation':
+      return expandRotation(rule, from, to);
+    case 'block':
+      return expandBlock(rule, from, to);
+    default:
+      throw new Error(`Unknown schedule rule type: ${rule.type}`);
+  }
+}
+
+/**
+ * Check a schedule definition.
+ * @param {object} schedule
+ * @returns {string[]} errors
+ */
+function validateSchedule(schedule) {
+  const errors = [];
+  if (!schedule || typeof schedule !== 'object') return ['schedule must be an object'];
+  if (schedule.anchor !== undefined && !(String(schedule.anchor).toLowerCase() in nameToOrdinal)) {
+    errors.push(`anchor must be a weekday name (got ${schedule.anchor})`);
+  }
+  errors.push(...validateHolidays(schedule));
+  if (!Array.isArray(schedule.rules) || schedule.rules.length === 0) {
+    errors.push('rules must be a non-empty array');
+    return errors;
+  }
+  const isWeekday = (v) => String(v || '').toLowerCase() in nameToOrdinal;
+  const isTime = (v) => { try { parseTimeOfDay(v); return true; } catch (e) { return false; } };
+  const isDate = (v) => { try { parseLocalDateTime(v); return true; } catch (e) { return false; } };
+
+  schedule.rules.forEach((rule, i) => {
+    const at = `rules[${i}]${rule && rule.id ? ` (${rule.id})` : ''}`;
+    if (!rule || typeof rule !== 'object') { errors.push(`${at} must be an object`); return; }
+    if (!RULE_TYPES.includes(rule.type)) {
+      errors.push(`${at}.type must be one of ${RULE_TYPES.join(', ')}`);
+      return;
+    }
+    if (rule.parent !== undefined && !ROLES.includes(rule.parent)) errors.push(`${at}.parent must be "primary" or "visiting"`);
+    if (rule.kind !== undefined && !KINDS.includes(rule.kind)) errors.push(`${at}.kind must be "custody" or "virtual"`);
+    ['start', 'end', 'exchangeTime'].forEach(k => {
+      if (rule[k] !== undefined && !isTime(rule[k])) errors.push(`${at}.${k} must be HH:MM`);
+    });
+    ['effectiveFrom', 'effectiveTo'].forEach(k => {
+      if (rule[k] !== undefined && !isDate(rule[k])) errors.push(`${at}.${k} must be YYYY-MM-DD`);
+    });
+    if (rule.endDay !== undefined && !isWeekday(rule.endDay)) errors.push(`${at}.endDay must be a weekday name`);
+    if (rule.location !== undefined && typeof rule.location !== 'string') errors.push(`${at}.location must be a string`);
+
+    switch (rule.type) {
+      case 'monthlyWeeks':
+        if (!Array.isArray(rule.weeks) || rule.weeks.length === 0 || !rule.weeks.every(w => Number.isInteger(w) && w >= 1 && w <= 5)) {
+          errors.push(`${at}.weeks must list court week numbers 1-5`);
+        }
+        if (!isWeekday(rule.day)) errors.push(`${at}.day must be a weekday name`);
+        break;
+      case 'weekly':
+        if (!isWeekday(rule.day)) errors.push(`${at}.day must be a weekday name`);
+        if (rule.every !== undefined && (!Number.isInteger(rule.every) || rule.every < 1)) errors.push(`${at}.every must be a positive integer`);
+        if (rule.every > 1 && !isDate(rule.startDate)) errors.push(`${at}.startDate is required when every > 1`);
+        break;
+      case 'everyOtherWeekend':
+        if (!isDate(rule.startDate)) errors.push(`${at}.startDate must be YYYY-MM-DD (a date in one of this parent's weekends)`);
+        if (rule.day !== undefined && !isWeekday(rule.day)) errors.push(`${at}.day must be a weekday name`);
+        if (rule.midweek !== undefined) {
+          if (!rule.midweek || !isWeekday(rule.midweek.day)) errors.push(`${at}.midweek.day must be a weekday name`);
+          else ['start', 'end'].forEach(k => {
+            if (rule.midweek[k] !== undefined && !isTime(rule.midweek[k])) errors.push(`${at}.midweek.${k} must be HH:MM`);
+          });
+        }
+        break;
+      case 'alternatingWeeks':
+      case 'rotation':
+        if (!isDate(rule.startDate)) errors.push(`${at}.startDate must be YYYY-MM-DD`);
+        if (rule.startParent !== undefined && !ROLES.includes(rule.startParent)) errors.push(`${at}.startParent must be "primary" or "visiting"`);
+        if (rule.type === 'rotation') {
+          if (!Array.isArray(rule.pattern) || rule.pattern.length === 0 || !rule.pattern.every(n => Number.isInteger(n) && n > 0)) {
+            errors.push(`${at}.pattern must list positive whole days, e.g. [2, 2, 3]`);
+          } else if (rule.parents !== undefined && (!Array.isArray(rule.parents) || rule.parents.length !== rule.pattern.length || !rule.parents.every(p => ROLES.includes(p)))) {
+            errors.push(`${at}.parents must give "primary"/"visiting" for each pattern segment`);
+          }
+        }
+        break;
+      case 'block': {
+        const yearly = (v) => /^\d{2}-\d{2}$/.test(String(v));
+        if (!(yearly(rule.startDate) || isDate(rule.startDate))) errors.push(`${at}.startDate must be YYYY-MM-DD or MM-DD`);
+        if (!(yearly(rule.endDate) || isDate(rule.endDate))) errors.push(`${at}.endDate must be YYYY-MM-DD or MM-DD`);
+        if (yearly(rule.startDate) !== yearly(rule.endDate)) errors.push(`${at}.startDate and endDate must use the same format`);
+        if (rule.years !== undefined && !['all', 'odd', 'even'].includes(rule.years)) errors.push(`${at}.years must be "all", "odd" or "even"`);
+        break;
+      }
+      default:
+        break;
+    }
+  });
+  return errors;
+}
+
+/**
+ * List the schedule presets shipped in utils/visitation/presets.
+ * @returns {string[]}
+ */
+function listPresets() {
+  return fs.readdirSync(PRESETS_DIR).filter(f => f.endsWith('.json')).map(f => f.replace(/\.json$/, '')).sort();
+}
+
+/**
+ * Resolve a schedule from a preset name, a JSON file path, or an inline object.
+ * @param {string|object} [spec=DEFAULT_SCHEDULE]
+ * @returns {object} validated schedule
+ */
+function loadSchedule(spec = DEFAULT_SCHEDULE) {
+  let schedule = spec;
+  let source = 'inline schedule';
+  if (typeof spec === 'string') {
+    const presetPath = path.join(PRESETS_DIR, `${spec}.json`);
+    const filePath = listPresets().includes(spec) ? presetPath : path.resolve(spec);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Unknown schedule "${spec}" (presets: ${listPresets().join(', ')})`);
+    }
+    source = spec;
+    schedule = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+  const errors = validateSchedule(schedule);
+  if (errors.length) throw new Error(`Invalid schedule "${(schedule && schedule.name) || source}": ${errors.join('; ')}`);
+  return schedule;
+}
+
+/**
+ * Merge holiday and school-break entries into a schedule.
+ * @param {object} schedule - Loaded schedule
+ * @param {string|object} spec - JSON path or object with `holidays` and/or `schoolBreaks`
+ * @returns {object} schedule with the entries appended to its own
+ */
+function withHolidays(schedule, spec) {
+  const extra = typeof spec === 'string' ? JSON.parse(fs.readFileSync(path.resolve(spec), 'utf8')) : spec;
+  const errors = validateHolidays(extra);
+  if (errors.length) throw new Error(`Invalid holidays${typeof spec === 'string' ? ` in ${spec}` : ''}: ${errors.join('; ')}`);
+  return {
+    ...schedule,
+    holidays: (schedule.holidays || []).concat(extra.holidays || []),
+    schoolBreaks: (schedule.schoolBreaks || []).concat(extra.schoolBreaks || []),
+  };
+}
+
+/**
+ * Layer a tool config's `holidays` (array, or a path to a holidays JSON file) and
+ * `schoolBreaks` over a schedule.
+ * @param {object} schedule
+ * @param {{ holidays?: string|Array<object>, schoolBreaks?: Array<object> }} config
+ * @returns {object} schedule
+ */
+function applyHolidayConfig(schedule, config = {}) {
+  if (typeof config.holidays === 'string') return withHolidays(schedule, config.holidays);
+  if (!config.holidays && !config.schoolBreaks) return schedule;
+  return withHolidays(schedule, { holidays: config.holidays, schoolBreaks: config.schoolBreaks });
+}
+
+/**
+ * Anchor weekday ordinal for court weeks: explicit override, else the schedule's, else Friday.
+ * @param {object} schedule
+ * @param {number} [override]
+ * @returns {number}
+ */
+function resolveAnchorOrdinal(schedule, override) {
+  if (override !== undefined && override !== null) return override;
+  if (schedule && schedule.anchor) return weekdayOrdinal(schedule.anchor);
+  return 5;
+}
+
+/**
+ * Overlay holiday/school-break events on regular events. Holiday events outrank every
+ * rule; regular events they overlap get `overriddenBy` (holiday label) and
+ * `overridden` ('full' when the holiday covers the whole event, else 'partial').
+ * @param {Array<object>} events - Regular events
+ * @param {Array<object>} spans - Output of expandHolidays
+ * @param {number} basePriority - Priority of the first holiday entry (rule count)
+ * @returns {Array<object>}
+ */
+function applyHolidayOverlay(events, spans, basePriority) {
+  const holidayEvents = spans.map(span => ({
+    start: span.start,
+    end: span.end,
+    parent: span.parent,
+    kind: 'custody',
+    type: 'holiday',
+    category: span.category,
+    id: span.id,
+    label: span.label,
+    priority: basePriority + span.order,
+  }));
+  const marked = events.map(ev => {
+    const overlapping = holidayEvents.filter(h => h.start < ev.end && h.end > ev.start);
+    if (!overlapping.length) return ev;
+    const full = overlapping.some(h => h.start <= ev.start && h.end >= ev.end);
+    return { ...ev, overriddenBy: overlapping.map(h => h.label).join(', '), overridden: full ? 'full' : 'partial' };
+  });
+  return marked.concat(holidayEvents);
+}
+
+/**
+ * Expand a schedule into events overlapping an inclusive date range.
+ * @param {object} schedule - Validated schedule (see loadSchedule)
+ * @param {Date} startDate - First day (inclusive)
+ * @param {Date} endDate - Last day (inclusive)
+ * @param {{ anchorOrdinal?: number }} [options]
+ * @returns {Array<{ start: Date, end: Date, parent: 'primary'|'visiting', kind: 'custody'|'virtual', type: string, id: string, label: string, location?: string, priority: number, overriddenBy?: string, overridden?: 'full'|'partial' }>}
+ *   sorted by start; `priority` is the rule index (higher wins on overlap); holiday events have type 'holiday'
+ */
+function evaluateSchedule(schedule, startDate, endDate, options = {}) {
+  const anchorOrdinal = resolveAnchorOrdinal(schedule, options.anchorOrdinal);
+  const from = startOfDay(startDate);
+  const to = startOfDay(endDate);
+  const rangeStart = from.getTime();
+  const rangeEnd = addDays(to, 1).getTime();
+  const events = [];
+  schedule.rules.forEach((rule, priority) => {
+    const id = rule.id || `${rule.type}-${priority + 1}`;
+    const label = rule.label || id;
+    const effectiveFrom = rule.effectiveFrom ? parseLocalDateTime(rule.effectiveFrom).getTime() : -Infinity;
+    const effectiveTo = rule.effectiveTo ? addDays(parseLocalDateTime(rule.effectiveTo), 1).getTime() : Infinity;
+    expandRule(rule, from, to, anchorOrdinal).forEach(span => {
+      const s = span.start.getTime();
+      if (s < effectiveFrom || s >= effectiveTo) return;
+      if (s >= rangeEnd || span.end.getTime() <= rangeStart) return;
+      events.push({
+        start: span.start,
+        end: span.end,
+        parent: span.parent || rule.parent || 'visiting',
+        kind: rule.kind || 'custody',
+        type: rule.type,
+        id: id + (span.idSuffix || ''),
+        label: label + (span.labelSuffix || ''),
+        location: rule.location,
+        priority,
+      });
+    });
+  });
+  const overlaid = schedule.holidays || schedule.schoolBreaks
+    ? applyHolidayOverlay(events, expandHolidays(schedule, from, to), schedule.rules.length)
+    : events;
+  return overlaid.sort((a, b) => a.start - b.start || a.priority - b.priority);
+}
+
+/**
+ * The custody event in force at an instant (highest priority wins).
+ * @param {Array<object>} events - Output of evaluateSchedule
+ * @param {Date} at
+ * @returns {object|undefined}
+ */
+function custodyAt(events, at) {
+  const t = at.getTime();
+  return events
+    .filter(ev => ev.kind === 'custody' && ev.start.getTime() <= t && t < ev.end.getTime())
+    .reduce((top, ev) => (!top || ev.priority > top.priority ? ev : top), undefined);
+}
+
+/**
+ * Display label for an event; rotation segments and holidays also name the parent role.
+ * @param {object} event - From evaluateSchedule
+ * @returns {string}
+ */
+function formatEventLabel(event) {
+  if (event.type !== 'rotation' && event.type !== 'alternatingWeeks' && event.type !== 'holiday') return event.label;
+  return `${event.label} (${event.parent === 'visiting' ? 'Visiting' : 'Primary'})`;
+}
+
+/**
+ * Events touching a calendar day.
+ * @param {Array<object>} events - Output of evaluateSchedule
+ * @param {Date} day
+ * @returns {Array<object>}
+ */
+function eventsOnDay(events, day) {
+  const dayStart = startOfDay(day).getTime();
+  const dayEnd = addDays(day, 1).getTime();
+  return events.filter(ev => ev.start.getTime() < dayEnd && ev.end.getTime() > dayStart);
+}
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  RULE_TYPES,
+  listCourtWeeks,
+  validateSchedule,
+  listPresets,
+  loadSchedule,
+  withHolidays,
+  applyHolidayConfig,
+  resolveAnchorOrdinal,
+  evaluateSchedule,
+  applyHolidayOverlay,
+  custodyAt,
+  formatEventLabel,
+  eventsOnDay,
+};
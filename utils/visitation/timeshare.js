@@ -0,0 +1,233 @@
+/**
+ * Timeshare (parenting-time percentage) calculator.
+ * Expands the custody schedule (see ./schedule) into custodial intervals and
+ * counts hours per parent into an hour-by-hour ledger.
+ * Each calendar day is walked in real one-hour steps from local midnight to the
+ * next, so a daylight-saving day has 23 or 25 slots; a slot belongs to the parent
+ * holding custody at the start of that hour.
+ */
+
+const { parseLocalDateTime, toISODate } = require('../date');
+const { loadSchedule, withHolidays, applyHolidayConfig, evaluateSchedule } = require('./schedule');
+const { parseCsv } = require('../csv-parse');
+
+const DEFAULT_TIMESHARE_CONFIG = {
+  parents: { primary: 'Primary Parent', visiting: 'Visiting Parent' },
+  schedule: 'default-order',
+  overrides: [],
+};
+
+/**
+ * Apply the pre-schedule `wednesdayVisit` / `weekendVisit` time settings to the
+ * matching rules of the default order so older timeshare configs keep working.
+ * @param {object} schedule
+ * @param {object} config
+ * @returns {object} schedule
+ */
+function applyLegacyVisitTimes(schedule, config) {
+  const patches = {
+    'wednesday-visit': config.wednesdayVisit && { start: config.wednesdayVisit.start, end: config.wednesdayVisit.end },
+    'weekend-visit': config.weekendVisit && {
+      day: config.weekendVisit.startDay,
+      start: config.weekendVisit.start,
+      endDay: config.weekendVisit.endDay,
+      end: config.weekendVisit.end,
+    },
+  };
+  if (!patches['wednesday-visit'] && !patches['weekend-visit']) return schedule;
+  const defined = (obj) => Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+  return {
+    ...schedule,
+    rules: schedule.rules.map(rule => (patches[rule.id] ? { ...rule, ...defined(patches[rule.id]) } : rule)),
+  };
+}
+
+/**
+ * Turn dated `overrides` into one-off holiday entries so they go through the
+ * schedule's holiday layer. Appended after every other holiday, they win on overlap.
+ * Override shape: { name, start: 'YYYY-MM-DD[THH:MM]', end: 'YYYY-MM-DD[THH:MM]', parent: 'primary'|'visiting' }
+ * (end exclusive; a bare date means midnight)
+ * @param {Array<object>} overrides
+ * @returns {Array<object>} holiday entries (see ./holidays)
+ */
+function overridesToHolidays(overrides = []) {
+  const hhmm = (d) => `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+  return overrides.map(o => {
+    if (o.parent !== 'primary' && o.parent !== 'visiting') {
+      throw new Error(`Override "${o.name || o.start}" must set parent to "primary" or "visiting"`);
+    }
+    const start = parseLocalDateTime(o.start);
+    const end = parseLocalDateTime(o.end);
+    const startDay = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+    const endDay = new Date(end.getFullYear(), end.getMonth(), end.getDate());
+    return {
+      name: o.name || 'Override',
+      date: toISODate(start),
+      start: hhmm(start),
+      endOffsetDays: Math.round((endDay - startDay) / 86400000),
+      end: hhmm(end),
+      parent: o.parent,
+    };
+  });
+}
+
+/**
+ * Merge a partial config over the defaults and load its schedule
+ * (preset name, JSON path or inline object). `holidays` (array, or a path to a
+ * holidays JSON file) and `schoolBreaks` are layered over the schedule, then
+ * `overrides` as the last holidays.
+ * @param {object} [config]
+ * @returns {object}
+ */
+function resolveTimeshareConfig(config = {}) {
+  const overrides = Array.isArray(config.overrides) ? config.overrides : [];
+  let schedule = applyHolidayConfig(loadSchedule(config.schedule || DEFAULT_TIMESHARE_CONFIG.schedule), config);
+  if (overrides.length) schedule = withHolidays(schedule, { holidays: overridesToHolidays(overrides) });
+  return {
+    ...DEFAULT_TIMESHARE_CONFIG,
+    ...config,
+    parents: { ...DEFAULT_TIMESHARE_CONFIG.parents, ...(config.parents || {}) },
+    schedule: applyLegacyVisitTimes(schedule, config),
+    overrides,
+  };
+}
+
+function addDays(day, n) {
+  return new Date(day.getFullYear(), day.getMonth(), day.getDate() + n);
+}
+
+/**
+ * Convert schedule custody events into intervals. Virtual (Zoom) events are not
+ * custodial time and produce no interval.
+ * @param {object} schedule - Loaded schedule
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @param {number} [anchorOrdinal]
+ * @returns {Array<{start: Date, end: Date, parent: 'primary'|'visiting', source: string, priority: number}>}
+ */
+function getScheduleIntervals(schedule, startDate, endDate, anchorOrdinal) {
+  return evaluateSchedule(schedule, startDate, endDate, { anchorOrdinal })
+    .filter(ev => ev.kind === 'custody')
+    .map(ev => ({ start: ev.start, end: ev.end, parent: ev.parent, source: ev.id, priority: ev.priority }));
+}
+
+/**
+ * Build an hour-by-hour custody ledger for an inclusive date range.
+ * Holidays (overrides included) take precedence over the regular rotation.
+ * @param {Date} startDate - First day (inclusive)
+ * @param {Date} endDate - Last day (inclusive)
+ * @param {{ anchorOrdinal?: number, config?: object, schedule?: object }} [options] - `schedule` is an
+ *   already resolved schedule (resolveTimeshareConfig(...).schedule); otherwise `config` is resolved
+ * @returns {Array<{ hourStart: Date, parent: 'primary'|'visiting', source: string }>}
+ */
+function buildTimeshareLedger(startDate, endDate, options = {}) {
+  const schedule = options.schedule || resolveTimeshareConfig(options.config).schedule;
+  const first = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+  const last = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
+  if (last < first) throw new Error('End date must be on or after start date');
+
+  const intervals = getScheduleIntervals(schedule, first, last, options.anchorOrdinal);
+  const ledger = [];
+  for (let day = first; day <= last; day = addDays(day, 1)) {
+    const dayStart = day.getTime();
+    const dayEnd = addDays(day, 1).getTime();
+    const touches = (iv) => iv.start.getTime() < dayEnd && iv.end.getTime() > dayStart;
+    const dayIntervals = intervals.filter(touches);
+    for (let t = dayStart; t < dayEnd; t += 60 * 60 * 1000) {
+      const hourStart = new Date(t);
+      const within = (iv) => iv.start.getTime() <= t && t < iv.end.getTime();
+      // Later schedule rules win where custody events overlap; holidays rank above every rule
+      const hit = dayIntervals.filter(within).sort((a, b) => a.priority - b.priority).pop();
+      ledger.push({
+        hourStart,
+        parent: hit ? hit.parent : 'primary',
+        source: hit ? hit.source : 'regular',
+      });
+    }
+  }
+  return ledger;
+}
+
+/**
+ * Summarize ledger hours per parent overall, per calendar year and per month.
+ * @param {Array<{ hourStart: Date, parent: string }>} ledger
+ * @param {{ primary: string, visiting: string }} [parents]
+ * @returns {{ totalHours: number, byParent: Record<string, {hours:number, percent:number}>, byYear: Record<string, object>, byMonth: Record<string, object> }}
+ */
+function summarizeTimeshare(ledger, parents = DEFAULT_TIMESHARE_CONFIG.parents) {
+  const tally = () => ({ totalHours: 0, hours: { [parents.primary]: 0, [parents.visiting]: 0 } });
+  const overall = tally();
+  const byYear = {};
+  const byMonth = {};
+  ledger.forEach(row => {
+    const name = parents[row.parent] || row.parent;
+    const d = row.hourStart;
+    const yearKey = String(d.getFullYear());
+    const monthKey = `${yearKey}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+    [overall, byYear[yearKey] = byYear[yearKey] || tally(), byMonth[monthKey] = byMonth[monthKey] || tally()].forEach(t => {
+      t.totalHours += 1;
+      t.hours[name] = (t.hours[name] || 0) + 1;
+    });
+  });
+  const finalize = (t) => ({
+    totalHours: t.totalHours,
+    byParent: Object.fromEntries(Object.entries(t.hours).map(([name, hours]) => [
+      name,
+      { hours, percent: t.totalHours ? Number(((hours / t.totalHours) * 100).toFixed(2)) : 0 },
+    ])),
+  });
+  const summary = finalize(overall);
+  return {
+    ...summary,
+    byYear: Object.fromEntries(Object.entries(byYear).map(([k, t]) => [k, finalize(t)])),
+    byMonth: Object.fromEntries(Object.entries(byMonth).map(([k, t]) => [k, finalize(t)])),
+  };
+}
+
+/**
+ * Compute timeshare percentages from a ledger CSV written by formatTimeshareLedgerCsv.
+ * Lets the support calculators consume the ledger without re-walking the schedule.
+ * @param {string} csvText
+ * @returns {{ totalHours: number, byParent: Record<string, {hours:number, percent:number}> }}
+ */
+function summarizeTimeshareLedgerCsv(csvText) {
+  const [header = [], ...rows] = parseCsv(csvText);
+  const parentIdx = header.indexOf('Parent');
+  if (parentIdx === -1) throw new Error('Timeshare ledger CSV is missing a "Parent" column');
+  const hours = {};
+  rows.forEach(cells => {
+    const name = cells[parentIdx];
+    hours[name] = (hours[name] || 0) + 1;
+  });
+  const totalHours = rows.length;
+  return {
+    totalHours,
+    byParent: Object.fromEntries(Object.entries(hours).map(([name, h]) => [
+      name,
+      { hours: h, percent: totalHours ? Number(((h / totalHours) * 100).toFixed(2)) : 0 },
+    ])),
+  };
+}
+
+/**
+ * Convenience wrapper: ledger + summary for a range.
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @param {{ anchorOrdinal?: number, config?: object }} [options]
+ */
+function calculateTimeshare(startDate, endDate, options = {}) {
+  const config = resolveTimeshareConfig(options.config);
+  const ledger = buildTimeshareLedger(startDate, endDate, { anchorOrdinal: options.anchorOrdinal, schedule: config.schedule });
+  return { ledger, summary: summarizeTimeshare(ledger, config.parents), parents: config.parents, range: { start: toISODate(startDate), end: toISODate(endDate) } };
+}
+
+module.exports = {
+  DEFAULT_TIMESHARE_CONFIG,
+  resolveTimeshareConfig,
+  applyLegacyVisitTimes,
+  getScheduleIntervals,
+  buildTimeshareLedger,
+  summarizeTimeshare,
+  summarizeTimeshareLedgerCsv,
+  calculateTimeshare,
+};
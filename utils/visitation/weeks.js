@@ -0,0 +1,91 @@
+// Court-style week helpers for visitation schedules
+
+const { getFirstAnchorOfMonth, getFirstWeekStart } = require('../date');
+const {
+  listCourtWeeks,
+  loadSchedule,
+  resolveAnchorOrdinal,
+  evaluateSchedule,
+  eventsOnDay,
+} = require('./schedule');
+
+/**
+ * Summarize schedule events for one Sun–Sat week in the legacy shape used by the CLIs.
+ * `visitType` reflects the Wednesday (visiting-parent custody → Visit, virtual call → Zoom);
+ * `weekendVisit` is true when the visiting parent has custody on Saturday or Sunday.
+ * Events fully replaced by a holiday do not count.
+ * @param {Date} startOfWeek - Sunday
+ * @param {Array<object>} events - Output of evaluateSchedule
+ * @returns {{startOfWeek: Date, endOfWeek: Date, wednesday: Date, visitType: 'Visit'|'Zoom'|'None', weekendVisit: boolean, events: Array<object>}}
+ */
+function describeWeek(startOfWeek, events) {
+  const day = (n) => new Date(startOfWeek.getFullYear(), startOfWeek.getMonth(), startOfWeek.getDate() + n);
+  const endOfWeek = day(6);
+  const wednesday = day(3);
+  const visiting = (ev) => ev.kind === 'custody' && ev.parent === 'visiting' && ev.overridden !== 'full';
+  const onWednesday = eventsOnDay(events, wednesday);
+  let visitType = 'None';
+  if (onWednesday.some(visiting)) visitType = 'Visit';
+  else if (onWednesday.some(ev => ev.kind === 'virtual' && ev.overridden !== 'full')) visitType = 'Zoom';
+  const weekendVisit = eventsOnDay(events, day(6)).concat(eventsOnDay(events, day(7))).some(visiting);
+  const weekEvents = events.filter(ev => ev.start < day(7) && ev.end > startOfWeek);
+  return { startOfWeek, endOfWeek, wednesday, visitType, weekendVisit, events: weekEvents };
+}
+
+/**
+ * Calculate the court weeks (up to 5) for a given month, labeled from a schedule.
+ * A 5th week that starts in the month but has its anchor day in the next one is listed
+ * without events; they belong to the next month's Week 1.
+ * @param {number} year - Four-digit year
+ * @param {number} month - 1-based
+ * @param {number} [anchorOrdinal] - 0=Sun ... 6=Sat (default: the schedule's anchor, else Friday)
+ * @param {object} [schedule] - Schedule from loadSchedule (default: presets/default-order.json)
+ * @returns {Array<{startOfWeek: Date, endOfWeek: Date, wednesday: Date, visitType: 'Visit'|'Zoom'|'None', weekendVisit: boolean, events: Array<object>}>}
+ */
+function getWeeksInfo(year, month, anchorOrdinal, schedule = loadSchedule()) {
+  const anchor = resolveAnchorOrdinal(schedule, anchorOrdinal);
+  const firstWeekStart = getFirstWeekStart(year, month, anchor);
+  const starts = [];
+  for (let i = 0; i < 5; i++) {
+    const startOfWeek = new Date(firstWeekStart.getFullYear(), firstWeekStart.getMonth(), firstWeekStart.getDate() + i * 7);
+    // A 5th week that already starts in the next month is that month's Week 1
+    if (startOfWeek.getMonth() + 1 !== month && i === 4) break;
+    starts.push(startOfWeek);
+  }
+  const last = starts[starts.length - 1];
+  const events = evaluateSchedule(schedule, starts[0], new Date(last.getFullYear(), last.getMonth(), last.getDate() + 7), { anchorOrdinal: anchor });
+  return starts.map(startOfWeek => {
+    const week = describeWeek(startOfWeek, events);
+    // A trailing week whose anchor day is in the next month is that month's Week 1: listed, without events
+    const anchorDay = new Date(startOfWeek.getFullYear(), startOfWeek.getMonth(), startOfWeek.getDate() + anchor);
+    if (anchorDay.getMonth() + 1 === month) return week;
+    return { ...week, visitType: 'None', weekendVisit: false, events: [] };
+  });
+}
+
+/**
+ * List court weeks covering a date range, walking month by month.
+ * A Sun–Sat week belongs to the month that contains its anchor weekday, so the
+ * trailing "5th week" of a month with only 4 anchor days is dropped in favor of
+ * Week 1 of the following month.
+ * @param {Date} startDate - Inclusive range start
+ * @param {Date} endDate - Inclusive range end
+ * @param {number} [anchorOrdinal] - 0=Sun ... 6=Sat (default: the schedule's anchor, else Friday)
+ * @param {object} [schedule] - Schedule from loadSchedule (default: presets/default-order.json)
+ * @returns {Array<object>} weeks as from getWeeksInfo with added `year`, `month` (1-based), `weekIndex` (0-based)
+ */
+function getCourtWeeksInRange(startDate, endDate, anchorOrdinal, schedule = loadSchedule()) {
+  const anchor = resolveAnchorOrdinal(schedule, anchorOrdinal);
+  const weeks = listCourtWeeks(startDate, endDate, anchor);
+  if (!weeks.length) return [];
+  const lastEnd = weeks[weeks.length - 1].endOfWeek;
+  const events = evaluateSchedule(schedule, weeks[0].startOfWeek, new Date(lastEnd.getFullYear(), lastEnd.getMonth(), lastEnd.getDate() + 1), { anchorOrdinal: anchor });
+  return weeks.map(({ startOfWeek, year, month, weekNumber }) => ({
+    ...describeWeek(startOfWeek, events),
+    year,
+    month,
+    weekIndex: weekNumber - 1,
+  }));
+}
+
+module.exports = { getFirstAnchorOfMonth, getFirstWeekStart, describeWeek, getWeeksInfo, getCourtWeeksInRange };
@@ -4,135 +4,121 @@
  * Purpose
  * - Generate a month view in court-style terms where "Week 1" is the first calendar week
  *   (Sun–Sat) that contains the anchor weekday (default: Friday).
- * - Label Wednesday activities per a common pattern: 1st/3rd in-person visit; 2nd/4th Zoom;
+ * - Label each week's events from a declarative custody schedule (utils/visitation/schedule.js).
+ *   The default preset is the current order: 1st/3rd Wednesday in-person visit; 2nd/4th Zoom;
  *   and weekend visits on 2nd/4th weeks.
  *
  * CLI
- * - node visitation-cal.js <year> <month> [--grid] [--anchor <weekday>]
- *   - --anchor accepts names (Friday, Saturday, etc.). Default: Friday
- *   - --grid prints an ASCII calendar grid annotated with V (visit), Z (Zoom)
+ * - node visitation-cal.js <year> <month> [--grid] [--anchor <weekday>] [--schedule <preset|path>]
+ *                          [--ics [file.ics]] [--location <text>] [--holidays <file.json>]
+ * - node visitation-cal.js --start <yyyy-mm-dd> --end <yyyy-mm-dd> --ics [file.ics] [...]
+ *   - --anchor accepts names (Friday, Saturday, etc.). Default: the schedule's anchor, else Friday
+ *   - --schedule accepts a preset name (see utils/visitation/presets) or a schedule JSON path
+ *   - --grid prints an ASCII calendar grid annotated with V (visiting parent custody), Z (Zoom),
+ *     H (holiday or school break) and * (regular schedule overridden)
+ *   - --ics writes an RFC 5545 calendar (default: ./output/visitation-<yyyy-mm>.ics or
+ *     ./output/visitation-<start>_<end>.ics); UIDs are stable so re-imports update events
+ *   - --location sets the exchange location for custody events whose rule has no `location`
+ *   - --holidays adds holidays/school breaks from a JSON file (see utils/visitation/holidays.js);
+ *     they replace the regular rotation and replaced events are marked in the list and grid
  */
 
-// Configuration for visitation intervals (0-indexed weeks relative to Week 1)
-const VISITATION_CONFIG = {
-    WEEKS_PER_MONTH: 5,
-    ZOOM_WEEKS: [1, 3], // Weeks with Wednesday Zoom (default: 2nd, 4th)
-    VISIT_WEEKS: [0, 2], // Weeks with in-person Wednesday visit (default: 1st, 3rd)
-    WEEKEND_VISIT_WEEKS: [1, 3] // Weeks with weekend visits (default: 2nd, 4th)
-};
+const path = require('path');
 
 const {
     weekdayNames,
     nameToOrdinal,
     getFirstAnchorOfMonth,
     getFirstWeekStart,
+    parseLocalDateTime,
+    toISODate,
 } = require('./utils/date');
+const { getWeeksInfo } = require('./utils/visitation/weeks');
+const {
+    listPresets,
+    loadSchedule,
+    resolveAnchorOrdinal,
+    evaluateSchedule,
+    withHolidays,
+    formatEventLabel,
+    custodyAt,
+    eventsOnDay,
+} = require('./utils/visitation/schedule');
+const { formatScheduleIcs } = require('./utils/output/ics');
+const { writeFile } = require('./utils/fs');
 
 /**
- * Get the first occurrence of the anchor weekday in a month.
- * @param {number} year - Four-digit year
- * @param {number} month - 1-based (1=Jan ... 12=Dec)
- * @param {number} anchorOrdinal - 0=Sun ... 6=Sat
- * @returns {Date}
- */
-function getFirstAnchorOfMonthLocal(year, month, anchorOrdinal) {
-    return getFirstAnchorOfMonth(year, month, anchorOrdinal);
-}
-
-/**
- * Calculate the start (Sunday) of Week 1 (first week containing the anchor weekday).
- * @param {number} year - Four-digit year
- * @param {number} month - 1-based
- * @param {number} anchorOrdinal - 0=Sun ... 6=Sat
- * @returns {Date}
+ * Format an event's dates, with times when it does not cover whole days.
+ * @param {{start: Date, end: Date}} event
+ * @returns {string}
  */
-function getFirstWeekStartLocal(year, month, anchorOrdinal) {
-    return getFirstWeekStart(year, month, anchorOrdinal);
+function formatEventRange(event) {
+    const pad = n => String(n).padStart(2, '0');
+    const time = d => `${pad(d.getHours())}:${pad(d.getMinutes())}`;
+    const wholeDays = event.start.getHours() === 0 && event.start.getMinutes() === 0
+        && event.end.getHours() === 0 && event.end.getMinutes() === 0;
+    if (wholeDays) {
+        const lastDay = new Date(event.end.getFullYear(), event.end.getMonth(), event.end.getDate() - 1);
+        return lastDay.toDateString() === event.start.toDateString()
+            ? event.start.toDateString()
+            : `${event.start.toDateString()} → ${lastDay.toDateString()}`;
+    }
+    if (event.start.toDateString() === event.end.toDateString()) {
+        return `${event.start.toDateString()} ${time(event.start)}–${time(event.end)}`;
+    }
+    return `${event.start.toDateString()} ${time(event.start)} → ${event.end.toDateString()} ${time(event.end)}`;
 }
 
 /**
- * Calculate the 5 court weeks for a given month.
- * @param {number} year - Four-digit year
- * @param {number} month - 1-based
- * @param {number} [anchorOrdinal=5] - 0=Sun ... 6=Sat (default: Friday=5)
- * @returns {Array<{startOfWeek: Date, endOfWeek: Date, wednesday: Date, visitType: 'Visit'|'Zoom'|'None', weekendVisit: boolean}>}
+ * Suffix marking holiday events and regular events a holiday replaces.
+ * @param {object} event - From evaluateSchedule
+ * @returns {string}
  */
-function getWeeksInfo(year, month, anchorOrdinal = 5) {
-    // Get the start date of the first week
-    let firstWeekStart = getFirstWeekStartLocal(year, month, anchorOrdinal);
-    // Initialize an array to hold the weeks info
-    let weeksInfo = [];
-    // Loop for each week of the month
-    for (let i = 0; i < VISITATION_CONFIG.WEEKS_PER_MONTH; i++) {
-        // Create a new date object for the start of the week
-        let startOfWeek = new Date(firstWeekStart);
-        // Add the number of weeks to the date to get the start of the current week
-        startOfWeek.setDate(firstWeekStart.getDate() + (i * 7));
-        // Create a new date object for the end of the week
-        let endOfWeek = new Date(startOfWeek);
-        endOfWeek.setDate(startOfWeek.getDate() + 6);
-        // Create a new date object for Wednesday
-        let wednesday = new Date(startOfWeek);
-        wednesday.setDate(startOfWeek.getDate() + 3);
-        // If the start of the week is in the next month and it's the last iteration, break the loop
-        if (startOfWeek.getMonth() + 1 !== month && i === VISITATION_CONFIG.WEEKS_PER_MONTH - 1) break;
-        // Determine the type of Wednesday visit for the week
-        let visitType = VISITATION_CONFIG.ZOOM_WEEKS.includes(i) ? 'Zoom' : (VISITATION_CONFIG.VISIT_WEEKS.includes(i) ? 'Visit' : 'None');
-        // Determine if there is a weekend visit
-        let weekendVisit = VISITATION_CONFIG.WEEKEND_VISIT_WEEKS.includes(i);
-        // Add the week info to the array
-        weeksInfo.push({
-            startOfWeek: startOfWeek,
-            endOfWeek: endOfWeek,
-            wednesday: wednesday,
-            visitType: visitType,
-            weekendVisit: weekendVisit
-        });
-    }
-    // Return the weeks info
-    return weeksInfo;
+function formatOverlayNote(event) {
+    if (event.type === 'holiday') return event.category === 'schoolBreak' ? ' [school break]' : ' [holiday]';
+    if (event.overridden) return ` [${event.overridden === 'full' ? 'overridden' : 'partly overridden'} by ${event.overriddenBy}]`;
+    return '';
 }
 
 /**
- * Print a human readable list of weeks, with Wednesday and weekend details.
- * Also prints a monthly summary of counts and dates.
+ * Print a human readable list of court weeks with the schedule events that start in each week,
+ * including Week 1 days that fall in the previous month.
+ * Also prints a monthly summary of counts and dates per event label.
  * @param {Array} weeksInfo - Output of getWeeksInfo
  * @param {number} month - 1-based month
  * @param {number} anchorOrdinal - 0=Sun ... 6=Sat
  */
 function printWeeksInfo(weeksInfo, month, anchorOrdinal) {
-    const wedVisitDates = [];
-    const wedZoomDates = [];
-    const weekendDates = [];
+    const byLabel = new Map();
+    const seen = new Set();
+    let overridden = 0;
     weeksInfo.forEach((info, index) => {
         console.log(`\nWeek ${index + 1}: ${info.startOfWeek.toDateString()} - ${info.endOfWeek.toDateString()}`);
-        let friday = new Date(info.wednesday);
-        friday.setDate(info.wednesday.getDate() + 2); // Friday after Wednesday
-        if (info.visitType === 'Visit') {
-            console.log(` - Wednesday Visit: ${info.wednesday.toDateString()}`);
-            wedVisitDates.push(info.wednesday.toDateString());
-        } else if (info.visitType === 'Zoom') {
-            console.log(` - Wednesday Zoom: ${info.wednesday.toDateString()}`);
-            wedZoomDates.push(info.wednesday.toDateString());
-        }
-        // Add weekend visits for the second and fourth weeks
-        if (info.weekendVisit) {
-            let saturday = new Date(info.wednesday);
-            saturday.setDate(saturday.getDate() + 3); // Saturday after Wednesday
-            let sunday = new Date(saturday);
-            sunday.setDate(saturday.getDate() + 1); // Sunday after Saturday
-            console.log(` - Weekend Visit: ${saturday.toDateString()}, ${sunday.toDateString()}`);
-            weekendDates.push(`${saturday.toDateString()} / ${sunday.toDateString()}`);
-        }
+        info.events
+            .filter(ev => ev.start >= info.startOfWeek)
+            .forEach(ev => {
+                const key = `${ev.id}@${ev.start.getTime()}`;
+                if (seen.has(key)) return;
+                seen.add(key);
+                const label = formatEventLabel(ev);
+                console.log(` - ${label}: ${formatEventRange(ev)}${formatOverlayNote(ev)}`);
+                if (ev.overridden) overridden++;
+                if (!byLabel.has(label)) byLabel.set(label, []);
+                byLabel.get(label).push(formatEventRange(ev));
+            });
     });
+    const width = Math.max(0, ...Array.from(byLabel.keys(), l => l.length)) + 1;
     console.log(`\nSummary (Anchor: ${weekdayNames[anchorOrdinal]}):`);
-    console.log(` - Wednesday Visits: ${wedVisitDates.length}${wedVisitDates.length ? ' → ' + wedVisitDates.join(', ') : ''}`);
-    console.log(` - Wednesday Zooms:  ${wedZoomDates.length}${wedZoomDates.length ? ' → ' + wedZoomDates.join(', ') : ''}`);
-    console.log(` - Weekend Visits:   ${weekendDates.length}${weekendDates.length ? ' → ' + weekendDates.join(' | ') : ''}`);
+    if (!byLabel.size) console.log(' - No scheduled events');
+    byLabel.forEach((dates, label) => {
+        console.log(` - ${`${label}:`.padEnd(width)} ${dates.length} → ${dates.join(' | ')}`);
+    });
+    if (overridden) console.log(` - ${overridden} regular event(s) overridden by holidays or school breaks`);
 }
 
 /**
- * Print an ASCII calendar grid annotated with V (visit), Z (Zoom), weekend visits.
+ * Print an ASCII calendar grid annotated with V (visiting parent custody), Z (Zoom),
+ * H (holiday or school break) and * (regular schedule overridden).
  * @param {number} year - Four-digit year
  * @param {number} month - 1-based month
  * @param {Array} weeksInfo - Output of getWeeksInfo
@@ -142,24 +128,27 @@ function printMonthCalendar(year, month, weeksInfo) {
     let firstDay = new Date(year, month - 1, 1).getDay();
     // Get the number of days in the month
     let daysInMonth = new Date(year, month, 0).getDate();
+    const events = [];
+    const seen = new Set();
+    weeksInfo.forEach(week => week.events.forEach(ev => {
+        const key = `${ev.id}@${ev.start.getTime()}`;
+        if (!seen.has(key)) { seen.add(key); events.push(ev); }
+    }));
     // Initialize the calendar as a 2D array
     let calendar = Array.from({ length: 6 }, () => Array(7).fill(['       ', '       ']));
     // Fill the calendar with the days of the month
     let day = 1;
     for (let i = 0; i < 6; i++) {
-        let weekendVisit = '';
-        let week = Math.floor((day + firstDay - 1) / 7);
-        if (week < weeksInfo.length && weeksInfo[week].weekendVisit) {
-            weekendVisit = 'V';
-        }
         for (let j = (i === 0 ? firstDay : 0); j < 7 && day <= daysInMonth; j++) {
-            // Check if the day is a Wednesday and if there is a visit or Zoom
-            let visit = '';
-            if (j === 3 && week < weeksInfo.length) {
-                visit = weeksInfo[week].visitType === 'Zoom' ? 'Z' : (weeksInfo[week].visitType === 'Visit' ? 'V' : ' ');
-            }
+            const onDay = eventsOnDay(events, new Date(year, month - 1, day));
+            // Hourly so a holiday that replaces part of a visit is reflected
+            const custody = Array.from({ length: 24 }, (_, h) => custodyAt(onDay, new Date(year, month - 1, day, h)))
+                .some(ev => ev && ev.parent === 'visiting') ? 'V' : '';
+            const zoom = onDay.some(ev => ev.kind === 'virtual' && ev.overridden !== 'full') ? 'Z' : '';
+            const holiday = onDay.some(ev => ev.type === 'holiday') ? 'H' : '';
+            const overridden = onDay.some(ev => ev.overridden) ? '*' : '';
             // Add the day to the calendar
-            calendar[i][j] = [` ${day < 10 ? ' ' : ''}${day++} `, `  ${j === 5 || j === 6 ? weekendVisit : ''}${visit}  `];
+            calendar[i][j] = [` ${day < 10 ? ' ' : ''}${day++} `, ` ${custody}${zoom}${holiday}${overridden} `];
             // Pad the cell with spaces to ensure it's always the same length
             while (calendar[i][j][0].length < 7) {
                 calendar[i][j][0] += ' ';
@@ -177,34 +166,99 @@ function printMonthCalendar(year, month, weeksInfo) {
         console.log('|' + calendar[i].map(cell => cell[1]).join('|') + '|');
         console.log('---------------------------------------------------------');
     }
+    console.log('V: visiting parent has custody for part or all of the day; Z: Zoom/virtual visit');
+    console.log('H: holiday or school break; *: regular schedule overridden');
+}
+
+/**
+ * Write schedule events that start within [startDate, endDate] to an .ics file.
+ * @param {object} schedule - Loaded schedule
+ * @param {Date} startDate - First day (inclusive)
+ * @param {Date} endDate - Last day (inclusive)
+ * @param {{ anchorOrdinal: number, outPath: string, location?: string }} options - `location` applies to custody events
+ * @returns {number} number of events written
+ */
+function writeScheduleIcs(schedule, startDate, endDate, options) {
+    const last = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate() + 1);
+    const events = evaluateSchedule(schedule, startDate, endDate, { anchorOrdinal: options.anchorOrdinal })
+        .filter(ev => ev.start >= startDate && ev.start < last);
+    writeFile(options.outPath, formatScheduleIcs(events, {
+        scheduleName: schedule.name,
+        location: options.location,
+    }));
+    return events.length;
 }
 
 /**
  * Print CLI usage help.
  */
 function printHelp() {
-    console.log(`\nUsage: node visitation-cal.js <year> <month> [--grid] [--anchor <weekday>]\n\nOptions:\n  --anchor  Anchor weekday for Week 1 (default: Friday). Accepts names like Friday/Saturday.\n  --grid    Prints a month grid in addition to the list of weeks\n  -h, --help  Show this help\n`);
+    console.log(`\nUsage: node visitation-cal.js <year> <month> [--grid] [--anchor <weekday>] [--schedule <preset|path>] [--ics [file.ics]] [--location <text>] [--holidays <file.json>]\n       node visitation-cal.js --start <yyyy-mm-dd> --end <yyyy-mm-dd> --ics [file.ics] [--schedule <preset|path>]\n\nOptions:\n  --anchor    Anchor weekday for Week 1 (default: the schedule's anchor, else Friday). Accepts names like Friday/Saturday.\n  --schedule  Schedule preset (${listPresets().join(', ')}) or JSON path (default: default-order)\n  --grid      Prints a month grid in addition to the list of weeks\n  --ics       Write an iCalendar file (default: ./output/visitation-<yyyy-mm>.ics)\n  --start/--end  Export a date range instead of one month (requires --ics)\n  --location  Exchange location for custody events whose rule has no location\n  --holidays  Holidays/school breaks JSON that override the regular schedule\n  -h, --help  Show this help\n`);
 }
 
 function runCli() {
     const argv = process.argv.slice(2);
-    if (argv.includes('-h') || argv.includes('--help') || argv.length < 2) {
+    const readValue = (flag) => {
+        const idx = argv.indexOf(flag);
+        const val = idx === -1 ? undefined : argv[idx + 1];
+        return val && !val.startsWith('--') ? val : undefined;
+    };
+    const rangeMode = argv.includes('--start') || argv.includes('--end');
+    if (argv.includes('-h') || argv.includes('--help') || (!rangeMode && argv.length < 2)) {
         printHelp();
-        process.exit(argv.length < 2 ? 1 : 0);
+        process.exit(argv.includes('-h') || argv.includes('--help') ? 0 : 1);
     }
 
     // Get the year and month from the command line arguments
     const year = parseInt(argv[0]);
     const month = parseInt(argv[1]);
     const showGrid = argv.includes('--grid');
-    let anchorOrdinal = 5; // Friday default
-    for (let i = 2; i < argv.length; i++) {
+    const writeIcs = argv.includes('--ics');
+    const location = readValue('--location');
+    let anchorOrdinal; // default: the schedule's anchor
+    let scheduleSpec;
+    for (let i = 0; i < argv.length; i++) {
         if (argv[i] === '--anchor') {
             const name = (argv[i+1] || '').toLowerCase();
             if (name in nameToOrdinal) {
                 anchorOrdinal = nameToOrdinal[name];
             }
         }
+        if (argv[i] === '--schedule') {
+            scheduleSpec = argv[i + 1];
+        }
+    }
+
+    let schedule;
+    try {
+        schedule = loadSchedule(scheduleSpec);
+        if (argv.includes('--holidays')) {
+            if (!readValue('--holidays')) throw new Error('--holidays requires a JSON file path');
+            schedule = withHolidays(schedule, readValue('--holidays'));
+        }
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+    anchorOrdinal = resolveAnchorOrdinal(schedule, anchorOrdinal);
+
+    if (rangeMode) {
+        let start;
+        let end;
+        try {
+            if (!readValue('--start') || !readValue('--end')) throw new Error('--start and --end must be provided together');
+            if (!writeIcs) throw new Error('--start/--end is only supported with --ics');
+            start = parseLocalDateTime(readValue('--start'));
+            end = parseLocalDateTime(readValue('--end'));
+            if (end < start) throw new Error('--end must be on or after --start');
+        } catch (e) {
+            console.error(e.message);
+            process.exit(1);
+        }
+        const outPath = path.resolve(readValue('--ics') || path.join('output', `visitation-${toISODate(start)}_${toISODate(end)}.ics`));
+        const count = writeScheduleIcs(schedule, start, end, { anchorOrdinal, outPath, location });
+        console.log(`Wrote ${count} events to ${outPath}`);
+        return;
     }
 
     // Check if the year and month are valid
@@ -214,12 +268,18 @@ function runCli() {
     }
 
     // Get the weeks info for the given year and month
-    const weeksInfo = getWeeksInfo(year, month, anchorOrdinal);
+    const weeksInfo = getWeeksInfo(year, month, anchorOrdinal, schedule);
     // Print the weeks info and the month calendar
     printWeeksInfo(weeksInfo, month, anchorOrdinal);
     if (showGrid) {
         printMonthCalendar(year, month, weeksInfo);
     }
+    if (writeIcs) {
+        const monthKey = `${year}-${String(month).padStart(2, '0')}`;
+        const outPath = path.resolve(readValue('--ics') || path.join('output', `visitation-${monthKey}.ics`));
+        const count = writeScheduleIcs(schedule, new Date(year, month - 1, 1), new Date(year, month, 0), { anchorOrdinal, outPath, location });
+        console.log(`\nWrote ${count} events to ${outPath}`);
+    }
 }
 
 if (require.main === module) {
@@ -227,7 +287,8 @@ if (require.main === module) {
 }
 
 module.exports = {
-    getFirstAnchorOfMonth: getFirstAnchorOfMonthLocal,
-    getFirstWeekStart: getFirstWeekStartLocal,
+    getFirstAnchorOfMonth,
+    getFirstWeekStart,
     getWeeksInfo,
+    writeScheduleIcs,
 };
\ No newline at end of file